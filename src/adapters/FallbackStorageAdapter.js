@@ -0,0 +1,318 @@
+import StorageAdapter from "./StorageAdapter.js";
+import LocalStorageAdapter from "./LocalStorageAdapter.js";
+import StorageEventChannel from "../helpers/StorageEventChannel.js";
+import generateSimpleId from "misc-helpers/src/utils/generateSimpleId.js";
+import { logError, logInfo, logWarn } from "../helpers/loggerHelper.js";
+import { StoragefyNotReadyError } from "../helpers/errorHelper.js";
+
+// -------------------------------------------------------------------------------------------------
+
+/**
+ * Methods forwarded to the selected backend once it is known.
+ */
+const DELEGATED_METHODS = [
+  "get",
+  "set",
+  "delete",
+  "has",
+  "list",
+  "getAll",
+  "reset",
+  "clear",
+  "getMany",
+  "setMany",
+  "deleteMany",
+  "update",
+  "transaction",
+  "getExpire",
+  "setExpire",
+  "deleteExpire",
+  "clearExpire",
+  "estimate",
+  "rotateEncryptionKey",
+  "_decrypt",
+  "_exportEntries",
+  "_importEntry",
+  "_readVersion",
+];
+
+// -------------------------------------------------------------------------------------------------
+
+/**
+ * @class FallbackStorageAdapter
+ * @extends StorageAdapter
+ * Tries several storage adapters in order and uses the first one that can store and read back
+ * a value, e.g. IndexedDB, then localStorage, then memory when the browser blocks persistent
+ * storage (Safari private mode, some embedded webviews). Methods wait for the probe and then
+ * run on the selected backend, whose name is exposed as `backend`.
+ */
+class FallbackStorageAdapter extends StorageAdapter {
+  /**
+   * @param {Object} options - Options passed to every backend, see their constructors.
+   * @param {Array<{name: string, AdapterClass: typeof StorageAdapter}>} options.adapters - Backends to try, in order.
+   * @param {string} options.dbName - The database namespace.
+   * @param {string} [options.channelName=false] - Optional channel name for cross-tab communication, shared with the backend.
+   * @param {"broadcast"|"storage-event"|"auto"} [options.channelTransport="broadcast"] - How other tabs are notified, see LocalStorageAdapter. Storage events only report changes when the selected backend is localStorage.
+   * @param {boolean} [options.enableSyncTabs=false] - Whether to enable sync automatically on change key value.
+   * @param {boolean} [options.strict=false] - Throw typed errors instead of logging them.
+   * @param {boolean} [options.leaderElection=false] - Elect one tab to run the expiration cleanups, eviction and migrations, `isLeader` follows the backend.
+   * @param {number} [options.probeTimeout=5000] - How long the probe of each backend may take in ms before the next one is tried.
+   * @throws {Error} If no adapter is given, or `channelTransport` is unknown.
+   */
+  constructor({ adapters, probeTimeout = 5000, ...params }) {
+    const transport = LocalStorageAdapter._resolveTransport(
+      params.channelTransport || "broadcast"
+    );
+    super(transport === "broadcast" ? params.channelName : false);
+    if (!adapters?.length) {
+      throw new Error("FallbackStorageAdapter needs at least one adapter to try.");
+    }
+    if (params.channelName && transport === "storage-event") {
+      logInfo("FallbackStorageAdapter - Using storage events for cross-tab sync");
+      this.channelName = params.channelName;
+      this.channel = new StorageEventChannel(params.channelName, {
+        storage: typeof localStorage === "undefined" ? null : localStorage,
+        resolveChange: (event) => this._storageEventKeys(event),
+      });
+    }
+
+    this.dbName = params.dbName;
+    this.adapterId = generateSimpleId(params.dbName);
+    this.enableSyncTabs = params.enableSyncTabs || false;
+    this.strict = params.strict || false;
+    this.isLeader = !params.leaderElection;
+    this.probeTimeout = probeTimeout;
+    this.backend = null;
+    this.selected = null;
+    this._destroyed = false;
+    // lock() called before the probe ended, applied to the selected backend
+    this._lockPending = false;
+
+    /**
+     * Resolves with the name of the selected backend, or rejects with a
+     * `StoragefyNotReadyError` when none of them works.
+     * @type {Promise<string>}
+     */
+    this.ready = this._select(adapters, params);
+    // Callers see the rejection through ready or the delegated methods
+    this.ready.catch(() => {});
+  }
+
+  // ----------------------------------------------------------------------------------------------
+
+  /**
+   * Probes the backends in order and keeps the first one that works. The selected backend
+   * shares the cross-tab channel, the adapter id, the event listeners and the leader change
+   * handlers of this adapter.
+   * @private
+   * @param {Array<{name: string, AdapterClass: typeof StorageAdapter}>} adapters
+   * @param {Object} params - Options for the backends.
+   * @returns {Promise<string>} Name of the selected backend.
+   * @throws {StoragefyNotReadyError} If no backend works.
+   */
+  async _select(adapters, params) {
+    for (const { name, AdapterClass } of adapters) {
+      let candidate = null;
+      try {
+        logInfo(`FallbackStorageAdapter - Probing "${name}"`);
+        // The channel is created once, by this adapter
+        candidate = new AdapterClass({ ...params, channelName: false });
+        await this._probe(candidate);
+      } catch (err) {
+        logWarn(`FallbackStorageAdapter - "${name}" is not available:`, err);
+        candidate?.destroy();
+        continue;
+      }
+
+      candidate.adapterId = this.adapterId;
+      candidate.channel = this.channel;
+      candidate.channelName = this.channelName;
+      candidate._listeners = this._listeners;
+      this._followLeadership(candidate);
+      this.selected = candidate;
+      this.backend = name;
+      if (this._destroyed) candidate.destroy();
+      logInfo(`FallbackStorageAdapter - Using "${name}"`);
+      return name;
+    }
+
+    const names = adapters.map(({ name }) => `"${name}"`).join(", ");
+    logError(`None of the storage adapters ${names} is available.`);
+    throw new StoragefyNotReadyError(`None of the storage adapters ${names} is available.`);
+  }
+
+  // ----------------------------------------------------------------------------------------------
+
+  /**
+   * Keeps `isLeader` in sync with the selected backend and moves the handlers registered
+   * with `onLeaderChange()` to it. They are called right away when the backend already
+   * leads.
+   * @private
+   * @param {StorageAdapter} candidate
+   */
+  _followLeadership(candidate) {
+    const handlers = [...this._leaderHandlers];
+    candidate._leaderHandlers = new Set([
+      (isLeader) => {
+        this.isLeader = isLeader;
+      },
+      ...handlers,
+    ]);
+    this._leaderHandlers = candidate._leaderHandlers;
+    if (this.isLeader === candidate.isLeader) return;
+
+    this.isLeader = candidate.isLeader;
+    for (const handler of handlers) {
+      try {
+        handler(this.isLeader);
+      } catch (err) {
+        logError("Error in leader change handler:", err);
+      }
+    }
+  }
+
+  // ----------------------------------------------------------------------------------------------
+
+  /**
+   * Writes, reads back and removes a probe value outside the adapter prefix, within
+   * `probeTimeout`. Storages that never answer (e.g. an IndexedDB open left pending) fail the
+   * probe instead of holding back every method.
+   * @private
+   * @param {StorageAdapter} candidate
+   * @returns {Promise<void>}
+   * @throws {Error} If the storage cannot be opened or does not return the probe value.
+   * @throws {StoragefyNotReadyError} If the probe takes longer than `probeTimeout`.
+   */
+  async _probe(candidate) {
+    const fullKey = `STRGF_${candidate.dbName}__probe`;
+    const raw = String(Date.now());
+    const probe = (async () => {
+      await candidate._writeBatch([{ fullKey, raw, expiresAt: null }]);
+      const [entry] = await candidate._readBatch([fullKey]);
+      await candidate._writeBatch([{ fullKey, raw: null, expiresAt: null }]);
+      if (entry?.raw !== raw) {
+        throw new StoragefyNotReadyError("The probe value could not be read back.");
+      }
+    })();
+
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => {
+        reject(
+          new StoragefyNotReadyError(`The probe did not finish within ${this.probeTimeout}ms.`)
+        );
+      }, this.probeTimeout);
+    });
+    try {
+      await Promise.race([probe, timeout]);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  // ----------------------------------------------------------------------------------------------
+
+  /**
+   * Maps a `storage` event to the keys it changed, through the selected backend. Backends
+   * not stored in localStorage have no changes to report.
+   * @private
+   * @param {StorageEvent} event
+   * @returns {Promise<string[]>}
+   */
+  async _storageEventKeys(event) {
+    const backend = await this._backend();
+    if (typeof backend._storageEventKeys !== "function") {
+      return [];
+    }
+    return backend._storageEventKeys(event);
+  }
+
+  // ----------------------------------------------------------------------------------------------
+
+  /**
+   * Waits for the probe and returns the selected backend.
+   * @private
+   * @returns {Promise<StorageAdapter>}
+   * @throws {StoragefyNotReadyError} If no backend works.
+   */
+  async _backend() {
+    await this.ready;
+    return this.selected;
+  }
+
+  // ----------------------------------------------------------------------------------------------
+
+  /**
+   * Whether the selected backend is locked. Before the probe ends, whether `lock()` was
+   * called since the last `unlock()`.
+   * @type {boolean}
+   */
+  get locked() {
+    return this.selected ? this.selected.locked : this._lockPending;
+  }
+
+  // ----------------------------------------------------------------------------------------------
+
+  /**
+   * Locks the selected backend, or the one selected later.
+   */
+  lock() {
+    if (this.selected) {
+      this.selected.lock();
+      return;
+    }
+    this._lockPending = true;
+    this.ready.then(
+      () => {
+        if (this._lockPending) this.selected.lock();
+        this._lockPending = false;
+      },
+      () => {}
+    );
+  }
+
+  // ----------------------------------------------------------------------------------------------
+
+  /**
+   * Unlocks the selected backend, once it is known.
+   * @param {string|CryptoKey} password - Password or AES-GCM CryptoKey.
+   * @returns {Promise<boolean>} `true` once the backend is unlocked.
+   * @throws {Error} If the backend is not encrypted or the secret is not usable.
+   * @throws {StoragefyDecryptionError} If the secret does not match the database.
+   * @throws {StoragefyNotReadyError} If no backend works.
+   */
+  async unlock(password) {
+    this._lockPending = false;
+    const backend = await this._backend();
+    return backend.unlock(password);
+  }
+
+  // ----------------------------------------------------------------------------------------------
+
+  /**
+   * Stops the selected backend, or the one selected later.
+   */
+  destroy() {
+    this._destroyed = true;
+    this.selected?.destroy();
+    super.destroy();
+  }
+}
+
+// ----------------------------------------------------------------------------------------------
+
+for (const method of DELEGATED_METHODS) {
+  FallbackStorageAdapter.prototype[method] = async function (...args) {
+    const backend = await this._backend();
+    if (typeof backend[method] !== "function") {
+      throw new Error(`The "${this.backend}" adapter does not support ${method}().`);
+    }
+    return backend[method](...args);
+  };
+}
+
+// ----------------------------------------------------------------------------------------------
+
+export default FallbackStorageAdapter;
+
+// ----------------------------------------------------------------------------------------------
@@ -20,6 +20,19 @@ import sleep from "misc-helpers/src/utils/sleep.js";
 import generateSimpleId from "misc-helpers/src/utils/generateSimpleId.js";
 import { logError, logWarn, logInfo } from "../helpers/loggerHelper.js";
 import { simpleDeobfuscate } from "../helpers/cryptoHelper.js";
+import {
+  StoragefyDecryptionError,
+  StoragefyNotReadyError,
+  StoragefyQuotaError,
+} from "../helpers/errorHelper.js";
+
+// -------------------------------------------------------------------------------------------------
+
+/**
+ * How many times `transaction()` runs its callback again when a value it read changed
+ * before the commit.
+ */
+const TRANSACTION_ATTEMPTS = 3;
 
 // -------------------------------------------------------------------------------------------------
 
@@ -33,44 +46,77 @@ class IndexedDBAdapter extends StorageAdapter {
    * Creates an instance of IndexedDBAdapter.
    * @param {Object} config Configuration object
    * @param {string} config.dbName Name of the IndexedDB database
-   * @param {string} [config.storeName] Name of the object store (defaults to `${dbName}_store`)
+   * @param {string} [config.storeName] Name of the object store (defaults to `${dbName}_store`). Expirations are kept in `${storeName}_expires`
    * @param {number} [config.version=1] Database version
+   * @param {Object<number, Function>} [config.migrations] Migrations by the version they upgrade to, run in order inside the upgrade transaction when the stored version is lower than `version`. Each receives `{ fromVersion, version, prefix, get, set, delete, list }` over the raw entries, and must only await those calls
    * @param {boolean} [config.encrypt=false] Whether to encrypt stored data
-   * @param {number} [config.expireCheckInterval=1000] Interval for expiration checks in ms
+   * @param {string|CryptoKey} [config.password] Password (or AES-GCM CryptoKey) used to encrypt data. Required when `encrypt` is true
+   * @param {number} [config.iterations=100000] PBKDF2 iterations used to derive the key when the database is first encrypted
+   * @param {boolean} [config.hashKeys=false] Whether to store key names as HMAC-SHA-256 hashes instead of obfuscating them. Requires `encrypt`
+   * @param {number} [config.maxEntries] Maximum number of entries before older ones are evicted
+   * @param {number} [config.maxBytes] Maximum approximate size of the entries (UTF-16 bytes) before older ones are evicted
+   * @param {"lru"|"lfu"|"fifo"|"ttl-first"} [config.evictionPolicy="lru"] Which entries are evicted first. Access metadata is kept in `${storeName}_expires`
+   * @param {boolean} [config.strict=false] Throw typed errors (see errorHelper) from every method instead of logging them and returning `null`/`false`
+   * @param {Function} [config.onQuotaExceeded] Called with `{ adapter, keys, bytes, error, evict }` when a write hits the storage quota. Return `true` to retry the write once
+   * @param {number} [config.expireCheckInterval=1000] Minimum delay between expiration cleanups in ms, 0 disables them
+   * @param {number} [config.blockedTimeout=5000] How long an upgrade waits in ms for other connections to the database to close before failing with a `StoragefyNotReadyError`. Connections opened by this adapter close by themselves
    * @param {string} [config.description=""] Description of the database
    * @param {string} [config.channelName=false] - Optional channel name for cross-tab communication.
    * @param {boolean} [config.enableSyncTabs=false] - Whether to enable sync automatically on change key value
+   * @param {boolean} [config.leaderElection=false] - Elect one tab to run the expiration cleanups, eviction and migrations for the others, see `isLeader` and `onLeaderChange()`.
    * @throws {Error} Throws if IndexedDB is not available in the environment
    */
   constructor({
     dbName,
     storeName,
     version = 1,
+    migrations,
     encrypt = false,
+    password,
+    iterations,
+    hashKeys = false,
+    maxEntries,
+    maxBytes,
+    evictionPolicy = "lru",
+    onQuotaExceeded,
+    strict = false,
     expireCheckInterval = 1000,
+    blockedTimeout = 5000,
     channelName = false,
     enableSyncTabs = false,
+    leaderElection = false,
     description = "",
   }) {
     super(channelName);
     if (typeof indexedDB === "undefined") {
       logError("IndexedDB is not available in this environment");
-      throw new Error("IndexedDB is not available in this environment");
+      throw new StoragefyNotReadyError(
+        "IndexedDB is not available in this environment"
+      );
     }
 
     this.isReady = false;
     this.dbName = dbName;
     this.storeName = storeName || `${dbName}_store`;
-    this.encrypt = encrypt;
+    this.expiresStoreName = `${this.storeName}_expires`;
     this.expireKey = `STRGF_${dbName}__expires`;
     this.metaKey = `STRGF_${dbName}__meta`;
     this.prefix = `${dbName}__`;
+    this._initEncryption({ encrypt, password, iterations, hashKeys });
+    this._initEviction({ maxEntries, maxBytes, evictionPolicy });
+    this._initMigrations(migrations);
+    this.onQuotaExceeded = onQuotaExceeded || null;
+    this.strict = strict;
     this.adapterId = generateSimpleId(dbName);
     this.enableSyncTabs = enableSyncTabs || false;
     this.expireCheckInterval = expireCheckInterval;
+    this.blockedTimeout = blockedTimeout;
     this.dbPromise = null;
+    this._dbParams = { dbName, version, description };
+    this._schemaVersion = version;
 
-    this._initDB({ dbName, version, description });
+    this._initDB(this._dbParams);
+    this._initLeaderElection(leaderElection, `indexedDB:${dbName}/${this.storeName}`);
     this._startExpireWatcher();
 
     this._unloadHandler = () => this.destroy();
@@ -85,6 +131,14 @@ class IndexedDBAdapter extends StorageAdapter {
 
   /**
    * Initializes the IndexedDB database.
+   * Databases created before the expirations store existed are upgraded to the next version
+   * to add it, moving the former expiration map into it. Schema migrations run inside the
+   * upgrade transaction; when the database is already at `version` or above (it is raised
+   * to add the expirations store) it is upgraded to the next version to run them.
+   * The connection closes when another one needs to upgrade the database, and is opened
+   * again by the next operation. An upgrade still blocked by other connections after
+   * `blockedTimeout` fails, and the next operation tries again. With leader election, a
+   * follower leaves pending migrations to the leader and opens the database once they ran.
    * @private
    * @param {Object} params Initialization parameters
    * @param {string} params.dbName Database name
@@ -96,57 +150,304 @@ class IndexedDBAdapter extends StorageAdapter {
     logInfo(
       `IndexedDBAdapter -Initializing IndexedDB with dbName: ${dbName}, storeName: ${this.storeName}`
     );
-    this.dbPromise = new Promise((resolve, reject) => {
-      const request = indexedDB.open(dbName, version);
-
-      request.onupgradeneeded = (event) => {
-        const db = event.target.result;
-        if (!db.objectStoreNames.contains(this.storeName)) {
-          db.createObjectStore(this.storeName);
-        }
-
-        // Store metadata
-        const meta = {
-          dbName,
-          version,
-          description,
-          createdAt: Date.now(),
+    const dbPromise = new Promise((resolve, reject) => {
+      let upgraded = false;
+      let deferred = false;
+      let migrationError = null;
+      let blocked = false;
+      let blockedTimer = null;
+      const ready = (db) => {
+        db.onversionchange = () => {
+          logInfo(`IndexedDBAdapter - Closing "${dbName}" for an upgrade in another connection`);
+          db.close();
+          if (this.dbPromise === dbPromise) {
+            this.dbPromise = null;
+            this.isReady = false;
+          }
         };
-        const transaction = event.target.transaction;
-        const store = transaction.objectStore(this.storeName);
-        store.put(JSON.stringify(meta), this.metaKey);
+        resolve(db);
       };
+      const open = (requestedVersion) => {
+        const request =
+          requestedVersion === undefined
+            ? indexedDB.open(dbName)
+            : indexedDB.open(dbName, requestedVersion);
 
-      request.onsuccess = (event) => {
-        const db = event.target.result;
-        // Check if metadata exists, if not create it
-        const transaction = db.transaction(this.storeName, "readwrite");
-        const store = transaction.objectStore(this.storeName);
-        const metaRequest = store.get(this.metaKey);
-        metaRequest.onsuccess = () => {
-          if (!metaRequest.result) {
-            const meta = {
+        request.onupgradeneeded = (event) => {
+          upgraded = true;
+          const db = event.target.result;
+          const transaction = event.target.transaction;
+          if (!db.objectStoreNames.contains(this.storeName)) {
+            db.createObjectStore(this.storeName);
+          }
+          const store = transaction.objectStore(this.storeName);
+          if (!db.objectStoreNames.contains(this.expiresStoreName)) {
+            const expiresStore = db.createObjectStore(this.expiresStoreName, {
+              keyPath: "key",
+            });
+            expiresStore.createIndex("expiresAt", "expiresAt");
+            this._migrateExpires(store, expiresStore);
+          }
+          const expiresStore = transaction.objectStore(this.expiresStoreName);
+
+          const metaRequest = store.get(this.metaKey);
+          metaRequest.onsuccess = () => {
+            const current = metaRequest.result ? JSON.parse(metaRequest.result) : null;
+            if (current && this._deferMigrations(current.version, version)) {
+              deferred = true;
+              upgraded = false;
+              transaction.abort();
+              db.close();
+              return;
+            }
+            this._upgradeSchema(store, expiresStore, current, {
               dbName,
               version,
               description,
-              createdAt: Date.now(),
-            };
-            store.put(JSON.stringify(meta), this.metaKey);
+            }).catch((err) => {
+              migrationError = err;
+              try {
+                transaction.abort();
+              } catch (abortErr) {
+                logError("Error aborting the upgrade:", abortErr);
+              }
+            });
+          };
+        };
+
+        request.onsuccess = (event) => {
+          const db = event.target.result;
+          clearTimeout(blockedTimer);
+          if (blocked) {
+            db.close();
+            return;
+          }
+          if (!db.objectStoreNames.contains(this.expiresStoreName)) {
+            logInfo("IndexedDBAdapter - Adding the expirations store");
+            db.close();
+            open(db.version + 1);
+            return;
           }
-          this.isReady = true;
-          resolve(db);
+
+          // Check if metadata exists, if not create it
+          const transaction = db.transaction(this.storeName, "readwrite");
+          const store = transaction.objectStore(this.storeName);
+          const metaRequest = store.get(this.metaKey);
+          metaRequest.onsuccess = () => {
+            const current = metaRequest.result ? JSON.parse(metaRequest.result) : null;
+            if (!current) {
+              const meta = {
+                dbName,
+                version,
+                description,
+                createdAt: Date.now(),
+              };
+              store.put(JSON.stringify(meta), this.metaKey);
+            } else if (current.version < version) {
+              if (this._pendingMigrations(current.version, version).length) {
+                if (upgraded) {
+                  logError(`Migrations of "${dbName}" did not finish`);
+                  db.close();
+                  reject(
+                    new StoragefyNotReadyError(
+                      `Migrations of "${dbName}" did not finish. They must only await the calls of their context.`
+                    )
+                  );
+                  return;
+                }
+                db.close();
+                if (this._deferMigrations(current.version, version)) {
+                  this._waitMigrationTurn(version).then(() => open());
+                  return;
+                }
+                logInfo("IndexedDBAdapter - Upgrading to run the schema migrations");
+                open(db.version + 1);
+                return;
+              }
+              store.put(JSON.stringify({ ...current, version }), this.metaKey);
+            }
+            this.isReady = true;
+            if (upgraded) {
+              // Followers waiting for these migrations can open the database
+              this._election?.send({ migrated: version });
+            }
+            ready(db);
+          };
+          metaRequest.onerror = (err) => {
+            logError("Error checking meta:", err);
+            ready(db); // Still resolve with db even if meta check failed
+          };
+        };
+
+        request.onblocked = () => {
+          logWarn(
+            `IndexedDBAdapter - Upgrade of "${dbName}" is waiting for other connections to close`
+          );
+          clearTimeout(blockedTimer);
+          blockedTimer = setTimeout(() => {
+            blocked = true;
+            logError(`Upgrade of "${dbName}" is blocked by other connections`);
+            if (this.dbPromise === dbPromise) {
+              this.dbPromise = null;
+            }
+            reject(
+              new StoragefyNotReadyError(
+                `Upgrade of "${dbName}" is blocked by other connections to the database. Close them and try again.`
+              )
+            );
+          }, this.blockedTimeout);
         };
-        metaRequest.onerror = (err) => {
-          logError("Error checking meta:", err);
-          resolve(db); // Still resolve with db even if meta check failed
+
+        request.onerror = (event) => {
+          clearTimeout(blockedTimer);
+          if (blocked) return;
+          if (deferred) {
+            deferred = false;
+            event.preventDefault();
+            this._waitMigrationTurn(version).then(() => open(version));
+            return;
+          }
+          if (migrationError) {
+            reject(migrationError);
+            return;
+          }
+          // The database was upgraded past the requested version to add the expirations store
+          if (
+            event.target.error?.name === "VersionError" &&
+            requestedVersion !== undefined
+          ) {
+            event.preventDefault();
+            open();
+            return;
+          }
+          logError("Error opening database:", event.target.error);
+          reject(event.target.error);
         };
       };
 
-      request.onerror = (event) => {
-        logError("Error opening database:", event.target.error);
-        reject(event.target.error);
-      };
+      open(version);
+    });
+    this.dbPromise = dbPromise;
+    return dbPromise;
+  }
+
+  // ----------------------------------------------------------------------------------------------
+
+  /**
+   * Whether the migrations from `fromVersion` to `version` wait for the leader, since this
+   * instance follows one, see `_waitMigrationTurn()`.
+   * @private
+   * @param {number} fromVersion - Schema version of the stored data.
+   * @param {number} version - Configured schema version.
+   * @returns {boolean}
+   */
+  _deferMigrations(fromVersion, version) {
+    return (
+      !!this._election &&
+      !this.isLeader &&
+      this._pendingMigrations(fromVersion, version).length > 0
+    );
+  }
+
+  // ----------------------------------------------------------------------------------------------
+
+  /**
+   * Resolves once the database is open, and so migrated.
+   * @protected
+   * @returns {Promise<void>}
+   */
+  async _migrated() {
+    await this._database();
+  }
+
+  // ----------------------------------------------------------------------------------------------
+
+  /**
+   * Returns the database, opening it again when the connection was closed for an upgrade
+   * or the last upgrade was blocked.
+   * @private
+   * @returns {Promise<IDBDatabase>}
+   */
+  _database() {
+    return this.dbPromise || this._initDB(this._dbParams);
+  }
+
+  // ----------------------------------------------------------------------------------------------
+
+  /**
+   * Runs the pending schema migrations and records the version in the metadata, inside
+   * the upgrade transaction. New databases start at `version` without migrating.
+   * @private
+   * @param {IDBObjectStore} store Main object store
+   * @param {IDBObjectStore} expiresStore Expirations object store
+   * @param {Object|null} current Stored metadata
+   * @param {Object} params Initialization parameters
+   * @param {string} params.dbName Database name
+   * @param {number} params.version Configured schema version
+   * @param {string} params.description Database description
+   * @returns {Promise<void>}
+   * @throws {StoragefyNotReadyError} If a migration fails
+   */
+  async _upgradeSchema(store, expiresStore, current, { dbName, version, description }) {
+    const stored = current?.version ?? version;
+    if (stored > version) {
+      logWarn(`IndexedDBAdapter - "${dbName}" is at version ${stored}, newer than ${version}`);
+    }
+
+    const request = (req) =>
+      new Promise((resolve, reject) => {
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+      });
+    const isEntry = (k) => {
+      if (k === this.metaKey || k === this.expireKey || k === this.indexKey) return false;
+      const key = this.encrypt && !this.hashKeys ? simpleDeobfuscate(k) : k;
+      return key.startsWith(this.prefix);
+    };
+    await this._applyMigrations(stored, version, {
+      get: async (fullKey) => (await request(store.get(fullKey))) ?? null,
+      set: async (fullKey, raw) => {
+        await request(store.put(raw, fullKey));
+      },
+      delete: async (fullKey) => {
+        expiresStore.delete(fullKey);
+        await request(store.delete(fullKey));
+      },
+      list: async () => (await request(store.getAllKeys())).filter(isEntry),
     });
+
+    const meta = {
+      ...current,
+      dbName,
+      version: Math.max(stored, version),
+      description,
+      createdAt: current?.createdAt || Date.now(),
+    };
+    store.put(JSON.stringify(meta), this.metaKey);
+  }
+
+  // ----------------------------------------------------------------------------------------------
+
+  /**
+   * Moves the former expiration map, kept under `expireKey` in the main store, into the
+   * expirations store. Runs inside the upgrade transaction.
+   * @private
+   * @param {IDBObjectStore} store Main object store
+   * @param {IDBObjectStore} expiresStore Expirations object store
+   */
+  _migrateExpires(store, expiresStore) {
+    const request = store.get(this.expireKey);
+    request.onsuccess = () => {
+      if (!request.result) return;
+      logInfo("IndexedDBAdapter - Migrating expiration map to the expirations store");
+      const expires = JSON.parse(request.result);
+      for (const id in expires) {
+        // The map used hashed storage keys with hashKeys, and base keys otherwise
+        const key = this.hashKeys ? id : this._fullKey(id);
+        expiresStore.put({ key, expiresAt: expires[id] });
+      }
+      store.delete(this.expireKey);
+    };
   }
 
   // ----------------------------------------------------------------------------------------------
@@ -157,12 +458,13 @@ class IndexedDBAdapter extends StorageAdapter {
    * @param {number} [timeout=15] Delay between readiness checks in ms
    * @param {number} [tries=20] Maximum number of readiness checks
    * @returns {Promise<void>} Resolves when database is ready
-   * @throws {Error} Throws if database doesn't become ready within the specified attempts
+   * @throws {StoragefyNotReadyError} Throws if database doesn't become ready within the specified attempts
    */
   async waitReadiness(timeout = 50, tries = 20) {
     logInfo(
       `IndexedDBAdapter - Waiting for database readiness with timeout: ${timeout}ms, tries: ${tries}`
     );
+    this._database().catch(() => {});
     return new Promise(async (resolve, reject) => {
       let attempt = 0;
       while (!this.isReady && attempt++ <= tries) {
@@ -177,7 +479,7 @@ class IndexedDBAdapter extends StorageAdapter {
         resolve();
         return true;
       }
-      reject(new Error("Database is not ready"));
+      reject(new StoragefyNotReadyError("Database is not ready"));
     });
   }
 
@@ -185,20 +487,34 @@ class IndexedDBAdapter extends StorageAdapter {
 
   /**
    * Helper method to execute operations within a store transaction.
+   * The transaction also covers the expirations store, passed as second argument.
    * @private
    * @async
    * @param {string} mode Transaction mode ('readonly' or 'readwrite')
-   * @param {Function} callback Operation to execute with the store
+   * @param {Function} callback Operation to execute with the store and the expirations store
    * @returns {Promise} Resolves with the callback result
+   * @throws {StoragefyNotReadyError} Throws if the database could not be opened or was closed
    * @throws {Error} Throws if the operation fails
    */
   async _withStore(mode, callback) {
     try {
       logInfo(`IndexedDBAdapter - Executing operation in ${mode} mode`);
-      const db = await this.dbPromise;
-      const transaction = db.transaction(this.storeName, mode);
+      let transaction;
+      try {
+        const db = await this._database();
+        transaction = db.transaction(
+          [this.storeName, this.expiresStoreName],
+          mode
+        );
+      } catch (err) {
+        throw new StoragefyNotReadyError(
+          `Database "${this.dbName}" is not open.`,
+          { cause: err }
+        );
+      }
       const store = transaction.objectStore(this.storeName);
-      return await callback(store);
+      const expiresStore = transaction.objectStore(this.expiresStoreName);
+      return await callback(store, expiresStore);
     } catch (err) {
       logError("Database operation failed:", err);
       throw err;
@@ -208,28 +524,352 @@ class IndexedDBAdapter extends StorageAdapter {
   // ----------------------------------------------------------------------------------------------
 
   /**
-   * Loads all expiration timestamps.
-   * @private
+   * Reads the metadata object from the object store.
+   * @protected
+   * @async
+   * @returns {Promise<Object|null>}
+   */
+  async _readMeta() {
+    const raw = await this._withStore("readonly", (store) => {
+      return new Promise((resolve, reject) => {
+        const request = store.get(this.metaKey);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    });
+    return raw ? JSON.parse(raw) : null;
+  }
+
+  // ----------------------------------------------------------------------------------------------
+
+  /**
+   * Writes the metadata object to the object store.
+   * @protected
+   * @async
+   * @param {Object} meta
+   * @returns {Promise<void>}
+   */
+  async _writeMeta(meta) {
+    await this._withStore("readwrite", (store) => {
+      return new Promise((resolve, reject) => {
+        const request = store.put(JSON.stringify(meta), this.metaKey);
+        request.onsuccess = () => resolve();
+        request.onerror = () => reject(request.error);
+      });
+    });
+  }
+
+  // ----------------------------------------------------------------------------------------------
+
+  /**
+   * Reads a stored value from the object store without decrypting it.
+   * @protected
+   * @async
+   * @param {string} fullKey
+   * @returns {Promise<string|null>}
+   */
+  async _getRaw(fullKey) {
+    return this._withStore("readonly", (store) => {
+      return new Promise((resolve, reject) => {
+        const request = store.get(fullKey);
+        request.onsuccess = () => resolve(request.result ?? null);
+        request.onerror = () => reject(request.error);
+      });
+    });
+  }
+
+  // ----------------------------------------------------------------------------------------------
+
+  /**
+   * Writes a value to the object store without encrypting it.
+   * @protected
+   * @async
+   * @param {string} fullKey
+   * @param {string} raw
+   * @returns {Promise<void>}
+   */
+  async _setRaw(fullKey, raw) {
+    await this._withStore("readwrite", (store) => {
+      return new Promise((resolve, reject) => {
+        const request = store.put(raw, fullKey);
+        request.onsuccess = () => resolve();
+        request.onerror = () => reject(request.error);
+      });
+    });
+  }
+
+  // ----------------------------------------------------------------------------------------------
+
+  /**
+   * Re-encrypts the entries under the prefix and stores the new key parameters in a single
+   * readwrite transaction, so a crash leaves either every entry or none rotated.
+   * Values are re-encrypted up front because crypto calls would let the transaction commit;
+   * the transaction then checks nothing changed since the snapshot and retries otherwise.
+   * @protected
+   * @async
+   * @param {CryptoKey} oldKey - Key the entries are currently encrypted with.
+   * @param {CryptoKey} newKey - Key to re-encrypt the entries with.
+   * @param {{salt: string, iterations: number, keyCheck: Object, hmacKey?: Object}} next - New key parameters.
+   * @param {number} [attempt=1] - Current attempt, up to 3.
+   * @returns {Promise<void>}
+   * @throws {Error} If the entries keep changing while rotating.
+   */
+  async _rotateEntries(oldKey, newKey, next, attempt = 1) {
+    logInfo(`IndexedDBAdapter - Rotating encryption key, attempt ${attempt}`);
+    const isEntry = (k) => {
+      if (k === this.indexKey) return true;
+      if (k === this.metaKey || k === this.expireKey) return false;
+      const key = this.encrypt && !this.hashKeys ? simpleDeobfuscate(k) : k;
+      return key.startsWith(this.prefix);
+    };
+
+    const snapshot = await this._withStore("readonly", (store) => {
+      return new Promise((resolve, reject) => {
+        const keysRequest = store.getAllKeys();
+        const valuesRequest = store.getAll();
+        valuesRequest.onsuccess = () => {
+          const keys = keysRequest.result || [];
+          resolve(
+            keys
+              .map((fullKey, i) => ({ fullKey, raw: valuesRequest.result[i] }))
+              .filter(({ fullKey }) => isEntry(fullKey))
+          );
+        };
+        valuesRequest.onerror = () => reject(valuesRequest.error);
+      });
+    });
+
+    for (const entry of snapshot) {
+      entry.rotated = await this._reencrypt(entry.fullKey, entry.raw, oldKey, newKey);
+    }
+
+    const committed = await this._withStore("readwrite", (store) => {
+      return new Promise((resolve, reject) => {
+        const transaction = store.transaction;
+        let conflict = false;
+        const abort = () => {
+          conflict = true;
+          transaction.abort();
+        };
+
+        const keysRequest = store.getAllKeys();
+        keysRequest.onsuccess = () => {
+          const keys = (keysRequest.result || []).filter(isEntry);
+          if (keys.length !== snapshot.length) {
+            abort();
+            return;
+          }
+
+          for (const { fullKey, raw, rotated } of snapshot) {
+            const request = store.get(fullKey);
+            request.onsuccess = () => {
+              if (conflict) return;
+              if (request.result !== raw) {
+                abort();
+                return;
+              }
+              store.put(rotated, fullKey);
+            };
+          }
+
+          const metaRequest = store.get(this.metaKey);
+          metaRequest.onsuccess = () => {
+            if (conflict) return;
+            const meta = metaRequest.result ? JSON.parse(metaRequest.result) : {};
+            store.put(JSON.stringify({ ...meta, ...next }), this.metaKey);
+          };
+        };
+
+        transaction.oncomplete = () => resolve(true);
+        transaction.onabort = () => {
+          if (conflict) {
+            resolve(false);
+            return;
+          }
+          reject(transaction.error);
+        };
+      });
+    });
+
+    if (committed) return;
+    if (attempt >= 3) {
+      throw new Error("Entries kept changing while rotating the encryption key");
+    }
+    return this._rotateEntries(oldKey, newKey, next, attempt + 1);
+  }
+
+  // ----------------------------------------------------------------------------------------------
+
+  /**
+   * Reads several stored values and their expirations in a single readonly transaction,
+   * without decrypting them.
+   * @protected
+   * @async
+   * @param {string[]} fullKeys
+   * @returns {Promise<Array<{raw: string, expiresAt: number|null, ttl: number|null, access: Object|null, version: Object|null}|null>>}
+   */
+  async _readBatch(fullKeys) {
+    return this._withStore("readonly", (store, expiresStore) => {
+      return new Promise((resolve, reject) => {
+        const transaction = store.transaction;
+        const entries = new Array(fullKeys.length).fill(null);
+
+        fullKeys.forEach((fullKey, i) => {
+          const request = store.get(fullKey);
+          const expiresRequest = expiresStore.get(fullKey);
+          expiresRequest.onsuccess = () => {
+            if (request.result === undefined || request.result === null) return;
+            entries[i] = {
+              raw: request.result,
+              expiresAt: expiresRequest.result?.expiresAt ?? null,
+              ttl: expiresRequest.result?.ttl ?? null,
+              access: this._accessOf(expiresRequest.result),
+              version: expiresRequest.result?.version ?? null,
+            };
+          };
+        });
+
+        transaction.oncomplete = () => resolve(entries);
+        transaction.onabort = () => reject(transaction.error);
+      });
+    });
+  }
+
+  // ----------------------------------------------------------------------------------------------
+
+  /**
+   * Writes or removes several values and their expirations in a single readwrite
+   * transaction, so either the whole batch is stored or none of it. The transaction aborts
+   * when one of the `checks` no longer matches the stored raw value.
+   * @protected
    * @async
-   * @returns {Promise<Object>} Object mapping keys to expiration timestamps
+   * @param {Array<{fullKey: string, raw: string|null, expiresAt: number|null, ttl?: number|null, access?: Object|null}>} ops
+   * @param {Array<{fullKey: string, expected: string|null}>} [checks=[]] - Raw values read earlier.
+   * @returns {Promise<boolean>} `false` if a check failed.
    */
-  async _loadExpires() {
-    logInfo("IndexedDBAdapter - Loading expiration timestamps");
-    return this._withStore("readonly", async (store) => {
-      return new Promise((resolve) => {
-        const request = store.get(this.expireKey);
-        request.onsuccess = () => {
-          resolve(request.result ? JSON.parse(request.result) : {});
+  async _writeBatch(ops, checks = []) {
+    return this._withStore("readwrite", (store, expiresStore) => {
+      return new Promise((resolve, reject) => {
+        const transaction = store.transaction;
+        let conflict = false;
+
+        // Requests run in order, so the checks read the values before this batch's writes
+        for (const { fullKey, expected } of checks) {
+          const request = store.get(fullKey);
+          request.onsuccess = () => {
+            if (conflict || (request.result ?? null) === expected) return;
+            conflict = true;
+            transaction.abort();
+          };
+        }
+
+        for (const { fullKey, raw, expiresAt, ttl, access, version } of ops) {
+          if (raw === null) {
+            store.delete(fullKey);
+          } else {
+            store.put(raw, fullKey);
+          }
+          const record =
+            raw === null
+              ? null
+              : this._expireRecord(
+                  fullKey,
+                  expiresAt,
+                  ttl,
+                  access,
+                  version,
+                  this._entrySize(fullKey, raw)
+                );
+          if (record) {
+            expiresStore.put(record);
+          } else {
+            expiresStore.delete(fullKey);
+          }
+        }
+
+        transaction.oncomplete = () => resolve(true);
+        transaction.onabort = () => {
+          if (conflict) {
+            resolve(false);
+            return;
+          }
+          reject(transaction.error);
         };
-        request.onerror = () => {
-          resolve({});
+      });
+    });
+  }
+
+  // ----------------------------------------------------------------------------------------------
+
+  /**
+   * Changes the expiration of a stored entry in a single readwrite transaction.
+   * @protected
+   * @async
+   * @param {string} fullKey
+   * @param {number|null} expiresAt
+   * @param {number|null} [ttl=null] Sliding window in ms
+   * @param {Object|null} [access] Access metadata, kept from the current record when omitted
+   * @returns {Promise<void>}
+   */
+  async _writeExpire(fullKey, expiresAt, ttl = null, access) {
+    await this._withStore("readwrite", (store, expiresStore) => {
+      return new Promise((resolve, reject) => {
+        const transaction = store.transaction;
+        const request = store.getKey(fullKey);
+        const recordRequest = expiresStore.get(fullKey);
+        recordRequest.onsuccess = () => {
+          if (request.result === undefined) return;
+          const record = this._expireRecord(
+            fullKey,
+            expiresAt,
+            ttl,
+            access === undefined ? this._accessOf(recordRequest.result) : access,
+            recordRequest.result?.version,
+            recordRequest.result?.size
+          );
+          if (record) {
+            expiresStore.put(record);
+          } else {
+            expiresStore.delete(fullKey);
+          }
         };
+
+        transaction.oncomplete = () => resolve();
+        transaction.onabort = () => reject(transaction.error);
       });
     });
   }
 
   // ----------------------------------------------------------------------------------------------
 
+  /**
+   * Builds a record of the expirations store. The sliding window, the access metadata and
+   * the version are only kept when set, and records without `expiresAt` stay out of the
+   * `expiresAt` index. The entry size is kept next to the access metadata, so eviction can
+   * pick entries without reading their values.
+   * @private
+   * @param {string} fullKey
+   * @param {number|null} expiresAt
+   * @param {number|null} [ttl]
+   * @param {Object|null} [access]
+   * @param {{clock: number, tabId: string}|null} [version]
+   * @param {number} [size] - Entry size, see `_entrySize()`.
+   * @returns {{key: string, expiresAt?: number, ttl?: number}|null} `null` when there is
+   *          nothing to keep.
+   */
+  _expireRecord(fullKey, expiresAt, ttl, access, version, size) {
+    if (expiresAt === null && !access && !version) return null;
+    const record = { key: fullKey };
+    if (expiresAt !== null) record.expiresAt = expiresAt;
+    if (ttl) record.ttl = ttl;
+    if (access) Object.assign(record, access);
+    if (access && typeof size === "number") record.size = size;
+    if (version) record.version = version;
+    return record;
+  }
+
+  // ----------------------------------------------------------------------------------------------
+
   /**
    * Retrieves a value from storage by key.
    * @async
@@ -241,26 +881,24 @@ class IndexedDBAdapter extends StorageAdapter {
   async get(key) {
     try {
       logInfo(`IndexedDBAdapter - Getting key: ${key}`);
-      const fullKey = this._fullKey(key);
-      const raw = await this._withStore("readonly", (store) => {
-        return new Promise((resolve) => {
-          const request = store.get(fullKey);
-          request.onsuccess = () => resolve(request.result);
-          request.onerror = () => resolve(null);
-        });
-      });
-
-      if (!raw) return null;
+      const fullKey = await this._storageKey(key);
+      const [entry] = await this._readBatch([fullKey]);
+      if (!entry?.raw) return null;
 
-      const expires = await this.getExpire(key);
-      if (expires && Date.now() >= expires) {
-        await this.delete(key);
+      if (entry.expiresAt && Date.now() >= entry.expiresAt) {
+        await this._deleteExpired([key]);
         return null;
       }
 
-      return await this._decrypt(key, raw);
+      const value = await this._decrypt(key, entry.raw);
+      if (value !== null) {
+        await this._touchEntry(fullKey, entry);
+      }
+      return value;
     } catch (err) {
       logError(`Error getting key '${key}':`, err);
+      if (err instanceof StoragefyDecryptionError) throw err;
+      if (this.strict) throw err;
       return null;
     }
   }
@@ -272,54 +910,64 @@ class IndexedDBAdapter extends StorageAdapter {
    * @async
    * @param {string} key Key to store under
    * @param {*} value Value to store (will be JSON stringified)
-   * @param {number} [expire] Expiration time in milliseconds from now
+   * @param {number|{ttl: number, sliding?: boolean}} [expire] Expiration time in milliseconds from now, or a sliding `{ ttl, sliding: true }` pushed forward by every read
+   * @param {Object} [options] Write options
+   * @param {{base: Object, ops: *}} [options.patch] Change from the previous value, sent to the other tabs
+   * @param {{clock: number, tabId: string}} [options.version] Version of the value, kept in the expirations store and sent to the other tabs
    * @returns {Promise<boolean>} True if successful, false otherwise
+   * @throws {StoragefyQuotaError} If the storage is full and `onQuotaExceeded` did not free it
    * @example
    * await adapter.set('myKey', { data: 'value' }, 3600000); // Expires in 1 hour
    */
-  async set(key, value, expire) {
+  async set(key, value, expire, { patch, version } = {}) {
     try {
       logInfo(`IndexedDBAdapter - Setting key: ${key}`, { value, expire });
       if (!key && !value) {
         return false;
       }
-      const fullKey = this._fullKey(key);
+      const fullKey = await this._storageKey(key);
       if (key && (value === undefined || value === null)) {
-        await this.delete(fullKey);
+        await this.delete(key);
         return null;
       }
-      value = JSON.stringify(value);
+      const { ttl, sliding } = this._parseExpire(expire);
+      if (typeof ttl === "number" && ttl <= 0) {
+        await this.delete(key);
+        return null;
+      }
+      const expiresAt = typeof ttl === "number" ? Date.now() + ttl : null;
 
-      const encrypted = await this._encrypt(key, value);
+      const oldValue = await this._previousValue("set", key, fullKey);
+      const encrypted = await this._encrypt(key, JSON.stringify(value));
       if (!encrypted) return false;
+      await this._evictFor([{ fullKey, raw: encrypted }]);
 
-      await this._withStore("readwrite", (store) => {
-        return new Promise((resolve) => {
-          const request = store.put(encrypted, fullKey);
-          request.onsuccess = () => {
-            if (this.enableSyncTabs) {
-              this.emitDataChange(key, undefined, "reset");
-            }
-            resolve(true);
-          };
-          request.onerror = () => resolve(false);
-        });
-      });
-
-      if (typeof expire !== "number") {
-        await this.deleteExpire(key);
-        return true;
-      }
-
-      if (expire > 0) {
-        await this.setExpire(key, Date.now() + expire);
-        return true;
+      // Value and expiration are written in the same transaction
+      await this._withQuota([key], this._entrySize(fullKey, encrypted), () =>
+        this._writeBatch([
+          {
+            fullKey,
+            raw: encrypted,
+            expiresAt,
+            ttl: sliding ? ttl : null,
+            access: this._newAccess(),
+            version,
+          },
+        ])
+      );
+      this._scheduleExpire(expiresAt);
+      this._requestEviction();
+      if (this.enableSyncTabs) {
+        this.emitDataChange(key, undefined, "reset", version, patch);
       }
-
-      await this.delete(key);
-      return null;
+      await this._updateKeyIndex(key, true);
+      this._emitEvent("set", { key, oldValue, newValue: value });
+      return true;
     } catch (err) {
       logError(`Error setting key '${key}':`, err);
+      if (err instanceof StoragefyDecryptionError) throw err;
+      if (err instanceof StoragefyQuotaError) throw err;
+      if (this.strict) throw err;
       return false;
     }
   }
@@ -337,9 +985,11 @@ class IndexedDBAdapter extends StorageAdapter {
   async delete(key) {
     try {
       logInfo(`IndexedDBAdapter - Deleting key: ${key}`);
-      const fullKey = this._fullKey(key);
-      await this._withStore("readwrite", (store) => {
+      const fullKey = await this._storageKey(key);
+      const oldValue = await this._previousValue("delete", key, fullKey);
+      await this._withStore("readwrite", (store, expiresStore) => {
         return new Promise((resolve) => {
+          expiresStore.delete(fullKey);
           const request = store.delete(fullKey);
           request.onsuccess = () => {
             if (this.enableSyncTabs) {
@@ -351,17 +1001,13 @@ class IndexedDBAdapter extends StorageAdapter {
         });
       });
 
-      const exp = await this._loadExpires();
-      delete exp[key];
-      await this._withStore("readwrite", (store) => {
-        return new Promise((resolve) => {
-          const request = store.put(JSON.stringify(exp), this.expireKey);
-          request.onsuccess = () => resolve();
-          request.onerror = () => resolve();
-        });
-      });
+      await this._updateKeyIndex(key, false);
+      if (oldValue !== null) {
+        this._emitEvent("delete", { key, oldValue, newValue: null });
+      }
     } catch (err) {
       logError(`Error deleting key '${key}':`, err);
+      if (this.strict) throw err;
     }
   }
 
@@ -378,30 +1024,27 @@ class IndexedDBAdapter extends StorageAdapter {
     const results = [];
     try {
       logInfo(`IndexedDBAdapter - Listing keys with prefix: ${this.prefix}`);
-      await this._withStore("readonly", async (store) => {
+      const keys = await this._withStore("readonly", (store) => {
         return new Promise((resolve) => {
           const request = store.getAllKeys();
-          request.onsuccess = async () => {
-            const keys = request.result || [];
-            for (let k of keys) {
-              if (this.encrypt) {
-                k = simpleDeobfuscate(k);
-              }
-              if (k === this.metaKey || k === this.expireKey) continue;
-              if (k.startsWith(this.prefix)) {
-                const value = await this.get(k.replace(this.prefix, ""));
-                if (value !== null) {
-                  results.push({ key: k.replace(this.prefix, ""), value });
-                }
-              }
-            }
-            resolve();
-          };
-          request.onerror = () => resolve();
+          request.onsuccess = () => resolve(request.result || []);
+          request.onerror = () => resolve([]);
         });
       });
+
+      const toKey = await this._keyResolver();
+      for (const storedKey of keys) {
+        const key = toKey(storedKey);
+        if (key === null) continue;
+        const value = await this.get(key);
+        if (value !== null) {
+          results.push({ key, value });
+        }
+      }
     } catch (err) {
       logError("Error listing keys:", err);
+      if (err instanceof StoragefyDecryptionError) throw err;
+      if (this.strict) throw err;
     }
     return results;
   }
@@ -419,7 +1062,7 @@ class IndexedDBAdapter extends StorageAdapter {
   async has(key) {
     try {
       logInfo(`IndexedDBAdapter - Checking existence of key: ${key}`);
-      const fullKey = this._fullKey(key);
+      const fullKey = await this._storageKey(key);
       return await this._withStore("readonly", (store) => {
         return new Promise((resolve) => {
           const request = store.getKey(fullKey);
@@ -429,12 +1072,109 @@ class IndexedDBAdapter extends StorageAdapter {
       });
     } catch (err) {
       logError(`Error checking key '${key}':`, err);
+      if (this.strict) throw err;
       return false;
     }
   }
 
   // ----------------------------------------------------------------------------------------------
 
+  /**
+   * Runs several reads and writes as one atomic unit. Writes made through `tx` are encrypted,
+   * prefixed and tracked in the expiration map like `set()` and `delete()`, but only reach
+   * the database when the callback resolves, in a single readwrite transaction. If the
+   * callback throws nothing is written.
+   *
+   * Values read through `tx.get()` must be unchanged at commit time; otherwise the callback
+   * runs again with fresh values, so keep it free of side effects. Cross-tab events are
+   * emitted once the transaction committed.
+   * @async
+   * @param {function({get: Function, set: Function, delete: Function}): any} callback
+   *        Receives the transaction scope:
+   *        - `tx.get(key)` resolves the value, including writes made earlier in the callback
+   *        - `tx.set(key, value, expire)` stages a write, with `set()` semantics
+   *        - `tx.delete(key)` stages a deletion
+   * @returns {Promise<any>} The value returned by the callback.
+   * @throws {Error} If the callback throws, or values it read keep changing.
+   * @throws {StoragefyDecryptionError} If the encryption secret is missing or wrong.
+   * @throws {StoragefyQuotaError} If the storage is full, see `onQuotaExceeded`.
+   * @example
+   * await adapter.transaction(async (tx) => {
+   *   const from = await tx.get('accountA');
+   *   const to = await tx.get('accountB');
+   *   await tx.set('accountA', from - 10);
+   *   await tx.set('accountB', to + 10);
+   * });
+   */
+  async transaction(callback) {
+    if (typeof callback !== "function") {
+      throw new Error("transaction requires a callback function");
+    }
+
+    for (let attempt = 1; attempt <= TRANSACTION_ATTEMPTS; attempt++) {
+      logInfo(`IndexedDBAdapter - Running transaction, attempt ${attempt}`);
+      const writes = new Map();
+      const checks = new Map();
+      const tx = {
+        get: async (key) => {
+          if (writes.has(key)) {
+            const { json } = writes.get(key);
+            return json === undefined ? null : JSON.parse(json);
+          }
+          const op = await this._batchOp(key);
+          const [entry] = await this._readBatch([op.fullKey]);
+          const raw = entry?.raw ?? null;
+          if (!checks.has(op.fullKey)) {
+            checks.set(op.fullKey, raw);
+          }
+          if (!raw || (entry.expiresAt && Date.now() >= entry.expiresAt)) return null;
+          return this._decrypt(key, raw);
+        },
+        set: async (key, value, expire) => {
+          const op = await this._batchOp(key);
+          const { ttl, sliding } = this._parseExpire(expire);
+          const removed =
+            value === undefined ||
+            value === null ||
+            (typeof ttl === "number" && ttl <= 0);
+          if (!removed) {
+            op.json = JSON.stringify(value);
+            op.raw = await this._encrypt(key, op.json);
+            if (!op.raw) {
+              throw new Error(`Could not store the value for key "${key}"`);
+            }
+            op.expiresAt = typeof ttl === "number" ? Date.now() + ttl : null;
+            op.ttl = sliding ? ttl : null;
+            op.access = this._newAccess();
+            op.value = value;
+          }
+          writes.delete(key);
+          writes.set(key, op);
+        },
+        delete: async (key) => {
+          writes.delete(key);
+          writes.set(key, await this._batchOp(key));
+        },
+      };
+
+      const result = await callback(tx);
+      const committed = await this._commitBatch(
+        [...writes.values()],
+        "transaction",
+        [...checks].map(([fullKey, expected]) => ({ fullKey, expected }))
+      );
+      if (committed) {
+        return result;
+      }
+      logWarn("IndexedDBAdapter - Values changed during the transaction, retrying.");
+    }
+
+    logError("Values kept changing during the transaction");
+    throw new Error("Values kept changing during the transaction");
+  }
+
+  // ----------------------------------------------------------------------------------------------
+
   /**
    * Clears all data from storage including metadata.
    * @async
@@ -457,15 +1197,17 @@ class IndexedDBAdapter extends StorageAdapter {
           request.onerror = () => resolve();
         });
       });
+      this._emitEvent("clear", { key: null, oldValue: null, newValue: null });
     } catch (err) {
       logError("Error clearing storage:", err);
+      if (this.strict) throw err;
     }
   }
 
   // ----------------------------------------------------------------------------------------------
 
   /**
-   * Resets storage by removing all keys with the adapter's prefix.
+   * Resets storage by removing all keys from the object store, including metadata.
    * @async
    * @returns {Promise<void>}
    * @example
@@ -474,8 +1216,9 @@ class IndexedDBAdapter extends StorageAdapter {
   async reset() {
     try {
       logInfo("IndexedDBAdapter - Resetting storage");
-      await this._withStore("readwrite", async (store) => {
+      await this._withStore("readwrite", async (store, expiresStore) => {
         return new Promise((resolve) => {
+          expiresStore.clear();
           const request = store.getAllKeys();
           request.onsuccess = () => {
             const keys = request.result || [];
@@ -506,6 +1249,8 @@ class IndexedDBAdapter extends StorageAdapter {
           request.onerror = () => resolve();
         });
       });
+      this._resetEncryptionState();
+      this._emitEvent("reset", { key: null, oldValue: null, newValue: null });
     } catch (error) {
       logError("Error resetting storage:", error);
     }
@@ -514,99 +1259,167 @@ class IndexedDBAdapter extends StorageAdapter {
   // ----------------------------------------------------------------------------------------------
 
   /**
-   * Sets expiration timestamp for a key.
+   * Clears all expired keys from storage with a range scan over the `expiresAt` index,
+   * removing the entries and their expirations in a single readwrite transaction, then
+   * fires an `expire` event for each.
    * @async
-   * @param {string} key Key to set expiration for
-   * @param {number} timestamp Expiration timestamp in milliseconds
    * @returns {Promise<void>}
    * @example
-   * await adapter.setExpire('myKey', Date.now() + 3600000); // Expire in 1 hour
+   * await adapter.clearExpire();
    */
-  async setExpire(key, timestamp) {
+  async clearExpire() {
     try {
-      logInfo(
-        `IndexedDBAdapter - Setting expire for key: ${key}, timestamp: ${timestamp}`
-      );
-      const expires = await this._loadExpires();
-      expires[key] = timestamp;
-      await this._withStore("readwrite", (store) => {
-        return new Promise((resolve) => {
-          const request = store.put(JSON.stringify(expires), this.expireKey);
-          request.onsuccess = () => resolve();
-          request.onerror = () => resolve();
+      logInfo("IndexedDBAdapter - Clearing expired keys");
+      const range = IDBKeyRange.upperBound(Date.now());
+      const toKey = await this._keyResolver();
+      const removed = await this._withStore("readwrite", (store, expiresStore) => {
+        return new Promise((resolve, reject) => {
+          const transaction = store.transaction;
+          const removed = [];
+          const request = expiresStore.index("expiresAt").openCursor(range);
+          request.onsuccess = () => {
+            const cursor = request.result;
+            if (!cursor) return;
+            const { key: fullKey, expiresAt } = cursor.value;
+            // Read the value for the expire event before deleting it
+            const valueRequest = store.get(fullKey);
+            valueRequest.onsuccess = () => {
+              removed.push({ fullKey, raw: valueRequest.result, expiresAt });
+            };
+            store.delete(fullKey);
+            cursor.delete();
+            cursor.continue();
+          };
+
+          transaction.oncomplete = () => resolve(removed);
+          transaction.onabort = () => reject(transaction.error);
         });
       });
+
+      const expired = removed
+        .map((entry) => ({ ...entry, key: toKey(entry.fullKey) }))
+        .filter(({ key }) => key !== null);
+      const keys = expired.map(({ key }) => key);
+      await this._updateKeyIndex(keys, false);
+      if (this._hasListeners("expire")) {
+        for (const entry of expired) {
+          const oldValue = await this._entryValue(entry.key, entry, true);
+          this._emitEvent("expire", { key: entry.key, oldValue, newValue: null });
+        }
+      }
+      if (this.enableSyncTabs) {
+        this.emitBatchChange(keys, "delete");
+      }
     } catch (err) {
-      logError(`Error setting expire for key '${key}':`, err);
+      logError("Error clearing expired keys:", err);
+      if (this.strict) throw err;
     }
   }
 
   // ----------------------------------------------------------------------------------------------
 
   /**
-   * Removes expiration for a key.
+   * Finds the nearest expiration from the first record of the `expiresAt` index.
+   * @protected
    * @async
-   * @param {string} key Key to remove expiration from
-   * @returns {Promise<void>}
-   * @example
-   * await adapter.deleteExpire('myKey');
+   * @returns {Promise<number|null>} Timestamp in ms, or `null` when nothing expires.
    */
-  async deleteExpire(key) {
-    try {
-      logInfo(`IndexedDBAdapter - Deleting expire for key: ${key}`);
-      const expires = await this._loadExpires();
-      delete expires[key];
-      await this._withStore("readwrite", (store) => {
-        return new Promise((resolve) => {
-          const request = store.put(JSON.stringify(expires), this.expireKey);
-          request.onsuccess = () => resolve();
-          request.onerror = () => resolve();
-        });
+  async _nextExpire() {
+    return this._withStore("readonly", (store, expiresStore) => {
+      return new Promise((resolve, reject) => {
+        const request = expiresStore.index("expiresAt").openCursor();
+        request.onsuccess = () => resolve(request.result?.value.expiresAt ?? null);
+        request.onerror = () => reject(request.error);
       });
-    } catch (err) {
-      logError(`Error deleting expire for key '${key}':`, err);
-    }
+    });
   }
 
   // ----------------------------------------------------------------------------------------------
 
   /**
-   * Clears all expired keys from storage.
+   * Lists the entries with their expirations and access metadata in a single readonly
+   * transaction.
+   * @protected
    * @async
-   * @returns {Promise<void>}
-   * @example
-   * await adapter.clearExpire();
+   * @returns {Promise<Array<{fullKey: string, entry: Object}>>}
    */
-  async clearExpire() {
-    try {
-      logInfo("IndexedDBAdapter - Clearing expired keys");
-      const now = Date.now();
-      const expires = await this._loadExpires();
-      let changed = false;
-
-      for (const key in expires) {
-        if (expires[key] <= now) {
-          await this.delete(key);
-          changed = true;
-        }
-      }
+  async _listEntries() {
+    const internal = new Set([this.metaKey, this.expireKey, this.indexKey]);
+    return this._withStore("readonly", (store, expiresStore) => {
+      return new Promise((resolve, reject) => {
+        const transaction = store.transaction;
+        const keysRequest = store.getAllKeys();
+        const valuesRequest = store.getAll();
+        const recordsRequest = expiresStore.getAll();
 
-      if (changed) {
-        const currentExpires = await this._loadExpires();
-        await this._withStore("readwrite", (store) => {
-          return new Promise((resolve) => {
-            const request = store.put(
-              JSON.stringify(currentExpires),
-              this.expireKey
-            );
-            request.onsuccess = () => resolve();
-            request.onerror = () => resolve();
+        transaction.oncomplete = () => {
+          const records = new Map(
+            recordsRequest.result.map((record) => [record.key, record])
+          );
+          resolve(
+            keysRequest.result
+              .map((fullKey, i) => {
+                const record = records.get(fullKey);
+                return {
+                  fullKey,
+                  entry: {
+                    raw: valuesRequest.result[i],
+                    expiresAt: record?.expiresAt ?? null,
+                    ttl: record?.ttl ?? null,
+                    access: this._accessOf(record),
+                    version: record?.version ?? null,
+                  },
+                };
+              })
+              .filter(({ fullKey }) => !internal.has(fullKey))
+          );
+        };
+        transaction.onabort = () => reject(transaction.error);
+      });
+    });
+  }
+
+  // ----------------------------------------------------------------------------------------------
+
+  /**
+   * Lists what eviction needs from the keys and the expirations store, without loading the
+   * values. Only entries whose record has no size, such as entries written before eviction
+   * was enabled, have their value read.
+   * @protected
+   * @async
+   * @returns {Promise<Array<{fullKey: string, expiresAt: number|null, access: Object|null, size: number}>>}
+   */
+  async _listEvictable() {
+    const internal = new Set([this.metaKey, this.expireKey, this.indexKey]);
+    const { fullKeys, records } = await this._withStore("readonly", (store, expiresStore) => {
+      return new Promise((resolve, reject) => {
+        const transaction = store.transaction;
+        const keysRequest = store.getAllKeys();
+        const recordsRequest = expiresStore.getAll();
+
+        transaction.oncomplete = () =>
+          resolve({
+            fullKeys: keysRequest.result.filter((fullKey) => !internal.has(fullKey)),
+            records: new Map(recordsRequest.result.map((record) => [record.key, record])),
           });
-        });
-      }
-    } catch (err) {
-      logError("Error clearing expired keys:", err);
-    }
+        transaction.onabort = () => reject(transaction.error);
+      });
+    });
+
+    const unsized = fullKeys.filter((fullKey) => typeof records.get(fullKey)?.size !== "number");
+    const entries = unsized.length ? await this._readBatch(unsized) : [];
+    const sizes = new Map(
+      unsized.map((fullKey, i) => [fullKey, this._entrySize(fullKey, entries[i]?.raw ?? "")])
+    );
+    return fullKeys.map((fullKey) => {
+      const record = records.get(fullKey);
+      return {
+        fullKey,
+        expiresAt: record?.expiresAt ?? null,
+        access: this._accessOf(record),
+        size: record?.size ?? sizes.get(fullKey),
+      };
+    });
   }
 }
 
@@ -2,6 +2,19 @@ import StorageAdapter from "./StorageAdapter.js";
 import generateSimpleId from "misc-helpers/src/utils/generateSimpleId.js";
 import { logError, logWarn, logInfo } from "../helpers/loggerHelper.js";
 import { simpleDeobfuscate } from "../helpers/cryptoHelper.js";
+import StorageEventChannel from "../helpers/StorageEventChannel.js";
+import {
+  StoragefyDecryptionError,
+  StoragefyNotReadyError,
+  StoragefyQuotaError,
+} from "../helpers/errorHelper.js";
+
+// -------------------------------------------------------------------------------------------------
+
+/**
+ * Cross-tab transports accepted by the `channelTransport` option.
+ */
+const CHANNEL_TRANSPORTS = ["broadcast", "storage-event", "auto"];
 
 // -------------------------------------------------------------------------------------------------
 
@@ -14,38 +27,81 @@ class LocalStorageAdapter extends StorageAdapter {
    * @param {Object} options
    * @param {string} options.dbName - The database namespace.
    * @param {number} [options.version=1] - The version of the storage schema.
+   * @param {Object<number, Function>} [options.migrations] - Migrations by the version they upgrade to, run in order when the stored version is lower than `version`. Each receives `{ fromVersion, version, prefix, get, set, delete, list }` over the raw entries.
    * @param {boolean} [options.encrypt=false] - Whether to encrypt stored values.
-   * @param {number} [options.expireCheckInterval=1000] - Interval for expiration checks.
+   * @param {string|CryptoKey} [options.password] - Password (or AES-GCM CryptoKey) used to encrypt values. Required when `encrypt` is true.
+   * @param {number} [options.iterations=100000] - PBKDF2 iterations used to derive the key when the database is first encrypted.
+   * @param {boolean} [options.hashKeys=false] - Whether to store key names as HMAC-SHA-256 hashes instead of obfuscating them. Requires `encrypt`.
+   * @param {number} [options.maxEntries] - Maximum number of entries before older ones are evicted.
+   * @param {number} [options.maxBytes] - Maximum approximate size of the entries (UTF-16 bytes) before older ones are evicted.
+   * @param {"lru"|"lfu"|"fifo"|"ttl-first"} [options.evictionPolicy="lru"] - Which entries are evicted first.
+   * @param {boolean} [options.strict=false] - Throw typed errors (see errorHelper) from every method instead of logging them and returning `null`/`false`.
+   * @param {Function} [options.onQuotaExceeded] - Called with `{ adapter, keys, bytes, error, evict }` when a write hits the storage quota. Return `true` to retry the write once.
+   * @param {number} [options.expireCheckInterval=1000] - Minimum delay between expiration cleanups (ms), 0 disables them.
    * @param {string} [options.description=""] - Description of the storage instance.
    * @param {string} [options.channelName=false] - Optional channel name for cross-tab communication.
+   * @param {"broadcast"|"storage-event"|"auto"} [options.channelTransport="broadcast"] - How other tabs are notified: BroadcastChannel messages, the window `storage` event (also sees writes that bypass Storagefy), or BroadcastChannel when available and storage events otherwise.
    * @param {boolean} [options.enableSyncTabs=false] - Whether to enable sync automatically on change key value
+   * @param {boolean} [options.leaderElection=false] - Elect one tab to run the expiration cleanups, eviction and migrations for the others, see `isLeader` and `onLeaderChange()`.
    * @throws {Error} If `localStorage` is not available.
+   * @throws {Error} If `channelTransport` is unknown.
    */
   constructor({
     dbName,
     version = 1,
+    migrations,
     encrypt = false,
+    password,
+    iterations,
+    hashKeys = false,
+    maxEntries,
+    maxBytes,
+    evictionPolicy = "lru",
+    onQuotaExceeded,
+    strict = false,
     expireCheckInterval = 1000,
     description = "",
     channelName = false,
+    channelTransport = "broadcast",
     enableSyncTabs = false,
+    leaderElection = false,
   }) {
-    super(channelName);
+    const transport = LocalStorageAdapter._resolveTransport(channelTransport);
+    super(transport === "broadcast" ? channelName : false);
     if (typeof localStorage === "undefined") {
       logError("LocalStorage is not available in this environment");
-      throw new Error("LocalStorage is not available in this environment");
+      throw new StoragefyNotReadyError(
+        "LocalStorage is not available in this environment"
+      );
     }
 
     this.dbName = dbName;
-    this.encrypt = encrypt;
     this.expireKey = `STRGF_${dbName}__expires`;
     this.metaKey = `STRGF_${dbName}__meta`;
     this.prefix = `${dbName}__`;
+    this._initEncryption({ encrypt, password, iterations, hashKeys });
+    this._initEviction({ maxEntries, maxBytes, evictionPolicy });
+    this._initMigrations(migrations);
+    this.onQuotaExceeded = onQuotaExceeded || null;
+    this.strict = strict;
     this.adapterId = generateSimpleId(dbName);
     this.expireCheckInterval = expireCheckInterval;
     this.enableSyncTabs = enableSyncTabs || false;
+    // Hashed keys changed by another tab and missing from the key index, see _storageEventKeys()
+    this._pendingEventKeys = new Set();
+    if (channelName && transport === "storage-event") {
+      logInfo("LocalStorageAdapter - Using storage events for cross-tab sync");
+      this.channelName = channelName;
+      this.channel = new StorageEventChannel(channelName, {
+        storage: localStorage,
+        resolveChange: (event) => this._storageEventKeys(event),
+      });
+    }
 
     this._initMeta({ dbName, version, description });
+    this._migrateExpires();
+    this._startMigrations(version);
+    this._initLeaderElection(leaderElection, `localStorage:${this.prefix}`);
     this._startExpireWatcher();
 
     this._unloadHandler = () => this.destroy();
@@ -58,6 +114,84 @@ class LocalStorageAdapter extends StorageAdapter {
 
   // ----------------------------------------------------------------------------------------------
 
+  /**
+   * Picks the cross-tab transport, `auto` falling back to storage events where
+   * BroadcastChannel is missing.
+   * @private
+   * @param {"broadcast"|"storage-event"|"auto"} channelTransport
+   * @returns {"broadcast"|"storage-event"}
+   * @throws {Error} If the transport is unknown.
+   */
+  static _resolveTransport(channelTransport) {
+    if (!CHANNEL_TRANSPORTS.includes(channelTransport)) {
+      logError(`Unknown channel transport "${channelTransport}"`);
+      throw new Error(
+        `Unknown channel transport "${channelTransport}", expected one of: ${CHANNEL_TRANSPORTS.join(", ")}`
+      );
+    }
+    if (channelTransport !== "auto") return channelTransport;
+    return typeof BroadcastChannel === "function" ? "broadcast" : "storage-event";
+  }
+
+  // ----------------------------------------------------------------------------------------------
+
+  /**
+   * Maps a `storage` event fired by another tab to the keys it changed. Rewrites of the
+   * envelope alone (sliding expirations, access tracking) change nothing and are ignored.
+   *
+   * With `hashKeys` the key index is written after the value, so a key added or deleted
+   * by the other tab may not be resolvable yet: it is kept until the event of the index
+   * write, then looked up in the new index, or in the old one for deletions.
+   * @protected
+   * @param {StorageEvent} event
+   * @returns {Promise<string[]>} The changed keys.
+   */
+  async _storageEventKeys({ key: storedKey, oldValue, newValue }) {
+    if (this.hashKeys && storedKey === this.indexKey) {
+      return this._resolvePendingEventKeys(oldValue, newValue);
+    }
+    if (this._unwrapEntry(oldValue)?.raw === this._unwrapEntry(newValue)?.raw) {
+      return [];
+    }
+    const key = (await this._keyResolver())(storedKey);
+    if (key !== null) {
+      return [key];
+    }
+    if (this.hashKeys && storedKey.startsWith(this.prefix)) {
+      this._pendingEventKeys.add(storedKey);
+    }
+    return [];
+  }
+
+  // ----------------------------------------------------------------------------------------------
+
+  /**
+   * Resolves the hashed keys `_storageEventKeys()` could not, once the key index changed.
+   * @private
+   * @param {string|null} oldValue - Stored index before the change.
+   * @param {string|null} newValue - Stored index after the change.
+   * @returns {Promise<string[]>} The keys found in either index.
+   */
+  async _resolvePendingEventKeys(oldValue, newValue) {
+    if (!this._pendingEventKeys.size) {
+      return [];
+    }
+    const readIndex = async (stored) => {
+      const raw = this._unwrapEntry(stored)?.raw;
+      return raw ? (await this._decrypt(this.indexKey, raw)) || {} : {};
+    };
+    const [before, after] = await Promise.all([readIndex(oldValue), readIndex(newValue)]);
+    const keys = [];
+    for (const storedKey of this._pendingEventKeys) {
+      const key = after[storedKey] ?? before[storedKey];
+      if (key) keys.push(key);
+    }
+    this._pendingEventKeys.clear();
+    return keys;
+  }
+
+  // ----------------------------------------------------------------------------------------------
+
   /**
    * Initializes metadata for the storage namespace.
    * @private
@@ -71,11 +205,14 @@ class LocalStorageAdapter extends StorageAdapter {
       logInfo(
         "LocalStorageAdapter - Initializing metadata for LocalStorageAdapter"
       );
+      const current = JSON.parse(localStorage.getItem(this.metaKey) || "{}");
       const meta = {
+        ...current,
         dbName,
-        version,
+        // Raised once the migrations ran, see _migrate()
+        version: current.version ?? version,
         description,
-        createdAt: Date.now(),
+        createdAt: current.createdAt || Date.now(),
       };
       localStorage.setItem(this.metaKey, JSON.stringify(meta));
     } catch (err) {
@@ -86,18 +223,170 @@ class LocalStorageAdapter extends StorageAdapter {
   // ----------------------------------------------------------------------------------------------
 
   /**
-   * Loads expiration metadata from storage.
+   * Reads the metadata object from localStorage.
+   * @protected
+   * @returns {Promise<Object|null>}
+   */
+  async _readMeta() {
+    const raw = localStorage.getItem(this.metaKey);
+    return raw ? JSON.parse(raw) : null;
+  }
+
+  // ----------------------------------------------------------------------------------------------
+
+  /**
+   * Writes the metadata object to localStorage.
+   * @protected
+   * @param {Object} meta
+   * @returns {Promise<void>}
+   */
+  async _writeMeta(meta) {
+    localStorage.setItem(this.metaKey, JSON.stringify(meta));
+  }
+
+  // ----------------------------------------------------------------------------------------------
+
+  /**
+   * Lists the stored keys under the prefix, as stored in localStorage.
+   * @protected
+   * @returns {string[]}
+   */
+  _rawKeys() {
+    const keys = [];
+    for (let i = 0; i < localStorage.length; i++) {
+      keys.push(localStorage.key(i));
+    }
+    return keys.filter((k) => {
+      if (k === this.indexKey) return true;
+      if (k === this.metaKey || k === this.expireKey) return false;
+      const key = this.encrypt && !this.hashKeys ? simpleDeobfuscate(k) : k;
+      return key.startsWith(this.prefix);
+    });
+  }
+
+  // ----------------------------------------------------------------------------------------------
+
+  /**
+   * Reads a stored value from localStorage without decrypting it.
+   * @protected
+   * @param {string} fullKey
+   * @returns {Promise<string|null>}
+   */
+  async _getRaw(fullKey) {
+    return this._unwrapEntry(localStorage.getItem(fullKey))?.raw ?? null;
+  }
+
+  // ----------------------------------------------------------------------------------------------
+
+  /**
+   * Writes a value to localStorage without encrypting it, keeping its expiration.
+   * @protected
+   * @param {string} fullKey
+   * @param {string} raw
+   * @returns {Promise<void>}
+   */
+  async _setRaw(fullKey, raw) {
+    const current = this._unwrapEntry(localStorage.getItem(fullKey));
+    localStorage.setItem(
+      fullKey,
+      this._wrapEntry(
+        raw,
+        current?.expiresAt ?? null,
+        current?.ttl,
+        current?.access,
+        current?.version
+      )
+    );
+  }
+
+  // ----------------------------------------------------------------------------------------------
+
+  /**
+   * Reads several stored values and their expirations without decrypting them.
+   * @protected
+   * @param {string[]} fullKeys
+   * @returns {Promise<Array<{raw: string, expiresAt: number|null}|null>>}
+   */
+  async _readBatch(fullKeys) {
+    return fullKeys.map((fullKey) =>
+      this._unwrapEntry(localStorage.getItem(fullKey))
+    );
+  }
+
+  // ----------------------------------------------------------------------------------------------
+
+  /**
+   * Writes or removes several values, each in an envelope holding its expiration.
+   * @protected
+   * @param {Array<{fullKey: string, raw: string|null, expiresAt: number|null}>} ops
+   * @returns {Promise<void>}
+   */
+  async _writeBatch(ops) {
+    for (const { fullKey, raw, expiresAt, ttl, access, version } of ops) {
+      if (raw === null) {
+        localStorage.removeItem(fullKey);
+      } else {
+        localStorage.setItem(
+          fullKey,
+          this._wrapEntry(raw, expiresAt, ttl, access, version)
+        );
+      }
+    }
+  }
+
+  // ----------------------------------------------------------------------------------------------
+
+  /**
+   * Rewrites the envelope of an entry with a new expiration.
+   * @protected
+   * @param {string} fullKey
+   * @param {number|null} expiresAt
+   * @param {number|null} [ttl=null]
+   * @param {Object|null} [access] - Kept from the current envelope when omitted.
+   * @returns {Promise<void>}
+   */
+  async _writeExpire(fullKey, expiresAt, ttl = null, access) {
+    const current = this._unwrapEntry(localStorage.getItem(fullKey));
+    if (!current) return;
+    localStorage.setItem(
+      fullKey,
+      this._wrapEntry(
+        current.raw,
+        expiresAt,
+        ttl,
+        access === undefined ? current.access : access,
+        current.version
+      )
+    );
+  }
+
+  // ----------------------------------------------------------------------------------------------
+
+  /**
+   * Moves the timestamps of the former expiration map into the envelopes of their entries
+   * and removes the map.
    * @private
-   * @returns {Object} Key-value map of expiration timestamps.
    */
-  _loadExpires() {
+  _migrateExpires() {
     try {
-      logInfo("LocalStorageAdapter - Loading expiration metadata");
-      const raw = localStorage.getItem(this.expireKey);
-      return raw ? JSON.parse(raw) : {};
+      const legacy = localStorage.getItem(this.expireKey);
+      if (!legacy) return;
+      logInfo("LocalStorageAdapter - Migrating expiration map to entries");
+      const expires = JSON.parse(legacy);
+      for (const id in expires) {
+        // The map used hashed storage keys with hashKeys, and base keys otherwise
+        const fullKey = this.hashKeys ? id : this._fullKey(id);
+        const current = this._unwrapEntry(localStorage.getItem(fullKey));
+        if (current) {
+          localStorage.setItem(
+            fullKey,
+            this._wrapEntry(current.raw, expires[id], null, current.access)
+          );
+        }
+      }
+      localStorage.removeItem(this.expireKey);
     } catch (err) {
-      logError("Error loading expires:", err);
-      return {};
+      logError("Error migrating expiration map:", err);
     }
   }
 
@@ -111,19 +400,24 @@ class LocalStorageAdapter extends StorageAdapter {
   async get(key) {
     try {
       logInfo(`LocalStorageAdapter - Getting key: ${key}`);
-      const fullKey = this._fullKey(key);
-      const raw = localStorage.getItem(fullKey);
-      if (!raw) return null;
+      const fullKey = await this._storageKey(key);
+      const entry = this._unwrapEntry(localStorage.getItem(fullKey));
+      if (!entry?.raw) return null;
 
-      const expires = await this.getExpire(key);
-      if (expires && Date.now() >= expires) {
-        await this.delete(key);
+      if (entry.expiresAt && Date.now() >= entry.expiresAt) {
+        await this._deleteExpired([key]);
         return null;
       }
 
-      return await this._decrypt(key, raw);
+      const value = await this._decrypt(key, entry.raw);
+      if (value !== null) {
+        await this._touchEntry(fullKey, entry);
+      }
+      return value;
     } catch (err) {
       logError(`Error getting key '${key}':`, err);
+      if (err instanceof StoragefyDecryptionError) throw err;
+      if (this.strict) throw err;
       return null;
     }
   }
@@ -134,42 +428,60 @@ class LocalStorageAdapter extends StorageAdapter {
    * Stores a value.
    * @param {string} key
    * @param {any} value
-   * @param {number} [expire] - Optional expiration in milliseconds from now.
+   * @param {number|{ttl: number, sliding?: boolean}} [expire] - Optional expiration in milliseconds from now,
+   *        or `{ ttl, sliding: true }` to push it forward on every read.
+   * @param {Object} [options]
+   * @param {{base: Object, ops: *}} [options.patch] - Change from the previous value, sent to the other tabs.
+   * @param {{clock: number, tabId: string}} [options.version] - Version of the value, kept in its envelope and sent to the other tabs.
    * @returns {Promise<boolean|null>}
+   * @throws {StoragefyQuotaError} If the storage is full and `onQuotaExceeded` did not free it.
    */
-  async set(key, value, expire) {
+  async set(key, value, expire, { patch, version } = {}) {
     try {
       logInfo(`LocalStorageAdapter - Setting key: ${key}`, { value, expire });
       if (!key && !value) return false;
-      const fullKey = this._fullKey(key);
+      const fullKey = await this._storageKey(key);
       if (key && (value === undefined || value === null)) {
-        await this.delete(fullKey);
+        await this.delete(key);
         return null;
       }
-      value = JSON.stringify(value);
-
-      const encrypted = await this._encrypt(key, value);
-      if (!encrypted) return false;
-      localStorage.setItem(fullKey, encrypted);
-
-      if (this.enableSyncTabs) {
-        this.emitDataChange(key, undefined, "set");
+      const { ttl, sliding } = this._parseExpire(expire);
+      if (typeof ttl === "number" && ttl <= 0) {
+        await this.delete(key);
+        return null;
       }
+      const expiresAt = typeof ttl === "number" ? Date.now() + ttl : null;
+      const oldValue = await this._previousValue("set", key, fullKey);
+      const encrypted = await this._encrypt(key, JSON.stringify(value));
+      if (!encrypted) return false;
+      await this._evictFor([{ fullKey, raw: encrypted }]);
 
-      if (typeof expire !== "number") {
-        await this.deleteExpire(key);
-        return true;
-      }
+      await this._withQuota([key], this._entrySize(fullKey, encrypted), () =>
+        localStorage.setItem(
+          fullKey,
+          this._wrapEntry(
+            encrypted,
+            expiresAt,
+            sliding ? ttl : null,
+            this._newAccess(),
+            version
+          )
+        )
+      );
+      this._scheduleExpire(expiresAt);
+      this._requestEviction();
+      await this._updateKeyIndex(key, true);
+      this._emitEvent("set", { key, oldValue, newValue: value });
 
-      if (expire > 0) {
-        await this.setExpire(key, Date.now() + expire);
-        return true;
+      if (this.enableSyncTabs) {
+        this.emitDataChange(key, undefined, "set", version, patch);
       }
-
-      await this.delete(key);
-      return null;
+      return true;
     } catch (err) {
       logError(`Error setting key '${key}':`, err);
+      if (err instanceof StoragefyDecryptionError) throw err;
+      if (err instanceof StoragefyQuotaError) throw err;
+      if (this.strict) throw err;
       return false;
     }
   }
@@ -184,17 +496,20 @@ class LocalStorageAdapter extends StorageAdapter {
   async delete(key) {
     try {
       logInfo(`LocalStorageAdapter - Deleting key: ${key}`);
-      const fullKey = this._fullKey(key);
+      const fullKey = await this._storageKey(key);
+      const oldValue = await this._previousValue("delete", key, fullKey);
       localStorage.removeItem(fullKey);
+      await this._updateKeyIndex(key, false);
+      if (oldValue !== null) {
+        this._emitEvent("delete", { key, oldValue, newValue: null });
+      }
 
-      const exp = this._loadExpires();
-      delete exp[key];
-      localStorage.setItem(this.expireKey, JSON.stringify(exp));
       if (this.enableSyncTabs) {
         this.emitDataChange(key, undefined, "delete");
       }
     } catch (err) {
       logError(`Error deleting key '${key}':`, err);
+      if (this.strict) throw err;
     }
   }
 
@@ -208,17 +523,17 @@ class LocalStorageAdapter extends StorageAdapter {
     const results = [];
     logInfo(`LocalStorageAdapter - Listing keys with prefix: ${this.prefix}`);
     try {
+      const toKey = await this._keyResolver();
+      const keys = [];
       for (let i = 0; i < localStorage.length; i++) {
-        let k = localStorage.key(i);
-        if (this.encrypt) {
-          k = simpleDeobfuscate(k);
-        }
-        if (k === this.metaKey || k === this.expireKey) continue;
-        if (k.startsWith(this.prefix)) {
-          const value = await this.get(k.replace(this.prefix, ""));
-          if (value !== null) {
-            results.push({ key: k.replace(this.prefix, ""), value });
-          }
+        const key = toKey(localStorage.key(i));
+        if (key !== null) keys.push(key);
+      }
+
+      for (const key of keys) {
+        const value = await this.get(key);
+        if (value !== null) {
+          results.push({ key, value });
         }
       }
     } catch (err) {
@@ -238,10 +553,11 @@ class LocalStorageAdapter extends StorageAdapter {
   async has(key) {
     try {
       logInfo(`LocalStorageAdapter - Checking existence of key: ${key}`);
-      const fullKey = this._fullKey(key);
+      const fullKey = await this._storageKey(key);
       return localStorage.getItem(fullKey) !== null;
     } catch (err) {
       logError(`Error checking key '${key}':`, err);
+      if (this.strict) throw err;
       return false;
     }
   }
@@ -256,10 +572,13 @@ class LocalStorageAdapter extends StorageAdapter {
     try {
       logInfo("LocalStorageAdapter - Clearing all data");
       await this.reset();
+      this._resetEncryptionState();
       localStorage.removeItem(this.metaKey);
       localStorage.removeItem(this.expireKey);
+      this._emitEvent("clear", { key: null, oldValue: null, newValue: null });
     } catch (err) {
       logError("Error clearing storage:", err);
+      if (this.strict) throw err;
     }
   }
 
@@ -272,94 +591,32 @@ class LocalStorageAdapter extends StorageAdapter {
   async reset() {
     try {
       logInfo("LocalStorageAdapter - Resetting storage");
+      // Hashed keys cannot be resolved while locked, they are still removed
+      const toKey = await this._keyResolver().catch(() => () => null);
       const keysToRemove = [];
       for (let i = 0; i < localStorage.length; i++) {
         const key = localStorage.key(i);
-        if (key.startsWith(this.prefix)) {
+        if (
+          key === this.indexKey ||
+          key.startsWith(this.prefix) ||
+          toKey(key) !== null
+        ) {
           keysToRemove.push(key);
         }
       }
 
       for (const key of keysToRemove) {
         localStorage.removeItem(key);
-        if (this.enableSyncTabs) {
-          this.emitDataChange(key.replace(this.prefix, ""), undefined, "reset");
+        const baseKey = toKey(key);
+        if (this.enableSyncTabs && baseKey !== null) {
+          this.emitDataChange(baseKey, undefined, "reset");
         }
       }
+      this._emitEvent("reset", { key: null, oldValue: null, newValue: null });
     } catch (error) {
       logError("Error resetting storage:", error);
     }
   }
-
-  // ----------------------------------------------------------------------------------------------
-
-  /**
-   * Sets an expiration timestamp for a key.
-   * @param {string} key
-   * @param {number} timestamp - Unix timestamp in milliseconds.
-   * @returns {Promise<void>}
-   */
-  async setExpire(key, timestamp) {
-    try {
-      logInfo(`LocalStorageAdapter - Setting expiration for key: ${key}`, {
-        timestamp,
-      });
-      const expires = this._loadExpires();
-      expires[key] = timestamp;
-      localStorage.setItem(this.expireKey, JSON.stringify(expires));
-    } catch (err) {
-      logError(`Error setting expire for key '${key}':`, err);
-    }
-  }
-
-  // ----------------------------------------------------------------------------------------------
-
-  /**
-   * Removes the expiration timestamp for a key.
-   * @param {string} key
-   * @returns {Promise<void>}
-   */
-  async deleteExpire(key) {
-    try {
-      logInfo(`LocalStorageAdapter - Deleting expiration for key: ${key}`);
-      const expires = this._loadExpires();
-      delete expires[key];
-      localStorage.setItem(this.expireKey, JSON.stringify(expires));
-    } catch (err) {
-      logError(`Error deleting expire for key '${key}':`, err);
-    }
-  }
-
-  // ----------------------------------------------------------------------------------------------
-
-  /**
-   * Removes all expired items from storage.
-   * @returns {Promise<void>}
-   */
-  async clearExpire() {
-    try {
-      logInfo("LocalStorageAdapter - Clearing expired keys");
-      const now = Date.now();
-      const expires = this._loadExpires();
-      let changed = false;
-
-      for (const key in expires) {
-        if (expires[key] <= now) {
-          await this.delete(key);
-          changed = true;
-        }
-      }
-
-      if (changed) {
-        localStorage.setItem(
-          this.expireKey,
-          JSON.stringify(this._loadExpires())
-        );
-      }
-    } catch (err) {
-      logError("Error clearing expired keys:", err);
-    }
-  }
 }
 
 // ----------------------------------------------------------------------------------------------
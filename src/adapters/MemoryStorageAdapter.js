@@ -0,0 +1,465 @@
+import StorageAdapter from "./StorageAdapter.js";
+import generateSimpleId from "misc-helpers/src/utils/generateSimpleId.js";
+import { logError, logInfo } from "../helpers/loggerHelper.js";
+import { simpleDeobfuscate } from "../helpers/cryptoHelper.js";
+import { StoragefyDecryptionError } from "../helpers/errorHelper.js";
+
+// -------------------------------------------------------------------------------------------------
+
+/**
+ * @class MemoryStorageAdapter
+ * @extends StorageAdapter
+ * In-memory storage adapter with the same encryption, expiration and cross-tab semantics as the
+ * Web Storage adapters. Data lives only as long as the instance, which makes it suitable for SSR,
+ * unit tests running in Node and as a fallback when no browser storage is available.
+ */
+class MemoryStorageAdapter extends StorageAdapter {
+  /**
+   * @param {Object} options
+   * @param {string} options.dbName - The namespace for storage keys.
+   * @param {number} [options.version=1] - Schema version of the storage.
+   * @param {boolean} [options.encrypt=false] - Whether to encrypt stored values.
+   * @param {string|CryptoKey} [options.password] - Password (or AES-GCM CryptoKey) used to encrypt values. Required when `encrypt` is true.
+   * @param {number} [options.iterations=100000] - PBKDF2 iterations used to derive the key when the database is first encrypted.
+   * @param {boolean} [options.hashKeys=false] - Whether to store key names as HMAC-SHA-256 hashes instead of obfuscating them. Requires `encrypt`.
+   * @param {number} [options.maxEntries] - Maximum number of entries before older ones are evicted.
+   * @param {number} [options.maxBytes] - Maximum approximate size of the entries (UTF-16 bytes) before older ones are evicted.
+   * @param {"lru"|"lfu"|"fifo"|"ttl-first"} [options.evictionPolicy="lru"] - Which entries are evicted first.
+   * @param {boolean} [options.strict=false] - Throw typed errors (see errorHelper) from every method instead of logging them and returning `null`/`false`.
+   * @param {Function} [options.onQuotaExceeded] - Called with `{ adapter, keys, bytes, error, evict }` when a write hits the storage quota. Return `true` to retry the write once.
+   * @param {number} [options.expireCheckInterval=1000] - Minimum delay between expiration cleanups (ms), 0 disables them.
+   * @param {string} [options.description=""] - Optional description metadata.
+   * @param {string} [options.channelName=false] - Optional channel name for cross-tab communication.
+   * @param {boolean} [options.enableSyncTabs=false] - Whether to enable sync automatically on change key value
+   */
+  constructor({
+    dbName,
+    version = 1,
+    encrypt = false,
+    password,
+    iterations,
+    hashKeys = false,
+    maxEntries,
+    maxBytes,
+    evictionPolicy = "lru",
+    onQuotaExceeded,
+    strict = false,
+    expireCheckInterval = 1000,
+    description = "",
+    channelName = false,
+    enableSyncTabs = false,
+  }) {
+    super(channelName);
+
+    this.storage = new Map();
+    this.dbName = dbName;
+    this.expireKey = `STRGF_${dbName}__expires`;
+    this.metaKey = `STRGF_${dbName}__meta`;
+    this.prefix = `${dbName}__`;
+    this._initEncryption({ encrypt, password, iterations, hashKeys });
+    this._initEviction({ maxEntries, maxBytes, evictionPolicy });
+    this.onQuotaExceeded = onQuotaExceeded || null;
+    this.strict = strict;
+    this.adapterId = generateSimpleId(dbName);
+    this.expireCheckInterval = expireCheckInterval;
+    this.enableSyncTabs = enableSyncTabs || false;
+
+    this._initMeta({ dbName, version, description });
+    this._startExpireWatcher();
+
+    if (typeof window !== "undefined") {
+      this._unloadHandler = () => this.destroy();
+      window.addEventListener("beforeunload", this._unloadHandler);
+    }
+
+    logInfo(
+      `MemoryStorageAdapter - initialized with prefix: ${this.prefix}, encrypt: ${this.encrypt}`
+    );
+  }
+
+  // ----------------------------------------------------------------------------------------------
+
+  /**
+   * Initializes metadata for the current storage instance.
+   * @private
+   * @param {Object} meta
+   * @param {string} meta.dbName
+   * @param {number} meta.version
+   * @param {string} meta.description
+   */
+  _initMeta({ dbName, version, description }) {
+    logInfo(
+      `MemoryStorageAdapter - Initializing metadata for ${dbName} v${version}`
+    );
+    const meta = {
+      dbName,
+      version,
+      description,
+      createdAt: Date.now(),
+    };
+    this.storage.set(this.metaKey, JSON.stringify(meta));
+  }
+
+  // ----------------------------------------------------------------------------------------------
+
+  /**
+   * Reads the metadata object from memory.
+   * @protected
+   * @returns {Promise<Object|null>}
+   */
+  async _readMeta() {
+    const raw = this.storage.get(this.metaKey);
+    return raw ? JSON.parse(raw) : null;
+  }
+
+  // ----------------------------------------------------------------------------------------------
+
+  /**
+   * Writes the metadata object to memory.
+   * @protected
+   * @param {Object} meta
+   * @returns {Promise<void>}
+   */
+  async _writeMeta(meta) {
+    this.storage.set(this.metaKey, JSON.stringify(meta));
+  }
+
+  // ----------------------------------------------------------------------------------------------
+
+  /**
+   * Lists the stored keys under the prefix, as stored in memory.
+   * @protected
+   * @returns {string[]}
+   */
+  _rawKeys() {
+    return [...this.storage.keys()].filter((k) => {
+      if (k === this.indexKey) return true;
+      if (k === this.metaKey || k === this.expireKey) return false;
+      const key = this.encrypt && !this.hashKeys ? simpleDeobfuscate(k) : k;
+      return key.startsWith(this.prefix);
+    });
+  }
+
+  // ----------------------------------------------------------------------------------------------
+
+  /**
+   * Reads a stored value from memory without decrypting it.
+   * @protected
+   * @param {string} fullKey
+   * @returns {Promise<string|null>}
+   */
+  async _getRaw(fullKey) {
+    return this._unwrapEntry(this.storage.get(fullKey))?.raw ?? null;
+  }
+
+  // ----------------------------------------------------------------------------------------------
+
+  /**
+   * Writes a value to memory without encrypting it, keeping its expiration.
+   * @protected
+   * @param {string} fullKey
+   * @param {string} raw
+   * @returns {Promise<void>}
+   */
+  async _setRaw(fullKey, raw) {
+    const current = this._unwrapEntry(this.storage.get(fullKey));
+    this.storage.set(
+      fullKey,
+      this._wrapEntry(
+        raw,
+        current?.expiresAt ?? null,
+        current?.ttl,
+        current?.access,
+        current?.version
+      )
+    );
+  }
+
+  // ----------------------------------------------------------------------------------------------
+
+  /**
+   * Reads several stored values and their expirations without decrypting them.
+   * @protected
+   * @param {string[]} fullKeys
+   * @returns {Promise<Array<{raw: string, expiresAt: number|null}|null>>}
+   */
+  async _readBatch(fullKeys) {
+    return fullKeys.map((fullKey) =>
+      this._unwrapEntry(this.storage.get(fullKey))
+    );
+  }
+
+  // ----------------------------------------------------------------------------------------------
+
+  /**
+   * Writes or removes several values, each in an envelope holding its expiration.
+   * @protected
+   * @param {Array<{fullKey: string, raw: string|null, expiresAt: number|null}>} ops
+   * @returns {Promise<void>}
+   */
+  async _writeBatch(ops) {
+    for (const { fullKey, raw, expiresAt, ttl, access, version } of ops) {
+      if (raw === null) {
+        this.storage.delete(fullKey);
+      } else {
+        this.storage.set(
+          fullKey,
+          this._wrapEntry(raw, expiresAt, ttl, access, version)
+        );
+      }
+    }
+  }
+
+  // ----------------------------------------------------------------------------------------------
+
+  /**
+   * Rewrites the envelope of an entry with a new expiration.
+   * @protected
+   * @param {string} fullKey
+   * @param {number|null} expiresAt
+   * @param {number|null} [ttl=null]
+   * @param {Object|null} [access] - Kept from the current envelope when omitted.
+   * @returns {Promise<void>}
+   */
+  async _writeExpire(fullKey, expiresAt, ttl = null, access) {
+    const current = this._unwrapEntry(this.storage.get(fullKey));
+    if (!current) return;
+    this.storage.set(
+      fullKey,
+      this._wrapEntry(
+        current.raw,
+        expiresAt,
+        ttl,
+        access === undefined ? current.access : access,
+        current.version
+      )
+    );
+  }
+
+  // ----------------------------------------------------------------------------------------------
+
+  /**
+   * Retrieves a value from memory, handling expiration.
+   * @param {string} key
+   * @returns {Promise<any|null>}
+   */
+  async get(key) {
+    try {
+      logInfo(`MemoryStorageAdapter - Getting key '${key}'`);
+      const fullKey = await this._storageKey(key);
+      const entry = this._unwrapEntry(this.storage.get(fullKey));
+      if (!entry?.raw) return null;
+
+      if (entry.expiresAt && Date.now() >= entry.expiresAt) {
+        await this._deleteExpired([key]);
+        return null;
+      }
+
+      const value = await this._decrypt(key, entry.raw);
+      if (value !== null) {
+        await this._touchEntry(fullKey, entry);
+      }
+      return value;
+    } catch (err) {
+      logError(`Error getting key '${key}':`, err);
+      if (err instanceof StoragefyDecryptionError) throw err;
+      if (this.strict) throw err;
+      return null;
+    }
+  }
+
+  // ----------------------------------------------------------------------------------------------
+
+  /**
+   * Stores a value, with optional expiration.
+   * @param {string} key
+   * @param {any} value
+   * @param {number|{ttl: number, sliding?: boolean}} [expire] - Time in ms until expiration, or
+   *        `{ ttl, sliding: true }` to push it forward on every read.
+   * @param {Object} [options]
+   * @param {{base: Object, ops: *}} [options.patch] - Change from the previous value, sent to the other tabs.
+   * @param {{clock: number, tabId: string}} [options.version] - Version of the value, kept in its envelope and sent to the other tabs.
+   * @returns {Promise<boolean|null>}
+   */
+  async set(key, value, expire, { patch, version } = {}) {
+    try {
+      logInfo(`MemoryStorageAdapter - Setting key: ${key}`, { value, expire });
+      if (!key && !value) return false;
+
+      const fullKey = await this._storageKey(key);
+      if (key && (value === undefined || value === null)) {
+        await this.delete(key);
+        return null;
+      }
+      const { ttl, sliding } = this._parseExpire(expire);
+      if (typeof ttl === "number" && ttl <= 0) {
+        await this.delete(key);
+        return null;
+      }
+      const expiresAt = typeof ttl === "number" ? Date.now() + ttl : null;
+
+      const oldValue = await this._previousValue("set", key, fullKey);
+      const encrypted = await this._encrypt(key, JSON.stringify(value));
+      if (!encrypted) return false;
+      await this._evictFor([{ fullKey, raw: encrypted }]);
+
+      this.storage.set(
+        fullKey,
+        this._wrapEntry(
+          encrypted,
+          expiresAt,
+          sliding ? ttl : null,
+          this._newAccess(),
+          version
+        )
+      );
+      this._scheduleExpire(expiresAt);
+      await this._updateKeyIndex(key, true);
+      this._emitEvent("set", { key, oldValue, newValue: value });
+
+      if (this.enableSyncTabs) {
+        this.emitDataChange(key, undefined, "set", version, patch);
+      }
+      return true;
+    } catch (err) {
+      logError(`Error setting key '${key}':`, err);
+      if (err instanceof StoragefyDecryptionError) throw err;
+      if (this.strict) throw err;
+      return false;
+    }
+  }
+
+  // ----------------------------------------------------------------------------------------------
+
+  /**
+   * Deletes a key from memory and its expiration.
+   * @param {string} key
+   * @returns {Promise<void>}
+   */
+  async delete(key) {
+    try {
+      logInfo(`MemoryStorageAdapter - Deleting key '${key}'`);
+      const fullKey = await this._storageKey(key);
+      const oldValue = await this._previousValue("delete", key, fullKey);
+      this.storage.delete(fullKey);
+      await this._updateKeyIndex(key, false);
+      if (oldValue !== null) {
+        this._emitEvent("delete", { key, oldValue, newValue: null });
+      }
+
+      if (this.enableSyncTabs) {
+        this.emitDataChange(key, undefined, "delete");
+      }
+    } catch (err) {
+      logError(`Error deleting key '${key}':`, err);
+      if (this.strict) throw err;
+    }
+  }
+
+  // ----------------------------------------------------------------------------------------------
+
+  /**
+   * Lists all stored key-value pairs under the prefix.
+   * @returns {Promise<Array<{key: string, value: any}>>}
+   */
+  async list() {
+    const results = [];
+    try {
+      logInfo(
+        `MemoryStorageAdapter - Listing keys with prefix '${this.prefix}'`
+      );
+      const toKey = await this._keyResolver();
+      const keys = [...this.storage.keys()]
+        .map(toKey)
+        .filter((key) => key !== null);
+
+      for (const key of keys) {
+        const value = await this.get(key);
+        if (value !== null) {
+          results.push({ key, value });
+        }
+      }
+    } catch (err) {
+      logError("Error listing keys:", err);
+      throw err;
+    }
+    return results;
+  }
+
+  // ----------------------------------------------------------------------------------------------
+
+  /**
+   * Checks if a key exists.
+   * @param {string} key
+   * @returns {Promise<boolean>}
+   */
+  async has(key) {
+    try {
+      logInfo(`MemoryStorageAdapter - Checking existence of key '${key}'`);
+      const fullKey = await this._storageKey(key);
+      return this.storage.has(fullKey);
+    } catch (err) {
+      logError(`Error checking key '${key}':`, err);
+      if (this.strict) throw err;
+      return false;
+    }
+  }
+
+  // ----------------------------------------------------------------------------------------------
+
+  /**
+   * Clears all stored data and metadata.
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    try {
+      logInfo("MemoryStorageAdapter - Clearing all data");
+      await this.reset();
+      this._resetEncryptionState();
+      this.storage.delete(this.metaKey);
+      this.storage.delete(this.expireKey);
+      this._emitEvent("clear", { key: null, oldValue: null, newValue: null });
+    } catch (err) {
+      logError("Error clearing storage:", err);
+      if (this.strict) throw err;
+    }
+  }
+
+  // ----------------------------------------------------------------------------------------------
+
+  /**
+   * Removes all keys matching the current prefix.
+   * @returns {Promise<void>}
+   */
+  async reset() {
+    try {
+      logInfo("MemoryStorageAdapter - Resetting storage");
+      // Hashed keys cannot be resolved while locked, they are still removed
+      const toKey = await this._keyResolver().catch(() => () => null);
+      for (const fullKey of [...this.storage.keys()]) {
+        const key = toKey(fullKey);
+        if (
+          fullKey !== this.indexKey &&
+          !fullKey.startsWith(this.prefix) &&
+          key === null
+        ) {
+          continue;
+        }
+
+        this.storage.delete(fullKey);
+        if (this.enableSyncTabs && key !== null) {
+          this.emitDataChange(key, undefined, "reset");
+        }
+      }
+      this._emitEvent("reset", { key: null, oldValue: null, newValue: null });
+    } catch (error) {
+      logError("Error resetting storage:", error);
+    }
+  }
+}
+
+// ----------------------------------------------------------------------------------------------
+
+export default MemoryStorageAdapter;
+
+// ----------------------------------------------------------------------------------------------
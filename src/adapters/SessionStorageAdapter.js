@@ -1,6 +1,11 @@
 import StorageAdapter from "./StorageAdapter.js";
 import generateSimpleId from "misc-helpers/src/utils/generateSimpleId.js";
 import { simpleDeobfuscate } from "../helpers/cryptoHelper.js";
+import {
+  StoragefyDecryptionError,
+  StoragefyNotReadyError,
+  StoragefyQuotaError,
+} from "../helpers/errorHelper.js";
 import { logError, logWarn, logInfo } from "../helpers/loggerHelper.js";
 
 // -------------------------------------------------------------------------------------------------
@@ -16,8 +21,17 @@ class SessionStorageAdapter extends StorageAdapter {
    * @param {Object} options
    * @param {string} options.dbName - The namespace for storage keys.
    * @param {number} [options.version=1] - Schema version of the storage.
+   * @param {Object<number, Function>} [options.migrations] - Migrations by the version they upgrade to, run in order when the stored version is lower than `version`. Each receives `{ fromVersion, version, prefix, get, set, delete, list }` over the raw entries.
    * @param {boolean} [options.encrypt=false] - Whether to encrypt stored values.
-   * @param {number} [options.expireCheckInterval=1000] - Interval to check for expired items (ms).
+   * @param {string|CryptoKey} [options.password] - Password (or AES-GCM CryptoKey) used to encrypt values. Required when `encrypt` is true.
+   * @param {number} [options.iterations=100000] - PBKDF2 iterations used to derive the key when the database is first encrypted.
+   * @param {boolean} [options.hashKeys=false] - Whether to store key names as HMAC-SHA-256 hashes instead of obfuscating them. Requires `encrypt`.
+   * @param {number} [options.maxEntries] - Maximum number of entries before older ones are evicted.
+   * @param {number} [options.maxBytes] - Maximum approximate size of the entries (UTF-16 bytes) before older ones are evicted.
+   * @param {"lru"|"lfu"|"fifo"|"ttl-first"} [options.evictionPolicy="lru"] - Which entries are evicted first.
+   * @param {boolean} [options.strict=false] - Throw typed errors (see errorHelper) from every method instead of logging them and returning `null`/`false`.
+   * @param {Function} [options.onQuotaExceeded] - Called with `{ adapter, keys, bytes, error, evict }` when a write hits the storage quota. Return `true` to retry the write once.
+   * @param {number} [options.expireCheckInterval=1000] - Minimum delay between expiration cleanups (ms), 0 disables them.
    * @param {string} [options.description=""] - Optional description metadata.
    * @param {string} [options.channelName=false] - Optional channel name for cross-tab communication.
    * @param {boolean} [options.enableSyncTabs=false] - Whether to enable sync automatically on change key value
@@ -26,7 +40,16 @@ class SessionStorageAdapter extends StorageAdapter {
   constructor({
     dbName,
     version = 1,
+    migrations,
     encrypt = false,
+    password,
+    iterations,
+    hashKeys = false,
+    maxEntries,
+    maxBytes,
+    evictionPolicy = "lru",
+    onQuotaExceeded,
+    strict = false,
     expireCheckInterval = 1000,
     channelName = false,
     description = "",
@@ -35,20 +58,28 @@ class SessionStorageAdapter extends StorageAdapter {
     super(channelName);
     if (typeof sessionStorage === "undefined") {
       logError("SessionStorage is not available in this environment");
-      throw new Error("SessionStorage is not available in this environment");
+      throw new StoragefyNotReadyError(
+        "SessionStorage is not available in this environment"
+      );
     }
 
     this.dbName = dbName;
-    this.encrypt = encrypt;
 
     this.expireKey = `STRGF_${dbName}__expires`;
     this.metaKey = `STRGF_${dbName}__meta`;
     this.prefix = `${dbName}__`;
+    this._initEncryption({ encrypt, password, iterations, hashKeys });
+    this._initEviction({ maxEntries, maxBytes, evictionPolicy });
+    this._initMigrations(migrations);
+    this.onQuotaExceeded = onQuotaExceeded || null;
+    this.strict = strict;
     this.adapterId = generateSimpleId(dbName);
     this.expireCheckInterval = expireCheckInterval;
     this.enableSyncTabs = enableSyncTabs || false;
 
     this._initMeta({ dbName, version, description });
+    this._migrateExpires();
+    this._startMigrations(version);
     this._startExpireWatcher();
 
     this._unloadHandler = () => this.destroy();
@@ -73,11 +104,14 @@ class SessionStorageAdapter extends StorageAdapter {
       logInfo(
         `SessionStorageAdapter - Initializing metadata for ${dbName} v${version}`
       );
+      const current = JSON.parse(sessionStorage.getItem(this.metaKey) || "{}");
       const meta = {
+        ...current,
         dbName,
-        version,
+        // Raised once the migrations ran, see _migrate()
+        version: current.version ?? version,
         description,
-        createdAt: Date.now(),
+        createdAt: current.createdAt || Date.now(),
       };
       sessionStorage.setItem(this.metaKey, JSON.stringify(meta));
     } catch (err) {
@@ -88,18 +122,170 @@ class SessionStorageAdapter extends StorageAdapter {
   // ----------------------------------------------------------------------------------------------
 
   /**
-   * Loads expiration map from sessionStorage.
+   * Reads the metadata object from sessionStorage.
+   * @protected
+   * @returns {Promise<Object|null>}
+   */
+  async _readMeta() {
+    const raw = sessionStorage.getItem(this.metaKey);
+    return raw ? JSON.parse(raw) : null;
+  }
+
+  // ----------------------------------------------------------------------------------------------
+
+  /**
+   * Writes the metadata object to sessionStorage.
+   * @protected
+   * @param {Object} meta
+   * @returns {Promise<void>}
+   */
+  async _writeMeta(meta) {
+    sessionStorage.setItem(this.metaKey, JSON.stringify(meta));
+  }
+
+  // ----------------------------------------------------------------------------------------------
+
+  /**
+   * Lists the stored keys under the prefix, as stored in sessionStorage.
+   * @protected
+   * @returns {string[]}
+   */
+  _rawKeys() {
+    const keys = [];
+    for (let i = 0; i < sessionStorage.length; i++) {
+      keys.push(sessionStorage.key(i));
+    }
+    return keys.filter((k) => {
+      if (k === this.indexKey) return true;
+      if (k === this.metaKey || k === this.expireKey) return false;
+      const key = this.encrypt && !this.hashKeys ? simpleDeobfuscate(k) : k;
+      return key.startsWith(this.prefix);
+    });
+  }
+
+  // ----------------------------------------------------------------------------------------------
+
+  /**
+   * Reads a stored value from sessionStorage without decrypting it.
+   * @protected
+   * @param {string} fullKey
+   * @returns {Promise<string|null>}
+   */
+  async _getRaw(fullKey) {
+    return this._unwrapEntry(sessionStorage.getItem(fullKey))?.raw ?? null;
+  }
+
+  // ----------------------------------------------------------------------------------------------
+
+  /**
+   * Writes a value to sessionStorage without encrypting it, keeping its expiration.
+   * @protected
+   * @param {string} fullKey
+   * @param {string} raw
+   * @returns {Promise<void>}
+   */
+  async _setRaw(fullKey, raw) {
+    const current = this._unwrapEntry(sessionStorage.getItem(fullKey));
+    sessionStorage.setItem(
+      fullKey,
+      this._wrapEntry(
+        raw,
+        current?.expiresAt ?? null,
+        current?.ttl,
+        current?.access,
+        current?.version
+      )
+    );
+  }
+
+  // ----------------------------------------------------------------------------------------------
+
+  /**
+   * Reads several stored values and their expirations without decrypting them.
+   * @protected
+   * @param {string[]} fullKeys
+   * @returns {Promise<Array<{raw: string, expiresAt: number|null}|null>>}
+   */
+  async _readBatch(fullKeys) {
+    return fullKeys.map((fullKey) =>
+      this._unwrapEntry(sessionStorage.getItem(fullKey))
+    );
+  }
+
+  // ----------------------------------------------------------------------------------------------
+
+  /**
+   * Writes or removes several values, each in an envelope holding its expiration.
+   * @protected
+   * @param {Array<{fullKey: string, raw: string|null, expiresAt: number|null}>} ops
+   * @returns {Promise<void>}
+   */
+  async _writeBatch(ops) {
+    for (const { fullKey, raw, expiresAt, ttl, access, version } of ops) {
+      if (raw === null) {
+        sessionStorage.removeItem(fullKey);
+      } else {
+        sessionStorage.setItem(
+          fullKey,
+          this._wrapEntry(raw, expiresAt, ttl, access, version)
+        );
+      }
+    }
+  }
+
+  // ----------------------------------------------------------------------------------------------
+
+  /**
+   * Rewrites the envelope of an entry with a new expiration.
+   * @protected
+   * @param {string} fullKey
+   * @param {number|null} expiresAt
+   * @param {number|null} [ttl=null]
+   * @param {Object|null} [access] - Kept from the current envelope when omitted.
+   * @returns {Promise<void>}
+   */
+  async _writeExpire(fullKey, expiresAt, ttl = null, access) {
+    const current = this._unwrapEntry(sessionStorage.getItem(fullKey));
+    if (!current) return;
+    sessionStorage.setItem(
+      fullKey,
+      this._wrapEntry(
+        current.raw,
+        expiresAt,
+        ttl,
+        access === undefined ? current.access : access,
+        current.version
+      )
+    );
+  }
+
+  // ----------------------------------------------------------------------------------------------
+
+  /**
+   * Moves the timestamps of the former expiration map into the envelopes of their entries
+   * and removes the map.
    * @private
-   * @returns {Object<string, number>}
    */
-  _loadExpires() {
+  _migrateExpires() {
     try {
-      logInfo("SessionStorageAdapter - Loading expiration map");
-      const raw = sessionStorage.getItem(this.expireKey);
-      return raw ? JSON.parse(raw) : {};
+      const legacy = sessionStorage.getItem(this.expireKey);
+      if (!legacy) return;
+      logInfo("SessionStorageAdapter - Migrating expiration map to entries");
+      const expires = JSON.parse(legacy);
+      for (const id in expires) {
+        // The map used hashed storage keys with hashKeys, and base keys otherwise
+        const fullKey = this.hashKeys ? id : this._fullKey(id);
+        const current = this._unwrapEntry(sessionStorage.getItem(fullKey));
+        if (current) {
+          sessionStorage.setItem(
+            fullKey,
+            this._wrapEntry(current.raw, expires[id], null, current.access)
+          );
+        }
+      }
+      sessionStorage.removeItem(this.expireKey);
     } catch (err) {
-      logError("Error loading expires:", err);
-      return {};
+      logError("Error migrating expiration map:", err);
     }
   }
 
@@ -113,19 +299,24 @@ class SessionStorageAdapter extends StorageAdapter {
   async get(key) {
     try {
       logInfo(`SessionStorageAdapter - Getting key '${key}'`);
-      const fullKey = this._fullKey(key);
-      const raw = sessionStorage.getItem(fullKey);
-      if (!raw) return null;
+      const fullKey = await this._storageKey(key);
+      const entry = this._unwrapEntry(sessionStorage.getItem(fullKey));
+      if (!entry?.raw) return null;
 
-      const expires = await this.getExpire(key);
-      if (expires && Date.now() >= expires) {
-        await this.delete(key);
+      if (entry.expiresAt && Date.now() >= entry.expiresAt) {
+        await this._deleteExpired([key]);
         return null;
       }
 
-      return await this._decrypt(key, raw);
+      const value = await this._decrypt(key, entry.raw);
+      if (value !== null) {
+        await this._touchEntry(fullKey, entry);
+      }
+      return value;
     } catch (err) {
       logError(`Error getting key '${key}':`, err);
+      if (err instanceof StoragefyDecryptionError) throw err;
+      if (this.strict) throw err;
       return null;
     }
   }
@@ -136,43 +327,61 @@ class SessionStorageAdapter extends StorageAdapter {
    * Stores a value, with optional expiration.
    * @param {string} key
    * @param {any} value
-   * @param {number} [expire] - Time in ms until expiration.
+   * @param {number|{ttl: number, sliding?: boolean}} [expire] - Time in ms until expiration, or
+   *        `{ ttl, sliding: true }` to push it forward on every read.
+   * @param {Object} [options]
+   * @param {{base: Object, ops: *}} [options.patch] - Change from the previous value, sent to the other tabs.
+   * @param {{clock: number, tabId: string}} [options.version] - Version of the value, kept in its envelope and sent to the other tabs.
    * @returns {Promise<boolean|null>}
+   * @throws {StoragefyQuotaError} If the storage is full and `onQuotaExceeded` did not free it.
    */
-  async set(key, value, expire) {
+  async set(key, value, expire, { patch, version } = {}) {
     try {
       logInfo(`SessionStorageAdapter - Setting key: ${key}`, { value, expire });
       if (!key && !value) return false;
 
-      const fullKey = this._fullKey(key);
+      const fullKey = await this._storageKey(key);
       if (key && (value === undefined || value === null)) {
-        await this.delete(fullKey);
+        await this.delete(key);
+        return null;
+      }
+      const { ttl, sliding } = this._parseExpire(expire);
+      if (typeof ttl === "number" && ttl <= 0) {
+        await this.delete(key);
         return null;
       }
+      const expiresAt = typeof ttl === "number" ? Date.now() + ttl : null;
 
-      value = JSON.stringify(value);
-      const encrypted = await this._encrypt(key, value);
+      const oldValue = await this._previousValue("set", key, fullKey);
+      const encrypted = await this._encrypt(key, JSON.stringify(value));
       if (!encrypted) return false;
+      await this._evictFor([{ fullKey, raw: encrypted }]);
 
-      sessionStorage.setItem(fullKey, encrypted);
-      if (this.enableSyncTabs) {
-        this.emitDataChange(key, encrypted, "set");
-      }
-
-      if (typeof expire !== "number") {
-        await this.deleteExpire(key);
-        return true;
-      }
+      await this._withQuota([key], this._entrySize(fullKey, encrypted), () =>
+        sessionStorage.setItem(
+          fullKey,
+          this._wrapEntry(
+            encrypted,
+            expiresAt,
+            sliding ? ttl : null,
+            this._newAccess(),
+            version
+          )
+        )
+      );
+      this._scheduleExpire(expiresAt);
+      await this._updateKeyIndex(key, true);
+      this._emitEvent("set", { key, oldValue, newValue: value });
 
-      if (expire > 0) {
-        await this.setExpire(key, Date.now() + expire);
-        return true;
+      if (this.enableSyncTabs) {
+        this.emitDataChange(key, encrypted, "set", version, patch);
       }
-
-      await this.delete(key);
-      return null;
+      return true;
     } catch (err) {
       logError(`Error setting key '${key}':`, err);
+      if (err instanceof StoragefyDecryptionError) throw err;
+      if (err instanceof StoragefyQuotaError) throw err;
+      if (this.strict) throw err;
       return false;
     }
   }
@@ -187,17 +396,20 @@ class SessionStorageAdapter extends StorageAdapter {
   async delete(key) {
     try {
       logInfo(`SessionStorageAdapter - Deleting key '${key}'`);
-      const fullKey = this._fullKey(key);
+      const fullKey = await this._storageKey(key);
+      const oldValue = await this._previousValue("delete", key, fullKey);
       sessionStorage.removeItem(fullKey);
+      await this._updateKeyIndex(key, false);
+      if (oldValue !== null) {
+        this._emitEvent("delete", { key, oldValue, newValue: null });
+      }
 
-      const exp = this._loadExpires();
-      delete exp[key];
-      sessionStorage.setItem(this.expireKey, JSON.stringify(exp));
       if (this.enableSyncTabs) {
         this.emitDataChange(key, undefined, "delete");
       }
     } catch (err) {
       logError(`Error deleting key '${key}':`, err);
+      if (this.strict) throw err;
     }
   }
 
@@ -213,17 +425,17 @@ class SessionStorageAdapter extends StorageAdapter {
       logInfo(
         `SessionStorageAdapter - Listing keys with prefix '${this.prefix}'`
       );
+      const toKey = await this._keyResolver();
+      const keys = [];
       for (let i = 0; i < sessionStorage.length; i++) {
-        let k = sessionStorage.key(i);
-        if (this.encrypt) {
-          k = simpleDeobfuscate(k);
-        }
-        if (k === this.metaKey || k === this.expireKey) continue;
-        if (k.startsWith(this.prefix)) {
-          const value = await this.get(k.replace(this.prefix, ""));
-          if (value !== null) {
-            results.push({ key: k.replace(this.prefix, ""), value });
-          }
+        const key = toKey(sessionStorage.key(i));
+        if (key !== null) keys.push(key);
+      }
+
+      for (const key of keys) {
+        const value = await this.get(key);
+        if (value !== null) {
+          results.push({ key, value });
         }
       }
     } catch (err) {
@@ -243,10 +455,11 @@ class SessionStorageAdapter extends StorageAdapter {
   async has(key) {
     try {
       logInfo(`SessionStorageAdapter - Checking existence of key '${key}'`);
-      const fullKey = this._fullKey(key);
+      const fullKey = await this._storageKey(key);
       return sessionStorage.getItem(fullKey) !== null;
     } catch (err) {
       logError(`Error checking key '${key}':`, err);
+      if (this.strict) throw err;
       return false;
     }
   }
@@ -261,10 +474,13 @@ class SessionStorageAdapter extends StorageAdapter {
     try {
       logInfo("SessionStorageAdapter - Clearing all data");
       await this.reset();
+      this._resetEncryptionState();
       sessionStorage.removeItem(this.metaKey);
       sessionStorage.removeItem(this.expireKey);
+      this._emitEvent("clear", { key: null, oldValue: null, newValue: null });
     } catch (err) {
       logError("Error clearing storage:", err);
+      if (this.strict) throw err;
     }
   }
 
@@ -277,93 +493,32 @@ class SessionStorageAdapter extends StorageAdapter {
   async reset() {
     try {
       logInfo("SessionStorageAdapter - Resetting storage");
+      // Hashed keys cannot be resolved while locked, they are still removed
+      const toKey = await this._keyResolver().catch(() => () => null);
       const keysToRemove = [];
-
       for (let i = 0; i < sessionStorage.length; i++) {
         const key = sessionStorage.key(i);
-        if (key.startsWith(this.prefix)) {
+        if (
+          key === this.indexKey ||
+          key.startsWith(this.prefix) ||
+          toKey(key) !== null
+        ) {
           keysToRemove.push(key);
         }
       }
 
       for (const key of keysToRemove) {
         sessionStorage.removeItem(key);
-        if (this.enableSyncTabs) {
-          this.emitDataChange(key.replace(this.prefix, ""), undefined, "reset");
+        const baseKey = toKey(key);
+        if (this.enableSyncTabs && baseKey !== null) {
+          this.emitDataChange(baseKey, undefined, "reset");
         }
       }
+      this._emitEvent("reset", { key: null, oldValue: null, newValue: null });
     } catch (error) {
       logError("Error resetting storage:", error);
     }
   }
-
-  // ----------------------------------------------------------------------------------------------
-
-  /**
-   * Sets an expiration timestamp for a key.
-   * @param {string} key
-   * @param {number} timestamp - Expiration time (epoch ms).
-   * @returns {Promise<void>}
-   */
-  async setExpire(key, timestamp) {
-    try {
-      logInfo(`SessionStorageAdapter - Setting expire for key '${key}'`);
-      const expires = this._loadExpires();
-      expires[key] = timestamp;
-      sessionStorage.setItem(this.expireKey, JSON.stringify(expires));
-    } catch (err) {
-      logError(`Error setting expire for key '${key}':`, err);
-    }
-  }
-
-  // ----------------------------------------------------------------------------------------------
-
-  /**
-   * Removes expiration data for a given key.
-   * @param {string} key
-   * @returns {Promise<void>}
-   */
-  async deleteExpire(key) {
-    try {
-      logInfo(`SessionStorageAdapter - Deleting expire for key '${key}'`);
-      const expires = this._loadExpires();
-      delete expires[key];
-      sessionStorage.setItem(this.expireKey, JSON.stringify(expires));
-    } catch (err) {
-      logError(`Error deleting expire for key '${key}':`, err);
-    }
-  }
-
-  // ----------------------------------------------------------------------------------------------
-
-  /**
-   * Clears all expired keys based on their timestamps.
-   * @returns {Promise<void>}
-   */
-  async clearExpire() {
-    try {
-      logInfo("SessionStorageAdapter - Clearing expired keys");
-      const now = Date.now();
-      const expires = this._loadExpires();
-      let changed = false;
-
-      for (const key in expires) {
-        if (expires[key] <= now) {
-          await this.delete(key);
-          changed = true;
-        }
-      }
-
-      if (changed) {
-        sessionStorage.setItem(
-          this.expireKey,
-          JSON.stringify(this._loadExpires())
-        );
-      }
-    } catch (err) {
-      logError("Error clearing expired keys:", err);
-    }
-  }
 }
 
 // ----------------------------------------------------------------------------------------------
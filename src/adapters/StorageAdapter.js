@@ -1,6 +1,76 @@
 import * as cryptoHelper from "../helpers/cryptoHelper.js";
 import CrossTabChannel from "../helpers/CrossTabChannel.js";
 import { logInfo, logWarn, logError } from "../helpers/loggerHelper.js";
+import {
+  StoragefyCorruptDataError,
+  StoragefyDecryptionError,
+  StoragefyNotReadyError,
+  StoragefyQuotaError,
+} from "../helpers/errorHelper.js";
+import { withLock } from "../helpers/lockHelper.js";
+import LeaderElection from "../helpers/LeaderElection.js";
+
+// -------------------------------------------------------------------------------------------------
+
+/**
+ * Known value encrypted with the database key and kept in the metadata, used to detect
+ * a wrong encryption secret before any data is read or written.
+ */
+const KEY_CHECK_VALUE = "storagefy";
+
+/**
+ * PBKDF2 iterations of the keys earlier versions derived from each key name, without a
+ * password or salt.
+ */
+const LEGACY_ITERATIONS = 100000;
+
+/**
+ * How many times `update()` runs the updater again when the entry changed before its
+ * result could be written.
+ */
+const UPDATE_ATTEMPTS = 3;
+
+/**
+ * How many times a batch is written again when another tab changed the key index between
+ * reading it and writing the batch with it.
+ */
+const KEY_INDEX_ATTEMPTS = 3;
+
+/**
+ * Property marking a stored entry envelope, see `_wrapEntry()`.
+ */
+const ENVELOPE_MARKER = "strgf";
+
+/**
+ * Longest delay `setTimeout()` accepts; later expirations are checked again when it fires.
+ */
+const MAX_TIMER_DELAY = 2147483647;
+
+/**
+ * Local events handlers can subscribe to with `on()`.
+ */
+const EVENTS = ["set", "delete", "expire", "evict", "clear", "reset"];
+
+/**
+ * Events fired for entries removed by the adapter itself, whose old value is reported even
+ * when already expired.
+ */
+const REMOVALS = new Set(["expire", "evict"]);
+
+/**
+ * Order in which each eviction policy removes entries, first evicted first. Entries
+ * written before access tracking was enabled count as the oldest and least used.
+ */
+const EVICTION_POLICIES = {
+  lru: (a, b) => (a.access?.accessedAt ?? 0) - (b.access?.accessedAt ?? 0),
+  lfu: (a, b) =>
+    (a.access?.hits ?? 0) - (b.access?.hits ?? 0) ||
+    EVICTION_POLICIES.lru(a, b),
+  fifo: (a, b) => (a.access?.createdAt ?? 0) - (b.access?.createdAt ?? 0),
+  "ttl-first": (a, b) =>
+    (a.expiresAt ?? Infinity) - (b.expiresAt ?? Infinity) ||
+    EVICTION_POLICIES.lru(a, b),
+};
 
 // -------------------------------------------------------------------------------------------------
 
@@ -21,6 +91,24 @@ class StorageAdapter {
    *                                 If provided, a CrossTabChannel is initialized for emitting and receiving changes.
    */
   constructor(channelName) {
+    // Handlers registered with on(), by event name
+    this._listeners = new Map();
+    // Lenient by default: failures are logged and methods return null/false
+    this.strict = false;
+    // Schema migrations in progress, awaited before keys are resolved
+    this.migrations = [];
+    this._migrating = Promise.resolve();
+    // Every instance leads unless it takes part in an election, see _initLeaderElection()
+    this.isLeader = true;
+    this._election = null;
+    this._leaderHandlers = new Set();
+    // Evictions the leader runs for its followers, see _evictToBudget()
+    this._evictQueue = Promise.resolve();
+    // Migrations waiting for the leader, see _waitMigrationTurn()
+    this._migrationTurn = null;
+    // Lamport clock stamping the states written with a conflict strategy, see _nextVersion()
+    this.clock = 0;
+
     // If a channel name is provided, initialize the cross-tab channel.
     if (channelName) {
       logInfo("StorageAdapter - Initializing cross-tab channel:", channelName);
@@ -56,11 +144,20 @@ class StorageAdapter {
    * @abstract
    * @param {string} key - The storage key.
    * @param {any} value - The value to store.
-   * @param {number} [expire] - Optional expiration in milliseconds from now.
+   * @param {number|{ttl: number, sliding?: boolean}} [expire] - Optional expiration in
+   *        milliseconds from now. With `{ ttl, sliding: true }` every successful `get()`
+   *        pushes the expiration `ttl` ms forward again.
+   * @param {Object} [options]
+   * @param {{base: Object, ops: *}} [options.patch] - Change from the previous value, sent to
+   *        the other tabs instead of having them read the whole value, see `emitDataChange()`.
+   * @param {{clock: number, tabId: string}} [options.version] - Version of the value, kept in
+   *        the entry metadata next to the expiration and sent to the other tabs, see
+   *        `_readVersion()`.
    * @returns {Promise<void>}
+   * @throws {StoragefyQuotaError} If the storage is full, see `onQuotaExceeded`.
    * @throws Will throw if not implemented.
    */
-  async set(key, value, expire) {
+  async set(key, value, expire, options = {}) {
     throw new Error("Not implemented");
   }
 
@@ -117,40 +214,70 @@ class StorageAdapter {
   // ----------------------------------------------------------------------------------------------
 
   /**
-   * Remove all expired keys.
-   * @abstract
+   * Remove all expired keys in a single batch, firing an `expire` event for each. Expiration
+   * is stored with each entry, so this scans the entries under the prefix; adapters with
+   * indexes override it with a range scan.
    * @returns {Promise<void>}
-   * @throws Will throw if not implemented.
    */
   async clearExpire() {
-    throw new Error("Not implemented");
+    try {
+      logInfo("StorageAdapter - Clearing expired keys");
+      const now = Date.now();
+      const fullKeys = this._rawKeys();
+      const entries = await this._readBatch(fullKeys);
+      const toKey = await this._keyResolver();
+      const expired = [];
+      entries.forEach((entry, i) => {
+        if (!entry?.expiresAt || entry.expiresAt > now) return;
+        const key = toKey(fullKeys[i]);
+        if (key !== null) expired.push(key);
+      });
+
+      if (expired.length) {
+        await this._deleteExpired(expired);
+      }
+    } catch (err) {
+      logError("Error clearing expired keys:", err);
+      if (this.strict) throw err;
+    }
   }
 
   // ----------------------------------------------------------------------------------------------
 
   /**
-   * Set an expiration time (in ms) for a given key.
-   * @abstract
+   * Set an expiration time for a given key. Has no effect on missing keys. The expiration
+   * is fixed afterwards, even if the key had a sliding one.
    * @param {string} key - Key to expire.
    * @param {number} time - Expiration timestamp in ms.
    * @returns {Promise<void>}
-   * @throws Will throw if not implemented.
    */
   async setExpire(key, time) {
-    throw new Error("Not implemented");
+    try {
+      logInfo(`StorageAdapter - Setting expiration for key: ${key}`, { time });
+      await this._writeExpire(await this._storageKey(key), time);
+      this._scheduleExpire(time);
+    } catch (err) {
+      logError(`Error setting expire for key '${key}':`, err);
+      if (this.strict) throw err;
+    }
   }
 
   // ----------------------------------------------------------------------------------------------
 
   /**
    * Remove expiration for a specific key.
-   * @abstract
    * @param {string} key - Key to remove expiration from.
    * @returns {Promise<void>}
-   * @throws Will throw if not implemented.
    */
   async deleteExpire(key) {
-    throw new Error("Not implemented");
+    try {
+      logInfo(`StorageAdapter - Deleting expiration for key: ${key}`);
+      await this._writeExpire(await this._storageKey(key), null);
+      await this._rescheduleExpire();
+    } catch (err) {
+      logError(`Error deleting expire for key '${key}':`, err);
+      if (this.strict) throw err;
+    }
   }
 
   // ----------------------------------------------------------------------------------------------
@@ -169,199 +296,2490 @@ class StorageAdapter {
   // ----------------------------------------------------------------------------------------------
 
   /**
-   * Encrypt a value
-   * @protected
-   * @param {any} value - Value to encrypt.
-   * @returns {Promise<string|null>} - Encrypted JSON string or null on failure.
+   * Retrieve several values at once. Missing or expired keys resolve to `null`, and
+   * expired keys are removed in a single batch.
+   * @param {string[]} keys - The storage keys.
+   * @returns {Promise<Array<{key: string, value: any}>>} One entry per key, in the same order.
+   * @throws {StoragefyDecryptionError} If the encryption secret is missing or wrong.
    */
-  async _encrypt(key, value) {
-    if (!this.encrypt || !key) return value;
+  async getMany(keys) {
     try {
-      const cKey = await cryptoHelper.deriveKey(key);
-      const encrypted = await cryptoHelper.encryptData(cKey, value, false);
-      logInfo(
-        `StorageAdapter - Successfully encrypted value for key "${key}".`
-      );
-      return JSON.stringify(encrypted);
+      logInfo(`StorageAdapter - Getting ${keys.length} keys`);
+      const fullKeys = [];
+      for (const key of keys) {
+        fullKeys.push(await this._storageKey(key));
+      }
+
+      const entries = await this._readBatch(fullKeys);
+      const now = Date.now();
+      const results = [];
+      const expired = [];
+      for (let i = 0; i < keys.length; i++) {
+        const entry = entries[i];
+        if (entry?.expiresAt && now >= entry.expiresAt) {
+          expired.push(keys[i]);
+          results.push({ key: keys[i], value: null });
+          continue;
+        }
+        const value = entry ? await this._decrypt(keys[i], entry.raw) : null;
+        if (value !== null) {
+          await this._touchEntry(fullKeys[i], entry);
+        }
+        results.push({ key: keys[i], value });
+      }
+
+      if (expired.length) {
+        await this._deleteExpired(expired);
+      }
+      return results;
     } catch (err) {
-      logError("Encryption failed:", err);
-      return null;
+      logError("Error getting keys:", err);
+      if (err instanceof StoragefyDecryptionError) throw err;
+      if (this.strict) throw err;
+      return keys.map((key) => ({ key, value: null }));
     }
   }
 
   // ----------------------------------------------------------------------------------------------
 
   /**
-   * Decrypt a previously encrypted value.
-   * @protected
-   * @param {string} value - Encrypted stringified data.
-   * @returns {Promise<any|null>} - Decrypted object or null on failure.
+   * Store several values at once. Every value is encrypted before anything is written, and
+   * entries with a `null` or `undefined` value are deleted, like `set()` does.
+   * @param {Array<{key: string, value: any}>} entries - Entries to store, e.g. from `list()`.
+   * @param {Object} [options]
+   * @param {number|{ttl: number, sliding?: boolean}} [options.expire] - Optional expiration for
+   *        every entry, see `set()`.
+   * @returns {Promise<boolean|null>} `true` once stored, `null` if `expire` deleted the entries,
+   *                                  `false` on failure.
+   * @throws {StoragefyDecryptionError} If the encryption secret is missing or wrong.
+   * @throws {StoragefyQuotaError} If the storage is full, see `onQuotaExceeded`.
    */
-  async _decrypt(key, value) {
-    if (!this.encrypt || !key) return JSON.parse(value);
+  async setMany(entries, { expire } = {}) {
     try {
-      const cKey = await cryptoHelper.deriveKey(key);
-      const encryptedObj = JSON.parse(value);
-      const decrypted = await cryptoHelper.decryptData(
-        cKey,
-        encryptedObj,
-        false
-      );
-      logInfo(
-        `StorageAdapter - Successfully decrypted value for key "${key}".`
-      );
-      return JSON.parse(decrypted);
+      logInfo(`StorageAdapter - Setting ${entries.length} keys`, { expire });
+      const { ttl, sliding } = this._parseExpire(expire);
+      if (typeof ttl === "number" && ttl <= 0) {
+        await this.deleteMany(entries.map(({ key }) => key));
+        return null;
+      }
+
+      const expiresAt = typeof ttl === "number" ? Date.now() + ttl : null;
+      const ops = [];
+      for (const { key, value } of entries) {
+        if (!key) continue;
+        const op = await this._batchOp(key);
+        if (value !== undefined && value !== null) {
+          op.raw = await this._encrypt(key, JSON.stringify(value));
+          if (!op.raw) return false;
+          op.expiresAt = expiresAt;
+          op.ttl = sliding ? ttl : null;
+          op.access = this._newAccess();
+          op.value = value;
+        }
+        ops.push(op);
+      }
+
+      await this._commitBatch(ops, "set");
+      return true;
     } catch (err) {
-      logError("Decryption failed:", err);
-      return null;
+      logError("Error setting keys:", err);
+      if (err instanceof StoragefyDecryptionError) throw err;
+      if (err instanceof StoragefyQuotaError) throw err;
+      if (this.strict) throw err;
+      return false;
     }
   }
 
   // ----------------------------------------------------------------------------------------------
 
   /**
-   * Generate the full namespaced key.
+   * Delete several keys and their expirations at once.
+   * @param {string[]} keys - The storage keys to remove.
+   * @returns {Promise<void>}
+   */
+  async deleteMany(keys) {
+    try {
+      logInfo(`StorageAdapter - Deleting ${keys.length} keys`);
+      const ops = [];
+      for (const key of keys) {
+        ops.push(await this._batchOp(key));
+      }
+      await this._commitBatch(ops, "delete");
+    } catch (err) {
+      logError("Error deleting keys:", err);
+      if (this.strict) throw err;
+    }
+  }
+
+  // ----------------------------------------------------------------------------------------------
+
+  /**
+   * Atomically replaces a value with the result of `updater(currentValue)`. The read and the
+   * write hold an exclusive lock on the key (Web Locks across tabs when available, an
+   * in-process mutex otherwise), and adapters with transactions also check the entry did not
+   * change before writing, running the updater again if it did.
+   * Returning `null` or `undefined` from the updater deletes the key.
+   * @param {string} key - The storage key.
+   * @param {function(any): any} updater - Receives the current value (`null` when missing) and
+   *                                       returns the new one, may be async.
+   * @param {Object} [options]
+   * @param {number|{ttl: number, sliding?: boolean}} [options.expire] - Expiration, see
+   *        `set()`. When omitted the current expiration is kept, and a sliding one slides.
+   * @returns {Promise<any|null>} The new value, or `null` if the key was deleted.
+   * @throws {Error} If the updater throws or the entry keeps changing while updating.
+   * @throws {StoragefyDecryptionError} If the encryption secret is missing or wrong.
+   * @throws {StoragefyQuotaError} If the storage is full, see `onQuotaExceeded`.
+   */
+  async update(key, updater, { expire } = {}) {
+    if (typeof updater !== "function") {
+      throw new Error("update requires an updater function");
+    }
+    logInfo(`StorageAdapter - Updating key: ${key}`, { expire });
+
+    return withLock(`storagefy:${this.dbName}:${key}`, async () => {
+      for (let attempt = 1; attempt <= UPDATE_ATTEMPTS; attempt++) {
+        const op = await this._batchOp(key);
+        const [entry] = await this._readBatch([op.fullKey]);
+        const raw = entry?.raw ?? null;
+        const currentExpire = entry?.expiresAt ?? null;
+        const currentTtl = entry?.ttl ?? null;
+        const expired = !!raw && !!currentExpire && Date.now() >= currentExpire;
+        const current = raw && !expired ? await this._decrypt(key, raw) : null;
+
+        const next = await updater(current);
+        op.oldValue = current;
+        if (next !== undefined && next !== null) {
+          op.raw = await this._encrypt(key, JSON.stringify(next));
+          if (!op.raw) {
+            throw new Error(`Could not store the updated value for key "${key}"`);
+          }
+          const { ttl, sliding } = this._parseExpire(expire);
+          if (typeof ttl === "number") {
+            op.expiresAt = Date.now() + ttl;
+            op.ttl = sliding ? ttl : null;
+          } else if (current !== null && currentTtl) {
+            op.expiresAt = Date.now() + currentTtl;
+            op.ttl = currentTtl;
+          } else if (current !== null) {
+            op.expiresAt = currentExpire;
+          }
+          op.access = this._newAccess();
+          op.value = next;
+        }
+
+        // Evictions and the key index update are written with the value, under the check
+        const checks = [{ fullKey: op.fullKey, expected: raw }];
+        if (!(await this._commitBatch([op], null, checks))) {
+          logWarn(`StorageAdapter - Key "${key}" changed while updating, retrying.`);
+          continue;
+        }
+        if (this.enableSyncTabs) {
+          this.emitDataChange(key, undefined, "update");
+        }
+        return op.raw === null ? null : next;
+      }
+
+      logError(`Key "${key}" kept changing while updating`);
+      throw new Error(`Key "${key}" kept changing while updating`);
+    });
+  }
+
+  // ----------------------------------------------------------------------------------------------
+
+  /**
+   * Builds a batch operation deleting a key; `setMany()` fills in the value to store instead.
    * @protected
    * @param {string} key - The base key.
-   * @returns {string} - The namespaced key.
+   * @returns {Promise<{key: string, fullKey: string, raw: string|null, expiresAt: number|null, ttl: number|null, access: Object|null}>}
    */
-  _fullKey(key) {
-    const full = `${this.prefix}${key}`;
-    if (this.encrypt) {
-      const obfuscated = cryptoHelper.simpleObfuscate(full);
-      logInfo(`StorageAdapter - Obfuscated key "${key}" to "${obfuscated}".`);
-      return obfuscated;
+  async _batchOp(key) {
+    return {
+      key,
+      fullKey: await this._storageKey(key),
+      raw: null,
+      expiresAt: null,
+      ttl: null,
+      access: null,
+    };
+  }
+
+  // ----------------------------------------------------------------------------------------------
+
+  /**
+   * Normalizes the `expire` argument of `set()`.
+   * @protected
+   * @param {number|{ttl: number, sliding?: boolean}} [expire]
+   * @returns {{ttl: number|undefined, sliding: boolean}} `ttl` in ms, `undefined` for no
+   *          expiration; `sliding` when reads should push the expiration forward.
+   */
+  _parseExpire(expire) {
+    if (expire && typeof expire === "object") {
+      const ttl = typeof expire.ttl === "number" ? expire.ttl : undefined;
+      return { ttl, sliding: !!expire.sliding && ttl !== undefined };
     }
-    logInfo(`StorageAdapter - Using plain key: "${full}"`);
-    return full;
+    return { ttl: typeof expire === "number" ? expire : undefined, sliding: false };
   }
 
   // ----------------------------------------------------------------------------------------------
 
   /**
-   * Starts the expiration watcher to periodically clear expired keys.
+   * Records a successful read: pushes the expiration of a sliding entry `ttl` ms forward
+   * and updates the access metadata when eviction is enabled, in a single write.
    * @protected
+   * @param {string} fullKey - Storage key as stored.
+   * @param {Object|null} entry - Entry from `_readBatch()`.
+   * @returns {Promise<void>}
    */
-  _startExpireWatcher() {
-    if (this._expireTimer) clearInterval(this._expireTimer);
-    if (this.expireCheckInterval <= 0) {
-      return;
+  async _touchEntry(fullKey, entry) {
+    const tracked = this._evictionEnabled();
+    if (!entry || (!entry.ttl && !tracked)) return;
+    const now = Date.now();
+    const expiresAt = entry.ttl ? now + entry.ttl : entry.expiresAt;
+    const access = tracked
+      ? {
+          createdAt: entry.access?.createdAt ?? now,
+          accessedAt: now,
+          hits: (entry.access?.hits ?? 0) + 1,
+        }
+      : undefined;
+    await this._writeExpire(fullKey, expiresAt, entry.ttl, access);
+  }
+  // ----------------------------------------------------------------------------------------------
+
+  /**
+   * Writes a batch and emits a single cross-tab event for it. The entries evicted to make
+   * room and the key index update are written along with the batch, so a failed check
+   * leaves all of them untouched. Each operation also fires a local `set` or `delete`
+   * event, or `op.event` when given.
+   * @protected
+   * @param {Array<Object>} ops - Operations built by `_batchOp()`, writes also carry the new
+   *                              `value` for the events, and `oldValue` when already read.
+   * @param {string|null} origin - Origin of the cross-tab event, `null` to send none.
+   * @param {Array<{fullKey: string, expected: string|null}>} [checks=[]] - Values that must be
+   *                                                                     unchanged, see `_writeBatch()`.
+   * @returns {Promise<boolean>} `false` if a check failed and nothing was written.
+   */
+  async _commitBatch(ops, origin, checks = []) {
+    if (!ops.length) return true;
+    const writes = ops.filter(({ raw }) => raw !== null);
+    if (writes.length) {
+      ops = [...ops, ...(await this._evictOps(await this._evictionPlan(writes)))];
     }
-    this._expireTimer = setInterval(() => {
-      try {
-        logInfo("StorageAdapter - Running expiration cleanup...");
-        this.clearExpire();
-      } catch (err) {
-        logError("Error clearing expired keys:", err);
-      }
-    }, this.expireCheckInterval);
-    logInfo(
-      `StorageAdapter - Expire watcher started, interval: ${this.expireCheckInterval}ms`
+    const events = ops.map(
+      ({ raw, event }) => event || (raw === null ? "delete" : "set")
+    );
+    const oldValues = await this._previousValues(ops, events);
+    const written = await this._withQuota(
+      writes.map(({ key }) => key),
+      this._batchSize(writes),
+      () => this._writeIndexedBatch(ops, checks)
     );
+    if (written === false) return false;
+    ops.forEach(({ expiresAt }) => this._scheduleExpire(expiresAt));
+    if (writes.length) this._requestEviction();
+    ops.forEach(({ key, value = null }, i) => {
+      // Removing a missing key is not a change
+      if (events[i] !== "set" && oldValues[i] === null) return;
+      this._emitEvent(events[i], { key, oldValue: oldValues[i], newValue: value });
+    });
+    if (this.enableSyncTabs) {
+      this.emitBatchChange(
+        ops.map(({ key }) => key),
+        origin
+      );
+    }
+    return true;
   }
 
   // ----------------------------------------------------------------------------------------------
 
   /**
-   * Cleans up timers and listeners.
+   * Approximate size of the values a batch writes, see `_entrySize()`.
+   * @private
+   * @param {Array<{fullKey: string, raw: string}>} writes - Operations storing a value.
+   * @returns {number}
    */
-  destroy() {
-    if (this._expireTimer) {
-      clearInterval(this._expireTimer);
-      this._expireTimer = null;
-      logInfo("StorageAdapter - Expire watcher stopped.");
+  _batchSize(writes) {
+    return writes.reduce((total, { fullKey, raw }) => total + this._entrySize(fullKey, raw), 0);
+  }
+
+  // ----------------------------------------------------------------------------------------------
+
+  /**
+   * Removes expired keys in a single batch and fires an `expire` event for each.
+   * @protected
+   * @param {string[]} keys - The base keys.
+   * @returns {Promise<void>}
+   */
+  async _deleteExpired(keys) {
+    logInfo(`StorageAdapter - Removing ${keys.length} expired keys`);
+    const ops = [];
+    for (const key of keys) {
+      const op = await this._batchOp(key);
+      op.event = "expire";
+      ops.push(op);
     }
+    await this._commitBatch(ops, "delete");
+  }
 
-    if (this._unloadHandler) {
-      window.removeEventListener("beforeunload", this._unloadHandler);
-      this._unloadHandler = null;
-      logInfo("StorageAdapter - Removed unload handler.");
+  // ----------------------------------------------------------------------------------------------
+
+  /**
+   * Sets up the size budget and the eviction policy.
+   * @protected
+   * @param {Object} options
+   * @param {number} [options.maxEntries] - Maximum number of entries under the prefix.
+   * @param {number} [options.maxBytes] - Maximum size of the entries, see `_entrySize()`.
+   * @param {"lru"|"lfu"|"fifo"|"ttl-first"} [options.evictionPolicy="lru"] - Entries evicted first.
+   * @throws {Error} If the policy is unknown.
+   */
+  _initEviction({ maxEntries, maxBytes, evictionPolicy = "lru" }) {
+    if (!EVICTION_POLICIES[evictionPolicy]) {
+      throw new Error(
+        `Unknown eviction policy "${evictionPolicy}", expected one of: ${Object.keys(
+          EVICTION_POLICIES
+        ).join(", ")}`
+      );
     }
+    this.maxEntries = maxEntries > 0 ? maxEntries : null;
+    this.maxBytes = maxBytes > 0 ? maxBytes : null;
+    this.evictionPolicy = evictionPolicy;
   }
 
   // ----------------------------------------------------------------------------------------------
 
   /**
-   * List all keys under a specific table prefix.
-   * @param {string} tableName - Table prefix.
-   * @returns {Promise<string[]>} - List of keys.
+   * Whether a budget is set, in which case entries carry access metadata.
+   * @protected
+   * @returns {boolean}
    */
-  async getAll(tableName) {
-    logInfo(`StorageAdapter - Getting all keys under table: "${tableName}"`);
-    return this.list(`${tableName}__`);
+  _evictionEnabled() {
+    return !!(this.maxEntries || this.maxBytes);
   }
 
   // ----------------------------------------------------------------------------------------------
 
   /**
-   * Get the expiration timestamp for a key.
-   * @param {string} key - Key to check.
-   * @returns {Promise<number|null>} - Expiration timestamp or null.
+   * Access metadata for an entry being written, `null` when eviction is disabled. Writes
+   * start the metadata over.
+   * @protected
+   * @returns {{createdAt: number, accessedAt: number, hits: number}|null}
    */
-  async getExpire(key) {
-    try {
-      const expires = await this._loadExpires();
-      logInfo(
-        `StorageAdapter - Getting expiration for key "${key}":`,
-        expires[key] || null
-      );
-      return expires[key] || null;
-    } catch (err) {
-      logError(`Error getting expire for key '${key}':`, err);
-      return null;
-    }
+  _newAccess() {
+    if (!this._evictionEnabled()) return null;
+    const now = Date.now();
+    return { createdAt: now, accessedAt: now, hits: 0 };
   }
 
   // ----------------------------------------------------------------------------------------------
 
   /**
-   * Emits a data change event through the communication channel,
-   * typically used to notify other tabs, windows, or contexts that
-   * a value has been updated.
-   *
-   * @param {string} key - The key of the updated data.
-   * @param {*} value - The new value associated with the key. May be encrypted depending on adapter logic.
-   * @param {string} origin - A unique identifier for the source of the change (e.g., tab ID or UUID).
+   * Approximate size of an entry: the key and value lengths as UTF-16, like Web Storage
+   * counts them against its quota.
+   * @protected
+   * @param {string} fullKey - Storage key as stored.
+   * @param {string} raw - Value as stored.
+   * @returns {number} Size in bytes.
    */
-  emitDataChange(key, value, origin) {
-    // Ensure the communication channel is active and an origin is provided.
-    if (!this.channelName || !origin) {
-      return;
+  _entrySize(fullKey, raw) {
+    return (fullKey.length + raw.length) * 2;
+  }
+
+  // ----------------------------------------------------------------------------------------------
+
+  /**
+   * Lists every entry under the prefix with its metadata, in one read.
+   * @protected
+   * @returns {Promise<Array<{fullKey: string, entry: Object}>>}
+   */
+  async _listEntries() {
+    const fullKeys = this._rawKeys().filter((fullKey) => fullKey !== this.indexKey);
+    const entries = await this._readBatch(fullKeys);
+    return fullKeys
+      .map((fullKey, i) => ({ fullKey, entry: entries[i] }))
+      .filter(({ entry }) => entry);
+  }
+
+  // ----------------------------------------------------------------------------------------------
+
+  /**
+   * Lists what eviction needs to know about every entry under the prefix: its expiration,
+   * access metadata and size.
+   * @protected
+   * @returns {Promise<Array<{fullKey: string, expiresAt: number|null, access: Object|null, size: number}>>}
+   */
+  async _listEvictable() {
+    return (await this._listEntries()).map(({ fullKey, entry }) => ({
+      fullKey,
+      expiresAt: entry.expiresAt,
+      access: entry.access,
+      size: this._entrySize(fullKey, entry.raw),
+    }));
+  }
+
+  // ----------------------------------------------------------------------------------------------
+
+  /**
+   * Reads entries to copy to another adapter, see `migrateStorage()`. Values are not
+   * decrypted, and reading them neither pushes sliding expirations forward nor counts as an
+   * access.
+   * @protected
+   * @param {string[]} [keys] - Base keys to read, defaults to every key.
+   * @returns {Promise<Array<{key: string, entry: Object|null}>>} Entries from `_readBatch()`,
+   *          `null` for missing keys.
+   */
+  async _exportEntries(keys) {
+    if (!keys) {
+      const toKey = await this._keyResolver();
+      return (await this._listEntries())
+        .map(({ fullKey, entry }) => ({ key: toKey(fullKey), entry }))
+        .filter(({ key }) => key !== null);
     }
-    logInfo(
-      `StorageAdapter - Emitting data change for key "${key}" from origin "${origin}"`
-    );
-    // Emit a structured message containing change metadata and the new value.
-    this.channel.emit({
-      adapterId: this.adapterId, // Identifies which adapter emitted the change.
-      key, // The key that was changed.
-      value, // The new (possibly encrypted) value.
-      origin, // Identifies the origin of this change.
-    });
+    const fullKeys = [];
+    for (const key of keys) {
+      fullKeys.push(await this._storageKey(key));
+    }
+    const entries = await this._readBatch(fullKeys);
+    return keys.map((key, i) => ({ key, entry: entries[i] }));
   }
 
   // ----------------------------------------------------------------------------------------------
 
   /**
-   * Registers a callback function to be invoked when data changes
-   * are emitted through the communication channel.
-   *
-   * This is used to keep stores or application state in sync when
-   * updates happen from external sources (e.g., other tabs or devices).
-   *
-   * @param {Function} callback - A function to handle incoming data change events.
-   *                              The callback receives an object with properties:
-   *                              `{ adapterId, key, value, origin }`
+   * Writes an entry copied from another adapter, see `migrateStorage()`, keeping its
+   * expiration and sliding window as they are.
+   * @protected
+   * @param {string} key - Base key.
+   * @param {*} value - Decrypted value.
+   * @param {Object} [expire]
+   * @param {number|null} [expire.expiresAt] - Expiration timestamp in ms.
+   * @param {number|null} [expire.ttl] - Sliding window in ms.
+   * @returns {Promise<boolean>} `false` if the value could not be written.
+   * @throws {Error} If the expiration could not be written, or in strict mode.
    */
-  onDataChanged(callback) {
-    // Validate that a channel exists and the provided callback is a function.
-    if (!this.channelName || typeof callback !== "function") {
-      return;
+  async _importEntry(key, value, { expiresAt = null, ttl = null } = {}) {
+    if ((await this.set(key, value)) === false) {
+      return false;
+    }
+    if (expiresAt) {
+      await this._writeExpire(await this._storageKey(key), expiresAt, ttl);
+      this._scheduleExpire(expiresAt);
     }
+    return true;
+  }
 
-    // Subscribe the callback to the channel to receive emitted data changes.
-    logInfo("StorageAdapter - Subscribing to cross-tab data changes.");
-    this.channel.subscribe(callback);
+  // ----------------------------------------------------------------------------------------------
+
+  /**
+   * Evicts entries under the prefix, in the order of the eviction policy, until the entries
+   * being written fit in `maxEntries` and `maxBytes`. Fires an `evict` event per removed key.
+   * @protected
+   * @param {Array<{fullKey: string, raw: string}>} incoming - Entries about to be written.
+   * @returns {Promise<void>}
+   */
+  async _evictFor(incoming) {
+    if (!this._evictionEnabled() || !incoming.length) return;
+    await this._evictEntries(await this._evictionPlan(incoming));
+  }
+
+  // ----------------------------------------------------------------------------------------------
+
+  /**
+   * Picks the entries to evict, in the order of the eviction policy, so the entries being
+   * written fit in `maxEntries` and `maxBytes`. Followers of a leader election pick none,
+   * the leader evicts for them once they wrote, see `_requestEviction()`.
+   * @private
+   * @param {Array<{fullKey: string, raw: string}>} incoming - Entries about to be written,
+   *        none when the leader brings the stored entries back within the budget.
+   * @returns {Promise<Array<Object>>} Candidates from `_evictionCandidates()`.
+   */
+  async _evictionPlan(incoming) {
+    if (!this._evictionEnabled() || !this.isLeader) return [];
+    // Entries being overwritten are replaced rather than evicted
+    const candidates = await this._evictionCandidates(
+      new Set(incoming.map(({ fullKey }) => fullKey))
+    );
+
+    let count = candidates.length + incoming.length;
+    let bytes = [...candidates, ...incoming].reduce(
+      (total, item) => total + (item.size ?? this._entrySize(item.fullKey, item.raw)),
+      0
+    );
+    const fits = () =>
+      (!this.maxEntries || count <= this.maxEntries) &&
+      (!this.maxBytes || bytes <= this.maxBytes);
+    if (fits()) return [];
+
+    const evicted = [];
+    for (const candidate of candidates) {
+      if (fits()) break;
+      evicted.push(candidate);
+      count--;
+      bytes -= candidate.size;
+    }
+    if (!fits()) {
+      logWarn("StorageAdapter - The entries being written exceed the eviction budget.");
+    }
+    return evicted;
+  }
+
+  // ----------------------------------------------------------------------------------------------
+
+  /**
+   * Asks the leader to evict, after a follower wrote entries it did not make room for.
+   * @protected
+   */
+  _requestEviction() {
+    if (!this.isLeader && this._evictionEnabled()) {
+      this._election?.send({ evict: true });
+    }
+  }
+
+  // ----------------------------------------------------------------------------------------------
+
+  /**
+   * Evicts entries until the stored ones fit in `maxEntries` and `maxBytes`. Runs in the
+   * leader, one pass at a time, when it takes over and when a follower wrote.
+   * @private
+   * @returns {Promise<void>}
+   */
+  _evictToBudget() {
+    if (!this._evictionEnabled()) return Promise.resolve();
+    this._evictQueue = this._evictQueue
+      .then(async () => this._evictEntries(await this._evictionPlan([])))
+      .catch((err) => logError("Error evicting entries:", err));
+    return this._evictQueue;
+  }
+
+  // ----------------------------------------------------------------------------------------------
+
+  /**
+   * Evicts entries under the prefix, in the order of the eviction policy, until at least
+   * `bytes` were freed. Used by `onQuotaExceeded` hooks, also without a budget.
+   * @protected
+   * @param {number} bytes - Bytes to free, see `_entrySize()`.
+   * @returns {Promise<string[]>} The evicted keys.
+   */
+  async _evictBytes(bytes) {
+    const evicted = [];
+    let freed = 0;
+    for (const candidate of await this._evictionCandidates()) {
+      if (freed >= bytes) break;
+      evicted.push(candidate);
+      freed += candidate.size;
+    }
+    await this._evictEntries(evicted);
+    return evicted.map(({ key }) => key);
+  }
+
+  // ----------------------------------------------------------------------------------------------
+
+  /**
+   * Lists the entries that can be evicted, first evicted first.
+   * @private
+   * @param {Set<string>} [exclude] - Storage keys to keep.
+   * @returns {Promise<Array<Object>>} Entries from `_listEvictable()` with their `key`.
+   */
+  async _evictionCandidates(exclude = new Set()) {
+    const toKey = await this._keyResolver();
+    const candidates = [];
+    for (const item of await this._listEvictable()) {
+      const key = toKey(item.fullKey);
+      if (key === null || exclude.has(item.fullKey)) continue;
+      candidates.push({ ...item, key });
+    }
+    return candidates.sort(EVICTION_POLICIES[this.evictionPolicy]);
+  }
+
+  // ----------------------------------------------------------------------------------------------
+
+  /**
+   * Removes evicted entries in one batch, firing an `evict` event per key.
+   * @private
+   * @param {Array<{key: string}>} evicted - Entries to remove.
+   * @returns {Promise<void>}
+   */
+  async _evictEntries(evicted) {
+    if (!evicted.length) return;
+    await this._commitBatch(await this._evictOps(evicted), "delete");
+  }
+
+  // ----------------------------------------------------------------------------------------------
+
+  /**
+   * Builds the operations removing evicted entries, each firing an `evict` event.
+   * @private
+   * @param {Array<{key: string}>} evicted - Entries to remove.
+   * @returns {Promise<Array<Object>>}
+   */
+  async _evictOps(evicted) {
+    if (!evicted.length) return [];
+    logInfo(`StorageAdapter - Evicting ${evicted.length} keys (${this.evictionPolicy})`);
+    const ops = [];
+    for (const { key } of evicted) {
+      const op = await this._batchOp(key);
+      op.event = "evict";
+      ops.push(op);
+    }
+    return ops;
+  }
+
+  // ----------------------------------------------------------------------------------------------
+
+  /**
+   * Runs a write and turns a full storage into a `StoragefyQuotaError`. When the adapter has
+   * an `onQuotaExceeded` hook, it is called first and the write is retried once if the hook
+   * returns `true`.
+   * @protected
+   * @param {string[]} keys - Keys being written.
+   * @param {number} bytes - Approximate size of the write, see `_entrySize()`.
+   * @param {Function} write - Performs the write, may return a promise.
+   * @returns {Promise<any>} The value returned by `write`.
+   * @throws {StoragefyQuotaError} If the storage is still full.
+   */
+  async _withQuota(keys, bytes, write) {
+    let error;
+    try {
+      return await write();
+    } catch (err) {
+      if (!this._isQuotaError(err)) throw err;
+      error = err;
+    }
+
+    logWarn(`StorageAdapter - Storage quota exceeded writing ${keys.length} keys`);
+    if (this.onQuotaExceeded) {
+      const retry = await this.onQuotaExceeded({
+        adapter: this,
+        keys,
+        bytes,
+        error,
+        evict: (size = bytes) => this._evictBytes(size),
+      });
+      if (retry === true) {
+        try {
+          return await write();
+        } catch (err) {
+          if (!this._isQuotaError(err)) throw err;
+          error = err;
+        }
+      }
+    }
+    throw new StoragefyQuotaError(
+      `Storage quota exceeded while writing ${keys.map((key) => `"${key}"`).join(", ")}`,
+      { cause: error, keys, bytes }
+    );
+  }
+
+  // ----------------------------------------------------------------------------------------------
+
+  /**
+   * Whether an error means the storage is full. Browsers use different names and codes.
+   * @protected
+   * @param {Error} err
+   * @returns {boolean}
+   */
+  _isQuotaError(err) {
+    return (
+      err?.name === "QuotaExceededError" ||
+      err?.name === "NS_ERROR_DOM_QUOTA_REACHED" ||
+      err?.code === 22 ||
+      err?.code === 1014
+    );
+  }
+
+  // ----------------------------------------------------------------------------------------------
+
+  /**
+   * Estimates the space used by this adapter and, when the browser exposes it, by the whole
+   * origin.
+   * @returns {Promise<{bytes: number, entries: number, usage: number|null, quota: number|null}>}
+   *          `bytes` and `entries` cover the keys under the prefix, with sizes counted as
+   *          UTF-16 like Web Storage does. `usage` and `quota` come from
+   *          `navigator.storage.estimate()`, or are `null` when it is not available.
+   */
+  async estimate() {
+    try {
+      logInfo("StorageAdapter - Estimating storage usage");
+      const toKey = await this._keyResolver();
+      let bytes = 0;
+      let entries = 0;
+      for (const { fullKey, entry } of await this._listEntries()) {
+        if (toKey(fullKey) === null) continue;
+        bytes += this._entrySize(fullKey, entry.raw);
+        entries++;
+      }
+
+      let usage = null;
+      let quota = null;
+      if (typeof navigator !== "undefined" && navigator.storage?.estimate) {
+        ({ usage = null, quota = null } = await navigator.storage.estimate());
+      }
+      return { bytes, entries, usage, quota };
+    } catch (err) {
+      logError("Error estimating storage usage:", err);
+      throw err;
+    }
+  }
+  // ----------------------------------------------------------------------------------------------
+
+  /**
+   * Reads the current value of a key for the payload of `event`. Skips the read when the
+   * event has no handlers.
+   * @protected
+   * @param {string} event - Event about to be fired.
+   * @param {string} key - The base key.
+   * @param {string} fullKey - Storage key as stored.
+   * @returns {Promise<any|null>} The value, or `null` when missing or not needed.
+   */
+  async _previousValue(event, key, fullKey) {
+    if (!this._hasListeners(event)) return null;
+    const [entry] = await this._readBatch([fullKey]);
+    return this._entryValue(key, entry, REMOVALS.has(event));
+  }
+
+  // ----------------------------------------------------------------------------------------------
+
+  /**
+   * Reads the current values of a batch for the payloads of `events`, in a single read.
+   * @private
+   * @param {Array<Object>} ops - Operations built by `_batchOp()`.
+   * @param {string[]} events - Event fired for each operation.
+   * @returns {Promise<Array<any|null>>}
+   */
+  async _previousValues(ops, events) {
+    const known = ops.map((op) => ("oldValue" in op ? op.oldValue : null));
+    if (
+      !events.some((event) => this._hasListeners(event)) ||
+      ops.every((op) => "oldValue" in op)
+    ) {
+      return known;
+    }
+    const entries = await this._readBatch(ops.map(({ fullKey }) => fullKey));
+    return Promise.all(
+      entries.map((entry, i) =>
+        "oldValue" in ops[i]
+          ? known[i]
+          : this._entryValue(ops[i].key, entry, REMOVALS.has(events[i]))
+      )
+    );
+  }
+
+  // ----------------------------------------------------------------------------------------------
+
+  /**
+   * Decrypts a stored entry for an event payload, never throwing.
+   * @protected
+   * @param {string} key - The base key.
+   * @param {{raw: string, expiresAt: number|null}|null} entry - Entry from `_readBatch()`.
+   * @param {boolean} [includeExpired=false] - Whether expired entries still have a value.
+   * @returns {Promise<any|null>}
+   */
+  async _entryValue(key, entry, includeExpired = false) {
+    if (!entry?.raw) return null;
+    if (!includeExpired && entry.expiresAt && Date.now() >= entry.expiresAt) {
+      return null;
+    }
+    try {
+      return await this._decrypt(key, entry.raw);
+    } catch (err) {
+      logError(`Error reading previous value of key '${key}':`, err);
+      return null;
+    }
+  }
+
+  // ----------------------------------------------------------------------------------------------
+
+  /**
+   * Reads several stored values and their expirations in one go, without decrypting.
+   * @abstract
+   * @protected
+   * @param {string[]} fullKeys - Storage keys as stored.
+   * @returns {Promise<Array<{raw: string, expiresAt: number|null, ttl: number|null, access: Object|null, version: Object|null}|null>>}
+   *          One entry per key, `null` when missing. `ttl` is set for sliding entries,
+   *          `access` when eviction tracks them and `version` when `set()` was given one.
+   * @throws Will throw if not implemented.
+   */
+  async _readBatch(fullKeys) {
+    throw new Error("Not implemented");
+  }
+
+  // ----------------------------------------------------------------------------------------------
+
+  /**
+   * Writes or removes several stored values together with their expirations. An operation
+   * with a `null` raw value removes the entry; otherwise it is stored with `expiresAt`
+   * (`null` for no expiration), the sliding `ttl` and the `access` metadata, if any.
+   * Adapters with transactions skip the whole batch and resolve `false` when one of the
+   * `checks` no longer matches the stored raw value.
+   * @abstract
+   * @protected
+   * @param {Array<{fullKey: string, raw: string|null, expiresAt: number|null, ttl?: number|null, access?: Object|null}>} ops
+   * @param {Array<{fullKey: string, expected: string|null}>} [checks=[]] - Raw values read earlier.
+   * @returns {Promise<boolean|void>}
+   * @throws Will throw if not implemented.
+   */
+  async _writeBatch(ops, checks = []) {
+    throw new Error("Not implemented");
+  }
+
+  // ----------------------------------------------------------------------------------------------
+
+  /**
+   * Changes the expiration of a stored entry without touching its value. Does nothing when
+   * the entry is missing.
+   * @abstract
+   * @protected
+   * @param {string} fullKey - Storage key as stored.
+   * @param {number|null} expiresAt - Expiration timestamp in ms, or `null` for none.
+   * @param {number|null} [ttl=null] - Sliding window in ms, `null` for a fixed expiration.
+   * @param {Object|null} [access] - New access metadata, the current one is kept when omitted.
+   * @returns {Promise<void>}
+   * @throws Will throw if not implemented.
+   */
+  async _writeExpire(fullKey, expiresAt, ttl = null, access) {
+    throw new Error("Not implemented");
+  }
+
+  // ----------------------------------------------------------------------------------------------
+
+  /**
+   * Wraps a stored value and its expiration in the envelope used by adapters without
+   * secondary indexes, so the expiration lives next to the value it belongs to.
+   * @protected
+   * @param {string} raw - Value as stored (encrypted when encryption is enabled).
+   * @param {number|null} [expiresAt=null] - Expiration timestamp in ms.
+   * @param {number|null} [ttl=null] - Sliding window in ms, only stored for sliding entries.
+   * @param {{createdAt: number, accessedAt: number, hits: number}|null} [access=null] - Access
+   *        metadata, only stored when eviction is enabled.
+   * @param {{clock: number, tabId: string}|null} [version=null] - Version given to `set()`.
+   * @returns {string}
+   */
+  _wrapEntry(raw, expiresAt = null, ttl = null, access = null, version = null) {
+    const entry = { [ENVELOPE_MARKER]: 1, value: raw, expiresAt };
+    if (ttl) entry.ttl = ttl;
+    if (access) Object.assign(entry, access);
+    if (version) entry.version = version;
+    return JSON.stringify(entry);
+  }
+
+  // ----------------------------------------------------------------------------------------------
+
+  /**
+   * Reads an envelope written by `_wrapEntry()`. Values stored before envelopes were
+   * introduced are returned as they are, without expiration.
+   * @protected
+   * @param {string|null|undefined} stored - Stored string.
+   * @returns {{raw: string, expiresAt: number|null, ttl: number|null, access: Object|null, version: Object|null}|null}
+   */
+  _unwrapEntry(stored) {
+    if (stored === null || stored === undefined) return null;
+    try {
+      const entry = JSON.parse(stored);
+      if (entry?.[ENVELOPE_MARKER] === 1 && typeof entry.value === "string") {
+        return {
+          raw: entry.value,
+          expiresAt: entry.expiresAt ?? null,
+          ttl: entry.ttl ?? null,
+          access: this._accessOf(entry),
+          version: entry.version ?? null,
+        };
+      }
+    } catch (err) {
+      // Not JSON, so not an envelope either
+    }
+    return { raw: stored, expiresAt: null, ttl: null, access: null, version: null };
+  }
+
+  // ----------------------------------------------------------------------------------------------
+
+  /**
+   * Picks the access metadata out of a stored envelope or record.
+   * @protected
+   * @param {Object} stored - Envelope or record holding `createdAt`, `accessedAt` and `hits`.
+   * @returns {{createdAt: number, accessedAt: number, hits: number}|null}
+   */
+  _accessOf(stored) {
+    if (typeof stored?.accessedAt !== "number") return null;
+    return {
+      createdAt: stored.createdAt ?? 0,
+      accessedAt: stored.accessedAt,
+      hits: stored.hits ?? 0,
+    };
+  }
+
+  // ----------------------------------------------------------------------------------------------
+
+  /**
+   * Reads the metadata object stored under `metaKey`.
+   * @abstract
+   * @protected
+   * @returns {Promise<Object|null>}
+   * @throws Will throw if not implemented.
+   */
+  async _readMeta() {
+    throw new Error("Not implemented");
+  }
+
+  // ----------------------------------------------------------------------------------------------
+
+  /**
+   * Writes the metadata object stored under `metaKey`.
+   * @abstract
+   * @protected
+   * @param {Object} meta - Metadata to persist.
+   * @returns {Promise<void>}
+   * @throws Will throw if not implemented.
+   */
+  async _writeMeta(meta) {
+    throw new Error("Not implemented");
+  }
+
+  // ----------------------------------------------------------------------------------------------
+
+  /**
+   * Validates and stores the schema migrations, sorted by version.
+   * @protected
+   * @param {Object<number, Function>} [migrations={}] - Migration functions by the version
+   *        they upgrade the data to.
+   * @throws {Error} If a version is not a positive integer or a migration is not a function.
+   */
+  _initMigrations(migrations = {}) {
+    this.migrations = Object.entries(migrations)
+      .map(([version, migrate]) => {
+        if (!/^[1-9]\d*$/.test(version) || typeof migrate !== "function") {
+          logError(`Invalid migration for version "${version}"`);
+          throw new Error(
+            `Migrations must map positive integer versions to functions, got "${version}".`
+          );
+        }
+        return [Number(version), migrate];
+      })
+      .sort(([a], [b]) => a - b);
+  }
+
+  // ----------------------------------------------------------------------------------------------
+
+  /**
+   * Migrations upgrading data stored at `fromVersion` to `toVersion`.
+   * @protected
+   * @param {number} fromVersion - Schema version of the stored data.
+   * @param {number} toVersion - Configured schema version.
+   * @returns {Array<[number, Function]>}
+   */
+  _pendingMigrations(fromVersion, toVersion) {
+    return this.migrations.filter(
+      ([version]) => version > fromVersion && version <= toVersion
+    );
+  }
+
+  // ----------------------------------------------------------------------------------------------
+
+  /**
+   * Runs the pending migrations in order. Each one receives a context with `fromVersion`,
+   * `version`, `prefix` and the `get`, `set`, `delete` and `list` functions of `store`,
+   * which work on storage keys and raw stored values.
+   * @protected
+   * @param {number} fromVersion - Schema version of the stored data.
+   * @param {number} toVersion - Configured schema version.
+   * @param {{get: Function, set: Function, delete: Function, list: Function}} store
+   * @param {function(number): Promise<void>} [onApplied] - Called after each migration.
+   * @returns {Promise<void>}
+   * @throws {StoragefyNotReadyError} If a migration fails, with the error as `cause`.
+   */
+  async _applyMigrations(fromVersion, toVersion, store, onApplied = async () => {}) {
+    for (const [version, migrate] of this._pendingMigrations(fromVersion, toVersion)) {
+      logInfo(`StorageAdapter - Migrating "${this.dbName}" to version ${version}`);
+      try {
+        await migrate({
+          fromVersion,
+          version,
+          prefix: this.prefix,
+          get: store.get,
+          set: store.set,
+          delete: store.delete,
+          list: store.list,
+        });
+      } catch (err) {
+        logError(`Migration of "${this.dbName}" to version ${version} failed:`, err);
+        throw new StoragefyNotReadyError(
+          `Migration of "${this.dbName}" to version ${version} failed.`,
+          { cause: err }
+        );
+      }
+      await onApplied(version);
+    }
+  }
+
+  // ----------------------------------------------------------------------------------------------
+
+  /**
+   * Brings the stored data up to `version` in the background, holding a lock shared with
+   * the other tabs. With leader election, pending migrations wait for this instance to
+   * lead, see `_waitMigrationTurn()`. Keys are resolved only once it is done, so methods
+   * wait for the migrations and fail if one of them failed.
+   * Used by the adapters whose raw storage is always available; IndexedDB runs its
+   * migrations while upgrading the database instead.
+   * @protected
+   * @param {number} version - Configured schema version.
+   */
+  _startMigrations(version) {
+    this._schemaVersion = version;
+    this._migrating = (async () => {
+      const stored = (await this._readMeta())?.version ?? version;
+      // Past the first await, the leader election set up after this call exists
+      if (stored < version) {
+        await this._waitMigrationTurn(version);
+      }
+      // Tabs starting together wait for each other, so the first one alone applies them
+      await withLock(`storagefy_migrations_${this.dbName}`, () => this._migrate(version));
+      if (stored < version) {
+        this._election?.send({ migrated: version });
+      }
+    })();
+    // Methods report the failure when they wait for the migrations
+    this._migrating.catch(() => {});
+  }
+
+  // ----------------------------------------------------------------------------------------------
+
+  /**
+   * Waits until this instance may run the migrations up to `version`: once it leads, or
+   * once the leader reports the data at `version`. Until then it asks the leader every
+   * heartbeat interval; a leader configured with an older version does not know these
+   * migrations and hands the leadership over, see `_answerMigration()`. Resolves right away
+   * without leader election.
+   * @protected
+   * @param {number} version - Configured schema version.
+   * @returns {Promise<void>}
+   */
+  _waitMigrationTurn(version) {
+    if (!this._election || this.isLeader) return Promise.resolve();
+    logInfo(`StorageAdapter - Waiting for the leader to migrate "${this.dbName}" to ${version}`);
+    return new Promise((resolve) => {
+      const ask = () => this._election?.send({ migrate: version });
+      const timer = setInterval(ask, this._election.heartbeatInterval);
+      this._migrationTurn = {
+        version,
+        timer,
+        resolve: () => {
+          clearInterval(timer);
+          this._migrationTurn = null;
+          resolve();
+        },
+      };
+      ask();
+    });
+  }
+
+  // ----------------------------------------------------------------------------------------------
+
+  /**
+   * Answers a follower waiting to migrate to `version`: reports the schema version once the
+   * own migrations ran, or hands the leadership over when `version` is newer than it.
+   * @private
+   * @param {number} version - Schema version the follower is configured with.
+   * @returns {Promise<void>}
+   */
+  async _answerMigration(version) {
+    if (version > this._schemaVersion) {
+      logInfo(
+        `StorageAdapter - A tab needs "${this.dbName}" at version ${version}, handing over`
+      );
+      this._election.handOver();
+      return;
+    }
+    try {
+      await this._migrated();
+      this._election?.send({ migrated: this._schemaVersion });
+    } catch (err) {
+      logError("Error waiting for the migrations:", err);
+    }
+  }
+
+  // ----------------------------------------------------------------------------------------------
+
+  /**
+   * Resolves once the migrations of this instance ran.
+   * @protected
+   * @returns {Promise<void>}
+   */
+  _migrated() {
+    return this._migrating;
+  }
+
+  // ----------------------------------------------------------------------------------------------
+
+  /**
+   * Runs the pending migrations over the raw entries and records each applied version in
+   * the metadata, so a failed migration is retried on the next start.
+   * @private
+   * @param {number} version - Configured schema version.
+   * @returns {Promise<void>}
+   * @throws {StoragefyNotReadyError} If a migration fails.
+   */
+  async _migrate(version) {
+    const meta = (await this._readMeta()) || {};
+    const stored = meta.version ?? version;
+    if (stored > version) {
+      logWarn(
+        `StorageAdapter - "${this.dbName}" is at version ${stored}, newer than ${version}`
+      );
+      return;
+    }
+    if (stored === version) return;
+
+    const saveVersion = async (applied) => {
+      await this._writeMeta({ ...(await this._readMeta()), version: applied });
+    };
+    await this._applyMigrations(
+      stored,
+      version,
+      {
+        get: (fullKey) => this._getRaw(fullKey),
+        set: (fullKey, raw) => this._setRaw(fullKey, raw),
+        delete: (fullKey) =>
+          this._writeBatch([{ fullKey, raw: null, expiresAt: null }]),
+        list: async () => this._rawKeys().filter((fullKey) => fullKey !== this.indexKey),
+      },
+      saveVersion
+    );
+    await saveVersion(version);
+  }
+
+  // ----------------------------------------------------------------------------------------------
+
+  /**
+   * Validates and stores the encryption settings.
+   * @protected
+   * @param {Object} options
+   * @param {boolean} options.encrypt - Whether values are encrypted.
+   * @param {string|CryptoKey} [options.password] - Password used to derive the key, or an AES-GCM CryptoKey.
+   * @param {number} [options.iterations=100000] - PBKDF2 iterations used when the database is first encrypted.
+   * @param {boolean} [options.hashKeys=false] - Whether key names are hashed with HMAC-SHA-256.
+   * @throws {Error} If encryption is enabled without a valid secret or iteration count,
+   *                 or if `hashKeys` is set without `encrypt`.
+   */
+  _initEncryption({
+    encrypt,
+    password,
+    iterations = cryptoHelper.DEFAULT_ITERATIONS,
+    hashKeys = false,
+  }) {
+    this.encrypt = encrypt;
+    this.hashKeys = !!hashKeys;
+    this.indexKey = `STRGF_${this.dbName}__index`;
+    this._secret = null;
+    this._keyParamsPromise = null;
+    this._cryptoKeyPromise = null;
+    this._hmacKey = null;
+    this._hashedKeys = new Map();
+    this._indexQueue = Promise.resolve();
+    if (this.hashKeys && !encrypt) {
+      logError("hashKeys requires encrypt to be enabled");
+      throw new Error("hashKeys requires encrypt to be enabled");
+    }
+    if (!encrypt) {
+      return;
+    }
+
+    if (!Number.isInteger(iterations) || iterations < 1) {
+      logError("Iterations must be a positive integer");
+      throw new Error("Iterations must be a positive integer");
+    }
+    this.iterations = iterations;
+    this._secret = this._validateSecret(password);
+  }
+
+  // ----------------------------------------------------------------------------------------------
+
+  /**
+   * Checks that a secret is a non-empty password or an AES-GCM CryptoKey.
+   * @private
+   * @param {string|CryptoKey} password - Secret to check.
+   * @returns {string|CryptoKey} The same secret.
+   * @throws {Error} If the secret is not usable.
+   */
+  _validateSecret(password) {
+    const isPassword = typeof password === "string" && password.length > 0;
+    const isCryptoKey =
+      !!password &&
+      typeof password === "object" &&
+      password.algorithm?.name === "AES-GCM";
+    if (!isPassword && !isCryptoKey) {
+      logError("A password or AES-GCM CryptoKey is required when encrypt is enabled");
+      throw new Error(
+        "A password or AES-GCM CryptoKey is required when encrypt is enabled. Values encrypted by earlier versions without one are re-encrypted with it on first use."
+      );
+    }
+    return password;
+  }
+
+  // ----------------------------------------------------------------------------------------------
+
+  /**
+   * Loads the salt, iteration count and key check from the metadata, creating and
+   * persisting them the first time the database is encrypted. Values left by earlier
+   * versions are re-encrypted with the new key before the metadata is written, so an
+   * interrupted upgrade starts over.
+   * @private
+   * @returns {Promise<{salt: string, iterations: number, keyCheck: Object, hmacKey?: Object, rotation?: Object}>}
+   */
+  _loadKeyParams() {
+    if (this._keyParamsPromise) {
+      return this._keyParamsPromise;
+    }
+
+    this._keyParamsPromise = (async () => {
+      const meta = (await this._readMeta()) || {};
+      if (meta.salt && meta.keyCheck) {
+        return {
+          salt: meta.salt,
+          iterations: meta.iterations || cryptoHelper.DEFAULT_ITERATIONS,
+          keyCheck: meta.keyCheck,
+          hmacKey: meta.hmacKey,
+          rotation: meta.rotation,
+        };
+      }
+
+      logInfo(`StorageAdapter - Creating encryption salt for "${this.dbName}".`);
+      const salt = meta.salt || cryptoHelper.generateSalt();
+      const iterations = this.iterations;
+      const cKey = await this._deriveCryptoKey(salt, iterations);
+      const params = {
+        salt,
+        iterations,
+        keyCheck: await cryptoHelper.encryptData(cKey, KEY_CHECK_VALUE),
+      };
+      if (this.hashKeys) {
+        // Random HMAC key material, kept encrypted so it survives key rotations
+        params.hmacKey = await cryptoHelper.encryptData(
+          cKey,
+          cryptoHelper.generateSalt(32)
+        );
+      } else {
+        // Earlier versions had no hashed keys, so only obfuscated ones can hold their values
+        await this._reencryptLegacyEntries(cKey);
+      }
+      await this._writeMeta({ ...((await this._readMeta()) || {}), ...params });
+      return params;
+    })().catch((err) => {
+      this._keyParamsPromise = null;
+      throw err;
+    });
+
+    return this._keyParamsPromise;
+  }
+
+  // ----------------------------------------------------------------------------------------------
+
+  /**
+   * Re-encrypts with `cKey` the values encrypted by earlier versions, whose key was derived
+   * from the key name alone. Values that do not decrypt that way are left as they are.
+   * @private
+   * @param {CryptoKey} cKey - New database key.
+   * @returns {Promise<void>}
+   */
+  async _reencryptLegacyEntries(cKey) {
+    const toKey = await this._keyResolver();
+    const ops = [];
+    for (const { fullKey, entry } of await this._listEntries()) {
+      // Each legacy key costs a full PBKDF2 derivation, so values that cannot be ciphertext
+      // are not tried
+      const encrypted = this._legacyCiphertext(entry.raw);
+      if (!encrypted) continue;
+      const key = toKey(fullKey);
+      if (key === null) continue;
+      let value;
+      try {
+        const legacyKey = await cryptoHelper.deriveKey(key, "", false, LEGACY_ITERATIONS);
+        value = await cryptoHelper.decryptData(legacyKey, encrypted, false);
+      } catch (err) {
+        // Written by this version
+        continue;
+      }
+      const raw = JSON.stringify(await cryptoHelper.encryptData(cKey, value, false));
+      const { expiresAt, ttl, access } = entry;
+      ops.push({ fullKey, raw, expiresAt, ttl, access });
+    }
+    if (!ops.length) return;
+    logInfo(
+      `StorageAdapter - Re-encrypting ${ops.length} values of "${this.dbName}" left by an earlier version.`
+    );
+    await this._writeBatch(ops);
+  }
+
+  // ----------------------------------------------------------------------------------------------
+
+  /**
+   * Parses a stored value that has the shape of the ciphertext earlier versions wrote: an object
+   * holding only a base64 `iv` and base64 `data`.
+   * @private
+   * @param {string} raw - Stored value.
+   * @returns {{iv: string, data: string}|null} The parsed ciphertext, or null for other values.
+   */
+  _legacyCiphertext(raw) {
+    let parsed;
+    try {
+      parsed = JSON.parse(raw);
+    } catch (err) {
+      return null;
+    }
+    const isBase64 = (text) => typeof text === "string" && /^[A-Za-z0-9+/]+={0,2}$/.test(text);
+    if (
+      !parsed ||
+      typeof parsed !== "object" ||
+      Object.keys(parsed).length !== 2 ||
+      !isBase64(parsed.iv) ||
+      !isBase64(parsed.data)
+    ) {
+      return null;
+    }
+    return parsed;
+  }
+
+  // ----------------------------------------------------------------------------------------------
+
+  /**
+   * Turns a secret into a non-extractable AES-GCM key.
+   * @private
+   * @param {string} salt - Salt stored in the metadata.
+   * @param {number} iterations - PBKDF2 iterations stored in the metadata.
+   * @param {string|CryptoKey} [secret=this._secret] - Password or CryptoKey.
+   * @returns {Promise<CryptoKey>}
+   */
+  async _deriveCryptoKey(salt, iterations, secret = this._secret) {
+    if (typeof secret === "string") {
+      return cryptoHelper.deriveKey(secret, salt, false, iterations);
+    }
+    return secret;
+  }
+
+  // ----------------------------------------------------------------------------------------------
+
+  /**
+   * Derives the key for a secret and checks it against a stored key check.
+   * @private
+   * @param {string|CryptoKey} secret - Password or CryptoKey.
+   * @param {{salt: string, iterations: number, keyCheck: Object}} params - Stored key parameters.
+   * @returns {Promise<CryptoKey>}
+   * @throws {StoragefyDecryptionError} If the secret does not match the key check.
+   */
+  async _verifySecret(secret, { salt, iterations, keyCheck }) {
+    const cKey = await this._deriveCryptoKey(salt, iterations, secret);
+    try {
+      await cryptoHelper.decryptData(cKey, keyCheck, false);
+    } catch (err) {
+      throw new StoragefyDecryptionError(
+        `Invalid encryption secret for database "${this.dbName}".`,
+        { cause: err }
+      );
+    }
+    return cKey;
+  }
+
+  // ----------------------------------------------------------------------------------------------
+
+  /**
+   * Resolves the key used to encrypt and decrypt values. The key is derived and checked
+   * against the key check stored in the metadata once, then kept in memory until `lock()`.
+   * @protected
+   * @returns {Promise<CryptoKey>}
+   * @throws {StoragefyDecryptionError} If the adapter is locked, a key rotation was interrupted,
+   *                                    the secret does not match the database or `hashKeys`
+   *                                    does not match how the database was created.
+   */
+  _getCryptoKey() {
+    if (!this._secret) {
+      return Promise.reject(
+        new StoragefyDecryptionError(
+          `Database "${this.dbName}" is locked. Call unlock(password) first.`
+        )
+      );
+    }
+    if (this._cryptoKeyPromise) {
+      return this._cryptoKeyPromise;
+    }
+
+    this._cryptoKeyPromise = (async () => {
+      const params = await this._loadKeyParams();
+      if (params.rotation) {
+        throw new StoragefyDecryptionError(
+          `Key rotation for database "${this.dbName}" was interrupted. Call rotateEncryptionKey again to finish it.`
+        );
+      }
+      const cKey = await this._verifySecret(this._secret, params);
+      if (this.hashKeys && !params.hmacKey) {
+        throw new StoragefyDecryptionError(
+          `Database "${this.dbName}" was created without hashKeys and cannot hash its keys.`
+        );
+      }
+      if (!this.hashKeys && params.hmacKey) {
+        throw new StoragefyDecryptionError(
+          `Database "${this.dbName}" stores hashed keys. Open it with hashKeys: true.`
+        );
+      }
+      if (params.hmacKey) {
+        const material = await cryptoHelper.decryptData(cKey, params.hmacKey, false);
+        this._hmacKey = await cryptoHelper.importHmacKey(material);
+      }
+      logInfo(`StorageAdapter - Encryption key ready for "${this.dbName}".`);
+      return cKey;
+    })().catch((err) => {
+      this._cryptoKeyPromise = null;
+      throw err;
+    });
+
+    return this._cryptoKeyPromise;
+  }
+
+  // ----------------------------------------------------------------------------------------------
+
+  /**
+   * Forgets the cached encryption parameters and key, e.g. after the metadata was removed.
+   * @protected
+   */
+  _resetEncryptionState() {
+    this._keyParamsPromise = null;
+    this._cryptoKeyPromise = null;
+    this._hmacKey = null;
+    this._hashedKeys = new Map();
+  }
+
+  // ----------------------------------------------------------------------------------------------
+
+  /**
+   * Whether the adapter is encrypted and currently has no secret in memory.
+   * @type {boolean}
+   */
+  get locked() {
+    return !!this.encrypt && !this._secret;
+  }
+
+  // ----------------------------------------------------------------------------------------------
+
+  /**
+   * Drops the secret and the derived key from memory. Reads and writes reject with
+   * `StoragefyDecryptionError` until `unlock()` is called.
+   */
+  lock() {
+    if (!this.encrypt) {
+      return;
+    }
+    logInfo(`StorageAdapter - Locking "${this.dbName}".`);
+    this._secret = null;
+    this._resetEncryptionState();
+  }
+
+  // ----------------------------------------------------------------------------------------------
+
+  /**
+   * Restores the secret and derives the key again, checking it against the database.
+   * The adapter stays locked if the secret is wrong.
+   * @param {string|CryptoKey} password - Password or AES-GCM CryptoKey.
+   * @returns {Promise<boolean>} `true` once the adapter is unlocked.
+   * @throws {Error} If encryption is disabled or the secret is not usable.
+   * @throws {StoragefyDecryptionError} If the secret does not match the database.
+   */
+  async unlock(password) {
+    if (!this.encrypt) {
+      throw new Error("Encryption is not enabled for this adapter");
+    }
+    this._secret = this._validateSecret(password);
+    this._resetEncryptionState();
+    try {
+      await this._getCryptoKey();
+    } catch (err) {
+      this._secret = null;
+      this._resetEncryptionState();
+      throw err;
+    }
+    logInfo(`StorageAdapter - Unlocked "${this.dbName}".`);
+    return true;
+  }
+
+  // ----------------------------------------------------------------------------------------------
+
+  /**
+   * Re-encrypts every entry under the prefix with a key derived from `newSecret` and a
+   * fresh salt. Reads and writes issued while the rotation runs wait for it to finish.
+   *
+   * An interrupted rotation is resumed by calling this method again with the same secrets;
+   * until then the adapter refuses to read or write encrypted values.
+   * Expiration timestamps are stored in plain text next to each entry and are kept as they are.
+   *
+   * @param {string|CryptoKey} oldSecret - Current password or CryptoKey.
+   * @param {string|CryptoKey} newSecret - New password or CryptoKey.
+   * @returns {Promise<boolean>} `true` once every entry uses the new key.
+   * @throws {Error} If encryption is disabled or a secret is not usable.
+   * @throws {StoragefyDecryptionError} If `oldSecret` (or `newSecret` when resuming) does not match the database.
+   */
+  async rotateEncryptionKey(oldSecret, newSecret) {
+    if (!this.encrypt) {
+      throw new Error("Encryption is not enabled for this adapter");
+    }
+    this._validateSecret(oldSecret);
+    this._validateSecret(newSecret);
+    logInfo(`StorageAdapter - Rotating encryption key for "${this.dbName}".`);
+
+    const meta = (await this._readMeta()) || {};
+    if (!meta.salt || !meta.keyCheck) {
+      // Nothing was encrypted yet, only the secret changes
+      this._secret = newSecret;
+      this._resetEncryptionState();
+      return true;
+    }
+
+    const rotation = (async () => {
+      const oldKey = await this._verifySecret(oldSecret, {
+        ...meta,
+        iterations: meta.iterations || cryptoHelper.DEFAULT_ITERATIONS,
+      });
+
+      let next;
+      let newKey;
+      if (meta.rotation) {
+        logInfo(`StorageAdapter - Resuming key rotation for "${this.dbName}".`);
+        const { cursor: _cursor, ...params } = meta.rotation;
+        next = params;
+        newKey = await this._verifySecret(newSecret, next);
+      } else {
+        const salt = cryptoHelper.generateSalt();
+        newKey = await this._deriveCryptoKey(salt, this.iterations, newSecret);
+        const keyCheck = await cryptoHelper.encryptData(newKey, KEY_CHECK_VALUE);
+        next = { salt, iterations: this.iterations, keyCheck };
+        if (meta.hmacKey) {
+          // Same HMAC material under the new key, so hashed key names stay valid
+          const material = await cryptoHelper.decryptData(oldKey, meta.hmacKey, false);
+          next.hmacKey = await cryptoHelper.encryptData(newKey, material);
+        }
+      }
+
+      await this._rotateEntries(oldKey, newKey, next);
+    })();
+
+    // Hold back reads and writes until every entry uses the new key
+    this._keyParamsPromise = null;
+    this._cryptoKeyPromise = rotation.then(() => {
+      this._secret = newSecret;
+      this._resetEncryptionState();
+      return this._getCryptoKey();
+    });
+    this._cryptoKeyPromise.catch(() => {});
+
+    try {
+      await rotation;
+    } catch (err) {
+      logError(`Error rotating encryption key for "${this.dbName}":`, err);
+      this._resetEncryptionState();
+      throw err;
+    }
+
+    logInfo(`StorageAdapter - Encryption key rotated for "${this.dbName}".`);
+    return true;
+  }
+
+  // ----------------------------------------------------------------------------------------------
+
+  /**
+   * Re-encrypts the entries under the prefix and stores the new key parameters in the
+   * metadata. Entries are rotated in key order and the last rotated key is journaled in
+   * `meta.rotation.cursor` after every entry, so an interrupted rotation can resume where it
+   * stopped while each checkpoint stays the same size.
+   * Adapters that support transactions override this to rotate atomically.
+   * @protected
+   * @param {CryptoKey} oldKey - Key the entries are currently encrypted with.
+   * @param {CryptoKey} newKey - Key to re-encrypt the entries with.
+   * @param {{salt: string, iterations: number, keyCheck: Object, hmacKey?: Object}} next - New key parameters.
+   * @returns {Promise<void>}
+   */
+  async _rotateEntries(oldKey, newKey, next) {
+    const meta = (await this._readMeta()) || {};
+    const rotation = { ...next, cursor: meta.rotation?.cursor ?? null };
+    await this._writeMeta({ ...meta, rotation });
+
+    for (const fullKey of this._rawKeys().sort()) {
+      if (rotation.cursor !== null && fullKey <= rotation.cursor) continue;
+      const raw = await this._getRaw(fullKey);
+      if (raw === null || raw === undefined) continue;
+
+      await this._setRaw(fullKey, await this._reencrypt(fullKey, raw, oldKey, newKey));
+      rotation.cursor = fullKey;
+      await this._writeMeta({ ...meta, rotation });
+    }
+
+    const { rotation: _finished, ...rest } = meta;
+    await this._writeMeta({ ...rest, ...next });
+  }
+
+  // ----------------------------------------------------------------------------------------------
+
+  /**
+   * Re-encrypts a single stored value. Values that already decrypt with the new key
+   * (written right before an interruption) are kept as they are.
+   * @protected
+   * @param {string} fullKey - Storage key, used for logging.
+   * @param {string} raw - Encrypted stringified data.
+   * @param {CryptoKey} oldKey - Current key.
+   * @param {CryptoKey} newKey - New key.
+   * @returns {Promise<string>} The value encrypted with the new key.
+   */
+  async _reencrypt(fullKey, raw, oldKey, newKey) {
+    const encryptedObj = JSON.parse(raw);
+    let value;
+    try {
+      value = await cryptoHelper.decryptData(oldKey, encryptedObj, false);
+    } catch (err) {
+      try {
+        await cryptoHelper.decryptData(newKey, encryptedObj, false);
+      } catch (_err) {
+        logWarn(`StorageAdapter - Skipping unreadable entry "${fullKey}" during key rotation.`);
+      }
+      return raw;
+    }
+    return JSON.stringify(await cryptoHelper.encryptData(newKey, value, false));
+  }
+
+  // ----------------------------------------------------------------------------------------------
+
+  /**
+   * Storage keys of the entries under the prefix, as stored (obfuscated or hashed when
+   * encrypted), plus the key index when there is one. Used by the journaled key rotation.
+   * @abstract
+   * @protected
+   * @returns {string[]}
+   * @throws Will throw if not implemented.
+   */
+  _rawKeys() {
+    throw new Error("Not implemented");
+  }
+
+  // ----------------------------------------------------------------------------------------------
+
+  /**
+   * Reads a stored value without decrypting it.
+   * @abstract
+   * @protected
+   * @param {string} fullKey - Storage key as stored.
+   * @returns {Promise<string|null>}
+   * @throws Will throw if not implemented.
+   */
+  _getRaw(fullKey) {
+    throw new Error("Not implemented");
+  }
+
+  // ----------------------------------------------------------------------------------------------
+
+  /**
+   * Writes a value without encrypting it.
+   * @abstract
+   * @protected
+   * @param {string} fullKey - Storage key as stored.
+   * @param {string} raw - Value to store.
+   * @returns {Promise<void>}
+   * @throws Will throw if not implemented.
+   */
+  _setRaw(fullKey, raw) {
+    throw new Error("Not implemented");
+  }
+
+  // ----------------------------------------------------------------------------------------------
+
+  /**
+   * Encrypt a value
+   * @protected
+   * @param {string} key - Key the value belongs to.
+   * @param {any} value - Value to encrypt.
+   * @returns {Promise<string|null>} - Encrypted JSON string or null on failure.
+   * @throws {StoragefyDecryptionError} If the encryption secret is missing or wrong.
+   * @throws {Error} In strict mode, if the encryption fails.
+   */
+  async _encrypt(key, value) {
+    if (!this.encrypt || !key) return value;
+    const cKey = await this._getCryptoKey();
+    try {
+      const encrypted = await cryptoHelper.encryptData(cKey, value, false);
+      logInfo(
+        `StorageAdapter - Successfully encrypted value for key "${key}".`
+      );
+      return JSON.stringify(encrypted);
+    } catch (err) {
+      logError("Encryption failed:", err);
+      if (this.strict) throw err;
+      return null;
+    }
+  }
+
+  // ----------------------------------------------------------------------------------------------
+
+  /**
+   * Decrypt a previously encrypted value.
+   * @protected
+   * @param {string} key - Key the value belongs to.
+   * @param {string} value - Encrypted stringified data.
+   * @returns {Promise<any|null>} - Decrypted object or null on failure.
+   * @throws {StoragefyDecryptionError} If the encryption secret is missing or wrong.
+   * @throws {StoragefyCorruptDataError} If an unencrypted value is not valid JSON, or in
+   *                                     strict mode if an encrypted value cannot be read.
+   */
+  async _decrypt(key, value) {
+    if (!this.encrypt || !key) return this._parseValue(key, value);
+    const cKey = await this._getCryptoKey();
+    let decrypted;
+    try {
+      const encryptedObj = JSON.parse(value);
+      decrypted = await cryptoHelper.decryptData(cKey, encryptedObj, false);
+      logInfo(
+        `StorageAdapter - Successfully decrypted value for key "${key}".`
+      );
+    } catch (err) {
+      logError("Decryption failed:", err);
+      if (!this.strict) return null;
+      // The secret matched the key check, so the entry itself is damaged
+      throw new StoragefyCorruptDataError(
+        `Stored value of key "${key}" could not be decrypted.`,
+        { cause: err, key }
+      );
+    }
+    try {
+      return this._parseValue(key, decrypted);
+    } catch (err) {
+      if (this.strict) throw err;
+      return null;
+    }
+  }
+
+  // ----------------------------------------------------------------------------------------------
+
+  /**
+   * Parses a stored JSON value.
+   * @private
+   * @param {string} key - Key the value belongs to.
+   * @param {string} json - Stored JSON.
+   * @returns {any}
+   * @throws {StoragefyCorruptDataError} If the value is not valid JSON.
+   */
+  _parseValue(key, json) {
+    try {
+      return JSON.parse(json);
+    } catch (err) {
+      throw new StoragefyCorruptDataError(`Stored value of key "${key}" is not valid JSON.`, {
+        cause: err,
+        key,
+      });
+    }
+  }
+
+  // ----------------------------------------------------------------------------------------------
+
+  /**
+   * Generate the full namespaced key.
+   * @protected
+   * @param {string} key - The base key.
+   * @returns {string} - The namespaced key.
+   */
+  _fullKey(key) {
+    const full = `${this.prefix}${key}`;
+    if (this.encrypt) {
+      const obfuscated = cryptoHelper.simpleObfuscate(full);
+      logInfo(`StorageAdapter - Obfuscated key "${key}" to "${obfuscated}".`);
+      return obfuscated;
+    }
+    logInfo(`StorageAdapter - Using plain key: "${full}"`);
+    return full;
+  }
+
+  // ----------------------------------------------------------------------------------------------
+
+  /**
+   * Resolves the key a value is stored under. With `hashKeys` the key name is replaced by
+   * its HMAC-SHA-256 hash, otherwise this is `_fullKey(key)`.
+   * Encrypted adapters check their key first, so a locked adapter or a `hashKeys` mismatch
+   * fails loudly instead of looking up the wrong key.
+   * @protected
+   * @param {string} key - The base key.
+   * @returns {Promise<string>} - The storage key.
+   * @throws {StoragefyDecryptionError} If the encryption key cannot be resolved.
+   * @throws {StoragefyNotReadyError} If a schema migration failed.
+   */
+  async _storageKey(key) {
+    await this._migrating;
+    if (this.hashKeys && this._hashedKeys.has(key)) {
+      return this._hashedKeys.get(key);
+    }
+    if (this.encrypt) {
+      await this._getCryptoKey();
+    }
+    if (!this.hashKeys) {
+      return this._fullKey(key);
+    }
+
+    const hashed = `${this.prefix}${await cryptoHelper.hmacHash(this._hmacKey, key)}`;
+    this._hashedKeys.set(key, hashed);
+    return hashed;
+  }
+
+  // ----------------------------------------------------------------------------------------------
+
+  /**
+   * Builds a function mapping storage keys back to base keys.
+   * The function returns `null` for keys that do not belong to this adapter.
+   * @protected
+   * @returns {Promise<function(string): (string|null)>}
+   * @throws {StoragefyNotReadyError} If a schema migration failed.
+   */
+  async _keyResolver() {
+    await this._migrating;
+    if (this.hashKeys) {
+      const index = await this._readKeyIndex();
+      return (storedKey) => index[storedKey] ?? null;
+    }
+    return (storedKey) => {
+      if (storedKey === this.metaKey || storedKey === this.expireKey) return null;
+      const full = this.encrypt
+        ? cryptoHelper.simpleDeobfuscate(storedKey)
+        : storedKey;
+      return full.startsWith(this.prefix) ? full.slice(this.prefix.length) : null;
+    };
+  }
+
+  // ----------------------------------------------------------------------------------------------
+
+  /**
+   * Reads and decrypts the index mapping hashed storage keys to base keys.
+   * @protected
+   * @returns {Promise<Object<string, string>>}
+   */
+  async _readKeyIndex() {
+    const raw = await this._getRaw(this.indexKey);
+    if (!raw) return {};
+    return (await this._decrypt(this.indexKey, raw)) || {};
+  }
+
+  // ----------------------------------------------------------------------------------------------
+
+  /**
+   * Adds or removes keys from the encrypted key index. Updates are queued and re-read the
+   * stored index first, so concurrent writers do not drop each other's keys.
+   * @protected
+   * @param {string|string[]} keys - The base key, or several base keys.
+   * @param {boolean} present - Whether the keys are stored.
+   * @returns {Promise<void>}
+   */
+  _updateKeyIndex(keys, present) {
+    keys = Array.isArray(keys) ? keys : [keys];
+    if (!this.hashKeys || !keys.length) {
+      return Promise.resolve();
+    }
+
+    const update = this._indexQueue.then(async () => {
+      const index = await this._readKeyIndex();
+      let changed = false;
+      for (const key of keys) {
+        const storedKey = await this._storageKey(key);
+        if (present === (index[storedKey] === key)) continue;
+
+        if (present) {
+          index[storedKey] = key;
+        } else {
+          delete index[storedKey];
+        }
+        changed = true;
+      }
+      if (!changed) return;
+
+      await this._setRaw(
+        this.indexKey,
+        await this._encrypt(this.indexKey, JSON.stringify(index))
+      );
+    });
+    this._indexQueue = update.catch(() => {});
+    return update;
+  }
+
+  // ----------------------------------------------------------------------------------------------
+
+  /**
+   * Writes a batch together with the key index update it needs, in the same `_writeBatch()`
+   * call. The index is read first and checked unchanged by the write; when another tab
+   * changed it in between, the batch is written again, unless the caller's own checks may
+   * be what failed.
+   * @private
+   * @param {Array<Object>} ops - Operations built by `_batchOp()`.
+   * @param {Array<{fullKey: string, expected: string|null}>} checks - See `_writeBatch()`.
+   * @returns {Promise<boolean|void>} `false` if a check failed and nothing was written.
+   * @throws {Error} If the key index kept changing.
+   */
+  _writeIndexedBatch(ops, checks) {
+    if (!this.hashKeys) {
+      return this._writeBatch(ops, checks);
+    }
+
+    const write = this._indexQueue.then(async () => {
+      for (let attempt = 1; attempt <= KEY_INDEX_ATTEMPTS; attempt++) {
+        const raw = await this._getRaw(this.indexKey);
+        const index = raw ? (await this._decrypt(this.indexKey, raw)) || {} : {};
+        let changed = false;
+        for (const { key, fullKey, raw: value } of ops) {
+          const present = value !== null;
+          if (present === (index[fullKey] === key)) continue;
+
+          if (present) {
+            index[fullKey] = key;
+          } else {
+            delete index[fullKey];
+          }
+          changed = true;
+        }
+        if (!changed) {
+          return this._writeBatch(ops, checks);
+        }
+
+        const indexOp = {
+          fullKey: this.indexKey,
+          raw: await this._encrypt(this.indexKey, JSON.stringify(index)),
+          expiresAt: null,
+        };
+        const written = await this._writeBatch(
+          [...ops, indexOp],
+          [...checks, { fullKey: this.indexKey, expected: raw }]
+        );
+        if (written !== false || checks.length) {
+          return written;
+        }
+        logWarn("StorageAdapter - The key index changed while writing, retrying.");
+      }
+      throw new Error("The key index kept changing during the write");
+    });
+    this._indexQueue = write.catch(() => {});
+    return write;
+  }
+
+  // ----------------------------------------------------------------------------------------------
+
+  /**
+   * Starts the expiration scheduler: clears what expired while the page was closed, then
+   * keeps a single timer for the nearest expiration. The timer is paused while the page is
+   * hidden and the cleanup catches up when it becomes visible again.
+   * @protected
+   */
+  _startExpireWatcher() {
+    this._stopExpireWatcher();
+    if (this.expireCheckInterval <= 0 || !this.isLeader) {
+      return;
+    }
+    this._expireWatching = true;
+    this._expireAt = null;
+    this._lastExpireRun = 0;
+
+    if (typeof document !== "undefined") {
+      this._visibilityHandler = () => {
+        if (document.hidden) {
+          logInfo("StorageAdapter - Page hidden, pausing expiration timer");
+          clearTimeout(this._expireTimer);
+          this._expireTimer = null;
+          return;
+        }
+        this._runExpire();
+      };
+      document.addEventListener("visibilitychange", this._visibilityHandler);
+    }
+
+    this._runExpire();
+    logInfo(
+      `StorageAdapter - Expire scheduler started, min interval: ${this.expireCheckInterval}ms`
+    );
+  }
+
+  // ----------------------------------------------------------------------------------------------
+
+  /**
+   * Stops the expiration timer and the visibility listener.
+   * @private
+   */
+  _stopExpireWatcher() {
+    this._expireWatching = false;
+    if (this._expireTimer) {
+      clearTimeout(this._expireTimer);
+      this._expireTimer = null;
+      logInfo("StorageAdapter - Expire scheduler stopped.");
+    }
+    if (this._visibilityHandler) {
+      document.removeEventListener("visibilitychange", this._visibilityHandler);
+      this._visibilityHandler = null;
+    }
+  }
+
+  // ----------------------------------------------------------------------------------------------
+
+  /**
+   * Clears the expired keys now, then schedules the timer for the next expiration.
+   * @private
+   * @returns {Promise<void>}
+   */
+  async _runExpire() {
+    clearTimeout(this._expireTimer);
+    this._expireTimer = null;
+    this._expireAt = null;
+    try {
+      logInfo("StorageAdapter - Running expiration cleanup...");
+      await this.clearExpire();
+      this._scheduleExpire(await this._nextExpire());
+    } catch (err) {
+      logError("Error clearing expired keys:", err);
+    }
+  }
+
+  // ----------------------------------------------------------------------------------------------
+
+  /**
+   * Moves the expiration timer earlier when `expiresAt` comes before the scheduled one.
+   * Timer runs are spaced by at least `expireCheckInterval` ms, and no timer is set while
+   * the page is hidden. Followers pass the timestamp on to the leader instead.
+   * @protected
+   * @param {number|null} expiresAt - Expiration timestamp in ms written to storage.
+   */
+  _scheduleExpire(expiresAt) {
+    if (!this.isLeader && typeof expiresAt === "number") {
+      this._election?.send({ expiresAt });
+      return;
+    }
+    if (!this._expireWatching || typeof expiresAt !== "number") return;
+    if (this._expireAt !== null && this._expireAt <= expiresAt) return;
+
+    this._expireAt = expiresAt;
+    clearTimeout(this._expireTimer);
+    this._expireTimer = null;
+    if (typeof document !== "undefined" && document.hidden) return;
+
+    const runAt = Math.max(expiresAt, this._lastExpireRun + this.expireCheckInterval);
+    const arm = () => {
+      const delay = Math.min(Math.max(runAt - Date.now(), 0), MAX_TIMER_DELAY);
+      this._expireTimer = setTimeout(() => {
+        // Timers may fire a little before Date.now() reaches runAt
+        if (Date.now() < runAt) {
+          arm();
+          return;
+        }
+        this._lastExpireRun = Date.now();
+        this._runExpire();
+      }, delay);
+    };
+    arm();
+  }
+
+  // ----------------------------------------------------------------------------------------------
+
+  /**
+   * Schedules the timer again from the stored expirations, after one was removed.
+   * @protected
+   * @returns {Promise<void>}
+   */
+  async _rescheduleExpire() {
+    if (!this._expireWatching) return;
+    clearTimeout(this._expireTimer);
+    this._expireTimer = null;
+    this._expireAt = null;
+    this._scheduleExpire(await this._nextExpire());
+  }
+
+  // ----------------------------------------------------------------------------------------------
+
+  /**
+   * Finds the nearest expiration among the stored entries. Scans the entries under the
+   * prefix; adapters with indexes override it.
+   * @protected
+   * @returns {Promise<number|null>} Timestamp in ms, or `null` when nothing expires.
+   */
+  async _nextExpire() {
+    const entries = await this._readBatch(this._rawKeys());
+    let next = null;
+    for (const entry of entries) {
+      if (entry?.expiresAt && (next === null || entry.expiresAt < next)) {
+        next = entry.expiresAt;
+      }
+    }
+    return next;
+  }
+
+  // ----------------------------------------------------------------------------------------------
+
+  /**
+   * Takes part in the election of the tab that runs the housekeeping of a shared storage:
+   * expiration cleanups, eviction and migrations. Until this instance leads, `isLeader` is
+   * `false`, and the expirations it writes, the evictions its writes call for and its
+   * pending migrations are handed over to the leader.
+   * @protected
+   * @param {boolean} enabled - Whether to elect a leader, otherwise this instance leads.
+   * @param {string} scope - Storage the candidates share, e.g. `localStorage:${prefix}`, so
+   *        adapters over other storages hold their own election.
+   */
+  _initLeaderElection(enabled, scope) {
+    if (!enabled) return;
+    this.isLeader = false;
+    this._election = new LeaderElection(`storagefy_leader_${scope}`);
+    this._election.onChange((isLeader) => this._setLeader(isLeader));
+    this._election.onMessage((message) => this._onLeaderMessage(message));
+    this._election.start();
+  }
+
+  // ----------------------------------------------------------------------------------------------
+
+  /**
+   * Handles the messages of the other candidates. Followers send the expirations they
+   * write, see `_scheduleExpire()`, ask for evictions once they wrote, see
+   * `_requestEviction()`, and ask for their migrations, see `_waitMigrationTurn()`. The
+   * instance that ran migrations reports the schema version it migrated to.
+   * @private
+   * @param {{expiresAt?: number, evict?: boolean, migrate?: number, migrated?: number}} message
+   */
+  _onLeaderMessage({ expiresAt, evict, migrate, migrated }) {
+    if (migrated !== undefined) {
+      if (this._migrationTurn && migrated >= this._migrationTurn.version) {
+        this._migrationTurn.resolve();
+      }
+      return;
+    }
+    if (!this.isLeader) return;
+    if (expiresAt !== undefined) this._scheduleExpire(expiresAt);
+    if (evict) this._evictToBudget();
+    if (migrate !== undefined) this._answerMigration(migrate);
+  }
+
+  // ----------------------------------------------------------------------------------------------
+
+  /**
+   * Starts or stops the housekeeping when the leadership changes, then calls the handlers
+   * registered with `onLeaderChange()`.
+   * @private
+   * @param {boolean} isLeader
+   */
+  _setLeader(isLeader) {
+    this.isLeader = isLeader;
+    if (isLeader) {
+      this._migrationTurn?.resolve();
+      this._startExpireWatcher();
+      this._evictToBudget();
+    } else {
+      this._stopExpireWatcher();
+    }
+    for (const handler of [...this._leaderHandlers]) {
+      try {
+        handler(isLeader);
+      } catch (err) {
+        logError("Error in leader change handler:", err);
+      }
+    }
+  }
+
+  // ----------------------------------------------------------------------------------------------
+
+  /**
+   * Registers a handler called with `true` when this instance becomes the leader of its
+   * tabs and with `false` when it stops leading, e.g. to run a single poller or websocket
+   * for all tabs. Check `isLeader` for the current state. Without `leaderElection`, every
+   * instance leads and the handler is never called.
+   * @param {function(boolean): void} handler
+   * @returns {Function} Function removing the handler.
+   * @throws {Error} If the handler is not a function.
+   * @example
+   * adapter.onLeaderChange((isLeader) => (isLeader ? startPolling() : stopPolling()));
+   */
+  onLeaderChange(handler) {
+    if (typeof handler !== "function") {
+      throw new Error("onLeaderChange requires a handler function");
+    }
+    this._leaderHandlers.add(handler);
+    return () => {
+      this._leaderHandlers.delete(handler);
+    };
+  }
+
+  // ----------------------------------------------------------------------------------------------
+
+  /**
+   * Cleans up timers and listeners, and closes the cross-tab channel. Handlers registered
+   * with `on()`, `onDataChanged()` and `onLeaderChange()` are dropped, and the leadership
+   * is handed over to another tab.
+   */
+  destroy() {
+    this._stopExpireWatcher();
+
+    if (this._unloadHandler) {
+      window.removeEventListener("beforeunload", this._unloadHandler);
+      this._unloadHandler = null;
+      logInfo("StorageAdapter - Removed unload handler.");
+    }
+
+    this.channel?.close();
+    this._listeners.clear();
+    this._election?.close();
+    this._leaderHandlers.clear();
+    if (this._migrationTurn) {
+      clearInterval(this._migrationTurn.timer);
+      this._migrationTurn = null;
+    }
+  }
+
+  // ----------------------------------------------------------------------------------------------
+
+  /**
+   * List all keys under a specific table prefix.
+   * @param {string} tableName - Table prefix.
+   * @returns {Promise<string[]>} - List of keys.
+   */
+  async getAll(tableName) {
+    logInfo(`StorageAdapter - Getting all keys under table: "${tableName}"`);
+    return this.list(`${tableName}__`);
+  }
+
+  // ----------------------------------------------------------------------------------------------
+
+  /**
+   * Get the expiration timestamp for a key.
+   * @param {string} key - Key to check.
+   * @returns {Promise<number|null>} - Expiration timestamp or null.
+   */
+  async getExpire(key) {
+    try {
+      const [entry] = await this._readBatch([await this._storageKey(key)]);
+      const expire = entry?.expiresAt || null;
+      logInfo(`StorageAdapter - Getting expiration for key "${key}":`, expire);
+      return expire;
+    } catch (err) {
+      logError(`Error getting expire for key '${key}':`, err);
+      if (this.strict) throw err;
+      return null;
+    }
+  }
+
+  // ----------------------------------------------------------------------------------------------
+
+  /**
+   * Registers a handler for a local event of this adapter. Unlike `onDataChanged`, it only
+   * sees changes made through this instance, including expirations.
+   *
+   * Events: `set`, `delete`, `expire` (removed by `clearExpire()`, or when read after it
+   * expired), `evict` (removed to stay within `maxEntries`/`maxBytes`), `clear` and `reset`.
+   * Handlers receive `{ key, oldValue, newValue }`, with `key` set to `null` for `clear`
+   * and `reset`.
+   *
+   * @param {"set"|"delete"|"expire"|"evict"|"clear"|"reset"} event - Event name.
+   * @param {function({key: string|null, oldValue: any, newValue: any}): void} handler
+   * @returns {Function} Function removing the handler.
+   * @throws {Error} If the event is unknown or the handler is not a function.
+   * @example
+   * adapter.on('expire', ({ key }) => {
+   *   if (key === 'auth') logout();
+   * });
+   */
+  on(event, handler) {
+    if (!EVENTS.includes(event)) {
+      throw new Error(
+        `Unknown event "${event}", expected one of: ${EVENTS.join(", ")}`
+      );
+    }
+    if (typeof handler !== "function") {
+      throw new Error("on requires a handler function");
+    }
+    logInfo(`StorageAdapter - Adding "${event}" handler`);
+    if (!this._listeners.has(event)) {
+      this._listeners.set(event, new Set());
+    }
+    this._listeners.get(event).add(handler);
+    return () => this.off(event, handler);
+  }
+
+  // ----------------------------------------------------------------------------------------------
+
+  /**
+   * Removes a handler registered with `on()`.
+   * @param {string} event - Event name.
+   * @param {Function} handler - The registered handler.
+   */
+  off(event, handler) {
+    logInfo(`StorageAdapter - Removing "${event}" handler`);
+    this._listeners.get(event)?.delete(handler);
+  }
+
+  // ----------------------------------------------------------------------------------------------
+
+  /**
+   * Whether an event has handlers, so payloads are only built when needed.
+   * @protected
+   * @param {string} event - Event name.
+   * @returns {boolean}
+   */
+  _hasListeners(event) {
+    return this._listeners.get(event)?.size > 0;
+  }
+
+  // ----------------------------------------------------------------------------------------------
+
+  /**
+   * Calls the handlers of a local event. A throwing handler is logged and does not stop
+   * the others.
+   * @protected
+   * @param {string} event - Event name.
+   * @param {{key: string|null, oldValue: any, newValue: any}} payload
+   */
+  _emitEvent(event, payload) {
+    if (!this._hasListeners(event)) return;
+    logInfo(`StorageAdapter - Firing "${event}" event for key "${payload.key}"`);
+    for (const handler of [...this._listeners.get(event)]) {
+      try {
+        handler(payload);
+      } catch (err) {
+        logError(`Error in "${event}" handler:`, err);
+      }
+    }
+  }
+
+  // ----------------------------------------------------------------------------------------------
+
+  /**
+   * Emits a data change event through the communication channel,
+   * typically used to notify other tabs, windows, or contexts that
+   * a value has been updated.
+   *
+   * @param {string} key - The key of the updated data.
+   * @param {*} value - The new value associated with the key. May be encrypted depending on adapter logic.
+   * @param {string} origin - A unique identifier for the source of the change (e.g., tab ID or UUID).
+   * @param {{clock: number, tabId: string}} [version] - Version of the written value, see `set()`.
+   * @param {{base: {clock: number, tabId: string}, ops: *}} [patch] - Change turning the value
+   *        of version `base` into the written one, so receivers holding `base` need not read
+   *        the whole value.
+   */
+  emitDataChange(key, value, origin, version, patch) {
+    // Ensure the communication channel is active and an origin is provided.
+    if (!this.channelName || !origin) {
+      return;
+    }
+    logInfo(
+      `StorageAdapter - Emitting data change for key "${key}" from origin "${origin}"`
+    );
+    // Emit a structured message containing change metadata and the new value.
+    this.channel.emit({
+      adapterId: this.adapterId, // Identifies which adapter emitted the change.
+      key, // The key that was changed.
+      value, // The new (possibly encrypted) value.
+      origin, // Identifies the origin of this change.
+      version, // Lamport version of the value, when written with a conflict strategy.
+      patch, // Change from the previous version, when the writer sent one.
+    });
+  }
+
+  // ----------------------------------------------------------------------------------------------
+
+  /**
+   * Stamps a new version for a value written by this instance: the Lamport clock moves
+   * forward, and the adapter id tells apart tabs writing at the same clock.
+   * @protected
+   * @returns {{clock: number, tabId: string}}
+   */
+  _nextVersion() {
+    this.clock += 1;
+    return { clock: this.clock, tabId: this.adapterId };
+  }
+
+  // ----------------------------------------------------------------------------------------------
+
+  /**
+   * Moves the Lamport clock past a version written by another tab, so the next local write
+   * is ordered after it.
+   * @protected
+   * @param {{clock: number}|null} [version]
+   */
+  _observeVersion(version) {
+    if (typeof version?.clock === "number" && version.clock > this.clock) {
+      this.clock = version.clock;
+    }
+  }
+
+  // ----------------------------------------------------------------------------------------------
+
+  /**
+   * Reads the version a value was stored with, see `set()`.
+   * @protected
+   * @param {string} key - The storage key.
+   * @returns {Promise<{clock: number, tabId: string}|null>} `null` when the key is missing or
+   *          was stored without a version.
+   */
+  async _readVersion(key) {
+    const [entry] = await this._readBatch([await this._storageKey(key)]);
+    return entry?.version ?? null;
+  }
+
+  // ----------------------------------------------------------------------------------------------
+
+  /**
+   * Emits a single data change event for several keys, used by the batch operations.
+   * Subscribers registered with `onDataChanged` still receive one call per key.
+   *
+   * @param {string[]} keys - The keys that were changed.
+   * @param {string} origin - A unique identifier for the source of the change.
+   */
+  emitBatchChange(keys, origin) {
+    if (!this.channelName || !origin || !keys.length) {
+      return;
+    }
+    logInfo(
+      `StorageAdapter - Emitting data change for ${keys.length} keys from origin "${origin}"`
+    );
+    this.channel.emit({
+      adapterId: this.adapterId,
+      keys,
+      origin,
+    });
+  }
+
+  // ----------------------------------------------------------------------------------------------
+
+  /**
+   * Registers a callback function to be invoked when data changes
+   * are emitted through the communication channel.
+   *
+   * This is used to keep stores or application state in sync when
+   * updates happen from external sources (e.g., other tabs or devices).
+   * Every callback is called, and given a key, only for changes of that key.
+   *
+   * @param {string|Function} key - Key to watch, or the callback to watch every key.
+   * @param {Function} [callback] - A function to handle incoming data change events.
+   *                              The callback receives an object with properties:
+   *                              `{ adapterId, key, value, origin, version, patch }`
+   * @returns {Function} Function removing the callback.
+   */
+  onDataChanged(key, callback) {
+    if (typeof key === "function") {
+      callback = key;
+      key = null;
+    }
+    // Validate that a channel exists and the provided callback is a function.
+    if (!this.channel || typeof callback !== "function") {
+      return () => {};
+    }
+
+    // Subscribe the callback to the channel to receive emitted data changes.
+    logInfo("StorageAdapter - Subscribing to cross-tab data changes.");
+    const listener = (data) => {
+      this._observeVersion(data?.version);
+      if (!Array.isArray(data?.keys)) {
+        callback(data);
+        return;
+      }
+      // Batched changes are split so subscribers only deal with single keys
+      for (const changedKey of data.keys) {
+        if (key !== null && changedKey !== key) continue;
+        callback({
+          adapterId: data.adapterId,
+          key: changedKey,
+          value: undefined,
+          origin: data.origin,
+        });
+      }
+    };
+    return key === null
+      ? this.channel.subscribe(listener)
+      : this.channel.subscribe(key, listener);
   }
 }
 
@@ -9,7 +9,8 @@ import generateSimpleId from "misc-helpers/src/utils/generateSimpleId.js";
  * between browser tabs or contexts under the same origin.
  *
  * This class provides a simple interface to emit data and subscribe to data changes
- * across tabs, making it ideal for syncing state in multi-tab applications.
+ * across tabs, making it ideal for syncing state in multi-tab applications. Any number of
+ * subscribers can listen, each one optionally for a single key.
  */
 class CrossTabChannel {
   /**
@@ -19,44 +20,102 @@ class CrossTabChannel {
    *                                                     Tabs sharing this name can communicate with each other.
    */
   constructor(channelName) {
-    // Initialize the BroadcastChannel with the given name.
     try {
       if (typeof channelName !== "string") {
         channelName = generateSimpleId("storagefy_channel");
       }
-      this.channel = new BroadcastChannel(channelName);
       this.channelName = channelName;
+      this.closed = false;
+      // Subscribers with the key they listen to (null for every key)
+      this._subscribers = new Set();
+      this._connect();
       logInfo(`CrossTabChannel initialized on channel "${channelName}"`);
     } catch (error) {
-      logError("Failed to initialize BroadcastChannel:", error);
+      logError("Failed to initialize the cross-tab channel:", error);
       throw error;
     }
   }
 
   // ------------------------------------------------------------------------------------------------
 
+  /**
+   * Starts receiving messages from other tabs and passes them to `_dispatch()`.
+   * @protected
+   */
+  _connect() {
+    this.channel = new BroadcastChannel(this.channelName);
+    this.channel.onmessage = (event) => this._dispatch(event.data);
+  }
+
+  // ------------------------------------------------------------------------------------------------
+
+  /**
+   * Stops receiving messages from other tabs.
+   * @protected
+   */
+  _disconnect() {
+    this.channel.close();
+  }
+
+  // ------------------------------------------------------------------------------------------------
+
   /**
    * Subscribes to incoming messages on the channel.
    * The callback will be called with the message data whenever another tab posts a message.
+   * Given a key, it is only called for messages about that key: their `key` is the same,
+   * or their `keys` include it.
    *
-   * @param {Function} callback - A function that handles incoming message data.
+   * @param {string|Function} key - Key to listen to, or the callback to listen to every message.
+   * @param {Function} [callback] - A function that handles incoming message data.
+   * @returns {Function} Function removing the subscription.
+   * @example
+   * const unsubscribe = channel.subscribe('user', (data) => refresh(data.key));
+   * unsubscribe();
    */
-  subscribe(callback) {
+  subscribe(key, callback) {
+    if (typeof key === "function") {
+      callback = key;
+      key = null;
+    }
     if (typeof callback !== "function") {
       logWarn("CrossTabChannel.subscribe: Provided callback is not a function.");
-      return;
+      return () => {};
     }
 
-    this.channel.onmessage = (event) => {
-      logInfo("CrossTabChannel - Received message:", event.data);
+    const subscriber = { key, callback };
+    this._subscribers.add(subscriber);
+    logInfo(
+      `CrossTabChannel - Subscribed to incoming messages${key === null ? "" : ` for key "${key}"`}.`
+    );
+    return () => {
+      this._subscribers.delete(subscriber);
+    };
+  }
+
+  // ------------------------------------------------------------------------------------------------
+
+  /**
+   * Calls the subscribers interested in a message. A throwing subscriber is logged and does
+   * not stop the others.
+   * @protected
+   * @param {*} data - The message data.
+   */
+  _dispatch(data) {
+    logInfo("CrossTabChannel - Received message:", data);
+    for (const { key, callback } of [...this._subscribers]) {
+      if (
+        key !== null &&
+        data?.key !== key &&
+        !(Array.isArray(data?.keys) && data.keys.includes(key))
+      ) {
+        continue;
+      }
       try {
-        callback(event.data);
+        callback(data);
       } catch (error) {
         logError("Error in CrossTabChannel subscriber callback:", error);
       }
-    };
-
-    logInfo("CrossTabChannel - Subscribed to incoming messages.");
+    }
   }
 
   // ------------------------------------------------------------------------------------------------
@@ -78,12 +137,15 @@ class CrossTabChannel {
   // ------------------------------------------------------------------------------------------------
 
   /**
-   * Closes the channel to stop listening for or sending messages.
-   * This is useful for cleanup when the channel is no longer needed.
+   * Closes the channel to stop listening for or sending messages, and drops the subscribers.
+   * This is useful for cleanup when the channel is no longer needed. Closing twice is a no-op.
    */
   close() {
+    if (this.closed) return;
+    this.closed = true;
+    this._subscribers.clear();
     try {
-      this.channel.close();
+      this._disconnect();
       logInfo("CrossTabChannel - Channel closed.");
     } catch (error) {
       logError("CrossTabChannel.close: Error closing channel:", error);
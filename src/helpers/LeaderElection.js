@@ -0,0 +1,280 @@
+import generateSimpleId from "misc-helpers/src/utils/generateSimpleId.js";
+import { logError, logInfo } from "./loggerHelper.js";
+import { hasWebLocks } from "./lockHelper.js";
+
+// ------------------------------------------------------------------------------------------------
+
+/**
+ * Heartbeats a follower may miss before it takes over from a silent leader.
+ */
+const MISSED_HEARTBEATS = 3;
+
+// ------------------------------------------------------------------------------------------------
+
+/**
+ * @class LeaderElection
+ * Elects one leader among the tabs (and instances) competing under the same name.
+ *
+ * With the Web Locks API the leader is the holder of an exclusive lock, which the browser
+ * hands to the next candidate when the leader closes or its tab goes away. Without it,
+ * candidates talk over a BroadcastChannel: the leader sends heartbeats, a follower takes
+ * over after missing a few of them, and when two leaders hear each other the one with the
+ * lower id stays. Without either API there is nobody to compete with, so the candidate
+ * leads right away.
+ *
+ * Candidates can also `send()` messages to each other over the BroadcastChannel, e.g. for
+ * followers to hand work over to the leader.
+ */
+class LeaderElection {
+  /**
+   * @param {string} name - Name shared by the candidates.
+   * @param {Object} [options]
+   * @param {number} [options.heartbeatInterval=1000] - Delay between heartbeats in ms, when
+   *        the Web Locks API is not available.
+   */
+  constructor(name, { heartbeatInterval = 1000 } = {}) {
+    this.name = name;
+    this.id = generateSimpleId("leader");
+    this.heartbeatInterval = heartbeatInterval;
+    this.isLeader = false;
+    this.closed = false;
+    this._handlers = new Set();
+    this._messageHandlers = new Set();
+  }
+
+  // ------------------------------------------------------------------------------------------------
+
+  /**
+   * Registers a handler called with `true` when this candidate becomes the leader, and with
+   * `false` when it stops being the leader.
+   * @param {function(boolean): void} handler
+   * @returns {Function} Function removing the handler.
+   */
+  onChange(handler) {
+    this._handlers.add(handler);
+    return () => {
+      this._handlers.delete(handler);
+    };
+  }
+
+  // ------------------------------------------------------------------------------------------------
+
+  /**
+   * Registers a handler called with the payload of the messages sent by the other
+   * candidates.
+   * @param {function(*): void} handler
+   * @returns {Function} Function removing the handler.
+   */
+  onMessage(handler) {
+    this._messageHandlers.add(handler);
+    return () => {
+      this._messageHandlers.delete(handler);
+    };
+  }
+
+  // ------------------------------------------------------------------------------------------------
+
+  /**
+   * Sends a message to the other candidates. Does nothing without BroadcastChannel.
+   * @param {*} payload - Structured-cloneable data.
+   */
+  send(payload) {
+    if (this._channel && !this.closed) {
+      this._post("message", payload);
+    }
+  }
+
+  // ------------------------------------------------------------------------------------------------
+
+  /**
+   * Starts competing for leadership.
+   */
+  start() {
+    if (typeof BroadcastChannel === "function") {
+      this._channel = new BroadcastChannel(this.name);
+      this._channel.onmessage = (event) => this._onMessage(event.data);
+    }
+    if (hasWebLocks()) {
+      this._requestLock();
+    } else if (this._channel) {
+      this._startHeartbeat();
+    } else {
+      logInfo(`LeaderElection - No other tab can compete for "${this.name}"`);
+      this._setLeader(true);
+    }
+  }
+
+  // ------------------------------------------------------------------------------------------------
+
+  /**
+   * Waits for the exclusive lock and leads until it is released by `close()`.
+   * @private
+   */
+  _requestLock() {
+    logInfo(`LeaderElection - Waiting for the "${this.name}" lock`);
+    this._abort = new AbortController();
+    navigator.locks
+      .request(this.name, { mode: "exclusive", signal: this._abort.signal }, () => {
+        if (this.closed) return;
+        this._setLeader(true);
+        return new Promise((resolve) => {
+          this._release = resolve;
+        });
+      })
+      .catch((err) => {
+        if (err?.name !== "AbortError") {
+          logError(`LeaderElection - Error waiting for the "${this.name}" lock:`, err);
+        }
+      });
+  }
+
+  // ------------------------------------------------------------------------------------------------
+
+  /**
+   * Listens for heartbeats. The first check waits one interval so a running leader can be
+   * heard.
+   * @private
+   */
+  _startHeartbeat() {
+    logInfo(`LeaderElection - Listening for "${this.name}" heartbeats`);
+    this._lastHeartbeat = Date.now() - (MISSED_HEARTBEATS - 1) * this.heartbeatInterval;
+    this._heartbeatTimer = setInterval(() => this._tick(), this.heartbeatInterval);
+  }
+
+  // ------------------------------------------------------------------------------------------------
+
+  /**
+   * Sends a heartbeat as leader, or takes over once the leader went silent.
+   * @private
+   */
+  _tick() {
+    if (this.isLeader) {
+      this._post("heartbeat");
+      return;
+    }
+    if (Date.now() - this._lastHeartbeat >= MISSED_HEARTBEATS * this.heartbeatInterval) {
+      logInfo(`LeaderElection - No "${this.name}" leader heard, taking over`);
+      this._setLeader(true);
+      this._post("heartbeat");
+    }
+  }
+
+  // ------------------------------------------------------------------------------------------------
+
+  /**
+   * Handles the messages, heartbeats and resignations of the other candidates.
+   * @private
+   * @param {{type: string, id: string, payload?: *}} data
+   */
+  _onMessage(data) {
+    if (!data || data.id === this.id || this.closed) return;
+    if (data.type === "message") {
+      for (const handler of [...this._messageHandlers]) {
+        try {
+          handler(data.payload);
+        } catch (err) {
+          logError("Error in leader election message handler:", err);
+        }
+      }
+      return;
+    }
+    if (data.type === "resign") {
+      this._lastHeartbeat = 0;
+      return;
+    }
+    if (data.type !== "heartbeat") return;
+
+    this._lastHeartbeat = Date.now();
+    if (this.isLeader && data.id < this.id) {
+      logInfo(`LeaderElection - Another "${this.name}" leader was found, stepping down`);
+      this._setLeader(false);
+    }
+  }
+
+  // ------------------------------------------------------------------------------------------------
+
+  /**
+   * Posts a message to the other candidates.
+   * @private
+   * @param {"heartbeat"|"resign"|"message"} type
+   * @param {*} [payload]
+   */
+  _post(type, payload) {
+    try {
+      this._channel.postMessage({ type, id: this.id, payload });
+    } catch (err) {
+      logError(`LeaderElection - Error sending "${type}":`, err);
+    }
+  }
+
+  // ------------------------------------------------------------------------------------------------
+
+  /**
+   * Updates the leadership and calls the handlers when it changed. A throwing handler is
+   * logged and does not stop the others.
+   * @private
+   * @param {boolean} isLeader
+   */
+  _setLeader(isLeader) {
+    if (this.isLeader === isLeader) return;
+    this.isLeader = isLeader;
+    logInfo(`LeaderElection - ${isLeader ? "Leading" : "Following"} "${this.name}"`);
+    for (const handler of [...this._handlers]) {
+      try {
+        handler(isLeader);
+      } catch (err) {
+        logError("Error in leader change handler:", err);
+      }
+    }
+  }
+
+  // ------------------------------------------------------------------------------------------------
+
+  /**
+   * Steps down and competes again behind the other candidates, e.g. when another candidate
+   * needs to do work this one cannot. Does nothing unless this candidate leads.
+   */
+  handOver() {
+    if (!this.isLeader || this.closed) return;
+    logInfo(`LeaderElection - Handing "${this.name}" over`);
+    this._setLeader(false);
+    if (this._release) {
+      const release = this._release;
+      this._release = null;
+      release();
+      this._requestLock();
+      return;
+    }
+    this._post("resign");
+    // Waits a full timeout before taking over again, so the others go first
+    this._lastHeartbeat = Date.now();
+  }
+
+  // ------------------------------------------------------------------------------------------------
+
+  /**
+   * Stops competing and hands the leadership over to the other candidates. Handlers are
+   * dropped without being called.
+   */
+  close() {
+    if (this.closed) return;
+    this.closed = true;
+    this._handlers.clear();
+    this._messageHandlers.clear();
+    this._abort?.abort();
+    this._release?.();
+    if (this._heartbeatTimer) {
+      clearInterval(this._heartbeatTimer);
+      if (this.isLeader) this._post("resign");
+    }
+    this._channel?.close();
+    this.isLeader = false;
+    logInfo(`LeaderElection - Left "${this.name}"`);
+  }
+}
+
+// ------------------------------------------------------------------------------------------------
+
+export default LeaderElection;
+
+// ------------------------------------------------------------------------------------------------
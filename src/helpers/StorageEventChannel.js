@@ -0,0 +1,110 @@
+import CrossTabChannel from "./CrossTabChannel.js";
+import { logError, logInfo } from "./loggerHelper.js";
+
+// ------------------------------------------------------------------------------------------------
+
+/**
+ * @class StorageEventChannel
+ * @extends CrossTabChannel
+ * Cross-tab transport built on the window `storage` event instead of BroadcastChannel, for
+ * environments without it. Browsers fire the event in the other tabs on every localStorage
+ * write, including writes that bypass Storagefy, so `emit()` has nothing to send.
+ *
+ * Subscribers receive `{ adapterId: null, key, value: undefined, origin: "storage-event" }`
+ * and read the new value from storage. Clearing the whole storage is not reported. Events
+ * are resolved one at a time, in the order they were fired, since a change may only be
+ * understood once the ones before it are.
+ */
+class StorageEventChannel extends CrossTabChannel {
+  /**
+   * @param {string} channelName - Name reported as `channelName`, only used in logs.
+   * @param {Object} options
+   * @param {Storage} options.storage - Storage area whose events are reported.
+   * @param {function(StorageEvent): Promise<string[]>} options.resolveChange - Maps a storage
+   *        event to the keys subscribers know that it changed, none for events to ignore.
+   * @throws {Error} If there is no window to listen to.
+   */
+  constructor(channelName, { storage, resolveChange }) {
+    super(channelName);
+    this.storage = storage;
+    this.resolveChange = resolveChange;
+    this._reporting = Promise.resolve();
+  }
+
+  // ------------------------------------------------------------------------------------------------
+
+  /**
+   * Starts listening to the window `storage` event.
+   * @protected
+   * @throws {Error} If there is no window to listen to.
+   */
+  _connect() {
+    if (typeof window === "undefined") {
+      throw new Error("Storage events are not available in this environment");
+    }
+    this._storageHandler = (event) => this._onStorage(event);
+    window.addEventListener("storage", this._storageHandler);
+  }
+
+  // ------------------------------------------------------------------------------------------------
+
+  /**
+   * Stops listening to the window `storage` event.
+   * @protected
+   */
+  _disconnect() {
+    window.removeEventListener("storage", this._storageHandler);
+  }
+
+  // ------------------------------------------------------------------------------------------------
+
+  /**
+   * Queues a change made by another tab, to be reported after the changes fired before it.
+   * @private
+   * @param {StorageEvent} event
+   * @returns {Promise<void>|undefined} Settles once the change is reported, if it is queued.
+   */
+  _onStorage(event) {
+    if (this.closed || event.storageArea !== this.storage || event.key === null) {
+      return;
+    }
+    this._reporting = this._reporting.then(() => this._report(event));
+    return this._reporting;
+  }
+
+  // ------------------------------------------------------------------------------------------------
+
+  /**
+   * Reports a change made by another tab to the subscribers of the keys it changed.
+   * @private
+   * @param {StorageEvent} event
+   * @returns {Promise<void>}
+   */
+  async _report(event) {
+    try {
+      const keys = await this.resolveChange(event);
+      for (const key of keys) {
+        if (this.closed) return;
+        this._dispatch({ adapterId: null, key, value: undefined, origin: "storage-event" });
+      }
+    } catch (error) {
+      logError("StorageEventChannel - Error resolving changed key:", error);
+    }
+  }
+
+  // ------------------------------------------------------------------------------------------------
+
+  /**
+   * Does nothing: other tabs are notified by the storage event of the write itself.
+   * @param {*} data - The change that was written.
+   */
+  emit(data) {
+    logInfo("StorageEventChannel - Change left to the storage event:", data);
+  }
+}
+
+// ------------------------------------------------------------------------------------------------
+
+export default StorageEventChannel;
+
+// ------------------------------------------------------------------------------------------------
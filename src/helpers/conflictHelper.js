@@ -0,0 +1,126 @@
+// ------------------------------------------------------------------------------------------------
+
+/**
+ * Built-in ways to settle two tabs writing the same key concurrently.
+ */
+export const CONFLICT_STRATEGIES = ["last-writer-wins", "first-writer-wins", "merge-fields"];
+
+// ------------------------------------------------------------------------------------------------
+
+/**
+ * Orders two versions by Lamport clock, then by tab id, so every tab picks the same winner.
+ * @param {{clock: number, tabId: string}} a
+ * @param {{clock: number, tabId: string}} b
+ * @returns {number} Negative when `a` comes first, positive when `b` does, 0 when equal.
+ */
+export function compareVersions(a, b) {
+  if (a.clock !== b.clock) return a.clock - b.clock;
+  if (a.tabId === b.tabId) return 0;
+  return a.tabId < b.tabId ? -1 : 1;
+}
+
+// ------------------------------------------------------------------------------------------------
+
+/**
+ * Whether two versions stamp the same write.
+ * @param {{clock: number, tabId: string}|null} [a]
+ * @param {{clock: number, tabId: string}|null} [b]
+ * @returns {boolean}
+ */
+export function isSameVersion(a, b) {
+  return Boolean(a && b) && compareVersions(a, b) === 0;
+}
+
+// ------------------------------------------------------------------------------------------------
+
+/**
+ * Checks a `conflictStrategy` option.
+ * @param {string|Function} [strategy]
+ * @throws {Error} If the strategy is neither built-in nor a function.
+ */
+export function checkConflictStrategy(strategy) {
+  if (
+    strategy === undefined ||
+    typeof strategy === "function" ||
+    CONFLICT_STRATEGIES.includes(strategy)
+  ) {
+    return;
+  }
+  throw new Error(
+    `Unknown conflict strategy "${strategy}", expected one of: ${CONFLICT_STRATEGIES.join(", ")}, or a resolver function`
+  );
+}
+
+// ------------------------------------------------------------------------------------------------
+
+/**
+ * Keeps the fields changed since `base` on one side only, and settles fields changed on
+ * both sides in favour of the later write.
+ * @private
+ * @param {Object} local
+ * @param {Object} incoming
+ * @param {Object|null} base
+ * @param {boolean} incomingIsLater
+ * @returns {Object}
+ */
+function mergeFields(local, incoming, base, incomingIsLater) {
+  const changed = (state, field) =>
+    JSON.stringify(state[field]) !== JSON.stringify(base?.[field]);
+  const merged = { ...incoming };
+  for (const field of Object.keys(local)) {
+    if (changed(local, field) && (!changed(incoming, field) || !incomingIsLater)) {
+      merged[field] = local[field];
+    }
+  }
+  return merged;
+}
+
+// ------------------------------------------------------------------------------------------------
+
+/**
+ * Settles the state of a tab against a state written by another tab.
+ *
+ * Built-in strategies take the incoming state when one side has no version, i.e. when
+ * hydrating or when the other tab writes without a strategy. Otherwise
+ * `last-writer-wins` keeps the later version, `first-writer-wins` the earlier one, and
+ * `merge-fields` merges the fields each side changed since `base`. Fields changed on both
+ * sides, or on either side without `base`, come from the later version.
+ * @param {string|Function} strategy - Built-in strategy, or a resolver returning the state to keep.
+ * @param {Object} conflict
+ * @param {string} conflict.key - Storage key of the state.
+ * @param {Object} conflict.local - State of this tab.
+ * @param {Object} conflict.incoming - State written by the other tab.
+ * @param {Object|null} conflict.base - State both writes started from, `null` when unknown.
+ * @param {Object|null} conflict.localVersion - Version this tab last wrote or applied, `null` before that.
+ * @param {Object|null} conflict.incomingVersion - Version of `incoming`.
+ * @returns {Promise<Object>} The state to keep.
+ * @example
+ * await resolveConflict("merge-fields", {
+ *   key: "cart",
+ *   local: { items: 2, coupon: "A" },
+ *   incoming: { items: 3, coupon: null },
+ *   base: { items: 2, coupon: null },
+ *   localVersion: { clock: 4, tabId: "tab_a" },
+ *   incomingVersion: { clock: 4, tabId: "tab_b" },
+ * }); // { items: 3, coupon: "A" }
+ */
+export async function resolveConflict(strategy, conflict) {
+  if (typeof strategy === "function") {
+    return strategy(conflict);
+  }
+
+  const { local, incoming, base, localVersion, incomingVersion } = conflict;
+  if (!localVersion || !incomingVersion) {
+    return strategy === "merge-fields" ? { ...local, ...incoming } : incoming;
+  }
+  const order = compareVersions(incomingVersion, localVersion);
+  if (strategy === "first-writer-wins") {
+    return order < 0 ? incoming : local;
+  }
+  if (strategy === "merge-fields") {
+    return mergeFields(local, incoming, base, order > 0);
+  }
+  return order > 0 ? incoming : local;
+}
+
+// ------------------------------------------------------------------------------------------------
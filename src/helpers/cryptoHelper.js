@@ -7,6 +7,11 @@ import base64From from "misc-helpers/src/utils/base64From.js";
 const ENCODER = new TextEncoder();
 const DECODER = new TextDecoder();
 
+/**
+ * Default number of PBKDF2 iterations used when deriving keys.
+ */
+export const DEFAULT_ITERATIONS = 100000;
+
 // ------------------------------------------------------------------------------------------------
 
 let crypto;
@@ -28,6 +33,13 @@ function getCrypto() {
       return;
     }
 
+    if (globalThis.crypto?.subtle) {
+      crypto = globalThis.crypto;
+      subtle = crypto.subtle;
+      logInfo("CryptoHelper - Crypto initialized from globalThis.crypto");
+      return;
+    }
+
     if (typeof global !== "undefined") {
       if (global.crypto?.webcrypto) {
         crypto = global.crypto.webcrypto;
@@ -77,23 +89,33 @@ const generateKeyMaterial = async (password) => {
  * @param {string} password - The password.
  * @param {string} salt - The salt.
  * @param {boolean} [extractable=false] - Whether the derived key is extractable.
+ * @param {number} [iterations=100000] - Number of PBKDF2 iterations.
  * @returns {Promise<CryptoKey>} The derived key.
  */
-export const deriveKey = async (password, salt, extractable = false) => {
+export const deriveKey = async (
+  password,
+  salt,
+  extractable = false,
+  iterations = DEFAULT_ITERATIONS
+) => {
   try {
     if (typeof password !== "string" || !password.length) {
       throw new Error("Invalid password");
     }
+    if (!Number.isInteger(iterations) || iterations < 1) {
+      throw new Error("Invalid iterations");
+    }
     logInfo("CryptoHelper - Deriving key with PBKDF2", {
       passwordLength: password.length,
       extractable,
+      iterations,
     });
     const keyMaterial = await generateKeyMaterial(password);
     return subtle.deriveKey(
       {
         name: "PBKDF2",
         salt: ENCODER.encode(salt),
-        iterations: 100000,
+        iterations,
         hash: "SHA-256",
       },
       keyMaterial,
@@ -109,6 +131,73 @@ export const deriveKey = async (password, salt, extractable = false) => {
 
 // ------------------------------------------------------------------------------------------------
 
+/**
+ * Generates a random salt to be used in key derivation.
+ * @param {number} [length=16] - Number of random bytes.
+ * @returns {string} The salt encoded in base64.
+ */
+export const generateSalt = (length = 16) => {
+  try {
+    logInfo("CryptoHelper - Generating random salt", { length });
+    const bytes = crypto.getRandomValues(new Uint8Array(length));
+    return base64To(String.fromCharCode(...bytes));
+  } catch (error) {
+    logError("Error generating salt:", error);
+    throw error;
+  }
+};
+
+// ------------------------------------------------------------------------------------------------
+
+/**
+ * Imports raw key material as a non-extractable HMAC-SHA-256 key.
+ * @param {string} material - Key material encoded in base64 (e.g. from `generateSalt(32)`).
+ * @returns {Promise<CryptoKey>} The HMAC key.
+ */
+export const importHmacKey = async (material) => {
+  try {
+    logInfo("CryptoHelper - Importing HMAC key");
+    const bytes = new Uint8Array(
+      base64From(material)
+        .split("")
+        .map((char) => char.charCodeAt(0))
+    );
+    return await subtle.importKey(
+      "raw",
+      bytes,
+      { name: "HMAC", hash: "SHA-256" },
+      false,
+      ["sign"]
+    );
+  } catch (error) {
+    logError("Error importing HMAC key:", error);
+    throw error;
+  }
+};
+
+// ------------------------------------------------------------------------------------------------
+
+/**
+ * Hashes a string with HMAC-SHA-256.
+ * @param {CryptoKey} key - The HMAC key.
+ * @param {string} str - The string to hash.
+ * @returns {Promise<string>} The hash as a hex string.
+ */
+export const hmacHash = async (key, str) => {
+  try {
+    logInfo("CryptoHelper - Hashing string with HMAC");
+    const signature = await subtle.sign("HMAC", key, ENCODER.encode(str));
+    return [...new Uint8Array(signature)]
+      .map((byte) => byte.toString(16).padStart(2, "0"))
+      .join("");
+  } catch (error) {
+    logError("Error hashing string:", error);
+    throw error;
+  }
+};
+
+// ------------------------------------------------------------------------------------------------
+
 /**
  * Encrypts a JavaScript object using AES-GCM.
  * @param {CryptoKey} key - The AES key.
@@ -0,0 +1,86 @@
+// ------------------------------------------------------------------------------------------------
+
+/**
+ * @class StoragefyDecryptionError
+ * @extends Error
+ * Thrown when encrypted data cannot be read or written because the encryption secret
+ * is missing or does not match the one the database was encrypted with.
+ */
+export class StoragefyDecryptionError extends Error {
+  /**
+   * @param {string} message - Error description.
+   * @param {Object} [options] - Standard error options.
+   * @param {Error} [options.cause] - The underlying error.
+   */
+  constructor(message, options) {
+    super(message, options);
+    this.name = "StoragefyDecryptionError";
+  }
+}
+
+// ------------------------------------------------------------------------------------------------
+
+/**
+ * @class StoragefyCorruptDataError
+ * @extends Error
+ * Thrown when a stored value cannot be read back: it is not valid JSON, or it does not
+ * decrypt although the encryption secret is right.
+ */
+export class StoragefyCorruptDataError extends Error {
+  /**
+   * @param {string} message - Error description.
+   * @param {Object} [options] - Standard error options.
+   * @param {Error} [options.cause] - The underlying error.
+   * @param {string} [options.key] - Key of the unreadable value.
+   */
+  constructor(message, options = {}) {
+    super(message, options);
+    this.name = "StoragefyCorruptDataError";
+    this.key = options.key ?? null;
+  }
+}
+
+// ------------------------------------------------------------------------------------------------
+
+/**
+ * @class StoragefyNotReadyError
+ * @extends Error
+ * Thrown when the underlying storage is not available, could not be opened or was closed.
+ */
+export class StoragefyNotReadyError extends Error {
+  /**
+   * @param {string} message - Error description.
+   * @param {Object} [options] - Standard error options.
+   * @param {Error} [options.cause] - The underlying error.
+   */
+  constructor(message, options) {
+    super(message, options);
+    this.name = "StoragefyNotReadyError";
+  }
+}
+
+// ------------------------------------------------------------------------------------------------
+
+/**
+ * @class StoragefyQuotaError
+ * @extends Error
+ * Thrown when a write does not fit in the storage quota, after the `onQuotaExceeded` hook
+ * (if any) had its chance to free space.
+ */
+export class StoragefyQuotaError extends Error {
+  /**
+   * @param {string} message - Error description.
+   * @param {Object} [options] - Standard error options.
+   * @param {Error} [options.cause] - The error raised by the storage.
+   * @param {string[]} [options.keys] - Keys being written.
+   * @param {number} [options.bytes] - Approximate size of the write in bytes.
+   */
+  constructor(message, options = {}) {
+    super(message, options);
+    this.name = "StoragefyQuotaError";
+    this.keys = options.keys || [];
+    this.bytes = options.bytes ?? null;
+  }
+}
+
+// ------------------------------------------------------------------------------------------------
@@ -0,0 +1,60 @@
+import { logInfo } from "./loggerHelper.js";
+
+// ------------------------------------------------------------------------------------------------
+
+/**
+ * Tail of the queue of callbacks waiting for each lock name, used when the Web Locks API
+ * is not available.
+ * @type {Map<string, Promise<void>>}
+ */
+const localLocks = new Map();
+
+// ------------------------------------------------------------------------------------------------
+
+/**
+ * Whether the Web Locks API can be used to coordinate tabs.
+ * @returns {boolean}
+ */
+export function hasWebLocks() {
+  return (
+    typeof navigator !== "undefined" &&
+    typeof navigator.locks?.request === "function"
+  );
+}
+
+// ------------------------------------------------------------------------------------------------
+
+/**
+ * Runs a callback while holding an exclusive lock. Uses the Web Locks API so tabs of the
+ * same origin wait for each other, and falls back to an in-process mutex otherwise.
+ * @param {string} name - Name of the lock.
+ * @param {Function} callback - Function to run, may return a promise.
+ * @returns {Promise<any>} The value returned by the callback.
+ */
+export async function withLock(name, callback) {
+  if (hasWebLocks()) {
+    logInfo(`LockHelper - Requesting Web Lock "${name}"`);
+    return navigator.locks.request(name, { mode: "exclusive" }, () => callback());
+  }
+
+  logInfo(`LockHelper - Acquiring in-process lock "${name}"`);
+  const previous = localLocks.get(name) || Promise.resolve();
+  let release;
+  const current = new Promise((resolve) => {
+    release = resolve;
+  });
+  const tail = previous.then(() => current);
+  localLocks.set(name, tail);
+
+  await previous;
+  try {
+    return await callback();
+  } finally {
+    release();
+    if (localLocks.get(name) === tail) {
+      localLocks.delete(name);
+    }
+  }
+}
+
+// ------------------------------------------------------------------------------------------------
@@ -0,0 +1,71 @@
+import { logError, logInfo } from "./loggerHelper.js";
+
+// ------------------------------------------------------------------------------------------------
+
+/**
+ * Copies entries from one storage adapter to another, e.g. when moving from localStorage to
+ * IndexedDB. Entries are read in one batch and decrypted once with the settings of the
+ * source, then written through `set()` and encrypted with the settings of the target.
+ * Reading them leaves the source as it is: sliding expirations are not pushed forward and
+ * no access is recorded. Keys that are missing or expired in the source are skipped. A key
+ * that fails, including a `set()` returning `false`, does not stop the others; use strict
+ * adapters to get the underlying error in the report.
+ * @param {StorageAdapter} fromAdapter - Adapter to read from.
+ * @param {StorageAdapter} toAdapter - Adapter to write to.
+ * @param {Object} [options]
+ * @param {string[]} [options.keys] - Keys to copy, defaults to every key of the source.
+ * @param {boolean} [options.deleteSource=false] - Delete each key from the source once it
+ *        has been copied.
+ * @param {boolean} [options.preserveExpire=true] - Copy the expirations too, sliding ones
+ *        staying sliding.
+ * @returns {Promise<{migrated: string[], skipped: string[], failed: Array<{key: string, error: Error}>}>}
+ * @example
+ * const from = new LocalStorageAdapter({ dbName: 'my-app' });
+ * const to = new IndexedDBAdapter({ dbName: 'my-app' });
+ * const { failed } = await migrateStorage(from, to, { deleteSource: true });
+ */
+export async function migrateStorage(
+  fromAdapter,
+  toAdapter,
+  { keys, deleteSource = false, preserveExpire = true } = {}
+) {
+  const report = { migrated: [], skipped: [], failed: [] };
+  const entries = await fromAdapter._exportEntries(keys);
+  logInfo(`MigrationHelper - Migrating ${entries.length} keys`);
+
+  const now = Date.now();
+  for (const { key, entry } of entries) {
+    try {
+      if (!entry || (entry.expiresAt && now >= entry.expiresAt)) {
+        report.skipped.push(key);
+        continue;
+      }
+      const value = await fromAdapter._decrypt(key, entry.raw);
+      if (value === null) {
+        throw new Error(`Key "${key}" could not be read from the source adapter.`);
+      }
+
+      const expire = preserveExpire ? { expiresAt: entry.expiresAt, ttl: entry.ttl } : {};
+      if (!(await toAdapter._importEntry(key, value, expire))) {
+        throw new Error(`Key "${key}" could not be written to the target adapter.`);
+      }
+
+      if (deleteSource) {
+        await fromAdapter.delete(key);
+      }
+      report.migrated.push(key);
+    } catch (error) {
+      logError(`Error migrating key '${key}':`, error);
+      report.failed.push({ key, error });
+    }
+  }
+
+  logInfo("MigrationHelper - Migration finished", {
+    migrated: report.migrated.length,
+    skipped: report.skipped.length,
+    failed: report.failed.length,
+  });
+  return report;
+}
+
+// ------------------------------------------------------------------------------------------------
@@ -0,0 +1,169 @@
+// ------------------------------------------------------------------------------------------------
+
+/**
+ * Whether a value is a plain object, as opposed to an array, null or a primitive.
+ * @private
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+// ------------------------------------------------------------------------------------------------
+
+/**
+ * Escapes a property name for a JSON pointer (RFC 6901).
+ * @private
+ * @param {string|number} token
+ * @returns {string}
+ */
+function escapeToken(token) {
+  return String(token).replace(/~/g, "~0").replace(/\//g, "~1");
+}
+
+// ------------------------------------------------------------------------------------------------
+
+/**
+ * Reads a JSON pointer back into property names.
+ * @private
+ * @param {string} path
+ * @returns {string[]}
+ * @throws {Error} If the pointer does not start with "/".
+ */
+function parsePath(path) {
+  if (typeof path !== "string" || !path.startsWith("/")) {
+    throw new Error(`Invalid patch path "${path}"`);
+  }
+  return path
+    .slice(1)
+    .split("/")
+    .map((token) => token.replace(/~1/g, "/").replace(/~0/g, "~"));
+}
+
+// ------------------------------------------------------------------------------------------------
+
+/**
+ * Appends to `ops` the operations turning `from` into `to`. Objects are compared property by
+ * property and arrays item by item, items being added or removed at their end; anything
+ * else is replaced as a whole.
+ * @private
+ * @param {*} from
+ * @param {*} to
+ * @param {string} path
+ * @param {Object[]} ops
+ */
+function diff(from, to, path, ops) {
+  if (isObject(from) && isObject(to)) {
+    for (const field of Object.keys(from)) {
+      if (!(field in to)) {
+        ops.push({ op: "remove", path: `${path}/${escapeToken(field)}` });
+      }
+    }
+    for (const field of Object.keys(to)) {
+      const fieldPath = `${path}/${escapeToken(field)}`;
+      if (field in from) {
+        diff(from[field], to[field], fieldPath, ops);
+      } else {
+        ops.push({ op: "add", path: fieldPath, value: to[field] });
+      }
+    }
+    return;
+  }
+  if (Array.isArray(from) && Array.isArray(to)) {
+    const common = Math.min(from.length, to.length);
+    for (let i = 0; i < common; i++) {
+      diff(from[i], to[i], `${path}/${i}`, ops);
+    }
+    for (let i = from.length - 1; i >= common; i--) {
+      ops.push({ op: "remove", path: `${path}/${i}` });
+    }
+    for (let i = common; i < to.length; i++) {
+      ops.push({ op: "add", path: `${path}/${i}`, value: to[i] });
+    }
+    return;
+  }
+  if (JSON.stringify(from) !== JSON.stringify(to)) {
+    ops.push({ op: "replace", path, value: to });
+  }
+}
+
+// ------------------------------------------------------------------------------------------------
+
+/**
+ * Computes the JSON patch (RFC 6902 `add`, `remove` and `replace` operations) turning one
+ * JSON value into another. Both values are compared as they would be stored, so properties
+ * holding `undefined` count as missing.
+ * @param {*} from - Previous value.
+ * @param {*} to - New value.
+ * @returns {Array<{op: "add"|"remove"|"replace", path: string, value?: *}>}
+ * @example
+ * createPatch({ items: [1], coupon: null }, { items: [1, 2], coupon: "SPRING" });
+ * // [{ op: "add", path: "/items/1", value: 2 },
+ * //  { op: "replace", path: "/coupon", value: "SPRING" }]
+ */
+export function createPatch(from, to) {
+  const ops = [];
+  diff(
+    from === undefined ? null : JSON.parse(JSON.stringify(from)),
+    to === undefined ? null : JSON.parse(JSON.stringify(to)),
+    "",
+    ops
+  );
+  return ops;
+}
+
+// ------------------------------------------------------------------------------------------------
+
+/**
+ * Applies a JSON patch made of `add`, `remove` and `replace` operations. The value given is
+ * left untouched.
+ * @param {*} value - Value the patch was computed from.
+ * @param {Array<{op: string, path: string, value?: *}>} ops
+ * @returns {*} The patched value.
+ * @throws {Error} If an operation is unknown or does not fit the value.
+ */
+export function applyPatch(value, ops) {
+  let result = value === undefined ? null : JSON.parse(JSON.stringify(value));
+  for (const { op, path, value: opValue } of ops) {
+    if (!["add", "remove", "replace"].includes(op)) {
+      throw new Error(`Unsupported patch operation "${op}"`);
+    }
+    const item = op === "remove" ? undefined : JSON.parse(JSON.stringify(opValue ?? null));
+    if (path === "") {
+      if (op === "remove") throw new Error("Cannot remove the whole value");
+      result = item;
+      continue;
+    }
+
+    const tokens = parsePath(path);
+    const last = tokens.pop();
+    let parent = result;
+    for (const token of tokens) {
+      parent = parent?.[token];
+    }
+    if (parent === null || typeof parent !== "object") {
+      throw new Error(`Patch path "${path}" does not exist`);
+    }
+
+    if (Array.isArray(parent)) {
+      const index = last === "-" ? parent.length : Number(last);
+      const max = op === "add" ? parent.length : parent.length - 1;
+      if (!Number.isInteger(index) || index < 0 || index > max) {
+        throw new Error(`Patch path "${path}" does not exist`);
+      }
+      if (op === "add") parent.splice(index, 0, item);
+      else if (op === "remove") parent.splice(index, 1);
+      else parent[index] = item;
+      continue;
+    }
+    if (op !== "add" && !(last in parent)) {
+      throw new Error(`Patch path "${path}" does not exist`);
+    }
+    if (op === "remove") delete parent[last];
+    else parent[last] = item;
+  }
+  return result;
+}
+
+// ------------------------------------------------------------------------------------------------
@@ -1,9 +1,21 @@
+import StorageAdapter from "./adapters/StorageAdapter.js";
 import IndexedDBAdapter from "./adapters/IndexedDBAdapter.js";
 import LocalStorageAdapter from "./adapters/LocalStorageAdapter.js";
 import SessionStorageAdapter from "./adapters/SessionStorageAdapter.js";
+import MemoryStorageAdapter from "./adapters/MemoryStorageAdapter.js";
+import FallbackStorageAdapter from "./adapters/FallbackStorageAdapter.js";
 import PiniaAdapter from "./stores/PiniaAdapter.js";
 import ReactAdapter from "./stores/ReactAdapter.js";
 import SvelteAdapter from "./stores/SvelteAdapter.js";
+import { logError, logWarn } from "./helpers/loggerHelper.js";
+import { migrateStorage } from "./helpers/migrationHelper.js";
+import { compareVersions, resolveConflict } from "./helpers/conflictHelper.js";
+import {
+  StoragefyCorruptDataError,
+  StoragefyDecryptionError,
+  StoragefyNotReadyError,
+  StoragefyQuotaError,
+} from "./helpers/errorHelper.js";
 
 // ------------------------------------------------------------------------------------------------
 // Constants and Configuration
@@ -20,82 +32,233 @@ const DEFAULT_CONFIG = {
 };
 
 // ------------------------------------------------------------------------------------------------
-// Storage Management
+// Storage Adapter Registry
+// ------------------------------------------------------------------------------------------------
+
+const storageAdapters = new Map([
+  ["indexedDB", IndexedDBAdapter],
+  ["localStorage", LocalStorageAdapter],
+  ["sessionStorage", SessionStorageAdapter],
+  ["memory", MemoryStorageAdapter],
+]);
+
+/**
+ * Registers a storage adapter class so it can be selected by name through the `adapter` option
+ * of `startStoragefy` and the `adapterParams` of the framework adapter factories.
+ * Registering an existing name replaces the previous adapter.
+ * @param {string} name Name used to select the adapter (e.g. "myBackend")
+ * @param {typeof StorageAdapter} AdapterClass Class extending StorageAdapter
+ * @throws {Error} If the name is invalid or the class does not extend StorageAdapter
+ * @example
+ * class MyBackendAdapter extends StorageAdapter { ... }
+ * registerStorageAdapter('myBackend', MyBackendAdapter);
+ * const adapter = startStoragefy({ adapter: 'myBackend', dbName: 'my-app' });
+ */
+function registerStorageAdapter(name, AdapterClass) {
+  if (typeof name !== "string" || !name) {
+    throw new Error("Storage adapter name must be a non-empty string.");
+  }
+  if (
+    typeof AdapterClass !== "function" ||
+    !(AdapterClass.prototype instanceof StorageAdapter)
+  ) {
+    throw new Error(`Storage adapter "${name}" must extend StorageAdapter.`);
+  }
+  if (storageAdapters.has(name)) {
+    logWarn(`Storage adapter "${name}" is already registered and will be replaced.`);
+  }
+  storageAdapters.set(name, AdapterClass);
+}
+
+// ------------------------------------------------------------------------------------------------
+// Instance Management
+// ------------------------------------------------------------------------------------------------
+
+const DEFAULT_INSTANCE_NAME = "default";
+
+/**
+ * Named Storagefy instances. Each entry holds the storage adapter created by `startStoragefy`,
+ * the framework adapters bound to it and the storage adapters those framework adapters created
+ * from `adapterParams`, by framework adapter slot.
+ * @type {Map<string, {storageAdapter: StorageAdapter|null, piniaAdapter: PiniaAdapter|null, reactAdapter: ReactAdapter|null, svelteAdapter: SvelteAdapter|null, ownedAdapters: Object<string, StorageAdapter>}>}
+ */
+const instances = new Map();
+
+/**
+ * Retrieves a named instance record, optionally creating an empty one.
+ * @private
+ * @param {string} [name="default"] Instance name
+ * @param {boolean} [create=false] Create the record when it does not exist
+ * @returns {Object|undefined} Instance record
+ */
+function _getInstance(name = DEFAULT_INSTANCE_NAME, create = false) {
+  if (!instances.has(name) && create) {
+    instances.set(name, {
+      storageAdapter: null,
+      piniaAdapter: null,
+      reactAdapter: null,
+      svelteAdapter: null,
+      ownedAdapters: {},
+    });
+  }
+  return instances.get(name);
+}
+
 // ------------------------------------------------------------------------------------------------
 
-let storageAdapter;
-let piniaAdapter;
-let reactAdapter;
-let svelteAdapter;
+/**
+ * Stores a framework adapter in an instance slot, destroying the one it replaces together with
+ * the storage adapter that one created from `adapterParams`.
+ * @private
+ * @param {Object} instance Instance record
+ * @param {"piniaAdapter"|"reactAdapter"|"svelteAdapter"} slot Framework adapter slot
+ * @param {StoreAdapter} frameworkAdapter Framework adapter to store
+ * @param {boolean} ownsStorage The framework adapter created its storage adapter from `adapterParams`
+ * @returns {StoreAdapter} The stored framework adapter
+ */
+function _setFrameworkAdapter(instance, slot, frameworkAdapter, ownsStorage) {
+  if (instance[slot] === frameworkAdapter) {
+    return frameworkAdapter;
+  }
+  if (instance[slot]) {
+    instance[slot].destroy();
+  }
+  if (instance.ownedAdapters[slot]) {
+    instance.ownedAdapters[slot].destroy();
+    delete instance.ownedAdapters[slot];
+  }
+  if (ownsStorage) {
+    instance.ownedAdapters[slot] = frameworkAdapter.adapter;
+  }
+  instance[slot] = frameworkAdapter;
+  return frameworkAdapter;
+}
+
+// ------------------------------------------------------------------------------------------------
+// Storage Management
+// ------------------------------------------------------------------------------------------------
 
 /**
  * Initializes and returns a storage adapter instance.
  * @param {Object} config Configuration options
+ * @param {string} [config.name="default"] Instance name, used to retrieve the adapter later with getStorageAdapter(name)
  * @param {string} [config.dbName="storagefy"] Database name
  * @param {string} [config.storeName="storagefy_db"] Store name
  * @param {number} [config.version=1] Database version
+ * @param {Object<number, Function>} [config.migrations] Schema migrations by the version they upgrade to, run in order when the stored version is lower than `version`
  * @param {boolean} [config.encrypt=false] Enable encryption
  * @param {string|boolean} [config.channelName=false] Channel name for storage communication between tabs
- * @param {number} [config.expireCheckInterval=1000] Expiration check interval
+ * @param {"broadcast"|"storage-event"|"auto"} [config.channelTransport="broadcast"] How localStorage adapters reach other tabs: BroadcastChannel, the window storage event, or storage events only where BroadcastChannel is missing
+ * @param {number} [config.expireCheckInterval=1000] Minimum delay between expiration cleanups in ms, 0 disables them
+ * @param {boolean} [config.leaderElection=false] Elect one tab to run the expiration cleanups, eviction and migrations of localStorage and IndexedDB adapters, see `isLeader` and `onLeaderChange()`
+ * @param {number} [config.maxEntries] Maximum number of entries before older ones are evicted
+ * @param {number} [config.maxBytes] Maximum approximate size of the entries in bytes before older ones are evicted
+ * @param {"lru"|"lfu"|"fifo"|"ttl-first"} [config.evictionPolicy="lru"] Which entries are evicted first
+ * @param {boolean} [config.strict=false] Throw typed errors instead of logging failures and returning null/false
+ * @param {Function} [config.onQuotaExceeded] Called with `{ adapter, keys, bytes, error, evict }` when a write hits the storage quota, return `true` to retry it once
  * @param {string} [config.description="Storagefy database"] Database description
- * @param {boolean} [config.forceRecreate=false] Force recreation of adapter
+ * @param {boolean} [config.forceRecreate=false] Force recreation of adapter, the replaced adapter is destroyed
  * @param {boolean} [config.fresh=false] Force creation of new adapter and return a new instance - does not re-use existing adapter or update it
- * @param {"indexedDB"|"localStorage"|"sessionStorage"} [config.adapter="indexedDB"] Storage adapter type
- * @returns {IndexedDBAdapter|LocalStorageAdapter|SessionStorageAdapter} Storage adapter instance
- * @throws {Error} If adapter initialization fails
+ * @param {"indexedDB"|"localStorage"|"sessionStorage"|"memory"|string|string[]} [config.adapter="indexedDB"] Storage adapter type, or the name of an adapter added with registerStorageAdapter. With a list, the first adapter that works is used, see FallbackStorageAdapter
+ * @param {number} [config.probeTimeout=5000] With a list of adapters, how long the probe of each one may take in ms before the next one is tried
+ * @returns {StorageAdapter} Storage adapter instance
+ * @throws {Error} If the adapter is unknown or its initialization fails
  * @example
  * // Basic usage
  * const adapter = startStoragefy({ dbName: 'my-app' });
- * 
+ *
+ * // Named instances
+ * startStoragefy({ name: 'cache', dbName: 'api-cache', adapter: 'localStorage' });
+ * const cache = getStorageAdapter('cache');
+ *
  * // With encryption
  * const secureAdapter = startStoragefy({
  *   dbName: 'secure-app',
  *   encrypt: true,
  *   password: 'my-secret-password'
  * });
+ *
+ * // With fallbacks
+ * const storage = startStoragefy({ adapter: ['indexedDB', 'localStorage', 'memory'] });
+ * await storage.ready;
+ * if (storage.backend === 'memory') showNotPersistedBanner();
  */
 function startStoragefy(config = {}) {
-  const params = { ...DEFAULT_CONFIG, ...config };
+  const { name = DEFAULT_INSTANCE_NAME, ...options } = config;
+  const params = { ...DEFAULT_CONFIG, ...options };
 
-  if (!config.forceRecreate && storageAdapter) {
-    return storageAdapter;
+  const instance = _getInstance(name);
+  if (!config.forceRecreate && instance && instance.storageAdapter) {
+    return instance.storageAdapter;
   }
 
-  switch (params.adapter) {
-    case "localStorage":
-      if (config.fresh) {
-        return new LocalStorageAdapter(params);
-      }
-      storageAdapter = new LocalStorageAdapter(params);
-      break;
-    case "sessionStorage":
-      if (config.fresh) {
-        return new SessionStorageAdapter(params);
-      }
-      storageAdapter = new SessionStorageAdapter(params);
-      break;
-    default:
-      if (config.fresh) {
-        return new IndexedDBAdapter(params);
-      }
-      storageAdapter = new IndexedDBAdapter(params);
+  const adapter = _createStorageAdapter(params);
+  if (config.fresh) {
+    return adapter;
   }
 
-  return storageAdapter;
+  if (instance && instance.storageAdapter) {
+    instance.storageAdapter.destroy();
+  }
+  _getInstance(name, true).storageAdapter = adapter;
+  return adapter;
 }
 
 // ------------------------------------------------------------------------------------------------
 
 /**
- * Retrieves the current storage adapter instance.
- * @returns {IndexedDBAdapter|LocalStorageAdapter|SessionStorageAdapter} Storage adapter instance
+ * Retrieves the storage adapter of a named instance.
+ * @param {string} [name="default"] Instance name given to startStoragefy
+ * @returns {StorageAdapter} Storage adapter instance
  * @throws {Error} If adapter is not initialized
  */
-function getStorageAdapter() {
-  if (!storageAdapter) {
-    throw new Error("Storage adapter not initialized. Call startStoragefy first.");
+function getStorageAdapter(name = DEFAULT_INSTANCE_NAME) {
+  const instance = _getInstance(name);
+  if (!instance || !instance.storageAdapter) {
+    throw new Error(
+      `Storage adapter "${name}" not initialized. Call startStoragefy first.`
+    );
   }
-  return storageAdapter;
+  return instance.storageAdapter;
+}
+
+// ------------------------------------------------------------------------------------------------
+
+/**
+ * Destroys a named instance: unsubscribes every store synced by its framework adapters, stops the
+ * storage adapter timers, closes its cross-tab channel and forgets the instance.
+ * Persisted data is kept.
+ * @param {string} [name="default"] Instance name given to startStoragefy
+ * @returns {boolean} True if the instance existed and was destroyed
+ */
+function destroyStoragefy(name = DEFAULT_INSTANCE_NAME) {
+  const instance = _getInstance(name);
+  if (!instance) {
+    logWarn(`Storagefy instance "${name}" does not exist.`);
+    return false;
+  }
+
+  for (const frameworkAdapter of [
+    instance.piniaAdapter,
+    instance.reactAdapter,
+    instance.svelteAdapter,
+  ]) {
+    if (frameworkAdapter) {
+      frameworkAdapter.destroy();
+    }
+  }
+
+  for (const storageAdapter of [
+    ...Object.values(instance.ownedAdapters),
+    instance.storageAdapter,
+  ]) {
+    if (storageAdapter) {
+      storageAdapter.destroy();
+    }
+  }
+
+  instances.delete(name);
+  return true;
 }
 
 // ------------------------------------------------------------------------------------------------
@@ -106,14 +269,19 @@ function getStorageAdapter() {
  * Creates or retrieves a framework-specific adapter with consistent interface.
  * @private
  * @param {Object} options Options for adapter creation
+ * @param {string} [options.name="default"] Instance name
  * @param {Object} [options.adapter] Pre-configured storage adapter
  * @param {Object} [options.adapterParams] Parameters to create new storage adapter
- * @param {boolean} [options.forceRecreate=false] Force recreation of adapter
+ * @param {boolean} [options.forceRecreate=false] Force recreation of adapter, the replaced adapter is destroyed
  * @param {Object} cachedAdapter Reference to cached adapter
  * @param {Function} AdapterClass Class to instantiate
  * @returns {Object} Framework adapter instance
  */
-function _getFrameworkAdapter({ adapter, adapterParams, forceRecreate }, cachedAdapter, AdapterClass) {
+function _getFrameworkAdapter(
+  { name = DEFAULT_INSTANCE_NAME, adapter, adapterParams, forceRecreate },
+  cachedAdapter,
+  AdapterClass
+) {
   if (adapter) {
     return new AdapterClass(adapter);
   }
@@ -127,11 +295,7 @@ function _getFrameworkAdapter({ adapter, adapterParams, forceRecreate }, cachedA
     return new AdapterClass(storageAdapter);
   }
 
-  if (!storageAdapter) {
-    throw new Error("Storage adapter not initialized. Call startStoragefy first.");
-  }
-
-  return new AdapterClass(storageAdapter);
+  return new AdapterClass(getStorageAdapter(name));
 }
 
 // ------------------------------------------------------------------------------------------------
@@ -140,17 +304,44 @@ function _getFrameworkAdapter({ adapter, adapterParams, forceRecreate }, cachedA
  * Creates a storage adapter based on parameters.
  * @private
  * @param {Object} params Adapter parameters
- * @returns {IndexedDBAdapter|LocalStorageAdapter|SessionStorageAdapter} Storage adapter
+ * @param {string|string[]} [params.adapter="indexedDB"] Name of a registered storage adapter, or
+ *        names to try in order
+ * @returns {StorageAdapter} Storage adapter
+ * @throws {Error} If no storage adapter is registered under one of the given names
  */
 function _createStorageAdapter(params) {
-  switch (params.adapter) {
-    case "localStorage":
-      return new LocalStorageAdapter(params);
-    case "sessionStorage":
-      return new SessionStorageAdapter(params);
-    default:
-      return new IndexedDBAdapter(params);
+  const name = params.adapter || DEFAULT_CONFIG.adapter;
+  if (Array.isArray(name)) {
+    return new FallbackStorageAdapter({
+      ...params,
+      adapters: name.map((entry) => ({
+        name: entry,
+        AdapterClass: _getAdapterClass(entry),
+      })),
+    });
+  }
+  const AdapterClass = _getAdapterClass(name);
+  return new AdapterClass(params);
+}
+
+// ------------------------------------------------------------------------------------------------
+
+/**
+ * Looks up a registered storage adapter class.
+ * @private
+ * @param {string} name Name of a registered storage adapter
+ * @returns {typeof StorageAdapter} Storage adapter class
+ * @throws {Error} If no storage adapter is registered under the name
+ */
+function _getAdapterClass(name) {
+  const AdapterClass = storageAdapters.get(name);
+  if (!AdapterClass) {
+    logError(`Unknown storage adapter "${name}".`);
+    throw new Error(
+      `Unknown storage adapter "${name}". Register it with registerStorageAdapter first.`
+    );
   }
+  return AdapterClass;
 }
 
 // ------------------------------------------------------------------------------------------------
@@ -158,25 +349,38 @@ function _createStorageAdapter(params) {
 /**
  * Gets a Pinia store adapter instance.
  * @param {Object} options Configuration options
+ * @param {string} [options.name="default"] Instance name given to startStoragefy
  * @param {Object} [options.adapter] Pre-configured storage adapter
  * @param {Object} [options.adapterParams] Parameters to create new storage adapter
- * @param {boolean} [options.forceRecreate=false] Force recreation of adapter
+ * @param {boolean} [options.forceRecreate=false] Force recreation of adapter, the replaced adapter is destroyed
  * @param {boolean} [options.fresh=false] Force creation of new adapter and return a new instance - does not re-use existing adapter or update it
  * @returns {{setInStorage: Function, getFromStorage: Function}} Pinia adapter methods
  * @throws {Error} If adapter cannot be created
  */
-function getPiniaAdapter({ adapter = null, adapterParams = null, forceRecreate = false, fresh = false } = {}) {
+function getPiniaAdapter({
+  name = DEFAULT_INSTANCE_NAME,
+  adapter = null,
+  adapterParams = null,
+  forceRecreate = false,
+  fresh = false,
+} = {}) {
   if (fresh) {
-    return _getFrameworkAdapter({ adapter, adapterParams, forceRecreate }, null, PiniaAdapter);
+    return _getFrameworkAdapter({ name, adapter, adapterParams, forceRecreate }, null, PiniaAdapter);
   }
-  piniaAdapter = _getFrameworkAdapter(
-    { adapter, adapterParams, forceRecreate },
-    piniaAdapter,
-    PiniaAdapter
+  const instance = _getInstance(name, true);
+  _setFrameworkAdapter(
+    instance,
+    "piniaAdapter",
+    _getFrameworkAdapter(
+      { name, adapter, adapterParams, forceRecreate },
+      instance.piniaAdapter,
+      PiniaAdapter
+    ),
+    !adapter && Boolean(adapterParams)
   );
   return {
-    setInStorage: piniaAdapter.setInStorage.bind(piniaAdapter),
-    getFromStorage: piniaAdapter.getFromStorage.bind(piniaAdapter)
+    setInStorage: instance.piniaAdapter.setInStorage.bind(instance.piniaAdapter),
+    getFromStorage: instance.piniaAdapter.getFromStorage.bind(instance.piniaAdapter)
   };
 }
 
@@ -185,23 +389,36 @@ function getPiniaAdapter({ adapter = null, adapterParams = null, forceRecreate =
 /**
  * Gets a React store adapter instance.
  * @param {Object} options Configuration options
+ * @param {string} [options.name="default"] Instance name given to startStoragefy
  * @param {Object} [options.adapter] Pre-configured storage adapter
  * @param {Object} [options.adapterParams] Parameters to create new storage adapter
- * @param {boolean} [options.forceRecreate=false] Force recreation of adapter
+ * @param {boolean} [options.forceRecreate=false] Force recreation of adapter, the replaced adapter is destroyed
  * @param {boolean} [options.fresh=false] Force creation of new adapter and return a new instance - does not re-use existing adapter or update it
  * @returns {ReactAdapter} React adapter instance
  * @throws {Error} If adapter cannot be created
  */
-function getReactAdapter({ adapter = null, adapterParams = null, forceRecreate = false, fresh = false } = {}) {
+function getReactAdapter({
+  name = DEFAULT_INSTANCE_NAME,
+  adapter = null,
+  adapterParams = null,
+  forceRecreate = false,
+  fresh = false,
+} = {}) {
   if (fresh) {
-    return _getFrameworkAdapter({ adapter, adapterParams, forceRecreate }, null, ReactAdapter);
+    return _getFrameworkAdapter({ name, adapter, adapterParams, forceRecreate }, null, ReactAdapter);
   }
-  reactAdapter = _getFrameworkAdapter(
-    { adapter, adapterParams, forceRecreate },
-    reactAdapter,
-    ReactAdapter
+  const instance = _getInstance(name, true);
+  _setFrameworkAdapter(
+    instance,
+    "reactAdapter",
+    _getFrameworkAdapter(
+      { name, adapter, adapterParams, forceRecreate },
+      instance.reactAdapter,
+      ReactAdapter
+    ),
+    !adapter && Boolean(adapterParams)
   );
-  return reactAdapter;
+  return instance.reactAdapter;
 }
 
 // ------------------------------------------------------------------------------------------------
@@ -209,40 +426,77 @@ function getReactAdapter({ adapter = null, adapterParams = null, forceRecreate =
 /**
  * Gets a Svelte store adapter instance.
  * @param {Object} options Configuration options
+ * @param {string} [options.name="default"] Instance name given to startStoragefy
  * @param {Object} [options.adapter] Pre-configured storage adapter
  * @param {Object} [options.adapterParams] Parameters to create new storage adapter
- * @param {boolean} [options.forceRecreate=false] Force recreation of adapter
+ * @param {boolean} [options.forceRecreate=false] Force recreation of adapter, the replaced adapter is destroyed
  * @param {boolean} [options.fresh=false] Force creation of new adapter and return a new instance - does not re-use existing adapter or update it
  * @returns {SvelteAdapter} Svelte adapter instance
  * @throws {Error} If adapter cannot be created
  */
-function getSvelteAdapter({ adapter = null, adapterParams = null, forceRecreate = false, fresh = false } = {}) {
+function getSvelteAdapter({
+  name = DEFAULT_INSTANCE_NAME,
+  adapter = null,
+  adapterParams = null,
+  forceRecreate = false,
+  fresh = false,
+} = {}) {
   if (fresh) {
-    return _getFrameworkAdapter({ adapter, adapterParams, forceRecreate }, null, SvelteAdapter);
+    return _getFrameworkAdapter({ name, adapter, adapterParams, forceRecreate }, null, SvelteAdapter);
   }
-  svelteAdapter = _getFrameworkAdapter(
-    { adapter, adapterParams, forceRecreate },
-    svelteAdapter,
-    SvelteAdapter
+  const instance = _getInstance(name, true);
+  _setFrameworkAdapter(
+    instance,
+    "svelteAdapter",
+    _getFrameworkAdapter(
+      { name, adapter, adapterParams, forceRecreate },
+      instance.svelteAdapter,
+      SvelteAdapter
+    ),
+    !adapter && Boolean(adapterParams)
   );
-  return svelteAdapter;
+  return instance.svelteAdapter;
 }
 
 // ------------------------------------------------------------------------------------------------
 
-async function setPiniaStorage(store, key, options = {}) {
+/**
+ * Hydrates a store from storage and keeps it persisted, using the given instance.
+ * @private
+ * @param {Object} store Store to sync
+ * @param {string} key Storage key
+ * @param {Object} options Options forwarded to setInStorage
+ * @param {StoreAdapter} frameworkAdapter Framework adapter of the instance
+ * @returns {Promise<void>}
+ */
+async function _setFrameworkStorage(store, key, options, frameworkAdapter) {
+  if (!store) {
+    throw new Error("Store is required.");
+  }
+  if (!key) {
+    throw new Error("Key is required.");
+  }
+  await frameworkAdapter.getFromStorage(store, key, options);
+  await frameworkAdapter.setInStorage(store, key, options);
+}
+
+// ------------------------------------------------------------------------------------------------
+
+/**
+ * Hydrates a Pinia store and keeps it persisted.
+ * @param {Object} store Pinia store
+ * @param {string} key Storage key
+ * @param {Object} [options={}] Options forwarded to PiniaAdapter.setInStorage
+ * @param {string} [name="default"] Instance name given to startStoragefy
+ * @returns {Promise<void>}
+ */
+async function setPiniaStorage(store, key, options = {}, name = DEFAULT_INSTANCE_NAME) {
   try {
-    if (!piniaAdapter) {
-      getPiniaAdapter();
+    const instance = _getInstance(name);
+    if (!instance || !instance.piniaAdapter) {
+      getPiniaAdapter({ name });
     }
-    if (!store) {
-      throw new Error("Store is required.");
-    }
-    if (!key) {
-      throw new Error("Key is required.");
-    }
-    await piniaAdapter.getFromStorage(store, key);
-    await piniaAdapter.setInStorage(store, key, options);
+    await _setFrameworkStorage(store, key, options, _getInstance(name).piniaAdapter);
   } catch (error) {
     logError(error);
     throw error;
@@ -251,19 +505,21 @@ async function setPiniaStorage(store, key, options = {}) {
 
 // ------------------------------------------------------------------------------------------------
 
-async function setReactStorage(store, key, options = {}) {
+/**
+ * Hydrates a React store (Redux, Zustand, Jotai or custom) and keeps it persisted.
+ * @param {Object} store React store
+ * @param {string} key Storage key
+ * @param {Object} [options={}] Options forwarded to ReactAdapter.setInStorage
+ * @param {string} [name="default"] Instance name given to startStoragefy
+ * @returns {Promise<void>}
+ */
+async function setReactStorage(store, key, options = {}, name = DEFAULT_INSTANCE_NAME) {
   try {
-    if (!reactAdapter) {
-      getReactAdapter();
-    }
-    if (!store) {
-      throw new Error("Store is required.");
+    const instance = _getInstance(name);
+    if (!instance || !instance.reactAdapter) {
+      getReactAdapter({ name });
     }
-    if (!key) {
-      throw new Error("Key is required.");
-    }
-    await reactAdapter.getFromStorage(store, key);
-    await reactAdapter.setInStorage(store, key, options);
+    await _setFrameworkStorage(store, key, options, _getInstance(name).reactAdapter);
   } catch (error) {
     logError(error);
     throw error;
@@ -272,19 +528,21 @@ async function setReactStorage(store, key, options = {}) {
 
 // ------------------------------------------------------------------------------------------------
 
-async function setSvelteStorage(store, key, options = {}) {
+/**
+ * Hydrates a Svelte writable store and keeps it persisted.
+ * @param {Object} store Svelte writable store
+ * @param {string} key Storage key
+ * @param {Object} [options={}] Options forwarded to SvelteAdapter.setInStorage
+ * @param {string} [name="default"] Instance name given to startStoragefy
+ * @returns {Promise<void>}
+ */
+async function setSvelteStorage(store, key, options = {}, name = DEFAULT_INSTANCE_NAME) {
   try {
-    if (!svelteAdapter) {
-      getSvelteAdapter();
-    }
-    if (!store) {
-      throw new Error("Store is required.");
-    }
-    if (!key) {
-      throw new Error("Key is required.");
+    const instance = _getInstance(name);
+    if (!instance || !instance.svelteAdapter) {
+      getSvelteAdapter({ name });
     }
-    await svelteAdapter.getFromStorage(store, key);
-    await svelteAdapter.setInStorage(store, key, options);
+    await _setFrameworkStorage(store, key, options, _getInstance(name).svelteAdapter);
   } catch (error) {
     logError(error);
     throw error;
@@ -297,16 +555,29 @@ async function setSvelteStorage(store, key, options = {}) {
 
 export {
   // Storage adapters
+  StorageAdapter,
   IndexedDBAdapter,
   LocalStorageAdapter,
   SessionStorageAdapter,
+  MemoryStorageAdapter,
+  FallbackStorageAdapter,
   // Framework adapters
   PiniaAdapter,
   ReactAdapter,
   SvelteAdapter,
+  // Errors
+  StoragefyCorruptDataError,
+  StoragefyDecryptionError,
+  StoragefyNotReadyError,
+  StoragefyQuotaError,
   // Utility functions
+  registerStorageAdapter,
   startStoragefy,
   getStorageAdapter,
+  destroyStoragefy,
+  migrateStorage,
+  compareVersions,
+  resolveConflict,
   getPiniaAdapter,
   getReactAdapter,
   getSvelteAdapter,
@@ -1,6 +1,7 @@
 import StoreAdapter from "./StoreAdapter.js";
 import assign from "misc-helpers/src/utils/assign.js";
 import { logError, logWarn, logInfo } from "../helpers/loggerHelper.js";
+import { checkConflictStrategy } from "../helpers/conflictHelper.js";
 
 // ------------------------------------------------------------------------------------------------
 
@@ -60,7 +61,7 @@ class PiniaAdapter extends StoreAdapter {
     if (!key || !this.stores || !this.stores[key]) {
       return;
     }
-    this.adapter.onDataChanged(async (data) => {
+    this.stores[key].stopSync = this.adapter.onDataChanged(key, async (data) => {
       try {
         if (data.adapterId == this.adapter.adapterId || !data.origin) {
           return;
@@ -74,11 +75,14 @@ class PiniaAdapter extends StoreAdapter {
           return;
         }
 
-        let dataToPatch;
-        if (!data.value) {
-          dataToPatch = await this.adapter.get(data.key);
-        } else {
-          dataToPatch = await this.adapter._decrypt(data.key, data.value);
+        const stored = await this._readIncoming(data);
+        const dataToPatch = await this._resolveIncoming(
+          data.key,
+          this.stores[data.key].store.$state,
+          stored
+        );
+        if (!dataToPatch) {
+          return;
         }
 
         if (
@@ -109,8 +113,11 @@ class PiniaAdapter extends StoreAdapter {
    * @param {Object} [options={}] Configuration options
    * @param {string[]} [options.ignoreKeys=[]] Keys to exclude from persistence
    * @param {number} [options.timeout] Operation timeout in milliseconds
+   * @param {boolean} [options.sliding=false] Push the expiration `timeout` ms forward every time the state is read
+   * @param {"last-writer-wins"|"first-writer-wins"|"merge-fields"|Function} [options.conflictStrategy] How changes written concurrently by other tabs are settled
+   * @param {boolean} [options.deltaSync=false] Send other tabs a patch from the previous state instead of having them read the whole state
    * @returns {Promise<boolean>} Resolves to true on success
-   * @throws {Error} Throws if store is invalid or persistence fails
+   * @throws {Error} Throws if store is invalid, the conflict strategy is unknown or persistence fails
    * @example
    * // Persist store while ignoring sensitive data
    * await piniaAdapter.setInStorage(useUserStore(), 'user-data', {
@@ -122,15 +129,10 @@ class PiniaAdapter extends StoreAdapter {
     try {
       logInfo("PiniaAdapter - setInStorage - key:", key);
       this._checkStore(store);
+      checkConflictStrategy(options.conflictStrategy);
       options.ignoreKeys = options.ignoreKeys || [];
 
-      if (
-        this.stores[key] &&
-        this.stores[key].unsubscribe &&
-        typeof this.stores[key].unsubscribe === "function"
-      ) {
-        this.stores[key].unsubscribe();
-      }
+      this.destroy(key);
       delete this.stores[key];
 
       this.stores[key] = {
@@ -152,14 +154,7 @@ class PiniaAdapter extends StoreAdapter {
                 return resolve(true);
               }
 
-              const stateProps = { ...state };
-              for (let propKey in stateProps) {
-                if (options.ignoreKeys.includes(propKey)) {
-                  stateProps[propKey] = undefined;
-                }
-              }
-
-              await this.adapter.set(key, stateProps, options.timeout);
+              await this._persistState(key, state);
 
               return resolve(true);
             } catch (error) {
@@ -187,23 +182,32 @@ class PiniaAdapter extends StoreAdapter {
    * @async
    * @param {Object} store Pinia store instance to hydrate
    * @param {string} key Storage key to load from
+   * @param {Object} [options={}] Hydration options
+   * @param {"last-writer-wins"|"first-writer-wins"|"merge-fields"|Function} [options.conflictStrategy] How the stored state is settled against the current state of the store
    * @returns {Promise<boolean>} Resolves to true on success, undefined if no data found
-   * @throws {Error} Throws if store is invalid or loading fails
+   * @throws {Error} Throws if store is invalid, the conflict strategy is unknown or loading fails
    * @example
    * // Hydrate store from persisted state
    * await piniaAdapter.getFromStorage(useUserStore(), 'user-data');
    */
-  async getFromStorage(store, key) {
+  async getFromStorage(store, key, options = {}) {
     try {
       logInfo("PiniaAdapter - getFromStorage - key:", key);
       this._checkStore(store);
+      checkConflictStrategy(options.conflictStrategy);
       const storage = await this.adapter.get(key);
 
       if (!storage) {
         return;
       }
 
-      store.$patch(assign({}, storage));
+      const state = await this._resolveHydration(
+        key,
+        store.$state,
+        storage,
+        options.conflictStrategy
+      );
+      store.$patch(assign({}, state));
       return true;
     } catch (error) {
       logError(error);
@@ -1,6 +1,7 @@
 import StoreAdapter from "./StoreAdapter.js";
 import assign from "misc-helpers/src/utils/assign.js";
 import { logError, logWarn, logInfo } from "../helpers/loggerHelper.js";
+import { checkConflictStrategy } from "../helpers/conflictHelper.js";
 
 // ------------------------------------------------------------------------------------------------
 
@@ -47,6 +48,24 @@ class ReactAdapter extends StoreAdapter {
 
   // ----------------------------------------------------------------------------------------------
 
+  /**
+   * Reads the current state of a store through `getState()` or `get()`.
+   * @private
+   * @param {Object} store React state store instance
+   * @returns {Object} The current state, or an empty object when the store cannot be read
+   */
+  _currentState(store) {
+    if (typeof store.getState === "function") {
+      return store.getState();
+    }
+    if (typeof store.get === "function") {
+      return store.get();
+    }
+    return {};
+  }
+
+  // ----------------------------------------------------------------------------------------------
+
   /**
    * Registers a listener on the adapter to respond to external data changes,
    * ensuring the connected store is synchronized with updates that come
@@ -60,7 +79,7 @@ class ReactAdapter extends StoreAdapter {
       return;
     }
     logInfo("ReactAdapter - Registering onDataChanged listener");
-    this.adapter.onDataChanged(async (data) => {
+    this.stores[key].stopSync = this.adapter.onDataChanged(key, async (data) => {
       try {
         // Skip if the data change originated from this adapter or has no origin
         if (data.adapterId == this.adapter.adapterId || !data.origin) {
@@ -76,11 +95,14 @@ class ReactAdapter extends StoreAdapter {
         }
         const store = this.stores[data.key].store;
 
-        let dataToPatch;
-        if (!data.value) {
-          dataToPatch = await this.adapter.get(data.key);
-        } else {
-          dataToPatch = await this.adapter._decrypt(data.key, data.value);
+        const stored = await this._readIncoming(data);
+        const dataToPatch = await this._resolveIncoming(
+          data.key,
+          this._currentState(store),
+          stored
+        );
+        if (!dataToPatch) {
+          return;
         }
 
         // Redux store (has dispatch and getState methods)
@@ -138,12 +160,7 @@ class ReactAdapter extends StoreAdapter {
         }
 
         // Last resort: try to find a method to update the store
-        const currentState =
-          typeof store.getState === "function"
-            ? store.getState()
-            : typeof store.get === "function"
-            ? store.get()
-            : {};
+        const currentState = this._currentState(store);
 
         if (JSON.stringify(currentState) === JSON.stringify(dataToPatch)) {
           return;
@@ -171,8 +188,11 @@ class ReactAdapter extends StoreAdapter {
    * @param {Object} [options={}] Configuration options
    * @param {string[]} [options.ignoreKeys=[]] Keys to exclude from persistence
    * @param {number} [options.timeout] Operation timeout in milliseconds
-   * @returns {Promise<boolean>} Resolves to true when subscription is established
-   * @throws {Error} Throws if store is invalid or unsupported
+   * @param {boolean} [options.sliding=false] Push the expiration `timeout` ms forward every time the state is read
+   * @param {"last-writer-wins"|"first-writer-wins"|"merge-fields"|Function} [options.conflictStrategy] How changes written concurrently by other tabs are settled
+   * @param {boolean} [options.deltaSync=false] Send other tabs a patch from the previous state instead of having them read the whole state
+   * @returns {Promise<boolean>} Resolves to true once the subscription is established and the initial state is stored
+   * @throws {Error} Throws if store is invalid or unsupported, or the conflict strategy is unknown
    * @example
    * // Persist Redux store while ignoring sensitive data
    * await reactAdapter.setInStorage(reduxStore, 'user-state', {
@@ -187,15 +207,10 @@ class ReactAdapter extends StoreAdapter {
     try {
       logInfo("ReactAdapter - setInStorage - key:", key);
       this._checkStore(store);
+      checkConflictStrategy(options.conflictStrategy);
       options.ignoreKeys = options.ignoreKeys || [];
 
-      if (
-        this.stores[key] &&
-        this.stores[key].unsubscribe &&
-        typeof this.stores[key].unsubscribe === "function"
-      ) {
-        this.stores[key].unsubscribe();
-      }
+      this.destroy(key);
       delete this.stores[key];
 
       this.stores[key] = {
@@ -206,6 +221,7 @@ class ReactAdapter extends StoreAdapter {
       };
 
       return new Promise((resolve, reject) => {
+        let initialSync = Promise.resolve();
         const handleStateChange = async (state) => {
           try {
             if (!state) return;
@@ -214,14 +230,7 @@ class ReactAdapter extends StoreAdapter {
               return resolve(true);
             }
 
-            const stateProps = { ...state };
-            for (let propKey in stateProps) {
-              if (options.ignoreKeys.includes(propKey)) {
-                stateProps[propKey] = undefined;
-              }
-            }
-
-            await this.adapter.set(key, stateProps, options.timeout);
+            await this._persistState(key, state);
           } catch (error) {
             // Don't reject the main promise here - just log the error
             logError(error);
@@ -233,8 +242,8 @@ class ReactAdapter extends StoreAdapter {
           typeof store.subscribe === "function" &&
           typeof store.getState === "function"
         ) {
-          // Initial sync
-          handleStateChange(store.getState());
+          // Initial sync, written before the promise resolves
+          initialSync = handleStateChange(store.getState());
 
           // Subscribe to changes
           this.stores[key].unsubscribe = store.subscribe(() => {
@@ -249,11 +258,11 @@ class ReactAdapter extends StoreAdapter {
           return;
         }
 
-        // Resolve immediately after subscription is set up
+        // Resolve once the subscription is set up and the initial state is stored
         if (options.syncTabs) {
           this._registerOnDataChanged(key);
         }
-        resolve(true);
+        initialSync.then(() => resolve(true));
       });
     } catch (error) {
       logError(error);
@@ -269,8 +278,10 @@ class ReactAdapter extends StoreAdapter {
    * @async
    * @param {Object} store React state store instance to hydrate
    * @param {string} key Storage key to load from
+   * @param {Object} [options={}] Hydration options
+   * @param {"last-writer-wins"|"first-writer-wins"|"merge-fields"|Function} [options.conflictStrategy] How the stored state is settled against the current state of the store
    * @returns {Promise<boolean>} Resolves to true on success, undefined if no data found
-   * @throws {Error} Throws if store is invalid or update fails
+   * @throws {Error} Throws if store is invalid, the conflict strategy is unknown or update fails
    * @example
    * // Hydrate Redux store
    * await reactAdapter.getFromStorage(reduxStore, 'user-state');
@@ -278,14 +289,21 @@ class ReactAdapter extends StoreAdapter {
    * // Hydrate Zustand store
    * await reactAdapter.getFromStorage(zustandStore, 'app-settings');
    */
-  async getFromStorage(store, key) {
+  async getFromStorage(store, key, options = {}) {
     try {
       logInfo("ReactAdapter - getFromStorage - key:", key);
       this._checkStore(store);
-      const storage = await this.adapter.get(key);
-      if (!storage) {
+      checkConflictStrategy(options.conflictStrategy);
+      const stored = await this.adapter.get(key);
+      if (!stored) {
         return;
       }
+      const storage = await this._resolveHydration(
+        key,
+        this._currentState(store),
+        stored,
+        options.conflictStrategy
+      );
 
       // Handle different React state management libraries
       if (typeof store.dispatch === "function") {
@@ -1,4 +1,16 @@
-import { logInfo } from "../helpers/loggerHelper.js";
+import { logInfo, logWarn } from "../helpers/loggerHelper.js";
+import { isSameVersion, resolveConflict } from "../helpers/conflictHelper.js";
+import { applyPatch, createPatch } from "../helpers/patchHelper.js";
+
+// ------------------------------------------------------------------------------------------------
+
+/**
+ * How many versions of a synced state are kept to find the state two concurrent writes
+ * started from.
+ */
+const VERSION_HISTORY = 20;
+
+// ------------------------------------------------------------------------------------------------
 
 /**
  * Abstract base class for storage adapters. Provides the interface for concrete storage implementations.
@@ -30,6 +42,9 @@ class StoreAdapter {
    * @param {*} options.value The value to store
    * @param {string[]} [options.ignoreKeys] Array of keys to ignore in the stored value
    * @param {number} [options.timeout] Timeout in milliseconds for the operation
+   * @param {boolean} [options.sliding=false] Push the expiration `timeout` ms forward every time the state is read
+   * @param {"last-writer-wins"|"first-writer-wins"|"merge-fields"|Function} [options.conflictStrategy] How changes written concurrently by other tabs are settled, see conflictHelper. The state is then stored with a version in its entry metadata
+   * @param {boolean} [options.deltaSync=false] Send other tabs a JSON patch from the previous state instead of having them read the whole state. The state is then stored with a version in its entry metadata
    * @returns {Promise<void>}
    * @throws {Error} Must be implemented by subclasses
    * @throws {Error} May throw on timeout or storage failure
@@ -52,30 +67,328 @@ class StoreAdapter {
    * @async
    * @param {string} store The name/identifier of the storage location
    * @param {string} key The key to retrieve
-   * @param {number} [timeout] Optional timeout in milliseconds for the operation
+   * @param {Object} [options={}] Hydration options
+   * @param {"last-writer-wins"|"first-writer-wins"|"merge-fields"|Function} [options.conflictStrategy] How the stored state is settled against the current state of the store
    * @returns {Promise<*>} The stored value or null if not found
    * @throws {Error} Must be implemented by subclasses
-   * @throws {Error} May throw on timeout or storage failure
+   * @throws {Error} May throw on storage failure
    * @example
-   * const preferences = await adapter.getFromStorage('userData', 'preferences', 2000); // 2 second timeout
+   * const preferences = await adapter.getFromStorage('userData', 'preferences', { conflictStrategy: 'merge-fields' });
    */
-  async getFromStorage(store, key, timeout) {
+  async getFromStorage(store, key, options = {}) {
     throw new Error("Not implemented");
   }
 
+  // ----------------------------------------------------------------------------------------------
+
+  /**
+   * Builds the `expire` argument passed to the storage adapter when persisting state.
+   * @protected
+   * @param {Object} options Options given to `setInStorage`
+   * @param {number} [options.timeout] Expiration in milliseconds
+   * @param {boolean} [options.sliding] Whether reads push the expiration forward
+   * @returns {number|{ttl: number, sliding: boolean}|undefined}
+   */
+  _expireOption(options) {
+    if (options.sliding && typeof options.timeout === "number") {
+      return { ttl: options.timeout, sliding: true };
+    }
+    return options.timeout;
+  }
+
+  // ----------------------------------------------------------------------------------------------
+
+  /**
+   * Persists the state of a synced store, leaving out its `ignoreKeys`.
+   * @protected
+   * @param {string} key Key of the synced store
+   * @param {Object} state State to persist
+   * @returns {Promise<void>}
+   */
+  async _persistState(key, state) {
+    const entry = this.stores[key];
+    const { options } = entry;
+    const stateProps = { ...state };
+    for (let propKey in stateProps) {
+      if (options.ignoreKeys.includes(propKey)) {
+        stateProps[propKey] = undefined;
+      }
+    }
+
+    const base = entry.version;
+    const version = this._stampVersion(key, stateProps);
+    if (!version) {
+      await this.adapter.set(key, stateProps, this._expireOption(options));
+      return;
+    }
+    const patch = options.deltaSync ? await this._deltaFrom(key, base) : undefined;
+    await this.adapter.set(key, stateProps, this._expireOption(options), { patch, version });
+  }
+
+  // ----------------------------------------------------------------------------------------------
+
+  /**
+   * Stamps a state about to be persisted with a new version when its store has a conflict
+   * strategy or delta sync. The version records the one it replaces as `parent`, so other
+   * tabs can tell a follow-up write from a concurrent one. It is stored in the entry
+   * metadata, not in the state.
+   * @protected
+   * @param {string} key Key of the synced store
+   * @param {Object} state State about to be persisted
+   * @returns {{clock: number, tabId: string, parent: Object|null}|undefined} The version to
+   *          store, `undefined` when the store is not versioned
+   */
+  _stampVersion(key, state) {
+    const entry = this.stores[key];
+    if (!entry.options.conflictStrategy && !entry.options.deltaSync) {
+      return;
+    }
+    const parent = entry.version
+      ? { clock: entry.version.clock, tabId: entry.version.tabId }
+      : null;
+    entry.version = { ...this.adapter._nextVersion(), parent };
+    this._rememberState(entry, entry.version, state);
+    return entry.version;
+  }
+
+  // ----------------------------------------------------------------------------------------------
+
+  /**
+   * Keeps a copy of the state of a version, as it is stored, among the last ones of a
+   * synced store.
+   * @private
+   * @param {Object} entry Synced store
+   * @param {{clock: number, tabId: string}|null} version
+   * @param {Object} state
+   */
+  _rememberState(entry, version, state) {
+    if (!version) return;
+    entry.history = entry.history || new Map();
+    entry.history.set(`${version.clock}:${version.tabId}`, JSON.parse(JSON.stringify(state)));
+    if (entry.history.size > VERSION_HISTORY) {
+      entry.history.delete(entry.history.keys().next().value);
+    }
+  }
+
+  // ----------------------------------------------------------------------------------------------
+
+  /**
+   * Finds the state of a version among the last ones of a synced store.
+   * @private
+   * @param {Object} entry Synced store
+   * @param {{clock: number, tabId: string}|null} [version]
+   * @returns {Object|null}
+   */
+  _stateAt(entry, version) {
+    if (!version || !entry.history) return null;
+    return entry.history.get(`${version.clock}:${version.tabId}`) ?? null;
+  }
+
+  // ----------------------------------------------------------------------------------------------
+
+  /**
+   * Settles the state of a synced store against the state another tab wrote. A write made
+   * on top of the version this tab holds is taken as is, otherwise the conflict strategy
+   * decides. When the outcome differs from what the other tab wrote, it is written back
+   * so every tab ends up with it.
+   * @protected
+   * @param {string} key Key of the synced store
+   * @param {Object} current Current state of the store
+   * @param {{state: *, version: Object|null}} stored State written by the other tab and its
+   *        version, see `_readIncoming()`
+   * @returns {Promise<Object|null>} State to apply to the store, or null when it is up to date
+   */
+  async _resolveIncoming(key, current, stored) {
+    const entry = this.stores[key];
+    const { state: incoming, version: incomingVersion } = stored;
+    const strategy = entry.options.conflictStrategy;
+    if (!strategy) {
+      if (entry.options.deltaSync && incomingVersion) {
+        entry.version = incomingVersion;
+        this._rememberState(entry, incomingVersion, incoming);
+      }
+      return incoming;
+    }
+    if (isSameVersion(incomingVersion, entry.version)) {
+      return null;
+    }
+
+    this.adapter._observeVersion(incomingVersion);
+    const { STORAGEFY_SILENT_CHANNEL_UPDATE, ...local } = current || {};
+    const followsLocal =
+      entry.version && isSameVersion(incomingVersion?.parent, entry.version);
+    const state = followsLocal
+      ? incoming
+      : await resolveConflict(strategy, {
+          key,
+          local,
+          incoming,
+          base: this._stateAt(entry, incomingVersion?.parent),
+          localVersion: entry.version ?? null,
+          incomingVersion,
+        });
+
+    entry.version = incomingVersion;
+    this._rememberState(entry, incomingVersion, incoming);
+    if (JSON.stringify(state) !== JSON.stringify(incoming)) {
+      logInfo(`StoreAdapter - Writing back the settled state of "${key}"`);
+      await this._persistState(key, { ...local, ...state });
+    }
+    return state;
+  }
+
+  // ----------------------------------------------------------------------------------------------
+
+  /**
+   * Builds the patch sent to the other tabs for the version just stamped by `_stampVersion()`,
+   * when the state of `base` is known. The operations are encrypted like the stored value.
+   * @private
+   * @param {string} key Key of the synced store
+   * @param {{clock: number, tabId: string}|null} [base] Version the new state replaces
+   * @returns {Promise<{base: {clock: number, tabId: string}, ops: string}|undefined>}
+   */
+  async _deltaFrom(key, base) {
+    const entry = this.stores[key];
+    const from = this._stateAt(entry, base);
+    if (!from) {
+      return;
+    }
+    const ops = await this.adapter._encrypt(
+      key,
+      JSON.stringify(createPatch(from, this._stateAt(entry, entry.version)))
+    );
+    if (!ops) {
+      return;
+    }
+    return { base: { clock: base.clock, tabId: base.tabId }, ops };
+  }
+
+  // ----------------------------------------------------------------------------------------------
+
+  /**
+   * Reads the value another tab wrote from its change message: by applying its patch to the
+   * state this tab holds when the patch was made from it, else from the message value, else
+   * from storage. The version comes with the message, or with the entry when read from
+   * storage.
+   * @protected
+   * @param {{key: string, value?: *, version?: Object, patch?: {base: Object, ops: string}}} data
+   *        Change message, see `StorageAdapter.onDataChanged()`
+   * @returns {Promise<{state: *, version: Object|null}>} The value written by the other tab
+   */
+  async _readIncoming(data) {
+    if (data.patch) {
+      const patched = await this._applyDelta(data);
+      if (patched) {
+        return { state: patched, version: data.version };
+      }
+      logInfo(`StoreAdapter - "${data.key}" was patched from another version, reading it in full`);
+      return this._readStored(data.key);
+    }
+    if (!data.value) {
+      return this._readStored(data.key);
+    }
+    return {
+      state: await this.adapter._decrypt(data.key, data.value),
+      version: data.version ?? null,
+    };
+  }
+
+  // ----------------------------------------------------------------------------------------------
+
+  /**
+   * Reads a stored state with the version kept in its entry metadata.
+   * @private
+   * @param {string} key Storage key
+   * @returns {Promise<{state: *, version: Object|null}>}
+   */
+  async _readStored(key) {
+    const state = await this.adapter.get(key);
+    const version = state === null ? null : await this.adapter._readVersion(key);
+    return { state, version };
+  }
+
+  // ----------------------------------------------------------------------------------------------
+
+  /**
+   * Applies the patch of a change message to the state of its base version.
+   * @private
+   * @param {{key: string, version?: Object, patch: {base: Object, ops: string}}} data
+   * @returns {Promise<Object|null>} The patched value, or null when this tab does not hold the
+   *          base version or the patch does not apply
+   */
+  async _applyDelta(data) {
+    const entry = this.stores[data.key];
+    const { base, ops } = data.patch;
+    const from = isSameVersion(base, entry.version) ? this._stateAt(entry, base) : null;
+    if (!from || !data.version) {
+      return null;
+    }
+    try {
+      const decoded = await this.adapter._decrypt(data.key, ops);
+      if (!Array.isArray(decoded)) {
+        return null;
+      }
+      return applyPatch(from, decoded);
+    } catch (error) {
+      logWarn(`StoreAdapter - Could not apply the patch of "${data.key}":`, error);
+      return null;
+    }
+  }
+
+  // ----------------------------------------------------------------------------------------------
+
+  /**
+   * Settles the current state of a store against its stored state while hydrating. Nothing
+   * was written by this tab yet, so the store has no version.
+   * @protected
+   * @param {string} key Storage key
+   * @param {Object} current Current state of the store
+   * @param {*} incoming Value read from storage
+   * @param {string|Function} [strategy] Conflict strategy of the store
+   * @returns {Promise<Object>} State to load into the store
+   */
+  async _resolveHydration(key, current, incoming, strategy) {
+    const version = await this.adapter._readVersion(key);
+    this.adapter._observeVersion(version);
+    if (!strategy) {
+      return incoming;
+    }
+    return resolveConflict(strategy, {
+      key,
+      local: current || {},
+      incoming,
+      base: null,
+      localVersion: null,
+      incomingVersion: version,
+    });
+  }
+
   // ----------------------------------------------------------------------------------------------
   
   /**
    * Cleans up resources and subscriptions when the adapter is no longer needed.
    * Should be called before discarding the adapter instance.
+   * @param {string} [key] Key of the synced store to release. When omitted, every synced store is released.
    * @returns {void}
    * @example
+   * adapter.destroy('user-state');
    * adapter.destroy();
    */
   destroy(key) {
+    if (key === undefined && this.stores) {
+      for (const storeKey of Object.keys(this.stores)) {
+        this.destroy(storeKey);
+      }
+      return;
+    }
+
     if (this.stores && this.stores[key] && typeof this.stores[key].unsubscribe === "function") {
       logInfo("StoreAdapter - destroy - Unsubscribing from store changes.");
-      this.stores[key].unsubscribe
+      this.stores[key].unsubscribe();
+      // Stops listening to changes made in other tabs, see _registerOnDataChanged
+      if (typeof this.stores[key].stopSync === "function") {
+        this.stores[key].stopSync();
+      }
       delete this.stores[key];
       return;
     }
@@ -1,6 +1,7 @@
 import StoreAdapter from "./StoreAdapter.js";
 import assign from "misc-helpers/src/utils/assign.js";
 import { logError, logInfo, logWarn } from "../helpers/loggerHelper.js";
+import { checkConflictStrategy } from "../helpers/conflictHelper.js";
 
 // ------------------------------------------------------------------------------------------------
 
@@ -41,6 +42,23 @@ class SvelteAdapter extends StoreAdapter {
 
   // ----------------------------------------------------------------------------------------------
 
+  /**
+   * Reads the current value of a Svelte store.
+   * @private
+   * @param {Object} store Svelte writable store instance
+   * @returns {Object} A copy of the current value
+   */
+  _currentState(store) {
+    let currentState;
+    const unsubscribe = store.subscribe((value) => {
+      currentState = assign({}, value);
+    });
+    unsubscribe();
+    return currentState;
+  }
+
+  // ----------------------------------------------------------------------------------------------
+
   /**
    * Registers a listener on the adapter to respond to external data changes,
    * ensuring the connected store is synchronized with updates that come
@@ -55,45 +73,43 @@ class SvelteAdapter extends StoreAdapter {
       return;
     }
     try {
-      if (!store) {
+      if (!this.stores[key].store) {
         return;
       }
-      this.adapter.onDataChanged(async (data) => {
-        if (data.adapterId == this.adapter.adapterId || !data.origin) {
-          return;
-        }
+      this.stores[key].stopSync = this.adapter.onDataChanged(key, async (data) => {
+        try {
+          if (data.adapterId == this.adapter.adapterId || !data.origin) {
+            return;
+          }
 
-        if (
-          !this.stores ||
-          !this.stores[data.key] ||
-          !this.stores[data.key].store
-        ) {
-          return;
-        }
+          if (
+            !this.stores ||
+            !this.stores[data.key] ||
+            !this.stores[data.key].store
+          ) {
+            return;
+          }
 
-        let currentState;
-        const unsubscribe = this.stores[data.key].store.subscribe((value) => {
-          currentState = assign({}, value);
-        });
-        unsubscribe();
+          const stored = await this._readIncoming(data);
+          const currentState = this._currentState(this.stores[data.key].store);
+          const dataToPatch = await this._resolveIncoming(data.key, currentState, stored);
+          if (!dataToPatch) {
+            return;
+          }
+          if (JSON.stringify(currentState) === JSON.stringify(dataToPatch)) {
+            return;
+          }
 
-        let dataToPatch;
-        if (!data.value) {
-          dataToPatch = await this.adapter.get(data.key);
-        } else {
-          dataToPatch = await this.adapter._decrypt(data.key, data.value);
-        }
-        if (JSON.stringify(currentState) === JSON.stringify(dataToPatch)) {
-          return;
+          // Update store with the patched data
+          // In Svelte, we update the store directly
+          this.stores[data.key].store.update((currentState) => ({
+            ...currentState,
+            ...dataToPatch,
+            STORAGEFY_SILENT_CHANNEL_UPDATE: true,
+          }));
+        } catch (error) {
+          logError("SvelteAdapter - onDataChanged error:", error);
         }
-
-        // Update store with the patched data
-        // In Svelte, we update the store directly
-        this.stores[data.key].store.update((currentState) => ({
-          ...currentState,
-          ...dataToPatch,
-          STORAGEFY_SILENT_CHANNEL_UPDATE: true,
-        }));
       });
     } catch (error) {
       logError("SvelteAdapter - onDataChanged error:", error);
@@ -111,8 +127,11 @@ class SvelteAdapter extends StoreAdapter {
    * @param {Object} [options={}] Configuration options
    * @param {string[]} [options.ignoreKeys=[]] Keys to exclude from persistence
    * @param {number} [options.timeout] Operation timeout in milliseconds
+   * @param {boolean} [options.sliding=false] Push the expiration `timeout` ms forward every time the state is read
+   * @param {"last-writer-wins"|"first-writer-wins"|"merge-fields"|Function} [options.conflictStrategy] How changes written concurrently by other tabs are settled
+   * @param {boolean} [options.deltaSync=false] Send other tabs a patch from the previous state instead of having them read the whole state
    * @returns {Promise<boolean>} Resolves to true when initial sync completes
-   * @throws {Error} Throws if store is invalid or persistence fails
+   * @throws {Error} Throws if store is invalid, the conflict strategy is unknown or persistence fails
    * @example
    * // Persist store while ignoring sensitive fields
    * await svelteAdapter.setInStorage(userStore, 'user-profile', {
@@ -124,15 +143,10 @@ class SvelteAdapter extends StoreAdapter {
     try {
       logInfo("SvelteAdapter - setInStorage - key:", key);
       this._checkStore(store);
+      checkConflictStrategy(options.conflictStrategy);
       options.ignoreKeys = options.ignoreKeys || [];
 
-      if (
-        this.stores[key] &&
-        this.stores[key].unsubscribe &&
-        typeof this.stores[key].unsubscribe === "function"
-      ) {
-        this.stores[key].unsubscribe();
-      }
+      this.destroy(key);
       delete this.stores[key];
 
       this.stores[key] = {
@@ -148,15 +162,12 @@ class SvelteAdapter extends StoreAdapter {
             if (!state) {
               return resolve(true);
             }
-
-            const stateProps = { ...state };
-            for (let propKey in stateProps) {
-              if (options.ignoreKeys.includes(propKey)) {
-                stateProps[propKey] = undefined;
-              }
+            if (state.STORAGEFY_SILENT_CHANNEL_UPDATE) {
+              delete state.STORAGEFY_SILENT_CHANNEL_UPDATE;
+              return resolve(true);
             }
 
-            await this.adapter.set(key, stateProps, options.timeout);
+            await this._persistState(key, state);
             return resolve(true);
           } catch (error) {
             return reject(error);
@@ -180,20 +191,29 @@ class SvelteAdapter extends StoreAdapter {
    * @async
    * @param {Object} store Svelte writable store instance to hydrate
    * @param {string} key Storage key to load from
+   * @param {Object} [options={}] Hydration options
+   * @param {"last-writer-wins"|"first-writer-wins"|"merge-fields"|Function} [options.conflictStrategy] How the stored state is settled against the current state of the store
    * @returns {Promise<boolean>} Resolves to true on success, undefined if no data found
-   * @throws {Error} Throws if store is invalid or update fails
+   * @throws {Error} Throws if store is invalid, the conflict strategy is unknown or update fails
    * @example
    * // Load persisted state into store
    * await svelteAdapter.getFromStorage(userStore, 'user-profile');
    */
-  async getFromStorage(store, key) {
+  async getFromStorage(store, key, options = {}) {
     try {
       logInfo("SvelteAdapter - getFromStorage - key:", key);
       this._checkStore(store);
-      const storage = await this.adapter.get(key);
-      if (!storage) {
+      checkConflictStrategy(options.conflictStrategy);
+      const stored = await this.adapter.get(key);
+      if (!stored) {
         return;
       }
+      const storage = await this._resolveHydration(
+        key,
+        this._currentState(store),
+        stored,
+        options.conflictStrategy
+      );
       store.set(assign({}, storage));
       return true;
     } catch (error) {
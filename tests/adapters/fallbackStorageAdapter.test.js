@@ -0,0 +1,228 @@
+// @vitest-environment node
+import { describe, it, expect, afterEach, vi } from "vitest";
+import { Window } from "happy-dom";
+import FallbackStorageAdapter from "../../src/adapters/FallbackStorageAdapter.js";
+import MemoryStorageAdapter from "../../src/adapters/MemoryStorageAdapter.js";
+import LocalStorageAdapter from "../../src/adapters/LocalStorageAdapter.js";
+import { StoragefyNotReadyError } from "../../src/helpers/errorHelper.js";
+
+// ------------------------------------------------------------------------------------------------
+
+class BrokenAdapter extends MemoryStorageAdapter {
+  async _writeBatch() {
+    throw new Error("Storage is blocked");
+  }
+}
+
+class HangingAdapter extends MemoryStorageAdapter {
+  _writeBatch() {
+    return new Promise(() => {});
+  }
+}
+
+class ElectedAdapter extends MemoryStorageAdapter {
+  constructor(options) {
+    super(options);
+    this._initLeaderElection(options.leaderElection, `memory:${this.prefix}`);
+  }
+}
+
+let adapter;
+function createAdapter(adapters, options = {}) {
+  adapter = new FallbackStorageAdapter({
+    dbName: "testDB",
+    expireCheckInterval: 0,
+    ...options,
+    adapters: adapters.map(([name, AdapterClass]) => ({ name, AdapterClass })),
+  });
+  return adapter;
+}
+
+afterEach(() => {
+  adapter?.destroy();
+  vi.unstubAllGlobals();
+});
+
+// ------------------------------------------------------------------------------------------------
+
+describe("FallbackStorageAdapter", () => {
+  it("should use the first adapter that passes the probe", async () => {
+    createAdapter([
+      ["localStorage", LocalStorageAdapter],
+      ["broken", BrokenAdapter],
+      ["memory", MemoryStorageAdapter],
+    ]);
+    expect(adapter.backend).toBeNull();
+
+    expect(await adapter.ready).toBe("memory");
+    expect(adapter.backend).toBe("memory");
+    expect(adapter.selected).toBeInstanceOf(MemoryStorageAdapter);
+  });
+
+  // ----------------------------------------------------------------------------------------------
+
+  it("should leave no probe value behind", async () => {
+    createAdapter([["memory", MemoryStorageAdapter]]);
+    await adapter.ready;
+
+    expect([...adapter.selected.storage.keys()]).not.toContain("STRGF_testDB__probe");
+    expect(await adapter.list()).toEqual([]);
+  });
+
+  // ----------------------------------------------------------------------------------------------
+
+  it("should run methods called before the probe on the selected backend", async () => {
+    createAdapter([
+      ["broken", BrokenAdapter],
+      ["memory", MemoryStorageAdapter],
+    ]);
+
+    await adapter.set("user", { id: 1 }, 60000);
+
+    expect(await adapter.get("user")).toEqual({ id: 1 });
+    expect(await adapter.getExpire("user")).toBeGreaterThan(Date.now());
+    expect(await adapter.selected.get("user")).toEqual({ id: 1 });
+  });
+
+  // ----------------------------------------------------------------------------------------------
+
+  it("should deliver the backend events to handlers registered on it", async () => {
+    createAdapter([["memory", MemoryStorageAdapter]]);
+    const handler = vi.fn();
+    adapter.on("set", handler);
+
+    await adapter.set("a", 1);
+
+    expect(handler).toHaveBeenCalledWith({ key: "a", oldValue: null, newValue: 1 });
+  });
+
+  // ----------------------------------------------------------------------------------------------
+
+  it("should sync through storage events where BroadcastChannel is missing", async () => {
+    const window = new Window();
+    vi.stubGlobal("window", window);
+    vi.stubGlobal("localStorage", window.localStorage);
+    vi.stubGlobal("BroadcastChannel", undefined);
+    createAdapter(
+      [
+        ["localStorage", LocalStorageAdapter],
+        ["memory", MemoryStorageAdapter],
+      ],
+      { channelName: "fallback_event_test", channelTransport: "auto" }
+    );
+    const callback = vi.fn();
+    adapter.onDataChanged("user", callback);
+
+    window.dispatchEvent(
+      new window.StorageEvent("storage", {
+        key: "testDB__user",
+        newValue: "{}",
+        storageArea: window.localStorage,
+      })
+    );
+
+    expect(await adapter.ready).toBe("localStorage");
+    await vi.waitFor(() =>
+      expect(callback).toHaveBeenCalledWith(
+        expect.objectContaining({ key: "user", origin: "storage-event" })
+      )
+    );
+  });
+
+  // ----------------------------------------------------------------------------------------------
+
+  it("should reject with StoragefyNotReadyError when no adapter works", async () => {
+    createAdapter([
+      ["localStorage", LocalStorageAdapter],
+      ["broken", BrokenAdapter],
+    ]);
+
+    await expect(adapter.ready).rejects.toBeInstanceOf(StoragefyNotReadyError);
+    await expect(adapter.get("a")).rejects.toThrow(
+      'None of the storage adapters "localStorage", "broken" is available.'
+    );
+    expect(adapter.backend).toBeNull();
+  });
+
+  // ----------------------------------------------------------------------------------------------
+
+  it("should try the next adapter when a probe never settles", async () => {
+    createAdapter(
+      [
+        ["hanging", HangingAdapter],
+        ["memory", MemoryStorageAdapter],
+      ],
+      { probeTimeout: 20 }
+    );
+
+    expect(await adapter.ready).toBe("memory");
+    const hanging = new HangingAdapter({ dbName: "testDB", expireCheckInterval: 0 });
+    const probe = adapter._probe(hanging);
+    await expect(probe).rejects.toBeInstanceOf(StoragefyNotReadyError);
+    await expect(probe).rejects.toThrow("The probe did not finish within 20ms.");
+    hanging.destroy();
+  });
+
+  // ----------------------------------------------------------------------------------------------
+
+  it("should reject with StoragefyNotReadyError when every probe times out", async () => {
+    createAdapter([["hanging", HangingAdapter]], { probeTimeout: 20 });
+
+    await expect(adapter.ready).rejects.toBeInstanceOf(StoragefyNotReadyError);
+    await expect(adapter.get("a")).rejects.toThrow(
+      'None of the storage adapters "hanging" is available.'
+    );
+  });
+
+  // ----------------------------------------------------------------------------------------------
+
+  it("should reject methods the selected backend does not have", async () => {
+    createAdapter([["memory", MemoryStorageAdapter]]);
+
+    await expect(adapter.transaction(async () => {})).rejects.toThrow(
+      'The "memory" adapter does not support transaction().'
+    );
+  });
+
+  // ----------------------------------------------------------------------------------------------
+
+  it("should report and change the lock state of the selected backend", async () => {
+    createAdapter([["memory", MemoryStorageAdapter]], {
+      encrypt: true,
+      password: "test-password",
+    });
+    expect(adapter.locked).toBe(false);
+
+    adapter.lock();
+    expect(adapter.locked).toBe(true);
+    await adapter.ready;
+    expect(adapter.selected.locked).toBe(true);
+
+    await adapter.unlock("test-password");
+    expect(adapter.locked).toBe(false);
+    await adapter.set("a", 1);
+    adapter.lock();
+    expect(adapter.locked).toBe(true);
+    await expect(adapter.get("a")).rejects.toThrow();
+  });
+
+  // ----------------------------------------------------------------------------------------------
+
+  it("should follow the leadership of the selected backend", async () => {
+    vi.stubGlobal("navigator", { locks: { request: () => new Promise(() => {}) } });
+    createAdapter([["elected", ElectedAdapter]], { leaderElection: true });
+    const handler = vi.fn();
+    adapter.onLeaderChange(handler);
+    await adapter.ready;
+    vi.unstubAllGlobals();
+
+    expect(adapter.isLeader).toBe(false);
+
+    adapter.selected._election._setLeader(true);
+
+    expect(adapter.isLeader).toBe(true);
+    expect(handler).toHaveBeenCalledWith(true);
+  });
+});
+
+// ------------------------------------------------------------------------------------------------
@@ -5,6 +5,12 @@ import "fake-indexeddb/auto";
 import { IDBFactory } from "fake-indexeddb";
 import * as cryptoHelper from "../../src/helpers/cryptoHelper.js";
 import IndexedDBAdapter from "../../src/adapters/IndexedDBAdapter.js";
+import LocalStorageAdapter from "../../src/adapters/LocalStorageAdapter.js";
+import {
+  StoragefyDecryptionError,
+  StoragefyNotReadyError,
+  StoragefyQuotaError,
+} from "../../src/helpers/errorHelper.js";
 
 // ------------------------------------------------------------------------------------------------
 
@@ -42,6 +48,7 @@ describe("IndexedDBAdapter", () => {
       const adapter = new IndexedDBAdapter({
         dbName: "secureDB",
         encrypt: true,
+        password: "test-password",
       });
 
       expect(adapter.encrypt).toBe(true);
@@ -120,6 +127,21 @@ describe("IndexedDBAdapter", () => {
 
     // --------------------------------------------------------------------------------------------
 
+    it("should keep the version given to set in the entry metadata", async () => {
+      const version = { clock: 3, tabId: "tab_a", parent: null };
+      await adapter.set("cart", { items: 1 }, 60000, { version });
+
+      expect(await adapter.get("cart")).toEqual({ items: 1 });
+      expect(await adapter._readVersion("cart")).toEqual(version);
+      await adapter.setExpire("cart", 120000);
+      expect(await adapter._readVersion("cart")).toEqual(version);
+
+      await adapter.set("cart", { items: 2 });
+      expect(await adapter._readVersion("cart")).toBeNull();
+    });
+
+    // --------------------------------------------------------------------------------------------
+
     it("should return null for nonexistent key", async () => {
       const value = await adapter.get("nope");
       expect(value).toBeNull();
@@ -131,6 +153,7 @@ describe("IndexedDBAdapter", () => {
       adapter = new IndexedDBAdapter({
         dbName: "testEncryptedDB",
         encrypt: true,
+        password: "test-password",
       });
 
       await adapter.set("secure", "secretData");
@@ -140,6 +163,212 @@ describe("IndexedDBAdapter", () => {
 
     // --------------------------------------------------------------------------------------------
 
+    it("should keep the salt in metadata and reject a wrong password", async () => {
+      adapter = new IndexedDBAdapter({
+        dbName: "testPasswordDB",
+        encrypt: true,
+        password: "test-password",
+      });
+      await adapter.set("secure", "secretData");
+
+      const meta = await adapter._readMeta();
+      expect(typeof meta.salt).toBe("string");
+      expect(meta.keyCheck).toHaveProperty("data");
+
+      const intruder = new IndexedDBAdapter({
+        dbName: "testPasswordDB",
+        encrypt: true,
+        password: "wrong-password",
+      });
+      await expect(intruder.get("secure")).rejects.toThrow(StoragefyDecryptionError);
+      await expect(intruder.set("other", "value")).rejects.toThrow(
+        StoragefyDecryptionError
+      );
+      expect(await adapter.get("secure")).toBe("secretData");
+    });
+
+    // --------------------------------------------------------------------------------------------
+
+    it("should re-encrypt values written by earlier versions and keep their expiration", async () => {
+      // Earlier versions derived the key from the key name, without password or salt
+      const fullKey = cryptoHelper.simpleObfuscate("legacyCryptDB__cart");
+      const keyNameKey = await cryptoHelper.deriveKey("cart");
+      const legacyRaw = JSON.stringify(
+        await cryptoHelper.encryptData(keyNameKey, JSON.stringify({ items: 3 }))
+      );
+      const expiresAt = Date.now() + 60000;
+      const legacy = new IndexedDBAdapter({ dbName: "legacyCryptDB" });
+      await legacy._setRaw(fullKey, legacyRaw);
+      await legacy._writeExpire(fullKey, expiresAt);
+      legacy.destroy();
+
+      adapter = new IndexedDBAdapter({
+        dbName: "legacyCryptDB",
+        encrypt: true,
+        password: "test-password",
+      });
+
+      expect(await adapter.get("cart")).toEqual({ items: 3 });
+      expect(await adapter.getExpire("cart")).toBe(expiresAt);
+      expect(await adapter._getRaw(fullKey)).not.toBe(legacyRaw);
+    });
+
+    // --------------------------------------------------------------------------------------------
+
+    it("should not derive the key again when listing encrypted entries", async () => {
+      adapter = new IndexedDBAdapter({
+        dbName: "testListKeyDB",
+        encrypt: true,
+        password: "test-password",
+        iterations: 1000,
+      });
+      for (let i = 0; i < 5; i++) {
+        await adapter.set(`item${i}`, i);
+      }
+
+      const deriveSpy = vi.spyOn(adapter, "_deriveCryptoKey");
+      expect(await adapter.list()).toHaveLength(5);
+      expect(deriveSpy).not.toHaveBeenCalled();
+
+      adapter.lock();
+      await adapter.unlock("test-password");
+      expect(deriveSpy).toHaveBeenCalledTimes(1);
+    });
+
+    // --------------------------------------------------------------------------------------------
+
+    it("should rotate the encryption key in a single transaction", async () => {
+      adapter = new IndexedDBAdapter({
+        dbName: "testRotateDB",
+        encrypt: true,
+        password: "old-password",
+        iterations: 1000,
+      });
+      await adapter.set("a", { n: 1 });
+      await adapter.set("b", "two", 60000);
+      const before = await adapter._readMeta();
+
+      await adapter.rotateEncryptionKey("old-password", "new-password");
+
+      expect((await adapter._readMeta()).salt).not.toBe(before.salt);
+      expect(await adapter.get("a")).toEqual({ n: 1 });
+      expect(await adapter.get("b")).toBe("two");
+      expect(await adapter.getExpire("b")).toBeTypeOf("number");
+
+      const withOld = new IndexedDBAdapter({
+        dbName: "testRotateDB",
+        encrypt: true,
+        password: "old-password",
+      });
+      await expect(withOld.get("a")).rejects.toThrow(StoragefyDecryptionError);
+    });
+
+    // --------------------------------------------------------------------------------------------
+
+    it("should leave every entry untouched when a rotation fails", async () => {
+      adapter = new IndexedDBAdapter({
+        dbName: "testRotateFailDB",
+        encrypt: true,
+        password: "old-password",
+        iterations: 1000,
+      });
+      await adapter.set("a", 1);
+      await adapter.set("b", 2);
+      const before = await adapter._readMeta();
+
+      const reencrypt = adapter._reencrypt.bind(adapter);
+      let calls = 0;
+      vi.spyOn(adapter, "_reencrypt").mockImplementation((...args) => {
+        if (++calls === 2) throw new Error("Tab closed");
+        return reencrypt(...args);
+      });
+
+      await expect(
+        adapter.rotateEncryptionKey("old-password", "new-password")
+      ).rejects.toThrow("Tab closed");
+
+      expect((await adapter._readMeta()).salt).toBe(before.salt);
+      expect(await adapter.get("a")).toBe(1);
+      expect(await adapter.get("b")).toBe(2);
+    });
+
+    // --------------------------------------------------------------------------------------------
+
+    it("should hash key names and resolve them through the index", async () => {
+      adapter = new IndexedDBAdapter({
+        dbName: "testHashedDB",
+        encrypt: true,
+        password: "test-password",
+        iterations: 1000,
+        hashKeys: true,
+      });
+      await adapter.set("users__1", { name: "Alice" }, 60000);
+      await adapter.set("auth", "token");
+
+      const storedKeys = await adapter._withStore("readonly", (store) => {
+        return new Promise((resolve) => {
+          const request = store.getAllKeys();
+          request.onsuccess = () => resolve(request.result);
+        });
+      });
+      expect(storedKeys.join("|")).not.toContain("auth");
+      expect(storedKeys).toContain(adapter.indexKey);
+      const expireKeys = await adapter._withStore("readonly", (store, expiresStore) => {
+        return new Promise((resolve) => {
+          const request = expiresStore.getAllKeys();
+          request.onsuccess = () => resolve(request.result);
+        });
+      });
+      expect(expireKeys).toHaveLength(1);
+      expect(expireKeys.join("|")).not.toContain("users");
+
+      await adapter.rotateEncryptionKey("test-password", "new-password");
+
+      expect(await adapter.list()).toEqual(
+        expect.arrayContaining([
+          { key: "users__1", value: { name: "Alice" } },
+          { key: "auth", value: "token" },
+        ])
+      );
+      expect(await adapter.getExpire("users__1")).toBeTypeOf("number");
+    });
+
+    // --------------------------------------------------------------------------------------------
+
+    it("should retry the rotation when another tab writes meanwhile", async () => {
+      adapter = new IndexedDBAdapter({
+        dbName: "testRotateRetryDB",
+        encrypt: true,
+        password: "old-password",
+        iterations: 1000,
+      });
+      await adapter.set("a", 1);
+
+      const otherTab = new IndexedDBAdapter({
+        dbName: "testRotateRetryDB",
+        encrypt: true,
+        password: "old-password",
+      });
+      const rotateSpy = vi.spyOn(adapter, "_rotateEntries");
+      const reencrypt = adapter._reencrypt.bind(adapter);
+      let written = false;
+      vi.spyOn(adapter, "_reencrypt").mockImplementation(async (...args) => {
+        if (!written) {
+          written = true;
+          await otherTab.set("b", 2);
+        }
+        return reencrypt(...args);
+      });
+
+      await adapter.rotateEncryptionKey("old-password", "new-password");
+
+      expect(rotateSpy).toHaveBeenCalledTimes(2);
+      expect(await adapter.get("a")).toBe(1);
+      expect(await adapter.get("b")).toBe(2);
+    });
+
+    // --------------------------------------------------------------------------------------------
+
     it("should return null for expired key", async () => {
       await adapter.set("temp", "value", -1000);
       const result = await adapter.get("temp");
@@ -395,6 +624,18 @@ describe("IndexedDBAdapter", () => {
       const result = await adapter.get("perma");
       expect(result).toBe("still here");
     });
+
+    // --------------------------------------------------------------------------------------------
+
+    it("should push a sliding expiration forward on every read", async () => {
+      await adapter.set("session", "id", { ttl: 1000, sliding: true });
+      const first = await adapter.getExpire("session");
+      await sleep(20);
+
+      expect(await adapter.get("session")).toBe("id");
+      expect(await adapter.getExpire("session")).toBeGreaterThan(first);
+      expect((await adapter._readBatch([adapter._fullKey("session")]))[0].ttl).toBe(1000);
+    });
   });
 
   // ----------------------------------------------------------------------------------------------
@@ -502,6 +743,433 @@ describe("IndexedDBAdapter", () => {
       const after = await adapter.getExpire("valid2");
       expect(after).toBe(before);
     });
+
+    // --------------------------------------------------------------------------------------------
+
+    it("should only visit expired entries through the expiresAt index", async () => {
+      await adapter.set("expired", 1, 100);
+      await adapter.set("valid", 2, 2000);
+      await adapter.set("forever", 3);
+      await sleep(150);
+
+      const db = await adapter.dbPromise;
+      const spy = vi.spyOn(IDBObjectStore.prototype, "getAll");
+      await adapter.clearExpire();
+
+      expect(spy).not.toHaveBeenCalled();
+      spy.mockRestore();
+      expect(await adapter.has("expired")).toBe(false);
+      expect(await adapter.has("valid")).toBe(true);
+      expect(await adapter.has("forever")).toBe(true);
+      expect(db.objectStoreNames.contains(adapter.expiresStoreName)).toBe(true);
+    });
+
+    // --------------------------------------------------------------------------------------------
+
+    it("should read the nearest expiration from the expiresAt index", async () => {
+      expect(await adapter._nextExpire()).toBeNull();
+
+      await adapter.set("later", 1, 5000);
+      await adapter.set("sooner", 2, 500);
+      await adapter.set("forever", 3);
+
+      expect(await adapter._nextExpire()).toBe(await adapter.getExpire("sooner"));
+    });
+
+    // --------------------------------------------------------------------------------------------
+
+    it("should migrate the former expiration map into the expirations store", async () => {
+      const expiresAt = Date.now() + 5000;
+      await new Promise((resolve) => {
+        const request = indexedDB.open("legacyDB", 1);
+        request.onupgradeneeded = () => {
+          const store = request.result.createObjectStore("legacyDB_store");
+          store.put(JSON.stringify("value"), "legacyDB__kept");
+          store.put(JSON.stringify({ kept: expiresAt }), "STRGF_legacyDB__expires");
+        };
+        request.onsuccess = () => {
+          request.result.close();
+          resolve();
+        };
+      });
+
+      const legacy = new IndexedDBAdapter({ dbName: "legacyDB", encrypt: false });
+
+      expect(await legacy.getExpire("kept")).toBe(expiresAt);
+      expect(await legacy.get("kept")).toBe("value");
+      const db = await legacy.dbPromise;
+      expect(db.version).toBe(2);
+
+      const legacyMap = await legacy._withStore("readonly", (store) => {
+        return new Promise((resolve) => {
+          const request = store.get(legacy.expireKey);
+          request.onsuccess = () => resolve(request.result);
+        });
+      });
+      expect(legacyMap).toBeUndefined();
+    });
+  });
+
+  // ----------------------------------------------------------------------------------------------
+
+  describe("events", () => {
+    it("should fire set and delete with the old and new values", async () => {
+      const set = vi.fn();
+      const remove = vi.fn();
+      adapter.on("set", set);
+      adapter.on("delete", remove);
+
+      await adapter.set("user", "Alice");
+      await adapter.set("user", "Bob");
+      await adapter.delete("user");
+
+      expect(set).toHaveBeenLastCalledWith({
+        key: "user",
+        oldValue: "Alice",
+        newValue: "Bob",
+      });
+      expect(remove).toHaveBeenCalledWith({ key: "user", oldValue: "Bob", newValue: null });
+    });
+
+    // --------------------------------------------------------------------------------------------
+
+    it("should fire expire for entries removed by the range scan", async () => {
+      const expire = vi.fn();
+      adapter.on("expire", expire);
+      await adapter.set("auth", { token: "abc" }, 50);
+      await adapter.set("valid", 1, 5000);
+      await sleep(100);
+
+      await adapter.clearExpire();
+
+      expect(expire).toHaveBeenCalledTimes(1);
+      expect(expire).toHaveBeenCalledWith({
+        key: "auth",
+        oldValue: { token: "abc" },
+        newValue: null,
+      });
+    });
+
+    // --------------------------------------------------------------------------------------------
+
+    it("should fire set for writes committed by a transaction", async () => {
+      const set = vi.fn();
+      adapter.on("set", set);
+      await adapter.set("a", 1);
+
+      await adapter.transaction(async (tx) => {
+        await tx.set("a", (await tx.get("a")) + 1);
+      });
+
+      expect(set).toHaveBeenLastCalledWith({ key: "a", oldValue: 1, newValue: 2 });
+    });
+  });
+
+  // ----------------------------------------------------------------------------------------------
+
+  describe("eviction", () => {
+    it("should evict the least recently read entry and keep its access in the expires store", async () => {
+      const cache = new IndexedDBAdapter({ dbName: "evictDB", maxEntries: 2 });
+      const evict = vi.fn();
+      cache.on("evict", evict);
+      await cache.set("a", 1);
+      await sleep(5);
+      await cache.set("b", 2, 60000);
+      await sleep(5);
+      await cache.get("a");
+
+      await cache.set("c", 3);
+
+      expect(await cache.has("b")).toBe(false);
+      expect(evict).toHaveBeenCalledWith({ key: "b", oldValue: 2, newValue: null });
+      const [entry] = await cache._readBatch([cache._fullKey("a")]);
+      expect(entry.expiresAt).toBeNull();
+      expect(entry.access.hits).toBe(1);
+      expect(await cache._nextExpire()).toBeNull();
+    });
+
+    // --------------------------------------------------------------------------------------------
+
+    it("should pick entries to evict from the expires store without loading the values", async () => {
+      const cache = new IndexedDBAdapter({ dbName: "evictSizeDB", maxBytes: 80 });
+      await cache.set("a", "aa");
+      await sleep(5);
+      await cache.set("b", "bb");
+      const getAll = vi.spyOn(IDBObjectStore.prototype, "getAll");
+      const readBatch = vi.spyOn(cache, "_readBatch");
+
+      await cache.set("c", "cc");
+
+      expect(await cache.has("a")).toBe(false);
+      expect(await cache.has("b")).toBe(true);
+      expect(getAll.mock.contexts.map((store) => store.name)).toEqual([
+        `${cache.storeName}_expires`,
+      ]);
+      expect(readBatch).not.toHaveBeenCalledWith(
+        expect.arrayContaining([cache._fullKey("b")])
+      );
+      getAll.mockRestore();
+    });
+  });
+
+  // ----------------------------------------------------------------------------------------------
+
+  describe("quota", () => {
+    it("should throw StoragefyQuotaError when the transaction hits the quota", async () => {
+      const spy = vi
+        .spyOn(adapter, "_writeBatch")
+        .mockRejectedValue(new DOMException("Quota exceeded", "QuotaExceededError"));
+
+      await expect(adapter.set("big", "value")).rejects.toBeInstanceOf(StoragefyQuotaError);
+      await expect(
+        adapter.transaction(async (tx) => tx.set("big", "value"))
+      ).rejects.toBeInstanceOf(StoragefyQuotaError);
+      spy.mockRestore();
+    });
+
+    // --------------------------------------------------------------------------------------------
+
+    it("should estimate the bytes of the entries without internal records", async () => {
+      await adapter.set("a", "abc");
+      await adapter.set("b", 1, 5000);
+
+      const { bytes, entries } = await adapter.estimate();
+
+      expect(entries).toBe(2);
+      expect(bytes).toBe((2 * "testDB__a".length + '"abc"'.length + "1".length) * 2);
+    });
+  });
+
+  // ----------------------------------------------------------------------------------------------
+
+  describe("strict mode", () => {
+    it("should throw StoragefyNotReadyError when the database could not be opened", async () => {
+      const strict = new IndexedDBAdapter({ dbName: "strictDB", strict: true });
+      await strict.dbPromise;
+      strict.dbPromise = Promise.reject(new Error("Open blocked"));
+      adapter.dbPromise = strict.dbPromise;
+
+      expect(await adapter.get("a")).toBeNull();
+      const error = await strict.get("a").catch((err) => err);
+      expect(error).toBeInstanceOf(StoragefyNotReadyError);
+      expect(error.cause.message).toBe("Open blocked");
+    });
+  });
+
+  // ----------------------------------------------------------------------------------------------
+
+  describe("migrations", () => {
+    const migrations = {
+      2: async (ctx) => {
+        for (const fullKey of await ctx.list()) {
+          const user = JSON.parse(await ctx.get(fullKey));
+          await ctx.set(fullKey, JSON.stringify({ ...user, name: user.first }));
+        }
+      },
+      3: async (ctx) => {
+        await ctx.delete(`${ctx.prefix}legacy`);
+      },
+    };
+
+    it("should run the pending migrations inside the upgrade", async () => {
+      await adapter.set("user", { first: "Ada" });
+      await adapter.set("legacy", { first: "Old" }, 60000);
+      adapter.destroy();
+      (await adapter.dbPromise).close();
+
+      const upgraded = new IndexedDBAdapter({ dbName: "testDB", version: 3, migrations });
+
+      expect(await upgraded.get("user")).toEqual({ first: "Ada", name: "Ada" });
+      expect(await upgraded.get("legacy")).toBeNull();
+      expect(await upgraded.getExpire("legacy")).toBeNull();
+      expect((await upgraded._readMeta()).version).toBe(3);
+      upgraded.destroy();
+    });
+
+    // --------------------------------------------------------------------------------------------
+
+    it("should upgrade again when the database version is already past the schema version", async () => {
+      await adapter.set("user", { first: "Ada" });
+      adapter.destroy();
+      (await adapter.dbPromise).close();
+      // Database version 5 with data still at schema version 1
+      const bumped = new IndexedDBAdapter({ dbName: "testDB", version: 5 });
+      await bumped._writeMeta({ ...(await bumped._readMeta()), version: 1 });
+      bumped.destroy();
+      (await bumped.dbPromise).close();
+
+      const upgraded = new IndexedDBAdapter({ dbName: "testDB", version: 2, migrations });
+
+      expect(await upgraded.get("user")).toEqual({ first: "Ada", name: "Ada" });
+      expect((await upgraded._readMeta()).version).toBe(2);
+      upgraded.destroy();
+    });
+
+    // --------------------------------------------------------------------------------------------
+
+    it("should not migrate a new database", async () => {
+      const migrate = vi.fn();
+      const fresh = new IndexedDBAdapter({
+        dbName: "freshDB",
+        version: 2,
+        migrations: { 2: migrate },
+      });
+
+      await fresh.set("a", 1);
+
+      expect(migrate).not.toHaveBeenCalled();
+      expect((await fresh._readMeta()).version).toBe(2);
+      fresh.destroy();
+    });
+
+    // --------------------------------------------------------------------------------------------
+
+    it("should abort the upgrade when a migration fails", async () => {
+      await adapter.set("user", { first: "Ada" });
+      adapter.destroy();
+      (await adapter.dbPromise).close();
+
+      const failing = new IndexedDBAdapter({
+        dbName: "testDB",
+        version: 2,
+        strict: true,
+        migrations: {
+          2: async (ctx) => {
+            await ctx.set(`${ctx.prefix}user`, "{}");
+            throw new Error("Bad data");
+          },
+        },
+      });
+
+      const error = await failing.get("user").catch((err) => err);
+      expect(error).toBeInstanceOf(StoragefyNotReadyError);
+      failing.destroy();
+
+      const reopened = new IndexedDBAdapter({ dbName: "testDB" });
+      expect(await reopened.get("user")).toEqual({ first: "Ada" });
+      expect((await reopened._readMeta()).version).toBe(1);
+      reopened.destroy();
+    });
+
+    // --------------------------------------------------------------------------------------------
+
+    it("should close its connection for another adapter's upgrade and reopen it", async () => {
+      await adapter.set("user", { first: "Ada" });
+
+      const upgraded = new IndexedDBAdapter({ dbName: "testDB", version: 2, migrations });
+
+      expect(await upgraded.get("user")).toEqual({ first: "Ada", name: "Ada" });
+      expect(await adapter.get("user")).toEqual({ first: "Ada", name: "Ada" });
+      await adapter.set("other", 1);
+      expect(await upgraded.get("other")).toBe(1);
+      upgraded.destroy();
+    });
+
+    // --------------------------------------------------------------------------------------------
+
+    it("should fail when other connections block the upgrade, then try again", async () => {
+      const db = await new Promise((resolve) => {
+        const request = indexedDB.open("blockedDB", 1);
+        request.onupgradeneeded = () => request.result.createObjectStore("blockedDB_store");
+        request.onsuccess = () => resolve(request.result);
+      });
+
+      // Adding the expirations store needs an upgrade the open connection blocks
+      const blocked = new IndexedDBAdapter({
+        dbName: "blockedDB",
+        strict: true,
+        blockedTimeout: 50,
+      });
+
+      const error = await blocked.get("a").catch((err) => err);
+      expect(error).toBeInstanceOf(StoragefyNotReadyError);
+      db.close();
+      await blocked.set("a", 1);
+      expect(await blocked.get("a")).toBe(1);
+      blocked.destroy();
+    });
+  });
+
+  // ----------------------------------------------------------------------------------------------
+
+  describe("leader election", () => {
+    it("should not watch expirations until it leads", async () => {
+      vi.stubGlobal("navigator", { locks: { request: () => new Promise(() => {}) } });
+      const follower = new IndexedDBAdapter({ dbName: "testDB", leaderElection: true });
+      vi.unstubAllGlobals();
+      const handler = vi.fn();
+      follower.onLeaderChange(handler);
+
+      expect(follower.isLeader).toBe(false);
+      expect(follower._expireWatching).toBe(false);
+
+      follower._election._setLeader(true);
+
+      expect(follower.isLeader).toBe(true);
+      expect(follower._expireWatching).toBe(true);
+      expect(handler).toHaveBeenCalledWith(true);
+      follower.destroy();
+    });
+
+    // --------------------------------------------------------------------------------------------
+
+    it("should hold a separate election per storage sharing the dbName", async () => {
+      const held = new Set();
+      vi.stubGlobal("navigator", {
+        locks: {
+          request: async (name, options, callback) => {
+            if (held.has(name)) return new Promise(() => {});
+            held.add(name);
+            return callback();
+          },
+        },
+      });
+      const options = { dbName: "electionDB", expireCheckInterval: 0, leaderElection: true };
+      const adapters = [
+        new IndexedDBAdapter(options),
+        new IndexedDBAdapter({ ...options, storeName: "electionDB_other" }),
+        new LocalStorageAdapter(options),
+      ];
+      vi.unstubAllGlobals();
+
+      await vi.waitFor(() =>
+        expect(adapters.map(({ isLeader }) => isLeader)).toEqual([true, true, true])
+      );
+      expect(held.size).toBe(3);
+      adapters.forEach((instance) => instance.destroy());
+    });
+
+    // --------------------------------------------------------------------------------------------
+
+    it("should leave pending migrations to the leader", async () => {
+      await adapter.set("user", { first: "Ada" });
+      adapter.destroy();
+      (await adapter.dbPromise).close();
+      const migrate = vi.fn(async (ctx) => {
+        const fullKey = `${ctx.prefix}user`;
+        const user = JSON.parse(await ctx.get(fullKey));
+        await ctx.set(fullKey, JSON.stringify({ ...user, name: user.first }));
+      });
+
+      vi.stubGlobal("navigator", { locks: { request: () => new Promise(() => {}) } });
+      const follower = new IndexedDBAdapter({
+        dbName: "testDB",
+        version: 2,
+        migrations: { 2: migrate },
+        leaderElection: true,
+      });
+      vi.unstubAllGlobals();
+      await sleep(50);
+
+      expect(migrate).not.toHaveBeenCalled();
+      expect(follower.isReady).toBe(false);
+
+      follower._election._setLeader(true);
+
+      expect(await follower.get("user")).toEqual({ first: "Ada", name: "Ada" });
+      expect(migrate).toHaveBeenCalledTimes(1);
+      follower.destroy();
+    });
   });
 
   // ----------------------------------------------------------------------------------------------
@@ -556,6 +1224,326 @@ describe("IndexedDBAdapter", () => {
       expect(list).toEqual([]);
     });
   });
+
+  // ----------------------------------------------------------------------------------------------
+
+  describe("batch operations", () => {
+    it("should get, set and delete several keys at once", async () => {
+      await adapter.setMany(
+        [
+          { key: "a", value: 1 },
+          { key: "b", value: [1, 2] },
+        ],
+        { expire: 1000 }
+      );
+
+      expect(await adapter.getMany(["a", "b", "missing"])).toEqual([
+        { key: "a", value: 1 },
+        { key: "b", value: [1, 2] },
+        { key: "missing", value: null },
+      ]);
+      expect(await adapter.getExpire("b")).toBeGreaterThan(Date.now());
+
+      await adapter.deleteMany(["a", "b"]);
+      expect(await adapter.getMany(["a", "b"])).toEqual([
+        { key: "a", value: null },
+        { key: "b", value: null },
+      ]);
+      expect(await adapter.getExpire("b")).toBeNull();
+    });
+
+    // --------------------------------------------------------------------------------------------
+
+    it("should write a batch in a single readwrite transaction", async () => {
+      await adapter.waitReadiness();
+      const db = await adapter.dbPromise;
+      const spy = vi.spyOn(db, "transaction");
+
+      await adapter.setMany([
+        { key: "a", value: 1 },
+        { key: "b", value: 2 },
+        { key: "c", value: 3 },
+      ]);
+
+      const writes = spy.mock.calls.filter(([, mode]) => mode === "readwrite");
+      expect(writes).toHaveLength(1);
+    });
+
+    // --------------------------------------------------------------------------------------------
+
+    it("should not write anything when a value cannot be stored", async () => {
+      await adapter.set("a", "before");
+
+      const result = await adapter.setMany([
+        { key: "a", value: "after" },
+        { key: "b", value: () => {} },
+      ]);
+
+      expect(result).toBe(false);
+      expect(await adapter.get("a")).toBe("before");
+      expect(await adapter.has("b")).toBe(false);
+    });
+
+    // --------------------------------------------------------------------------------------------
+
+    it("should keep the key index in sync with hashed keys", async () => {
+      const secure = new IndexedDBAdapter({
+        dbName: "batchSecureDB",
+        encrypt: true,
+        password: "test-password",
+        hashKeys: true,
+      });
+
+      await secure.setMany([
+        { key: "x", value: 1 },
+        { key: "y", value: 2 },
+      ]);
+      await secure.deleteMany(["x"]);
+
+      expect(await secure.list()).toEqual([{ key: "y", value: 2 }]);
+    });
+  });
+
+  // ----------------------------------------------------------------------------------------------
+
+  describe("update", () => {
+    it("should evict and update the key index in the same write as the value", async () => {
+      const secure = new IndexedDBAdapter({
+        dbName: "updateEvictDB",
+        encrypt: true,
+        password: "test-password",
+        hashKeys: true,
+        maxEntries: 2,
+      });
+      await secure.set("a", 1);
+      await sleep(5);
+      await secure.set("b", 2);
+      const writeBatch = vi.spyOn(secure, "_writeBatch");
+      const setRaw = vi.spyOn(secure, "_setRaw");
+      let calls = 0;
+
+      const result = await secure.update("c", async (value) => {
+        if (calls++ === 0) {
+          await secure._setRaw(await secure._storageKey("c"), await secure._encrypt("c", "5"));
+        }
+        return (value ?? 0) + 1;
+      });
+
+      expect(result).toBe(6);
+      expect(calls).toBe(2);
+      expect(writeBatch).toHaveBeenCalledTimes(2);
+      for (const [ops] of writeBatch.mock.calls) {
+        expect(ops.map(({ fullKey, raw }) => [fullKey, raw === null])).toEqual([
+          [await secure._storageKey("c"), false],
+          [await secure._storageKey("a"), true],
+          [secure.indexKey, false],
+        ]);
+      }
+      expect(setRaw).toHaveBeenCalledTimes(1);
+      const entries = await secure.list();
+      expect(entries.sort((x, y) => x.key.localeCompare(y.key))).toEqual([
+        { key: "b", value: 2 },
+        { key: "c", value: 6 },
+      ]);
+    });
+
+    // --------------------------------------------------------------------------------------------
+
+    it("should not lose concurrent updates", async () => {
+      await adapter.set("counter", 0);
+
+      await Promise.all(
+        Array.from({ length: 10 }, () =>
+          adapter.update("counter", (value) => value + 1)
+        )
+      );
+
+      expect(await adapter.get("counter")).toBe(10);
+    });
+
+    // --------------------------------------------------------------------------------------------
+
+    it("should run the updater again when the entry changes before the write", async () => {
+      await adapter.set("counter", 1);
+      let calls = 0;
+
+      const result = await adapter.update("counter", async (value) => {
+        if (calls++ === 0) {
+          // Another tab writes without taking the lock
+          await adapter.set("counter", 100);
+        }
+        return value + 1;
+      });
+
+      expect(calls).toBe(2);
+      expect(result).toBe(101);
+      expect(await adapter.get("counter")).toBe(101);
+    });
+
+    // --------------------------------------------------------------------------------------------
+
+    it("should update encrypted values", async () => {
+      const secure = new IndexedDBAdapter({
+        dbName: "updateSecureDB",
+        encrypt: true,
+        password: "test-password",
+      });
+      await secure.set("cart", { items: 1 });
+
+      await secure.update("cart", (cart) => ({ items: cart.items + 1 }), {
+        expire: 1000,
+      });
+
+      expect(await secure.get("cart")).toEqual({ items: 2 });
+      expect(await secure.getExpire("cart")).toBeGreaterThan(Date.now());
+    });
+  });
+
+  // ----------------------------------------------------------------------------------------------
+
+  describe("transaction", () => {
+    it("should commit several writes together", async () => {
+      await adapter.set("accountA", 100);
+      await adapter.set("accountB", 0);
+
+      const result = await adapter.transaction(async (tx) => {
+        const from = await tx.get("accountA");
+        const to = await tx.get("accountB");
+        await tx.set("accountA", from - 30);
+        await tx.set("accountB", to + 30, 1000);
+        await tx.delete("obsolete");
+        return "done";
+      });
+
+      expect(result).toBe("done");
+      expect(await adapter.get("accountA")).toBe(70);
+      expect(await adapter.get("accountB")).toBe(30);
+      expect(await adapter.getExpire("accountA")).toBeNull();
+      expect(await adapter.getExpire("accountB")).toBeGreaterThan(Date.now());
+    });
+
+    // --------------------------------------------------------------------------------------------
+
+    it("should see its own writes before committing", async () => {
+      await adapter.transaction(async (tx) => {
+        await tx.set("draft", { step: 1 });
+        expect(await tx.get("draft")).toEqual({ step: 1 });
+        expect(await adapter.get("draft")).toBeNull();
+        await tx.delete("draft");
+        expect(await tx.get("draft")).toBeNull();
+      });
+
+      expect(await adapter.has("draft")).toBe(false);
+    });
+
+    // --------------------------------------------------------------------------------------------
+
+    it("should roll back when the callback throws", async () => {
+      await adapter.set("a", 1);
+
+      await expect(
+        adapter.transaction(async (tx) => {
+          await tx.set("a", 2);
+          await tx.set("b", 2);
+          throw new Error("abort");
+        })
+      ).rejects.toThrow("abort");
+
+      expect(await adapter.get("a")).toBe(1);
+      expect(await adapter.has("b")).toBe(false);
+    });
+
+    // --------------------------------------------------------------------------------------------
+
+    it("should run again when a value it read changed before the commit", async () => {
+      await adapter.set("counter", 1);
+      let calls = 0;
+
+      await adapter.transaction(async (tx) => {
+        const value = await tx.get("counter");
+        if (calls++ === 0) {
+          await adapter.set("counter", 10);
+        }
+        await tx.set("counter", value + 1);
+      });
+
+      expect(calls).toBe(2);
+      expect(await adapter.get("counter")).toBe(11);
+    });
+
+    // --------------------------------------------------------------------------------------------
+
+    it("should evict and update the key index in the same write as the transaction", async () => {
+      const secure = new IndexedDBAdapter({
+        dbName: "transactionEvictDB",
+        encrypt: true,
+        password: "test-password",
+        hashKeys: true,
+        maxEntries: 2,
+      });
+      await secure.set("a", 1);
+      await sleep(5);
+      await secure.set("b", 2);
+      const writeBatch = vi.spyOn(secure, "_writeBatch");
+      const setRaw = vi.spyOn(secure, "_setRaw");
+      let calls = 0;
+
+      await secure.transaction(async (tx) => {
+        const value = await tx.get("b");
+        if (calls++ === 0) {
+          await secure._setRaw(await secure._storageKey("b"), await secure._encrypt("b", "20"));
+        }
+        await tx.set("c", value + 1);
+      });
+
+      expect(calls).toBe(2);
+      expect(writeBatch).toHaveBeenCalledTimes(2);
+      for (const [ops] of writeBatch.mock.calls) {
+        expect(ops.map(({ fullKey, raw }) => [fullKey, raw === null])).toEqual([
+          [await secure._storageKey("c"), false],
+          [await secure._storageKey("a"), true],
+          [secure.indexKey, false],
+        ]);
+      }
+      expect(setRaw).toHaveBeenCalledTimes(1);
+      const entries = await secure.list();
+      expect(entries.sort((x, y) => x.key.localeCompare(y.key))).toEqual([
+        { key: "b", value: 20 },
+        { key: "c", value: 21 },
+      ]);
+    });
+
+    // --------------------------------------------------------------------------------------------
+
+    it("should encrypt values and emit events only after the commit", async () => {
+      const secure = new IndexedDBAdapter({
+        dbName: "transactionSecureDB",
+        encrypt: true,
+        password: "test-password",
+        channelName: "transaction_sync_test",
+        enableSyncTabs: true,
+      });
+      const spy = vi.spyOn(secure.channel, "emit");
+
+      await secure.transaction(async (tx) => {
+        await tx.set("token", "secret");
+        await tx.set("user", { id: 1 });
+        expect(spy).not.toHaveBeenCalled();
+      });
+
+      expect(spy).toHaveBeenCalledTimes(1);
+      expect(spy).toHaveBeenCalledWith(
+        expect.objectContaining({
+          keys: ["token", "user"],
+          origin: "transaction",
+        })
+      );
+      expect(await secure.get("token")).toBe("secret");
+      const raw = await secure._getRaw(secure._fullKey("token"));
+      expect(raw).not.toContain("secret");
+      secure.channel.close();
+    });
+  });
 });
 
 // ------------------------------------------------------------------------------------------------
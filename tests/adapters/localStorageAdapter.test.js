@@ -1,8 +1,15 @@
-import { describe, it, expect, beforeEach, vi } from "vitest";
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
 import { sleep } from "misc-helpers";
 import { Window } from "happy-dom";
 import LocalStorageAdapter from "../../src/adapters/LocalStorageAdapter.js";
 import * as cryptoHelper from "../../src/helpers/cryptoHelper.js";
+import StorageEventChannel from "../../src/helpers/StorageEventChannel.js";
+import {
+  StoragefyCorruptDataError,
+  StoragefyDecryptionError,
+  StoragefyNotReadyError,
+  StoragefyQuotaError,
+} from "../../src/helpers/errorHelper.js";
 
 // ------------------------------------------------------------------------------------------------
 
@@ -35,6 +42,7 @@ describe("LocalStorageAdapter", () => {
       const adapter = new LocalStorageAdapter({
         dbName: "secureDB",
         encrypt: true,
+        password: "test-password",
       });
 
       expect(adapter.encrypt).toBe(true);
@@ -154,10 +162,26 @@ describe("LocalStorageAdapter", () => {
 
     // --------------------------------------------------------------------------------------------
 
+    it("should keep the version given to set in the entry metadata", async () => {
+      const version = { clock: 3, tabId: "tab_a", parent: null };
+      await adapter.set("cart", { items: 1 }, 60000, { version });
+
+      expect(await adapter.get("cart")).toEqual({ items: 1 });
+      expect(await adapter._readVersion("cart")).toEqual(version);
+      await adapter.setExpire("cart", 120000);
+      expect(await adapter._readVersion("cart")).toEqual(version);
+
+      await adapter.set("cart", { items: 2 });
+      expect(await adapter._readVersion("cart")).toBeNull();
+    });
+
+    // --------------------------------------------------------------------------------------------
+
     it("should store and retrieve with encryption", async () => {
       adapter = new LocalStorageAdapter({
         dbName: "testEncryptedDB",
         encrypt: true,
+        password: "test-password",
       });
 
       await adapter.set("secure", "secretData");
@@ -300,13 +324,12 @@ describe("LocalStorageAdapter", () => {
     it("should remove expiration metadata when deleting a key", async () => {
       await adapter.set("withExpire", { data: 123 }, 10000); // expira em 10 segundos
 
-      let exp = JSON.parse(localStorage.getItem(adapter.expireKey));
-      expect(exp).toHaveProperty("withExpire");
+      expect(await adapter.getExpire("withExpire")).toBeTypeOf("number");
 
       await adapter.delete("withExpire");
 
-      exp = JSON.parse(localStorage.getItem(adapter.expireKey));
-      expect(exp).not.toHaveProperty("withExpire");
+      expect(await adapter.getExpire("withExpire")).toBeNull();
+      expect(localStorage.getItem(adapter._fullKey("withExpire"))).toBeNull();
     });
 
     // --------------------------------------------------------------------------------------------
@@ -323,9 +346,8 @@ describe("LocalStorageAdapter", () => {
 
       await adapter.delete("key1");
 
-      const exp = JSON.parse(localStorage.getItem(adapter.expireKey));
-      expect(exp).not.toHaveProperty("key1");
-      expect(exp).toHaveProperty("key2");
+      expect(await adapter.getExpire("key1")).toBeNull();
+      expect(await adapter.getExpire("key2")).toBeTypeOf("number");
     });
   });
 
@@ -421,6 +443,64 @@ describe("LocalStorageAdapter", () => {
       const result = await adapter.get("perma");
       expect(result).toBe("still here");
     });
+
+    // --------------------------------------------------------------------------------------------
+
+    it("should push a sliding expiration forward on every read", async () => {
+      await adapter.set("session", "id", { ttl: 1000, sliding: true });
+      const first = await adapter.getExpire("session");
+      await sleep(20);
+
+      expect(await adapter.get("session")).toBe("id");
+      expect(await adapter.getExpire("session")).toBeGreaterThan(first);
+      expect(JSON.parse(localStorage.getItem(adapter._fullKey("session"))).ttl).toBe(1000);
+    });
+
+    // --------------------------------------------------------------------------------------------
+
+    it("should keep a sliding entry alive while it is read", async () => {
+      await adapter.set("session", "id", { ttl: 100, sliding: true });
+      await adapter.set("fixed", "value", { ttl: 100 });
+
+      await sleep(60);
+      expect(await adapter.get("session")).toBe("id");
+      expect(await adapter.get("fixed")).toBe("value");
+      await sleep(60);
+      await adapter.clearExpire();
+
+      expect(await adapter.has("session")).toBe(true);
+      expect(await adapter.has("fixed")).toBe(false);
+      await sleep(150);
+      expect(await adapter.get("session")).toBeNull();
+    });
+
+    // --------------------------------------------------------------------------------------------
+
+    it("should slide on getMany and keep sliding through update", async () => {
+      await adapter.set("session", { hits: 0 }, { ttl: 1000, sliding: true });
+      const first = await adapter.getExpire("session");
+      await sleep(20);
+
+      await adapter.getMany(["session"]);
+      const second = await adapter.getExpire("session");
+      expect(second).toBeGreaterThan(first);
+
+      await sleep(20);
+      await adapter.update("session", (value) => ({ hits: value.hits + 1 }));
+      expect(await adapter.getExpire("session")).toBeGreaterThan(second);
+      expect(JSON.parse(localStorage.getItem(adapter._fullKey("session"))).ttl).toBe(1000);
+    });
+
+    // --------------------------------------------------------------------------------------------
+
+    it("should fix the expiration again with setExpire", async () => {
+      await adapter.set("session", "id", { ttl: 1000, sliding: true });
+      const expiresAt = Date.now() + 5000;
+      await adapter.setExpire("session", expiresAt);
+
+      await adapter.get("session");
+      expect(await adapter.getExpire("session")).toBe(expiresAt);
+    });
   });
 
   // ----------------------------------------------------------------------------------------------
@@ -530,6 +610,264 @@ describe("LocalStorageAdapter", () => {
       const after = await adapter.getExpire("valid2");
       expect(after).toBe(before);
     });
+
+    // --------------------------------------------------------------------------------------------
+
+    it("should store the expiration next to the value", async () => {
+      await adapter.set("temp", { msg: "hi" }, 1000);
+
+      const stored = JSON.parse(localStorage.getItem(adapter._fullKey("temp")));
+      expect(stored.expiresAt).toBe(await adapter.getExpire("temp"));
+      expect(localStorage.getItem(adapter.expireKey)).toBeNull();
+    });
+
+    // --------------------------------------------------------------------------------------------
+
+    it("should migrate the former expiration map", async () => {
+      const expiresAt = Date.now() + 5000;
+      localStorage.setItem("legacyDB__kept", JSON.stringify("value"));
+      localStorage.setItem("legacyDB__plain", JSON.stringify("other"));
+      localStorage.setItem(
+        "STRGF_legacyDB__expires",
+        JSON.stringify({ kept: expiresAt })
+      );
+
+      const legacy = new LocalStorageAdapter({ dbName: "legacyDB", encrypt: false });
+
+      expect(localStorage.getItem(legacy.expireKey)).toBeNull();
+      expect(await legacy.getExpire("kept")).toBe(expiresAt);
+      expect(await legacy.get("kept")).toBe("value");
+      expect(await legacy.getExpire("plain")).toBeNull();
+      expect(await legacy.get("plain")).toBe("other");
+    });
+  });
+
+  // ----------------------------------------------------------------------------------------------
+
+  describe("expiration scheduler", () => {
+    it("should not poll when nothing expires", async () => {
+      vi.useFakeTimers();
+      const spy = vi.spyOn(LocalStorageAdapter.prototype, "clearExpire");
+      const scheduled = new LocalStorageAdapter({ dbName: "idleDB", encrypt: false });
+      await scheduled.set("forever", 1);
+
+      await vi.advanceTimersByTimeAsync(10000);
+      expect(spy).toHaveBeenCalledTimes(1);
+
+      scheduled.destroy();
+      spy.mockRestore();
+      vi.useRealTimers();
+    });
+
+    // --------------------------------------------------------------------------------------------
+
+    it("should clear an entry when its expiration is reached", async () => {
+      vi.useFakeTimers();
+      const scheduled = new LocalStorageAdapter({ dbName: "timerDB", encrypt: false });
+      await vi.advanceTimersByTimeAsync(0);
+      await scheduled.set("later", 1, 5000);
+      await scheduled.set("sooner", 2, 500);
+
+      await vi.advanceTimersByTimeAsync(499);
+      expect(await scheduled.has("sooner")).toBe(true);
+      await vi.advanceTimersByTimeAsync(1);
+      expect(await scheduled.has("sooner")).toBe(false);
+      expect(await scheduled.has("later")).toBe(true);
+
+      await vi.advanceTimersByTimeAsync(4500);
+      expect(await scheduled.has("later")).toBe(false);
+
+      scheduled.destroy();
+      vi.useRealTimers();
+    });
+
+    // --------------------------------------------------------------------------------------------
+
+    it("should reschedule when an expiration is removed", async () => {
+      vi.useFakeTimers();
+      const scheduled = new LocalStorageAdapter({ dbName: "rescheduleDB", encrypt: false });
+      await vi.advanceTimersByTimeAsync(0);
+      await scheduled.set("kept", 1, 500);
+      await scheduled.set("other", 2, 2000);
+      await scheduled.deleteExpire("kept");
+      const spy = vi.spyOn(scheduled, "clearExpire");
+
+      await vi.advanceTimersByTimeAsync(1000);
+      expect(spy).not.toHaveBeenCalled();
+      await vi.advanceTimersByTimeAsync(1000);
+      expect(spy).toHaveBeenCalledTimes(1);
+      expect(await scheduled.has("other")).toBe(false);
+      expect(await scheduled.has("kept")).toBe(true);
+
+      scheduled.destroy();
+      vi.useRealTimers();
+    });
+
+    // --------------------------------------------------------------------------------------------
+
+    it("should pause while the page is hidden and catch up when visible", async () => {
+      vi.useFakeTimers();
+      let hidden = false;
+      Object.defineProperty(document, "hidden", {
+        configurable: true,
+        get: () => hidden,
+      });
+      const scheduled = new LocalStorageAdapter({ dbName: "hiddenDB", encrypt: false });
+      await vi.advanceTimersByTimeAsync(0);
+      await scheduled.set("temp", 1, 500);
+
+      hidden = true;
+      document.dispatchEvent(new Event("visibilitychange"));
+      await vi.advanceTimersByTimeAsync(1000);
+      expect(await scheduled.has("temp")).toBe(true);
+
+      hidden = false;
+      document.dispatchEvent(new Event("visibilitychange"));
+      await vi.advanceTimersByTimeAsync(0);
+      expect(await scheduled.has("temp")).toBe(false);
+
+      scheduled.destroy();
+      delete document.hidden;
+      vi.useRealTimers();
+    });
+  });
+
+  // ----------------------------------------------------------------------------------------------
+
+  describe("events", () => {
+    it("should fire set with the old and new values", async () => {
+      const handler = vi.fn();
+      adapter.on("set", handler);
+
+      await adapter.set("user", { name: "Alice" });
+      await adapter.set("user", { name: "Bob" });
+
+      expect(handler).toHaveBeenNthCalledWith(1, {
+        key: "user",
+        oldValue: null,
+        newValue: { name: "Alice" },
+      });
+      expect(handler).toHaveBeenNthCalledWith(2, {
+        key: "user",
+        oldValue: { name: "Alice" },
+        newValue: { name: "Bob" },
+      });
+    });
+
+    // --------------------------------------------------------------------------------------------
+
+    it("should fire delete only for existing keys", async () => {
+      const handler = vi.fn();
+      adapter.on("delete", handler);
+      await adapter.set("token", "abc");
+
+      await adapter.delete("token");
+      await adapter.delete("missing");
+
+      expect(handler).toHaveBeenCalledTimes(1);
+      expect(handler).toHaveBeenCalledWith({
+        key: "token",
+        oldValue: "abc",
+        newValue: null,
+      });
+    });
+
+    // --------------------------------------------------------------------------------------------
+
+    it("should fire expire from clearExpire and from reads", async () => {
+      const expire = vi.fn();
+      const remove = vi.fn();
+      adapter.on("expire", expire);
+      adapter.on("delete", remove);
+      await adapter.set("auth", "token", 1000);
+      await adapter.set("session", "id", 1000);
+      await adapter.setExpire("auth", Date.now() - 1);
+      await adapter.setExpire("session", Date.now() - 1);
+
+      await adapter.clearExpire();
+      expect(expire).toHaveBeenCalledWith({ key: "auth", oldValue: "token", newValue: null });
+      expect(expire).toHaveBeenCalledWith({ key: "session", oldValue: "id", newValue: null });
+
+      await adapter.set("cart", 1, 1000);
+      await adapter.setExpire("cart", Date.now() - 1);
+      expect(await adapter.get("cart")).toBeNull();
+      expect(expire).toHaveBeenLastCalledWith({ key: "cart", oldValue: 1, newValue: null });
+      expect(remove).not.toHaveBeenCalled();
+    });
+
+    // --------------------------------------------------------------------------------------------
+
+    it("should fire set and delete for batch operations", async () => {
+      const set = vi.fn();
+      const remove = vi.fn();
+      adapter.on("set", set);
+      adapter.on("delete", remove);
+
+      await adapter.setMany([
+        { key: "a", value: 1 },
+        { key: "b", value: 2 },
+      ]);
+      await adapter.update("a", (value) => value + 1);
+      await adapter.deleteMany(["b", "missing"]);
+
+      expect(set.mock.calls.map(([payload]) => payload)).toEqual([
+        { key: "a", oldValue: null, newValue: 1 },
+        { key: "b", oldValue: null, newValue: 2 },
+        { key: "a", oldValue: 1, newValue: 2 },
+      ]);
+      expect(remove).toHaveBeenCalledTimes(1);
+      expect(remove).toHaveBeenCalledWith({ key: "b", oldValue: 2, newValue: null });
+    });
+
+    // --------------------------------------------------------------------------------------------
+
+    it("should fire reset and clear", async () => {
+      const reset = vi.fn();
+      const clear = vi.fn();
+      adapter.on("reset", reset);
+      adapter.on("clear", clear);
+
+      await adapter.reset();
+      expect(reset).toHaveBeenCalledWith({ key: null, oldValue: null, newValue: null });
+      await adapter.clear();
+      expect(clear).toHaveBeenCalledTimes(1);
+    });
+
+    // --------------------------------------------------------------------------------------------
+
+    it("should remove handlers with off or the returned function", async () => {
+      const first = vi.fn();
+      const second = vi.fn();
+      adapter.on("set", first);
+      const unsubscribe = adapter.on("set", second);
+
+      adapter.off("set", first);
+      unsubscribe();
+      await adapter.set("key", 1);
+
+      expect(first).not.toHaveBeenCalled();
+      expect(second).not.toHaveBeenCalled();
+    });
+
+    // --------------------------------------------------------------------------------------------
+
+    it("should keep calling handlers after one throws", async () => {
+      const handler = vi.fn();
+      adapter.on("set", () => {
+        throw new Error("boom");
+      });
+      adapter.on("set", handler);
+
+      expect(await adapter.set("key", 1)).toBe(true);
+      expect(handler).toHaveBeenCalled();
+    });
+
+    // --------------------------------------------------------------------------------------------
+
+    it("should reject unknown events and non-function handlers", () => {
+      expect(() => adapter.on("change", () => {})).toThrow('Unknown event "change"');
+      expect(() => adapter.on("set", null)).toThrow();
+    });
   });
 
   // ----------------------------------------------------------------------------------------------
@@ -599,6 +937,1532 @@ describe("LocalStorageAdapter", () => {
 
     // ----------------------------------------------------------------------------------------------
   });
+
+  // ----------------------------------------------------------------------------------------------
+
+  describe("batch operations", () => {
+    it("should get, set and delete several keys at once", async () => {
+      await adapter.setMany([
+        { key: "a", value: 1 },
+        { key: "b", value: { name: "Bob" } },
+      ]);
+
+      expect(await adapter.getMany(["a", "b", "missing"])).toEqual([
+        { key: "a", value: 1 },
+        { key: "b", value: { name: "Bob" } },
+        { key: "missing", value: null },
+      ]);
+
+      await adapter.deleteMany(["a", "b"]);
+      expect(await adapter.list()).toEqual([]);
+    });
+
+    // --------------------------------------------------------------------------------------------
+
+    it("should store each entry with its expiration in a single write", async () => {
+      const spy = vi.spyOn(localStorage, "setItem");
+      await adapter.setMany(
+        [
+          { key: "a", value: 1 },
+          { key: "b", value: 2 },
+        ],
+        { expire: 1000 }
+      );
+
+      const entryWrites = spy.mock.calls.filter(
+        ([key]) => key === adapter._fullKey("a") || key === adapter._fullKey("b")
+      );
+      expect(entryWrites).toHaveLength(2);
+      expect(spy.mock.calls.some(([key]) => key === adapter.expireKey)).toBe(false);
+      expect(await adapter.getExpire("a")).toBeGreaterThan(Date.now());
+      expect(await adapter.getExpire("b")).toBeGreaterThan(Date.now());
+    });
+
+    // --------------------------------------------------------------------------------------------
+
+    it("should delete entries set to null and skip expired ones", async () => {
+      await adapter.set("old", "value");
+      await adapter.set("temp", "value", 1000);
+      await adapter.setExpire("temp", Date.now() - 1);
+
+      await adapter.setMany([{ key: "old", value: null }]);
+
+      expect(await adapter.has("old")).toBe(false);
+      expect(await adapter.getMany(["temp"])).toEqual([
+        { key: "temp", value: null },
+      ]);
+      expect(await adapter.has("temp")).toBe(false);
+    });
+
+    // --------------------------------------------------------------------------------------------
+
+    it("should encrypt and hash keys in a batch", async () => {
+      const secure = new LocalStorageAdapter({
+        dbName: "batchSecure",
+        encrypt: true,
+        password: "test-password",
+        hashKeys: true,
+      });
+
+      await secure.setMany([
+        { key: "token", value: "secret" },
+        { key: "user", value: { id: 1 } },
+      ]);
+
+      expect(await secure.getMany(["token", "user"])).toEqual([
+        { key: "token", value: "secret" },
+        { key: "user", value: { id: 1 } },
+      ]);
+      expect((await secure.list()).map(({ key }) => key).sort()).toEqual([
+        "token",
+        "user",
+      ]);
+      for (let i = 0; i < localStorage.length; i++) {
+        expect(localStorage.key(i)).not.toContain("token");
+      }
+    });
+
+    // --------------------------------------------------------------------------------------------
+
+    it("should emit one cross-tab event per batch", async () => {
+      const synced = new LocalStorageAdapter({
+        dbName: "batchSync",
+        channelName: "batch_sync_test",
+        enableSyncTabs: true,
+      });
+      const spy = vi.spyOn(synced.channel, "emit");
+
+      await synced.setMany([
+        { key: "a", value: 1 },
+        { key: "b", value: 2 },
+      ]);
+      await synced.deleteMany(["a"]);
+
+      expect(spy).toHaveBeenCalledTimes(2);
+      expect(spy).toHaveBeenNthCalledWith(
+        1,
+        expect.objectContaining({ keys: ["a", "b"], origin: "set" })
+      );
+      expect(spy).toHaveBeenNthCalledWith(
+        2,
+        expect.objectContaining({ keys: ["a"], origin: "delete" })
+      );
+      synced.channel.close();
+    });
+
+    // --------------------------------------------------------------------------------------------
+
+    it("should split batched events into one callback per key", async () => {
+      const synced = new LocalStorageAdapter({
+        dbName: "batchSplit",
+        channelName: "batch_split_test",
+      });
+      const callback = vi.fn();
+      synced.onDataChanged(callback);
+
+      synced.channel.channel.onmessage({
+        data: { adapterId: "other", keys: ["a", "b"], origin: "set" },
+      });
+
+      expect(callback).toHaveBeenCalledTimes(2);
+      expect(callback).toHaveBeenCalledWith(
+        expect.objectContaining({ key: "b", origin: "set" })
+      );
+      synced.channel.close();
+    });
+
+    // --------------------------------------------------------------------------------------------
+
+    it("should keep every onDataChanged callback and filter them by key", async () => {
+      const synced = new LocalStorageAdapter({
+        dbName: "multiSync",
+        channelName: "multi_sync_test",
+      });
+      const all = vi.fn();
+      const onlyB = vi.fn();
+      synced.onDataChanged(all);
+      const stop = synced.onDataChanged("b", onlyB);
+
+      synced.channel.channel.onmessage({
+        data: { adapterId: "other", keys: ["a", "b"], origin: "set" },
+      });
+      stop();
+      synced.channel.channel.onmessage({
+        data: { adapterId: "other", key: "b", origin: "set" },
+      });
+
+      expect(all).toHaveBeenCalledTimes(3);
+      expect(onlyB).toHaveBeenCalledTimes(1);
+      expect(onlyB).toHaveBeenCalledWith(expect.objectContaining({ key: "b" }));
+      synced.destroy();
+    });
+
+    // --------------------------------------------------------------------------------------------
+
+    it("should close the channel and drop listeners on destroy", async () => {
+      const synced = new LocalStorageAdapter({
+        dbName: "destroySync",
+        channelName: "destroy_sync_test",
+      });
+      const closeSpy = vi.spyOn(synced.channel, "close");
+      const callback = vi.fn();
+      synced.onDataChanged(callback);
+      synced.on("set", callback);
+
+      synced.destroy();
+      synced.channel.channel.onmessage({
+        data: { adapterId: "other", key: "a", origin: "set" },
+      });
+      await synced.set("a", 1);
+
+      expect(closeSpy).toHaveBeenCalled();
+      expect(callback).not.toHaveBeenCalled();
+    });
+  });
+
+  // ----------------------------------------------------------------------------------------------
+
+  describe("update", () => {
+    it("should not lose concurrent updates", async () => {
+      await adapter.set("counter", 0);
+
+      await Promise.all(
+        Array.from({ length: 20 }, () =>
+          adapter.update("counter", async (value) => {
+            await sleep(1);
+            return value + 1;
+          })
+        )
+      );
+
+      expect(await adapter.get("counter")).toBe(20);
+    });
+
+    // --------------------------------------------------------------------------------------------
+
+    it("should return the new value and keep the expiration", async () => {
+      await adapter.set("cart", { items: 1 }, 5000);
+      const expire = await adapter.getExpire("cart");
+
+      const result = await adapter.update("cart", (cart) => ({
+        items: cart.items + 1,
+      }));
+
+      expect(result).toEqual({ items: 2 });
+      expect(await adapter.getExpire("cart")).toBe(expire);
+    });
+
+    // --------------------------------------------------------------------------------------------
+
+    it("should pass null for missing keys and delete when the updater returns null", async () => {
+      const updater = vi.fn(() => "created");
+      expect(await adapter.update("fresh", updater, { expire: 1000 })).toBe(
+        "created"
+      );
+      expect(updater).toHaveBeenCalledWith(null);
+      expect(await adapter.getExpire("fresh")).toBeGreaterThan(Date.now());
+
+      expect(await adapter.update("fresh", () => null)).toBeNull();
+      expect(await adapter.has("fresh")).toBe(false);
+    });
+
+    // --------------------------------------------------------------------------------------------
+
+    it("should emit a single change event", async () => {
+      const synced = new LocalStorageAdapter({
+        dbName: "updateSync",
+        channelName: "update_sync_test",
+        enableSyncTabs: true,
+      });
+      await synced.set("counter", 1);
+      const spy = vi.spyOn(synced.channel, "emit");
+
+      await synced.update("counter", (value) => value + 1);
+
+      expect(spy).toHaveBeenCalledTimes(1);
+      expect(spy).toHaveBeenCalledWith(
+        expect.objectContaining({ key: "counter", origin: "update" })
+      );
+      synced.channel.close();
+    });
+  });
+
+  // ----------------------------------------------------------------------------------------------
+
+  describe("encryption", () => {
+    it("should throw if encrypt is enabled without a password", () => {
+      expect(
+        () => new LocalStorageAdapter({ dbName: "noSecret", encrypt: true })
+      ).toThrow("A password or AES-GCM CryptoKey is required when encrypt is enabled");
+    });
+
+    // --------------------------------------------------------------------------------------------
+
+    it("should persist a random salt and key check in the metadata", async () => {
+      const first = new LocalStorageAdapter({
+        dbName: "saltDB",
+        encrypt: true,
+        password: "test-password",
+      });
+      await first.set("secure", "secretData");
+      const meta = JSON.parse(localStorage.getItem(first.metaKey));
+
+      expect(typeof meta.salt).toBe("string");
+      expect(meta.keyCheck).toHaveProperty("iv");
+
+      const other = new LocalStorageAdapter({
+        dbName: "otherSaltDB",
+        encrypt: true,
+        password: "test-password",
+      });
+      await other.set("secure", "secretData");
+      const otherMeta = JSON.parse(localStorage.getItem(other.metaKey));
+      expect(otherMeta.salt).not.toBe(meta.salt);
+
+      const reopened = new LocalStorageAdapter({
+        dbName: "saltDB",
+        encrypt: true,
+        password: "test-password",
+      });
+      expect(JSON.parse(localStorage.getItem(reopened.metaKey)).salt).toBe(meta.salt);
+      expect(await reopened.get("secure")).toBe("secretData");
+    });
+
+    // --------------------------------------------------------------------------------------------
+
+    it("should not be decryptable with the key name as password", async () => {
+      const secure = new LocalStorageAdapter({
+        dbName: "keyAsPassword",
+        encrypt: true,
+        password: "test-password",
+      });
+      await secure.set("cart", { items: 3 });
+
+      const raw = JSON.parse(await secure._getRaw(secure._fullKey("cart")));
+      const keyNameKey = await cryptoHelper.deriveKey("cart");
+      await expect(cryptoHelper.decryptData(keyNameKey, raw)).rejects.toThrow();
+    });
+
+    // --------------------------------------------------------------------------------------------
+
+    it("should re-encrypt values written by earlier versions with the password", async () => {
+      // Earlier versions derived the key from the key name, without password or salt
+      const fullKey = cryptoHelper.simpleObfuscate("legacyDB__cart");
+      const keyNameKey = await cryptoHelper.deriveKey("cart");
+      const legacyRaw = JSON.stringify(
+        await cryptoHelper.encryptData(keyNameKey, JSON.stringify({ items: 3 }))
+      );
+      localStorage.setItem(fullKey, legacyRaw);
+
+      const upgraded = new LocalStorageAdapter({
+        dbName: "legacyDB",
+        encrypt: true,
+        password: "test-password",
+      });
+
+      expect(await upgraded.get("cart")).toEqual({ items: 3 });
+      const raw = localStorage.getItem(fullKey);
+      expect(raw).not.toBe(legacyRaw);
+      await expect(cryptoHelper.decryptData(keyNameKey, JSON.parse(raw))).rejects.toThrow();
+
+      const reopened = new LocalStorageAdapter({
+        dbName: "legacyDB",
+        encrypt: true,
+        password: "test-password",
+      });
+      expect(await reopened.get("cart")).toEqual({ items: 3 });
+    });
+
+    // --------------------------------------------------------------------------------------------
+
+    it("should only derive legacy keys for values shaped like their ciphertext", async () => {
+      const keyNameKey = await cryptoHelper.deriveKey("cart");
+      localStorage.setItem(
+        cryptoHelper.simpleObfuscate("plainDB__cart"),
+        JSON.stringify(await cryptoHelper.encryptData(keyNameKey, JSON.stringify({ items: 3 })))
+      );
+      for (const [key, value] of [
+        ["theme", "dark"],
+        ["count", 3],
+        ["profile", { iv: "not base64", data: "x" }],
+      ]) {
+        localStorage.setItem(
+          cryptoHelper.simpleObfuscate(`plainDB__${key}`),
+          JSON.stringify(value)
+        );
+      }
+      const deriveSpy = vi.spyOn(globalThis.crypto.subtle, "deriveKey");
+
+      const upgraded = new LocalStorageAdapter({
+        dbName: "plainDB",
+        encrypt: true,
+        password: "test-password",
+        iterations: 1000,
+      });
+      expect(await upgraded.get("cart")).toEqual({ items: 3 });
+
+      const legacyDerivations = deriveSpy.mock.calls.filter(
+        ([params]) => params.iterations !== 1000
+      );
+      deriveSpy.mockRestore();
+      expect(legacyDerivations).toHaveLength(1);
+    });
+
+    // --------------------------------------------------------------------------------------------
+
+    it("should reject reads and writes with a wrong password", async () => {
+      const secure = new LocalStorageAdapter({
+        dbName: "wrongSecret",
+        encrypt: true,
+        password: "test-password",
+      });
+      await secure.set("secure", "secretData");
+
+      const intruder = new LocalStorageAdapter({
+        dbName: "wrongSecret",
+        encrypt: true,
+        password: "wrong-password",
+      });
+
+      await expect(intruder.get("secure")).rejects.toThrow(StoragefyDecryptionError);
+      await expect(intruder.get("secure")).rejects.toThrow(
+          'Invalid encryption secret for database "wrongSecret".'
+      );
+      await expect(intruder.set("secure", "overwritten")).rejects.toThrow(
+        StoragefyDecryptionError
+      );
+      await expect(intruder.list()).rejects.toThrow(StoragefyDecryptionError);
+      expect(await secure.get("secure")).toBe("secretData");
+    });
+
+    // --------------------------------------------------------------------------------------------
+
+    it("should accept a CryptoKey as secret", async () => {
+      const cryptoKey = await cryptoHelper.deriveKey("from-outside", "salt");
+      const secure = new LocalStorageAdapter({
+        dbName: "cryptoKeyDB",
+        encrypt: true,
+        password: cryptoKey,
+      });
+
+      await secure.set("secure", { token: "abc" });
+      expect(await secure.get("secure")).toEqual({ token: "abc" });
+    });
+
+    // --------------------------------------------------------------------------------------------
+
+    it("should derive the key only once per session", async () => {
+      const secure = new LocalStorageAdapter({
+        dbName: "cachedKey",
+        encrypt: true,
+        password: "test-password",
+      });
+      const deriveSpy = vi.spyOn(secure, "_deriveCryptoKey");
+
+      await Promise.all([secure.set("a", 1), secure.set("b", 2)]);
+      await secure.get("a");
+      await secure.list();
+
+      // One derivation creates the key check, the other unlocks the database
+      expect(deriveSpy).toHaveBeenCalledTimes(2);
+    });
+
+    // --------------------------------------------------------------------------------------------
+
+    it("should store the configured iterations in the metadata", async () => {
+      const secure = new LocalStorageAdapter({
+        dbName: "iterationsDB",
+        encrypt: true,
+        password: "test-password",
+        iterations: 1000,
+      });
+      await secure.set("secure", "secretData");
+      expect(JSON.parse(localStorage.getItem(secure.metaKey)).iterations).toBe(1000);
+
+      // The stored count wins over the option once the database is encrypted
+      const reopened = new LocalStorageAdapter({
+        dbName: "iterationsDB",
+        encrypt: true,
+        password: "test-password",
+        iterations: 5000,
+      });
+      expect(await reopened.get("secure")).toBe("secretData");
+      expect(JSON.parse(localStorage.getItem(secure.metaKey)).iterations).toBe(1000);
+    });
+
+    // --------------------------------------------------------------------------------------------
+
+    it("should reject invalid iterations", () => {
+      expect(
+        () =>
+          new LocalStorageAdapter({
+            dbName: "badIterations",
+            encrypt: true,
+            password: "test-password",
+            iterations: 0,
+          })
+      ).toThrow("Iterations must be a positive integer");
+    });
+
+    // --------------------------------------------------------------------------------------------
+
+    it("should lock and unlock the adapter", async () => {
+      const secure = new LocalStorageAdapter({
+        dbName: "lockDB",
+        encrypt: true,
+        password: "test-password",
+      });
+      await secure.set("secure", "secretData");
+
+      secure.lock();
+      expect(secure.locked).toBe(true);
+      await expect(secure.get("secure")).rejects.toThrow(
+        'Database "lockDB" is locked. Call unlock(password) first.'
+      );
+      await expect(secure.set("secure", "other")).rejects.toThrow(
+        StoragefyDecryptionError
+      );
+
+      await expect(secure.unlock("wrong-password")).rejects.toThrow(
+        StoragefyDecryptionError
+      );
+      expect(secure.locked).toBe(true);
+
+      expect(await secure.unlock("test-password")).toBe(true);
+      expect(secure.locked).toBe(false);
+      expect(await secure.get("secure")).toBe("secretData");
+    });
+
+    // --------------------------------------------------------------------------------------------
+
+    it("should refuse to unlock an unencrypted adapter", async () => {
+      expect(adapter.locked).toBe(false);
+      await expect(adapter.unlock("test-password")).rejects.toThrow(
+        "Encryption is not enabled for this adapter"
+      );
+    });
+
+    // --------------------------------------------------------------------------------------------
+
+    it("should rotate the encryption key for every entry", async () => {
+      const secure = new LocalStorageAdapter({
+        dbName: "rotateDB",
+        encrypt: true,
+        password: "old-password",
+        iterations: 1000,
+      });
+      await secure.set("a", { n: 1 });
+      await secure.set("b", [1, 2], 60000);
+      const before = JSON.parse(localStorage.getItem(secure.metaKey));
+
+      expect(await secure.rotateEncryptionKey("old-password", "new-password")).toBe(true);
+
+      const meta = JSON.parse(localStorage.getItem(secure.metaKey));
+      expect(meta.salt).not.toBe(before.salt);
+      expect(meta.rotation).toBeUndefined();
+      expect(await secure.get("a")).toEqual({ n: 1 });
+      expect(await secure.get("b")).toEqual([1, 2]);
+      expect(await secure.getExpire("b")).toBeTypeOf("number");
+
+      const withOld = new LocalStorageAdapter({
+        dbName: "rotateDB",
+        encrypt: true,
+        password: "old-password",
+      });
+      await expect(withOld.get("a")).rejects.toThrow(StoragefyDecryptionError);
+
+      const withNew = new LocalStorageAdapter({
+        dbName: "rotateDB",
+        encrypt: true,
+        password: "new-password",
+      });
+      expect(await withNew.list()).toHaveLength(2);
+    });
+
+    // --------------------------------------------------------------------------------------------
+
+    it("should reject a rotation with the wrong current secret", async () => {
+      const secure = new LocalStorageAdapter({
+        dbName: "rotateWrongDB",
+        encrypt: true,
+        password: "old-password",
+        iterations: 1000,
+      });
+      await secure.set("a", 1);
+
+      await expect(
+        secure.rotateEncryptionKey("not-the-password", "new-password")
+      ).rejects.toThrow(StoragefyDecryptionError);
+      expect(await secure.get("a")).toBe(1);
+    });
+
+    // --------------------------------------------------------------------------------------------
+
+    it("should resume an interrupted rotation from the journal", async () => {
+      const secure = new LocalStorageAdapter({
+        dbName: "rotateResumeDB",
+        encrypt: true,
+        password: "old-password",
+        iterations: 1000,
+      });
+      await secure.set("a", 1);
+      await secure.set("b", 2);
+      await secure.set("c", 3);
+
+      const setRaw = secure._setRaw.bind(secure);
+      const rotated = [];
+      vi.spyOn(secure, "_setRaw").mockImplementation((fullKey, raw) => {
+        if (rotated.length === 1) throw new Error("Tab closed");
+        setRaw(fullKey, raw);
+        rotated.push(fullKey);
+      });
+
+      await expect(
+        secure.rotateEncryptionKey("old-password", "new-password")
+      ).rejects.toThrow("Tab closed");
+
+      const meta = JSON.parse(localStorage.getItem(secure.metaKey));
+      expect(meta.rotation.cursor).toBe(rotated[0]);
+      await expect(secure.get("a")).rejects.toThrow(
+        'Key rotation for database "rotateResumeDB" was interrupted.'
+      );
+
+      vi.mocked(secure._setRaw).mockRestore();
+      await secure.rotateEncryptionKey("old-password", "new-password");
+
+      expect(JSON.parse(localStorage.getItem(secure.metaKey)).rotation).toBeUndefined();
+      expect(await secure.list()).toEqual([
+        { key: "a", value: 1 },
+        { key: "b", value: 2 },
+        { key: "c", value: 3 },
+      ]);
+    });
+
+    // --------------------------------------------------------------------------------------------
+
+    it("should keep the rotation checkpoints the same size as entries are rotated", async () => {
+      const secure = new LocalStorageAdapter({
+        dbName: "rotateCheckpointDB",
+        encrypt: true,
+        password: "old-password",
+        iterations: 1000,
+      });
+      for (let i = 0; i < 20; i++) {
+        await secure.set(`key${i}`, i);
+      }
+
+      const writeMeta = secure._writeMeta.bind(secure);
+      const checkpoints = [];
+      vi.spyOn(secure, "_writeMeta").mockImplementation(async (meta) => {
+        if (meta.rotation) checkpoints.push(JSON.stringify(meta.rotation).length);
+        return writeMeta(meta);
+      });
+      await secure.rotateEncryptionKey("old-password", "new-password");
+      vi.mocked(secure._writeMeta).mockRestore();
+
+      // The first checkpoint is written before any entry is rotated
+      expect(checkpoints).toHaveLength(21);
+      const sizes = checkpoints.slice(1);
+      expect(Math.max(...sizes) - Math.min(...sizes)).toBeLessThanOrEqual(2);
+      expect(await secure.get("key19")).toBe(19);
+    });
+  });
+
+  // ----------------------------------------------------------------------------------------------
+
+  describe("hashKeys", () => {
+    let hashed;
+    beforeEach(() => {
+      hashed = new LocalStorageAdapter({
+        dbName: "hashedDB",
+        encrypt: true,
+        password: "test-password",
+        iterations: 1000,
+        hashKeys: true,
+      });
+    });
+
+    // --------------------------------------------------------------------------------------------
+
+    it("should require encryption", () => {
+      expect(
+        () => new LocalStorageAdapter({ dbName: "plainHashed", hashKeys: true })
+      ).toThrow("hashKeys requires encrypt to be enabled");
+    });
+
+    // --------------------------------------------------------------------------------------------
+
+    it("should not leak key names in storage", async () => {
+      await hashed.set("cart", { items: 2 }, 60000);
+      await hashed.set("auth", "token");
+
+      const stored = Object.keys(localStorage).join("|");
+      expect(stored).not.toContain("cart");
+      expect(stored).not.toContain(cryptoHelper.simpleObfuscate("hashedDB__cart"));
+      expect(localStorage.getItem(hashed.expireKey)).toBeNull();
+      expect(localStorage.getItem(hashed.indexKey)).not.toContain("cart");
+
+      const entryKeys = Object.keys(localStorage).filter((k) =>
+        k.startsWith(hashed.prefix)
+      );
+      expect(entryKeys).toHaveLength(2);
+      entryKeys.forEach((k) => expect(k).toMatch(/^hashedDB__[0-9a-f]{64}$/));
+
+      expect(await hashed.get("cart")).toEqual({ items: 2 });
+      expect(await hashed.getExpire("cart")).toBeTypeOf("number");
+    });
+
+    // --------------------------------------------------------------------------------------------
+
+    it("should resolve hashed keys through the index in list and getAll", async () => {
+      await hashed.set("users__1", { name: "Alice" });
+      await hashed.set("users__2", { name: "Bob" });
+      await hashed.set("cart", 1);
+      await hashed.delete("cart");
+
+      expect(await hashed.list()).toEqual([
+        { key: "users__1", value: { name: "Alice" } },
+        { key: "users__2", value: { name: "Bob" } },
+      ]);
+      expect(await hashed.getAll("users")).toHaveLength(2);
+      expect(await hashed._readKeyIndex()).not.toHaveProperty(
+        await hashed._storageKey("cart")
+      );
+    });
+
+    // --------------------------------------------------------------------------------------------
+
+    it("should emit base key names to other tabs", async () => {
+      const synced = new LocalStorageAdapter({
+        dbName: "hashedSyncDB",
+        encrypt: true,
+        password: "test-password",
+        iterations: 1000,
+        hashKeys: true,
+        channelName: "hashed_sync_test",
+        enableSyncTabs: true,
+      });
+      const spy = vi.spyOn(synced.channel, "emit");
+
+      await synced.set("cart", 1);
+      await synced.reset();
+
+      expect(spy).toHaveBeenCalledWith(
+        expect.objectContaining({ key: "cart", origin: "set" })
+      );
+      expect(spy).toHaveBeenCalledWith(
+        expect.objectContaining({ key: "cart", origin: "reset" })
+      );
+      synced.channel.close();
+    });
+
+    // --------------------------------------------------------------------------------------------
+
+    it("should clear expired hashed keys", async () => {
+      await hashed.set("temp", "value", 50);
+      await hashed.set("keep", "value");
+      await sleep(80);
+
+      await hashed.clearExpire();
+
+      expect(await hashed.has("temp")).toBe(false);
+      expect(await hashed.list()).toEqual([{ key: "keep", value: "value" }]);
+    });
+
+    // --------------------------------------------------------------------------------------------
+
+    it("should keep hashed keys readable after a key rotation", async () => {
+      await hashed.set("cart", { items: 2 });
+
+      await hashed.rotateEncryptionKey("test-password", "new-password");
+
+      const reopened = new LocalStorageAdapter({
+        dbName: "hashedDB",
+        encrypt: true,
+        password: "new-password",
+        hashKeys: true,
+      });
+      expect(await reopened.list()).toEqual([{ key: "cart", value: { items: 2 } }]);
+    });
+
+    // --------------------------------------------------------------------------------------------
+
+    it("should refuse to open hashed data without hashKeys", async () => {
+      await hashed.set("cart", 1);
+
+      const plain = new LocalStorageAdapter({
+        dbName: "hashedDB",
+        encrypt: true,
+        password: "test-password",
+      });
+      await expect(plain.get("cart")).rejects.toThrow(
+        'Database "hashedDB" stores hashed keys. Open it with hashKeys: true.'
+      );
+    });
+  });
+
+  // ----------------------------------------------------------------------------------------------
+
+  describe("eviction", () => {
+    const limited = (options) =>
+      new LocalStorageAdapter({ dbName: "evictDB", ...options });
+
+    // --------------------------------------------------------------------------------------------
+
+    it("should evict the least recently read entry with lru", async () => {
+      const cache = limited({ maxEntries: 2 });
+      await cache.set("a", 1);
+      await sleep(5);
+      await cache.set("b", 2);
+      await sleep(5);
+      await cache.get("a");
+      await sleep(5);
+
+      await cache.set("c", 3);
+
+      expect(await cache.has("a")).toBe(true);
+      expect(await cache.has("b")).toBe(false);
+      expect(await cache.has("c")).toBe(true);
+    });
+
+    // --------------------------------------------------------------------------------------------
+
+    it("should evict the least read entry with lfu", async () => {
+      const cache = limited({ maxEntries: 2, evictionPolicy: "lfu" });
+      await cache.set("a", 1);
+      await cache.set("b", 2);
+      await cache.get("a");
+      await cache.get("a");
+      await sleep(5);
+      await cache.get("b");
+
+      await cache.set("c", 3);
+
+      expect(await cache.has("a")).toBe(true);
+      expect(await cache.has("b")).toBe(false);
+    });
+
+    // --------------------------------------------------------------------------------------------
+
+    it("should evict the oldest write with fifo, ignoring reads", async () => {
+      const cache = limited({ maxEntries: 2, evictionPolicy: "fifo" });
+      await cache.set("a", 1);
+      await sleep(5);
+      await cache.set("b", 2);
+      await cache.get("a");
+
+      await cache.set("c", 3);
+
+      expect(await cache.has("a")).toBe(false);
+      expect(await cache.has("b")).toBe(true);
+    });
+
+    // --------------------------------------------------------------------------------------------
+
+    it("should evict the soonest expiring entry first with ttl-first", async () => {
+      const cache = limited({ maxEntries: 2, evictionPolicy: "ttl-first" });
+      await cache.set("a", 1);
+      await cache.set("b", 2, 60000);
+
+      await cache.set("c", 3);
+
+      expect(await cache.has("a")).toBe(true);
+      expect(await cache.has("b")).toBe(false);
+    });
+
+    // --------------------------------------------------------------------------------------------
+
+    it("should evict until the entries fit in maxBytes", async () => {
+      const cache = limited({ maxBytes: 200 });
+      await cache.set("a", "x".repeat(30));
+      await sleep(5);
+      await cache.set("b", "x".repeat(30));
+
+      await cache.set("c", "x".repeat(30));
+
+      expect(await cache.has("a")).toBe(false);
+      expect(await cache.has("b")).toBe(true);
+      expect(await cache.has("c")).toBe(true);
+    });
+
+    // --------------------------------------------------------------------------------------------
+
+    it("should replace overwritten keys instead of evicting them", async () => {
+      const cache = limited({ maxEntries: 2 });
+      await cache.set("a", 1);
+      await sleep(5);
+      await cache.set("b", 2);
+
+      await cache.set("b", 3);
+      await cache.setMany([{ key: "c", value: 4 }]);
+
+      expect(await cache.has("a")).toBe(false);
+      expect(await cache.get("b")).toBe(3);
+      expect(await cache.get("c")).toBe(4);
+    });
+
+    // --------------------------------------------------------------------------------------------
+
+    it("should fire evict with the removed value", async () => {
+      const cache = limited({ maxEntries: 1 });
+      const evict = vi.fn();
+      const remove = vi.fn();
+      cache.on("evict", evict);
+      cache.on("delete", remove);
+      await cache.set("a", { id: 1 });
+
+      await cache.set("b", { id: 2 });
+
+      expect(evict).toHaveBeenCalledWith({
+        key: "a",
+        oldValue: { id: 1 },
+        newValue: null,
+      });
+      expect(remove).not.toHaveBeenCalled();
+    });
+
+    // --------------------------------------------------------------------------------------------
+
+    it("should throw on an unknown eviction policy", () => {
+      expect(() => limited({ maxEntries: 2, evictionPolicy: "random" })).toThrow(
+        'Unknown eviction policy "random"'
+      );
+    });
+  });
+
+  // ----------------------------------------------------------------------------------------------
+
+  describe("quota", () => {
+    const quotaError = () => new DOMException("The quota has been exceeded.", "QuotaExceededError");
+
+    // --------------------------------------------------------------------------------------------
+
+    it("should throw StoragefyQuotaError when the storage is full", async () => {
+      const spy = vi.spyOn(localStorage, "setItem").mockImplementation(() => {
+        throw quotaError();
+      });
+
+      const error = await adapter.set("big", "x".repeat(10)).catch((err) => err);
+
+      expect(error).toBeInstanceOf(StoragefyQuotaError);
+      expect(error.keys).toEqual(["big"]);
+      expect(error.cause.name).toBe("QuotaExceededError");
+      spy.mockRestore();
+    });
+
+    // --------------------------------------------------------------------------------------------
+
+    it("should retry once after onQuotaExceeded freed space", async () => {
+      const onQuotaExceeded = vi.fn(async ({ evict }) => {
+        expect(await evict()).toEqual(["old"]);
+        return true;
+      });
+      const cache = new LocalStorageAdapter({ dbName: "quotaDB", onQuotaExceeded });
+      await cache.set("old", "x".repeat(10));
+      await cache.set("kept", "x");
+      const spy = vi.spyOn(localStorage, "setItem").mockImplementationOnce(() => {
+        throw quotaError();
+      });
+
+      expect(await cache.set("new", "x".repeat(10))).toBe(true);
+
+      expect(onQuotaExceeded).toHaveBeenCalledWith(
+        expect.objectContaining({ keys: ["new"], adapter: cache })
+      );
+      expect(await cache.has("old")).toBe(false);
+      expect(await cache.get("new")).toBe("x".repeat(10));
+      spy.mockRestore();
+    });
+
+    // --------------------------------------------------------------------------------------------
+
+    it("should estimate the bytes under the prefix and the origin usage", async () => {
+      vi.stubGlobal("navigator", {
+        storage: { estimate: async () => ({ usage: 1000, quota: 5000 }) },
+      });
+      await adapter.set("a", "abc");
+      localStorage.setItem("other__a", "ignored");
+
+      const estimate = await adapter.estimate();
+
+      expect(estimate).toEqual({
+        bytes: ("testDB__a".length + '"abc"'.length) * 2,
+        entries: 1,
+        usage: 1000,
+        quota: 5000,
+      });
+      vi.unstubAllGlobals();
+    });
+  });
+
+  // ----------------------------------------------------------------------------------------------
+
+  describe("strict mode", () => {
+    it("should return null for corrupted JSON unless strict", async () => {
+      const strict = new LocalStorageAdapter({ dbName: "testDB", strict: true });
+      localStorage.setItem("testDB__broken", "{not json");
+
+      expect(await adapter.get("broken")).toBeNull();
+      const error = await strict.get("broken").catch((err) => err);
+      expect(error).toBeInstanceOf(StoragefyCorruptDataError);
+      expect(error.key).toBe("broken");
+      expect(await strict.get("missing")).toBeNull();
+    });
+
+    // --------------------------------------------------------------------------------------------
+
+    it("should throw StoragefyCorruptDataError for a damaged encrypted entry", async () => {
+      const options = { dbName: "strictDB", encrypt: true, password: "test-password" };
+      const lenient = new LocalStorageAdapter(options);
+      const strict = new LocalStorageAdapter({ ...options, strict: true });
+      await lenient.set("token", "abc");
+      const fullKey = lenient._fullKey("token");
+      const stored = JSON.parse(localStorage.getItem(fullKey));
+      stored.value = JSON.stringify({ ...JSON.parse(stored.value), data: "AAAA" });
+      localStorage.setItem(fullKey, JSON.stringify(stored));
+
+      expect(await lenient.get("token")).toBeNull();
+      await expect(strict.get("token")).rejects.toBeInstanceOf(StoragefyCorruptDataError);
+    });
+
+    // --------------------------------------------------------------------------------------------
+
+    it("should rethrow storage failures in strict mode only", async () => {
+      const strict = new LocalStorageAdapter({ dbName: "testDB", strict: true });
+      await adapter.set("a", 1);
+      const spy = vi.spyOn(localStorage, "removeItem").mockImplementation(() => {
+        throw new Error("Storage is broken");
+      });
+
+      await expect(adapter.delete("a")).resolves.toBeUndefined();
+      await expect(strict.delete("a")).rejects.toThrow("Storage is broken");
+      spy.mockRestore();
+    });
+
+    // --------------------------------------------------------------------------------------------
+
+    it("should throw StoragefyNotReadyError without localStorage", () => {
+      delete global.localStorage;
+      expect(() => new LocalStorageAdapter({ dbName: "test" })).toThrow(
+        StoragefyNotReadyError
+      );
+    });
+  });
+
+  // ----------------------------------------------------------------------------------------------
+
+  describe("migrations", () => {
+    const migrations = {
+      2: async (ctx) => {
+        const fullKey = `${ctx.prefix}user`;
+        const user = JSON.parse(await ctx.get(fullKey));
+        await ctx.set(fullKey, JSON.stringify({ ...user, name: user.first }));
+      },
+      3: async (ctx) => {
+        for (const fullKey of await ctx.list()) {
+          if (fullKey.endsWith("legacy")) await ctx.delete(fullKey);
+        }
+      },
+    };
+
+    it("should run the pending migrations in order before other calls", async () => {
+      await adapter.set("user", { first: "Ada" }, 60000);
+      await adapter.set("legacy", 1);
+      const expiresAt = await adapter.getExpire("user");
+      const calls = [];
+      const upgraded = new LocalStorageAdapter({
+        dbName: "testDB",
+        version: 3,
+        migrations: {
+          2: async (ctx) => {
+            calls.push([ctx.fromVersion, ctx.version]);
+            await migrations[2](ctx);
+          },
+          3: async (ctx) => {
+            calls.push([ctx.fromVersion, ctx.version]);
+            await migrations[3](ctx);
+          },
+        },
+      });
+
+      expect(await upgraded.get("user")).toEqual({ first: "Ada", name: "Ada" });
+      expect(await upgraded.getExpire("user")).toBe(expiresAt);
+      expect(await upgraded.has("legacy")).toBe(false);
+      expect(calls).toEqual([
+        [1, 2],
+        [1, 3],
+      ]);
+      expect((await upgraded._readMeta()).version).toBe(3);
+    });
+
+    // --------------------------------------------------------------------------------------------
+
+    it("should apply the migrations once when several instances start together", async () => {
+      const migrate = vi.fn();
+      const first = new LocalStorageAdapter({
+        dbName: "testDB",
+        version: 2,
+        migrations: { 2: migrate },
+      });
+      const second = new LocalStorageAdapter({
+        dbName: "testDB",
+        version: 2,
+        migrations: { 2: migrate },
+      });
+
+      await Promise.all([first.list(), second.list()]);
+
+      expect(migrate).toHaveBeenCalledTimes(1);
+      first.destroy();
+      second.destroy();
+    });
+
+    // --------------------------------------------------------------------------------------------
+
+    it("should only run the migrations after the stored version", async () => {
+      const migrate = vi.fn();
+      const second = new LocalStorageAdapter({
+        dbName: "testDB",
+        version: 2,
+        migrations: { 2: migrate },
+      });
+      await second.list();
+      const third = new LocalStorageAdapter({
+        dbName: "testDB",
+        version: 3,
+        migrations: { 2: migrate, 3: migrate },
+      });
+      await third.list();
+
+      expect(migrate).toHaveBeenCalledTimes(2);
+      expect(migrate.mock.calls[1][0].version).toBe(3);
+      expect((await third._readMeta()).createdAt).toBe(
+        (await adapter._readMeta()).createdAt
+      );
+    });
+
+    // --------------------------------------------------------------------------------------------
+
+    it("should not migrate a new namespace", async () => {
+      const migrate = vi.fn();
+      const fresh = new LocalStorageAdapter({
+        dbName: "freshDB",
+        version: 2,
+        migrations: { 2: migrate },
+      });
+
+      await fresh.set("a", 1);
+
+      expect(migrate).not.toHaveBeenCalled();
+      expect((await fresh._readMeta()).version).toBe(2);
+    });
+
+    // --------------------------------------------------------------------------------------------
+
+    it("should keep the last applied version when a migration fails", async () => {
+      await adapter.set("user", { first: "Ada" });
+      const failing = new LocalStorageAdapter({
+        dbName: "testDB",
+        version: 3,
+        strict: true,
+        migrations: {
+          2: migrations[2],
+          3: async () => {
+            throw new Error("Bad data");
+          },
+        },
+      });
+
+      const error = await failing.get("user").catch((err) => err);
+
+      expect(error).toBeInstanceOf(StoragefyNotReadyError);
+      expect(error.cause.message).toBe("Bad data");
+      expect((await failing._readMeta()).version).toBe(2);
+      expect(await adapter.get("user")).toEqual({ first: "Ada", name: "Ada" });
+    });
+
+    // --------------------------------------------------------------------------------------------
+
+    it("should reject migrations that are not keyed by version", () => {
+      expect(
+        () =>
+          new LocalStorageAdapter({
+            dbName: "testDB",
+            migrations: { next: async () => {} },
+          })
+      ).toThrow('Migrations must map positive integer versions to functions, got "next".');
+    });
+  });
+
+  // ----------------------------------------------------------------------------------------------
+
+  describe("storage-event transport", () => {
+    function storageEvent(key, storageArea = localStorage) {
+      window.dispatchEvent(
+        new StorageEvent("storage", { key, newValue: "{}", storageArea })
+      );
+    }
+
+    it("should report writes of other tabs to onDataChanged callbacks", async () => {
+      const synced = new LocalStorageAdapter({
+        dbName: "eventSync",
+        channelName: "event_sync_test",
+        channelTransport: "storage-event",
+      });
+      const callback = vi.fn();
+      synced.onDataChanged("user", callback);
+
+      storageEvent("eventSync__user");
+      storageEvent("eventSync__cart");
+      storageEvent("otherDB__user");
+      storageEvent("STRGF_eventSync__meta");
+      storageEvent("eventSync__user", sessionStorage);
+      storageEvent(null);
+
+      await vi.waitFor(() => expect(callback).toHaveBeenCalledTimes(1));
+      expect(callback).toHaveBeenCalledWith({
+        adapterId: null,
+        key: "user",
+        value: undefined,
+        origin: "storage-event",
+      });
+      synced.destroy();
+    });
+
+    // --------------------------------------------------------------------------------------------
+
+    it("should map obfuscated keys back when encrypted", async () => {
+      const synced = new LocalStorageAdapter({
+        dbName: "eventSecure",
+        encrypt: true,
+        password: "test-password",
+        channelName: "event_secure_test",
+        channelTransport: "storage-event",
+      });
+      const callback = vi.fn();
+      synced.onDataChanged(callback);
+
+      storageEvent(synced._fullKey("token"));
+
+      await vi.waitFor(() =>
+        expect(callback).toHaveBeenCalledWith(expect.objectContaining({ key: "token" }))
+      );
+      synced.destroy();
+    });
+
+    // --------------------------------------------------------------------------------------------
+
+    it("should ignore writes that only change the envelope", async () => {
+      const synced = new LocalStorageAdapter({
+        dbName: "eventSync",
+        channelName: "event_envelope_test",
+        channelTransport: "storage-event",
+      });
+      const callback = vi.fn();
+      synced.onDataChanged(callback);
+      const write = (oldValue, newValue) =>
+        window.dispatchEvent(
+          new StorageEvent("storage", {
+            key: "eventSync__user",
+            oldValue,
+            newValue,
+            storageArea: localStorage,
+          })
+        );
+
+      // A sliding expiration pushed forward, then access tracking
+      write(synced._wrapEntry('"a"', 1000, 500), synced._wrapEntry('"a"', 2000, 500));
+      write(
+        synced._wrapEntry('"a"', null, null, { createdAt: 1, accessedAt: 1, hits: 1 }),
+        synced._wrapEntry('"a"', null, null, { createdAt: 1, accessedAt: 2, hits: 2 })
+      );
+      write(synced._wrapEntry('"a"', 2000, 500), synced._wrapEntry('"b"', 2000, 500));
+
+      await vi.waitFor(() => expect(callback).toHaveBeenCalledTimes(1));
+      await sleep(10);
+      expect(callback).toHaveBeenCalledTimes(1);
+      synced.destroy();
+    });
+
+    // --------------------------------------------------------------------------------------------
+
+    it("should report keys another tab adds and deletes with hashKeys", async () => {
+      const snapshot = () => {
+        const items = {};
+        for (let i = 0; i < localStorage.length; i++) {
+          items[localStorage.key(i)] = localStorage.getItem(localStorage.key(i));
+        }
+        return items;
+      };
+      // Fires the events of the writes made since `before`, the key index last like adapters write it
+      const replayWrites = (before, indexKey) => {
+        const after = snapshot();
+        const changed = [...new Set([...Object.keys(before), ...Object.keys(after)])]
+          .filter((key) => before[key] !== after[key])
+          .sort((a, b) => (a === indexKey) - (b === indexKey));
+        for (const key of changed) {
+          window.dispatchEvent(
+            new StorageEvent("storage", {
+              key,
+              oldValue: before[key] ?? null,
+              newValue: after[key] ?? null,
+              storageArea: localStorage,
+            })
+          );
+        }
+      };
+      const options = {
+        dbName: "eventHashed",
+        encrypt: true,
+        password: "test-password",
+        hashKeys: true,
+      };
+      const writer = new LocalStorageAdapter(options);
+      const synced = new LocalStorageAdapter({
+        ...options,
+        channelName: "event_hashed_test",
+        channelTransport: "storage-event",
+      });
+      const callback = vi.fn();
+      synced.onDataChanged(callback);
+
+      let before = snapshot();
+      await writer.set("token", "abc");
+      replayWrites(before, writer.indexKey);
+      await vi.waitFor(() => expect(callback).toHaveBeenCalledTimes(1));
+
+      before = snapshot();
+      await writer.delete("token");
+      replayWrites(before, writer.indexKey);
+      await vi.waitFor(() => expect(callback).toHaveBeenCalledTimes(2));
+
+      expect(callback.mock.calls.map(([data]) => data.key)).toEqual(["token", "token"]);
+      writer.destroy();
+      synced.destroy();
+    });
+
+    // --------------------------------------------------------------------------------------------
+
+    it("should stop listening on destroy", async () => {
+      const synced = new LocalStorageAdapter({
+        dbName: "eventSync",
+        channelName: "event_destroy_test",
+        channelTransport: "storage-event",
+      });
+      const callback = vi.fn();
+      synced.onDataChanged(callback);
+
+      synced.destroy();
+      storageEvent("eventSync__user");
+      await sleep(10);
+
+      expect(callback).not.toHaveBeenCalled();
+    });
+
+    // --------------------------------------------------------------------------------------------
+
+    it("should fall back to storage events with auto when BroadcastChannel is missing", () => {
+      vi.stubGlobal("BroadcastChannel", undefined);
+      const auto = new LocalStorageAdapter({
+        dbName: "eventAuto",
+        channelName: "event_auto_test",
+        channelTransport: "auto",
+      });
+      vi.unstubAllGlobals();
+      const broadcast = new LocalStorageAdapter({
+        dbName: "eventAuto",
+        channelName: "event_auto_test",
+        channelTransport: "auto",
+      });
+
+      expect(auto.channel).toBeInstanceOf(StorageEventChannel);
+      expect(auto.channelName).toBe("event_auto_test");
+      expect(broadcast.channel).not.toBeInstanceOf(StorageEventChannel);
+      auto.destroy();
+      broadcast.destroy();
+    });
+
+    // --------------------------------------------------------------------------------------------
+
+    it("should reject unknown transports", () => {
+      expect(
+        () =>
+          new LocalStorageAdapter({
+            dbName: "eventSync",
+            channelName: "event_unknown_test",
+            channelTransport: "websocket",
+          })
+      ).toThrow('Unknown channel transport "websocket"');
+    });
+  });
+
+  // ----------------------------------------------------------------------------------------------
+
+  describe("leader election", () => {
+    // Grants the first leader lock and keeps the later candidates waiting
+    function stubLocks() {
+      let granted = false;
+      vi.stubGlobal("navigator", {
+        locks: {
+          request: async (name, options, callback) => {
+            if (name.startsWith("storagefy_leader_")) {
+              if (granted) return new Promise(() => {});
+              granted = true;
+            }
+            return callback();
+          },
+        },
+      });
+    }
+
+    let leader;
+    let follower;
+    beforeEach(() => {
+      stubLocks();
+      leader = new LocalStorageAdapter({ dbName: "leaderDB", leaderElection: true });
+      follower = new LocalStorageAdapter({ dbName: "leaderDB", leaderElection: true });
+    });
+
+    afterEach(() => {
+      leader.destroy();
+      follower.destroy();
+      vi.unstubAllGlobals();
+    });
+
+    // --------------------------------------------------------------------------------------------
+
+    it("should lead without leaderElection", () => {
+      expect(adapter.isLeader).toBe(true);
+      expect(adapter._expireWatching).toBe(true);
+    });
+
+    // --------------------------------------------------------------------------------------------
+
+    it("should only watch expirations in the leader", () => {
+      expect(leader.isLeader).toBe(true);
+      expect(leader._expireWatching).toBe(true);
+      expect(follower.isLeader).toBe(false);
+      expect(follower._expireWatching).toBe(false);
+    });
+
+    // --------------------------------------------------------------------------------------------
+
+    it("should start watching and call the handlers when taking over", () => {
+      const handler = vi.fn();
+      const removed = vi.fn();
+      follower.onLeaderChange(handler);
+      follower.onLeaderChange(removed)();
+
+      follower._election._setLeader(true);
+
+      expect(follower.isLeader).toBe(true);
+      expect(follower._expireWatching).toBe(true);
+      expect(handler).toHaveBeenCalledWith(true);
+      expect(removed).not.toHaveBeenCalled();
+    });
+
+    // --------------------------------------------------------------------------------------------
+
+    it("should hand the expirations written by followers to the leader", async () => {
+      await follower.set("token", "abc", 60000);
+      const expiresAt = await follower.getExpire("token");
+
+      await vi.waitFor(() => expect(leader._expireAt).toBe(expiresAt));
+      expect(follower._expireTimer).toBeFalsy();
+    });
+
+    // --------------------------------------------------------------------------------------------
+
+    it("should leave the evictions of the followers' writes to the leader", async () => {
+      leader._initEviction({ maxEntries: 2, evictionPolicy: "fifo" });
+      follower._initEviction({ maxEntries: 2, evictionPolicy: "fifo" });
+      const candidates = vi.spyOn(follower, "_evictionCandidates");
+      const evict = vi.fn();
+      leader.on("evict", evict);
+
+      await follower.set("a", 1);
+      await sleep(5);
+      await follower.set("b", 2);
+      await sleep(5);
+      await follower.set("c", 3);
+
+      await vi.waitFor(() =>
+        expect(evict).toHaveBeenCalledWith({ key: "a", oldValue: 1, newValue: null })
+      );
+      expect(await follower.has("b")).toBe(true);
+      expect(await follower.has("c")).toBe(true);
+      expect(candidates).not.toHaveBeenCalled();
+    });
+
+    // --------------------------------------------------------------------------------------------
+
+    it("should leave pending migrations to the leader and take over from an older one", async () => {
+      await leader.set("user", { first: "Ada" });
+      const handOver = vi.spyOn(leader._election, "handOver");
+      const migrate = vi.fn(async (ctx) => {
+        const fullKey = `${ctx.prefix}user`;
+        const user = JSON.parse(await ctx.get(fullKey));
+        await ctx.set(fullKey, JSON.stringify({ ...user, name: user.first }));
+      });
+      const upgraded = new LocalStorageAdapter({
+        dbName: "leaderDB",
+        version: 2,
+        migrations: { 2: migrate },
+        leaderElection: true,
+      });
+
+      await vi.waitFor(() => expect(handOver).toHaveBeenCalled());
+      expect(migrate).not.toHaveBeenCalled();
+
+      upgraded._election._setLeader(true);
+
+      expect(await upgraded.get("user")).toEqual({ first: "Ada", name: "Ada" });
+      expect(migrate).toHaveBeenCalledTimes(1);
+      upgraded.destroy();
+    });
+
+    // --------------------------------------------------------------------------------------------
+
+    it("should wait for a leader that knows the migrations to run them", async () => {
+      await leader.set("user", { first: "Ada" });
+      const ownMigration = vi.fn();
+      const upgraded = new LocalStorageAdapter({
+        dbName: "leaderDB",
+        version: 2,
+        migrations: { 2: ownMigration },
+        leaderElection: true,
+      });
+      const next = new LocalStorageAdapter({
+        dbName: "leaderDB",
+        version: 2,
+        migrations: {
+          2: async (ctx) => {
+            const fullKey = `${ctx.prefix}user`;
+            const user = JSON.parse(await ctx.get(fullKey));
+            await ctx.set(fullKey, JSON.stringify({ ...user, name: user.first }));
+          },
+        },
+        leaderElection: true,
+      });
+      await sleep(20);
+      leader.destroy();
+
+      next._election._setLeader(true);
+
+      expect(await upgraded.get("user")).toEqual({ first: "Ada", name: "Ada" });
+      expect(ownMigration).not.toHaveBeenCalled();
+      upgraded.destroy();
+      next.destroy();
+    });
+
+    // --------------------------------------------------------------------------------------------
+
+    it("should reject handlers that are not functions", () => {
+      expect(() => leader.onLeaderChange("nope")).toThrow(
+        "onLeaderChange requires a handler function"
+      );
+    });
+  });
 });
 
 // ------------------------------------------------------------------------------------------------
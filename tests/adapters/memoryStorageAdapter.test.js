@@ -0,0 +1,274 @@
+// @vitest-environment node
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import { sleep } from "misc-helpers";
+import MemoryStorageAdapter from "../../src/adapters/MemoryStorageAdapter.js";
+
+// ------------------------------------------------------------------------------------------------
+
+let adapter;
+function beforeEachTest() {
+  adapter = new MemoryStorageAdapter({
+    dbName: "testDB",
+    encrypt: false,
+    expireCheckInterval: 50,
+  });
+}
+
+beforeEach(beforeEachTest);
+afterEach(() => adapter.destroy());
+
+// ------------------------------------------------------------------------------------------------
+
+describe("MemoryStorageAdapter", () => {
+  describe("_constructor", () => {
+    it("should instantiate without window or browser storage", () => {
+      expect(typeof window).toBe("undefined");
+      expect(typeof localStorage).toBe("undefined");
+      expect(adapter).toBeInstanceOf(MemoryStorageAdapter);
+      expect(adapter._unloadHandler).toBeUndefined();
+    });
+
+    // --------------------------------------------------------------------------------------------
+
+    it("should correctly store dbName and derived keys", () => {
+      expect(adapter.dbName).toBe("testDB");
+      expect(adapter.metaKey).toBe("STRGF_testDB__meta");
+      expect(adapter.expireKey).toBe("STRGF_testDB__expires");
+      expect(adapter.prefix).toBe("testDB__");
+    });
+
+    // --------------------------------------------------------------------------------------------
+
+    it("should store metadata in memory", () => {
+      const custom = new MemoryStorageAdapter({
+        dbName: "customMeta",
+        version: 42,
+        description: "My test database",
+      });
+
+      const meta = JSON.parse(custom.storage.get(custom.metaKey));
+      expect(meta.version).toBe(42);
+      expect(meta.description).toBe("My test database");
+      custom.destroy();
+    });
+
+    // --------------------------------------------------------------------------------------------
+
+    it("should not share data between instances", async () => {
+      const other = new MemoryStorageAdapter({ dbName: "testDB" });
+      await adapter.set("foo", "bar");
+
+      expect(await other.get("foo")).toBeNull();
+      other.destroy();
+    });
+  });
+
+  // ----------------------------------------------------------------------------------------------
+
+  describe("set/get", () => {
+    it("should store and retrieve a value without encryption", async () => {
+      await adapter.set("foo", "bar");
+      expect(await adapter.get("foo")).toBe("bar");
+    });
+
+    // --------------------------------------------------------------------------------------------
+
+    it("should return null for nonexistent key", async () => {
+      expect(await adapter.get("nope")).toBeNull();
+    });
+
+    // --------------------------------------------------------------------------------------------
+
+    it("should store and retrieve with encryption", async () => {
+      const secure = new MemoryStorageAdapter({
+        dbName: "testEncryptedDB",
+        encrypt: true,
+        password: "test-password",
+      });
+
+      await secure.set("secure", "secretData");
+      expect(await secure.get("secure")).toBe("secretData");
+      expect(secure.storage.get(secure._fullKey("secure"))).not.toContain(
+        "secretData"
+      );
+      secure.destroy();
+    });
+
+    // --------------------------------------------------------------------------------------------
+
+    it("should support objects, numbers, booleans and arrays", async () => {
+      await adapter.set("obj", { name: "Continuum", features: 5 });
+      await adapter.set("num", 42);
+      await adapter.set("bool", true);
+      await adapter.set("arr", [1, 2, 3]);
+
+      expect(await adapter.get("obj")).toEqual({
+        name: "Continuum",
+        features: 5,
+      });
+      expect(await adapter.get("num")).toBe(42);
+      expect(await adapter.get("bool")).toBe(true);
+      expect(await adapter.get("arr")).toEqual([1, 2, 3]);
+    });
+
+    // --------------------------------------------------------------------------------------------
+
+    it("should delete the key when set with null", async () => {
+      await adapter.set("foo", "bar");
+      const result = await adapter.set("foo", null);
+
+      expect(result).toBeNull();
+      expect(await adapter.has("foo")).toBe(false);
+    });
+  });
+
+  // ----------------------------------------------------------------------------------------------
+
+  describe("expire management", () => {
+    it("should return null for expired key", async () => {
+      await adapter.set("temp", "value", -1000);
+      expect(await adapter.get("temp")).toBeNull();
+    });
+
+    // --------------------------------------------------------------------------------------------
+
+    it("should return the correct expiration timestamp", async () => {
+      const now = Date.now();
+      await adapter.set("temp", "value", 1000);
+
+      const expire = await adapter.getExpire("temp");
+      expect(expire).toBeGreaterThanOrEqual(now + 990);
+      expect(expire).toBeLessThanOrEqual(now + 1010);
+    });
+
+    // --------------------------------------------------------------------------------------------
+
+    it("should delete expiration of a key", async () => {
+      await adapter.set("temp", "value", 5000);
+      await adapter.deleteExpire("temp");
+      expect(await adapter.getExpire("temp")).toBeNull();
+    });
+
+    // --------------------------------------------------------------------------------------------
+
+    it("should clear only expired keys", async () => {
+      await adapter.set("expired", { data: 1 }, 50);
+      await adapter.set("valid", { data: 2 }, 2000);
+
+      await sleep(80);
+      await adapter.clearExpire();
+
+      expect(await adapter.has("expired")).toBe(false);
+      expect(await adapter.has("valid")).toBe(true);
+    });
+
+    // --------------------------------------------------------------------------------------------
+
+    it("should remove expired keys through the expire watcher", async () => {
+      await adapter.set("watched", "value", 50);
+      await sleep(200);
+      expect(await adapter.has("watched")).toBe(false);
+    });
+  });
+
+  // ----------------------------------------------------------------------------------------------
+
+  describe("list/getAll", () => {
+    it("should list all keys with their values", async () => {
+      await adapter.set("users__1", { name: "Alice" });
+      await adapter.set("users__2", { name: "Bob" });
+
+      expect(await adapter.list()).toEqual([
+        { key: "users__1", value: { name: "Alice" } },
+        { key: "users__2", value: { name: "Bob" } },
+      ]);
+      expect(await adapter.getAll("users")).toHaveLength(2);
+    });
+
+    // --------------------------------------------------------------------------------------------
+
+    it("should list decrypted keys when encryption is enabled", async () => {
+      const secure = new MemoryStorageAdapter({
+        dbName: "listEncrypted",
+        encrypt: true,
+        password: "test-password",
+      });
+      await secure.set("a", 1);
+      await secure.set("b", 2);
+
+      const keys = (await secure.list()).map((entry) => entry.key);
+      expect(keys).toEqual(["a", "b"]);
+      secure.destroy();
+    });
+  });
+
+  // ----------------------------------------------------------------------------------------------
+
+  describe("batch operations", () => {
+    it("should set, get and delete several keys at once", async () => {
+      await adapter.setMany(
+        [
+          { key: "a", value: 1 },
+          { key: "b", value: 2 },
+        ],
+        { expire: 1000 }
+      );
+
+      expect(await adapter.getMany(["a", "b"])).toEqual([
+        { key: "a", value: 1 },
+        { key: "b", value: 2 },
+      ]);
+      expect(await adapter.getExpire("a")).toBeGreaterThan(Date.now());
+
+      await adapter.deleteMany(["a", "b"]);
+      expect(await adapter.list()).toEqual([]);
+      expect(await adapter.getExpire("a")).toBeNull();
+    });
+  });
+
+  // ----------------------------------------------------------------------------------------------
+
+  describe("clear/reset", () => {
+    it("should remove data but keep metadata on reset", async () => {
+      await adapter.set("a", 1);
+      await adapter.reset();
+
+      expect(await adapter.list()).toEqual([]);
+      expect(adapter.storage.has(adapter.metaKey)).toBe(true);
+    });
+
+    // --------------------------------------------------------------------------------------------
+
+    it("should remove data, meta and expire keys on clear", async () => {
+      await adapter.set("a", 1, 1000);
+      await adapter.clear();
+
+      expect(await adapter.get("a")).toBeNull();
+      expect(adapter.storage.has(adapter.metaKey)).toBe(false);
+      expect(adapter.storage.has(adapter.expireKey)).toBe(false);
+    });
+  });
+
+  // ----------------------------------------------------------------------------------------------
+
+  describe("cross-tab", () => {
+    it("should emit data changes when sync is enabled", async () => {
+      const synced = new MemoryStorageAdapter({
+        dbName: "syncDB",
+        channelName: "memory_sync_test",
+        enableSyncTabs: true,
+      });
+      const spy = vi.spyOn(synced.channel, "emit");
+
+      await synced.set("foo", "bar");
+
+      expect(spy).toHaveBeenCalledWith(
+        expect.objectContaining({ key: "foo", origin: "set" })
+      );
+      synced.channel.close();
+      synced.destroy();
+    });
+  });
+});
+
+// ------------------------------------------------------------------------------------------------
@@ -37,6 +37,7 @@ describe("SessionStorageAdapter", () => {
       const adapter = new SessionStorageAdapter({
         dbName: "secureDB",
         encrypt: true,
+        password: "test-password",
       });
 
       expect(adapter.encrypt).toBe(true);
@@ -159,6 +160,7 @@ describe("SessionStorageAdapter", () => {
       adapter = new SessionStorageAdapter({
         dbName: "testEncryptedDB",
         encrypt: true,
+        password: "test-password",
       });
 
       await adapter.set("secure", "secretData");
@@ -302,13 +304,12 @@ describe("SessionStorageAdapter", () => {
     it("should remove expiration metadata when deleting a key", async () => {
       await adapter.set("withExpire", { data: 123 }, 10000); // expira em 10 segundos
 
-      let exp = JSON.parse(sessionStorage.getItem(adapter.expireKey));
-      expect(exp).toHaveProperty("withExpire");
+      expect(await adapter.getExpire("withExpire")).toBeTypeOf("number");
 
       await adapter.delete("withExpire");
 
-      exp = JSON.parse(sessionStorage.getItem(adapter.expireKey));
-      expect(exp).not.toHaveProperty("withExpire");
+      expect(await adapter.getExpire("withExpire")).toBeNull();
+      expect(sessionStorage.getItem(adapter._fullKey("withExpire"))).toBeNull();
     });
 
     // --------------------------------------------------------------------------------------------
@@ -325,9 +326,8 @@ describe("SessionStorageAdapter", () => {
 
       await adapter.delete("key1");
 
-      const exp = JSON.parse(sessionStorage.getItem(adapter.expireKey));
-      expect(exp).not.toHaveProperty("key1");
-      expect(exp).toHaveProperty("key2");
+      expect(await adapter.getExpire("key1")).toBeNull();
+      expect(await adapter.getExpire("key2")).toBeTypeOf("number");
     });
   });
 
@@ -601,6 +601,34 @@ describe("SessionStorageAdapter", () => {
 
     // ----------------------------------------------------------------------------------------------
   });
+
+  // ----------------------------------------------------------------------------------------------
+
+  describe("rotateEncryptionKey", () => {
+    it("should re-encrypt every entry with the new secret", async () => {
+      const secure = new SessionStorageAdapter({
+        dbName: "rotateDB",
+        encrypt: true,
+        password: "old-password",
+        iterations: 1000,
+      });
+      await secure.set("a", "one");
+      await secure.set("b", { two: 2 });
+
+      await secure.rotateEncryptionKey("old-password", "new-password");
+
+      const meta = JSON.parse(sessionStorage.getItem(secure.metaKey));
+      expect(meta.rotation).toBeUndefined();
+      expect(await secure.get("a")).toBe("one");
+
+      secure.lock();
+      await expect(secure.unlock("old-password")).rejects.toThrow(
+        'Invalid encryption secret for database "rotateDB".'
+      );
+      await secure.unlock("new-password");
+      expect(await secure.get("b")).toEqual({ two: 2 });
+    });
+  });
 });
 
 // ------------------------------------------------------------------------------------------------
@@ -0,0 +1,126 @@
+import { describe, it, expect, vi } from "vitest";
+import {
+  checkConflictStrategy,
+  compareVersions,
+  resolveConflict,
+} from "../src/helpers/conflictHelper.js";
+
+// ------------------------------------------------------------------------------------------------
+
+const earlier = { clock: 3, tabId: "tab_b" };
+const later = { clock: 4, tabId: "tab_a" };
+
+function conflict(overrides = {}) {
+  return {
+    key: "cart",
+    local: { items: 2, coupon: null },
+    incoming: { items: 1, coupon: "SPRING" },
+    base: { items: 1, coupon: null },
+    localVersion: earlier,
+    incomingVersion: later,
+    ...overrides,
+  };
+}
+
+// ------------------------------------------------------------------------------------------------
+
+describe("CONFLICT HELPER", () => {
+  describe("compareVersions", () => {
+    it("should order by clock, then by tab id", () => {
+      expect(compareVersions(earlier, later)).toBeLessThan(0);
+      expect(compareVersions(later, earlier)).toBeGreaterThan(0);
+      expect(compareVersions({ clock: 4, tabId: "tab_b" }, later)).toBeGreaterThan(0);
+      expect(compareVersions(later, { ...later })).toBe(0);
+    });
+  });
+
+  // ----------------------------------------------------------------------------------------------
+
+  describe("checkConflictStrategy", () => {
+    it("should accept the built-in strategies and resolvers", () => {
+      expect(() => checkConflictStrategy()).not.toThrow();
+      expect(() => checkConflictStrategy("merge-fields")).not.toThrow();
+      expect(() => checkConflictStrategy(() => ({}))).not.toThrow();
+      expect(() => checkConflictStrategy("newest")).toThrow(
+        'Unknown conflict strategy "newest"'
+      );
+    });
+  });
+
+  // ----------------------------------------------------------------------------------------------
+
+  describe("resolveConflict", () => {
+    it("should keep the later write with last-writer-wins", async () => {
+      expect(await resolveConflict("last-writer-wins", conflict())).toEqual({
+        items: 1,
+        coupon: "SPRING",
+      });
+      expect(
+        await resolveConflict(
+          "last-writer-wins",
+          conflict({ localVersion: later, incomingVersion: earlier })
+        )
+      ).toEqual({ items: 2, coupon: null });
+    });
+
+    // --------------------------------------------------------------------------------------------
+
+    it("should keep the earlier write with first-writer-wins", async () => {
+      expect(await resolveConflict("first-writer-wins", conflict())).toEqual({
+        items: 2,
+        coupon: null,
+      });
+    });
+
+    // --------------------------------------------------------------------------------------------
+
+    it("should merge the fields each side changed with merge-fields", async () => {
+      expect(await resolveConflict("merge-fields", conflict())).toEqual({
+        items: 2,
+        coupon: "SPRING",
+      });
+    });
+
+    // --------------------------------------------------------------------------------------------
+
+    it("should settle fields changed on both sides in favour of the later write", async () => {
+      const both = conflict({ local: { items: 2, coupon: "A" } });
+
+      expect(await resolveConflict("merge-fields", both)).toEqual({ items: 2, coupon: "SPRING" });
+      expect(
+        await resolveConflict("merge-fields", {
+          ...both,
+          localVersion: later,
+          incomingVersion: earlier,
+        })
+      ).toEqual({ items: 2, coupon: "A" });
+    });
+
+    // --------------------------------------------------------------------------------------------
+
+    it("should take the incoming state when a side has no version", async () => {
+      const hydration = conflict({ localVersion: null });
+      const initial = conflict({ local: { theme: "dark" }, localVersion: null });
+
+      expect(await resolveConflict("first-writer-wins", hydration)).toEqual(hydration.incoming);
+      expect(await resolveConflict("merge-fields", initial)).toEqual({
+        theme: "dark",
+        items: 1,
+        coupon: "SPRING",
+      });
+    });
+
+    // --------------------------------------------------------------------------------------------
+
+    it("should hand the conflict to a custom resolver", async () => {
+      const resolver = vi.fn(async ({ local, incoming }) => ({
+        items: local.items + incoming.items,
+      }));
+
+      expect(await resolveConflict(resolver, conflict())).toEqual({ items: 3 });
+      expect(resolver).toHaveBeenCalledWith(conflict());
+    });
+  });
+});
+
+// ------------------------------------------------------------------------------------------------
@@ -0,0 +1,118 @@
+import { describe, it, expect, afterEach, vi } from "vitest";
+import { sleep } from "misc-helpers";
+import CrossTabChannel from "../src/helpers/CrossTabChannel.js";
+
+// ------------------------------------------------------------------------------------------------
+
+let channels = [];
+function createChannels(name) {
+  const receiver = new CrossTabChannel(name);
+  const sender = new CrossTabChannel(name);
+  channels.push(receiver, sender);
+  return { receiver, sender };
+}
+
+afterEach(() => {
+  channels.forEach((channel) => channel.close());
+  channels = [];
+});
+
+// ------------------------------------------------------------------------------------------------
+
+describe("CROSS TAB CHANNEL", () => {
+  describe("subscribe", () => {
+    it("should call every subscriber", async () => {
+      const { receiver, sender } = createChannels("multi_subscribers");
+      const first = vi.fn();
+      const second = vi.fn();
+      receiver.subscribe(first);
+      receiver.subscribe(second);
+
+      sender.emit({ key: "a", origin: "test" });
+      await sleep(20);
+
+      expect(first).toHaveBeenCalledWith({ key: "a", origin: "test" });
+      expect(second).toHaveBeenCalledWith({ key: "a", origin: "test" });
+    });
+
+    // --------------------------------------------------------------------------------------------
+
+    it("should stop calling a subscriber once unsubscribed", async () => {
+      const { receiver, sender } = createChannels("unsubscribe");
+      const removed = vi.fn();
+      const kept = vi.fn();
+      const unsubscribe = receiver.subscribe(removed);
+      receiver.subscribe(kept);
+
+      unsubscribe();
+      sender.emit({ key: "a" });
+      await sleep(20);
+
+      expect(removed).not.toHaveBeenCalled();
+      expect(kept).toHaveBeenCalledTimes(1);
+    });
+
+    // --------------------------------------------------------------------------------------------
+
+    it("should only call key subscribers for messages about their key", async () => {
+      const { receiver, sender } = createChannels("key_filter");
+      const user = vi.fn();
+      receiver.subscribe("user", user);
+
+      sender.emit({ key: "cart" });
+      sender.emit({ key: "user" });
+      sender.emit({ keys: ["cart", "user"] });
+      await sleep(20);
+
+      expect(user.mock.calls).toEqual([[{ key: "user" }], [{ keys: ["cart", "user"] }]]);
+    });
+
+    // --------------------------------------------------------------------------------------------
+
+    it("should keep calling subscribers after one throws", async () => {
+      const { receiver, sender } = createChannels("throwing_subscriber");
+      const kept = vi.fn();
+      receiver.subscribe(() => {
+        throw new Error("Subscriber failed");
+      });
+      receiver.subscribe(kept);
+
+      sender.emit({ key: "a" });
+      await sleep(20);
+
+      expect(kept).toHaveBeenCalledTimes(1);
+    });
+
+    // --------------------------------------------------------------------------------------------
+
+    it("should return a no-op without a callback", () => {
+      const { receiver } = createChannels("no_callback");
+
+      const unsubscribe = receiver.subscribe("user");
+
+      expect(unsubscribe).toBeTypeOf("function");
+      expect(receiver._subscribers.size).toBe(0);
+    });
+  });
+
+  // ----------------------------------------------------------------------------------------------
+
+  describe("close", () => {
+    it("should drop the subscribers and tolerate closing twice", async () => {
+      const { receiver, sender } = createChannels("close");
+      const callback = vi.fn();
+      receiver.subscribe(callback);
+
+      receiver.close();
+      receiver.close();
+      sender.emit({ key: "a" });
+      await sleep(20);
+
+      expect(receiver.closed).toBe(true);
+      expect(receiver._subscribers.size).toBe(0);
+      expect(callback).not.toHaveBeenCalled();
+    });
+  });
+});
+
+// ------------------------------------------------------------------------------------------------
@@ -6,6 +6,8 @@ import {
   decryptData,
   generateSalt,
   generateKeyMaterial,
+  importHmacKey,
+  hmacHash,
 } from "../src/helpers/cryptoHelper.js";
 
 // ------------------------------------------------------------------------------------------------
@@ -49,6 +51,26 @@ describe("CRYPTO HELPER", () => {
 
     // --------------------------------------------------------------------------------------------
 
+    it("should derive a key with a custom iteration count", async () => {
+      const key = await deriveKey(TEST_PASSWORD, TEST_SALT, false, 1000);
+      const encrypted = await encryptData(key, "payload");
+      const sameKey = await deriveKey(TEST_PASSWORD, TEST_SALT, false, 1000);
+      const otherKey = await deriveKey(TEST_PASSWORD, TEST_SALT, false, 2000);
+
+      expect(await decryptData(sameKey, encrypted)).toBe("payload");
+      await expect(decryptData(otherKey, encrypted)).rejects.toThrow();
+    });
+
+    // --------------------------------------------------------------------------------------------
+
+    it("should throw on invalid iterations", async () => {
+      await expect(deriveKey(TEST_PASSWORD, TEST_SALT, false, 0)).rejects.toThrow(
+        "Invalid iterations"
+      );
+    });
+
+    // --------------------------------------------------------------------------------------------
+
     it("should throw on null password", async () => {
       await expect(deriveKey(null, TEST_SALT)).rejects.toThrow(
         "Invalid password"
@@ -273,4 +295,44 @@ describe("CRYPTO HELPER", () => {
   });
 
   // ----------------------------------------------------------------------------------------------
+
+  describe("generateSalt", () => {
+    it("should return a base64 string of the requested byte length", () => {
+      const salt = generateSalt();
+      expect(typeof salt).toBe("string");
+      expect(atob(salt)).toHaveLength(16);
+      expect(atob(generateSalt(32))).toHaveLength(32);
+    });
+
+    // --------------------------------------------------------------------------------------------
+
+    it("should return a different salt on each call", () => {
+      expect(generateSalt()).not.toBe(generateSalt());
+    });
+  });
+
+  // ----------------------------------------------------------------------------------------------
+
+  describe("importHmacKey / hmacHash", () => {
+    it("should hash deterministically per key", async () => {
+      const key = await importHmacKey(generateSalt(32));
+      const otherKey = await importHmacKey(generateSalt(32));
+
+      const hash = await hmacHash(key, "cart");
+      expect(hash).toMatch(/^[0-9a-f]{64}$/);
+      expect(await hmacHash(key, "cart")).toBe(hash);
+      expect(await hmacHash(key, "auth")).not.toBe(hash);
+      expect(await hmacHash(otherKey, "cart")).not.toBe(hash);
+    });
+
+    // --------------------------------------------------------------------------------------------
+
+    it("should import a non-extractable key", async () => {
+      const key = await importHmacKey(generateSalt(32));
+      expect(key.extractable).toBe(false);
+      expect(key.algorithm.name).toBe("HMAC");
+    });
+  });
+
+  // ----------------------------------------------------------------------------------------------
 });
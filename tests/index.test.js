@@ -0,0 +1,272 @@
+import { describe, it, expect, vi } from "vitest";
+import { writable, get } from "svelte/store";
+import { createStore } from "zustand/vanilla";
+import {
+  StorageAdapter,
+  MemoryStorageAdapter,
+  FallbackStorageAdapter,
+  PiniaAdapter,
+  registerStorageAdapter,
+  startStoragefy,
+  getStorageAdapter,
+  destroyStoragefy,
+  getPiniaAdapter,
+  getReactAdapter,
+  getSvelteAdapter,
+  setReactStorage,
+  setSvelteStorage,
+} from "../src/index.js";
+
+// ------------------------------------------------------------------------------------------------
+
+class CustomBackendAdapter extends MemoryStorageAdapter {}
+
+// ------------------------------------------------------------------------------------------------
+
+describe("Storage adapter registry", () => {
+  it("should create built-in adapters by name", () => {
+    const adapter = startStoragefy({
+      adapter: "memory",
+      dbName: "builtin",
+      fresh: true,
+    });
+
+    expect(adapter).toBeInstanceOf(MemoryStorageAdapter);
+    adapter.destroy();
+  });
+
+  // ----------------------------------------------------------------------------------------------
+
+  it("should create registered adapters by name", () => {
+    registerStorageAdapter("customBackend", CustomBackendAdapter);
+
+    const adapter = startStoragefy({
+      adapter: "customBackend",
+      dbName: "custom",
+      fresh: true,
+    });
+
+    expect(adapter).toBeInstanceOf(CustomBackendAdapter);
+    adapter.destroy();
+  });
+
+  // ----------------------------------------------------------------------------------------------
+
+  it("should try a list of adapters in order", async () => {
+    const adapter = startStoragefy({
+      adapter: ["sessionStorage", "memory"],
+      dbName: "fallback",
+      fresh: true,
+    });
+
+    expect(adapter).toBeInstanceOf(FallbackStorageAdapter);
+    expect(await adapter.ready).toBe("sessionStorage");
+    expect(adapter.backend).toBe("sessionStorage");
+    adapter.destroy();
+  });
+
+  // ----------------------------------------------------------------------------------------------
+
+  it("should throw for unknown names in a list of adapters", () => {
+    expect(() =>
+      startStoragefy({ adapter: ["memory", "missing"], dbName: "fallback", fresh: true })
+    ).toThrow('Unknown storage adapter "missing".');
+  });
+
+  // ----------------------------------------------------------------------------------------------
+
+  it("should use registered adapters through framework adapter params", () => {
+    registerStorageAdapter("customBackend", CustomBackendAdapter);
+    const adapterParams = { adapter: "customBackend", dbName: "framework" };
+
+    const pinia = getPiniaAdapter({ adapterParams, fresh: true });
+    const react = getReactAdapter({ adapterParams, fresh: true });
+    const svelte = getSvelteAdapter({ adapterParams, fresh: true });
+
+    expect(pinia).toBeInstanceOf(PiniaAdapter);
+    expect(pinia.adapter).toBeInstanceOf(CustomBackendAdapter);
+    expect(react.adapter).toBeInstanceOf(CustomBackendAdapter);
+    expect(svelte.adapter).toBeInstanceOf(CustomBackendAdapter);
+  });
+
+  // ----------------------------------------------------------------------------------------------
+
+  it("should throw for unknown adapter names", () => {
+    expect(() =>
+      startStoragefy({ adapter: "unknownBackend", fresh: true })
+    ).toThrow('Unknown storage adapter "unknownBackend"');
+
+    expect(() =>
+      getPiniaAdapter({ adapterParams: { adapter: "indexDB" }, fresh: true })
+    ).toThrow('Unknown storage adapter "indexDB"');
+  });
+
+  // ----------------------------------------------------------------------------------------------
+
+  it("should reject invalid registrations", () => {
+    expect(() => registerStorageAdapter("", CustomBackendAdapter)).toThrow(
+      "Storage adapter name must be a non-empty string."
+    );
+    expect(() => registerStorageAdapter("plain", class {})).toThrow(
+      'Storage adapter "plain" must extend StorageAdapter.'
+    );
+    expect(() => registerStorageAdapter("base", StorageAdapter)).toThrow(
+      'Storage adapter "base" must extend StorageAdapter.'
+    );
+  });
+});
+
+// ------------------------------------------------------------------------------------------------
+
+describe("Named instances", () => {
+  it("should keep independent adapters per instance name", () => {
+    const cache = startStoragefy({ name: "cache", adapter: "memory", dbName: "cache" });
+    const session = startStoragefy({ name: "session", adapter: "memory", dbName: "session" });
+
+    expect(cache).not.toBe(session);
+    expect(getStorageAdapter("cache")).toBe(cache);
+    expect(getStorageAdapter("session")).toBe(session);
+    expect(startStoragefy({ name: "cache", adapter: "memory" })).toBe(cache);
+
+    destroyStoragefy("cache");
+    destroyStoragefy("session");
+  });
+
+  // ----------------------------------------------------------------------------------------------
+
+  it("should throw when the instance was not started", () => {
+    expect(() => getStorageAdapter("missing")).toThrow(
+      'Storage adapter "missing" not initialized. Call startStoragefy first.'
+    );
+  });
+
+  // ----------------------------------------------------------------------------------------------
+
+  it("should bind framework adapters to the named instance", () => {
+    const cache = startStoragefy({ name: "framework", adapter: "memory", dbName: "fw" });
+
+    expect(getReactAdapter({ name: "framework" }).adapter).toBe(cache);
+    expect(getSvelteAdapter({ name: "framework" }).adapter).toBe(cache);
+    expect(getReactAdapter({ name: "framework" })).toBe(getReactAdapter({ name: "framework" }));
+
+    destroyStoragefy("framework");
+  });
+
+  // ----------------------------------------------------------------------------------------------
+
+  it("should sync stores through the named instance", async () => {
+    const adapter = startStoragefy({ name: "svelte", adapter: "memory", dbName: "svelte" });
+    const store = writable({ count: 1 });
+
+    await setSvelteStorage(store, "counter", {}, "svelte");
+    store.set({ count: 2 });
+    await vi.waitFor(async () => expect(await adapter.get("counter")).toEqual({ count: 2 }));
+
+    destroyStoragefy("svelte");
+  });
+
+  // ----------------------------------------------------------------------------------------------
+
+  it("should deliver cross-tab changes to every framework adapter of an instance", async () => {
+    const adapter = startStoragefy({
+      name: "shared",
+      adapter: "memory",
+      dbName: "shared",
+      channelName: "shared_channel",
+    });
+    const svelteStore = writable({ count: 1 });
+    const reactStore = createStore(() => ({ theme: "light" }));
+    await setSvelteStorage(svelteStore, "counter", { syncTabs: true }, "shared");
+    await setReactStorage(reactStore, "settings", { syncTabs: true }, "shared");
+
+    // Written by another tab
+    await adapter.set("counter", { count: 2 });
+    await adapter.set("settings", { theme: "dark" });
+    adapter.channel.channel.onmessage({
+      data: { adapterId: "other", keys: ["counter", "settings"], origin: "set" },
+    });
+
+    await vi.waitFor(() => {
+      expect(get(svelteStore).count).toBe(2);
+      expect(reactStore.getState().theme).toBe("dark");
+    });
+    destroyStoragefy("shared");
+  });
+
+  // ----------------------------------------------------------------------------------------------
+
+  it("should tear down timers, channels and subscriptions on destroy", async () => {
+    const adapter = startStoragefy({
+      name: "teardown",
+      adapter: "memory",
+      dbName: "teardown",
+      channelName: "teardown_channel",
+    });
+    const store = writable({ count: 1 });
+    await setSvelteStorage(store, "counter", {}, "teardown");
+
+    const destroySpy = vi.spyOn(adapter, "destroy");
+    const closeSpy = vi.spyOn(adapter.channel, "close");
+    const setSpy = vi.spyOn(adapter, "set");
+
+    expect(destroyStoragefy("teardown")).toBe(true);
+    store.set({ count: 2 });
+
+    expect(destroySpy).toHaveBeenCalled();
+    expect(closeSpy).toHaveBeenCalled();
+    expect(adapter._expireTimer).toBeNull();
+    expect(setSpy).not.toHaveBeenCalled();
+    expect(() => getStorageAdapter("teardown")).toThrow();
+    expect(destroyStoragefy("teardown")).toBe(false);
+  });
+
+  // ----------------------------------------------------------------------------------------------
+
+  it("should destroy the adapters replaced by forceRecreate", async () => {
+    const adapter = startStoragefy({ name: "recreate", adapter: "memory", dbName: "recreate" });
+    const svelte = getSvelteAdapter({ name: "recreate" });
+    const store = writable({ count: 1 });
+    await setSvelteStorage(store, "counter", {}, "recreate");
+
+    const adapterDestroySpy = vi.spyOn(adapter, "destroy");
+    const svelteDestroySpy = vi.spyOn(svelte, "destroy");
+    const setSpy = vi.spyOn(adapter, "set");
+
+    const recreated = startStoragefy({
+      name: "recreate",
+      adapter: "memory",
+      dbName: "recreate",
+      forceRecreate: true,
+    });
+    const recreatedSvelte = getSvelteAdapter({ name: "recreate", forceRecreate: true });
+    store.set({ count: 2 });
+
+    expect(recreated).not.toBe(adapter);
+    expect(adapterDestroySpy).toHaveBeenCalled();
+    expect(recreatedSvelte).not.toBe(svelte);
+    expect(recreatedSvelte.adapter).toBe(recreated);
+    expect(svelteDestroySpy).toHaveBeenCalled();
+    expect(setSpy).not.toHaveBeenCalled();
+
+    destroyStoragefy("recreate");
+  });
+
+  // ----------------------------------------------------------------------------------------------
+
+  it("should destroy the storage adapters created from adapterParams", () => {
+    const adapterParams = { adapter: "memory", dbName: "owned" };
+    const react = getReactAdapter({ name: "owned", adapterParams });
+    const reactStorageSpy = vi.spyOn(react.adapter, "destroy");
+
+    const recreated = getReactAdapter({ name: "owned", adapterParams, forceRecreate: true });
+    expect(reactStorageSpy).toHaveBeenCalled();
+
+    const recreatedStorageSpy = vi.spyOn(recreated.adapter, "destroy");
+    const recreatedSpy = vi.spyOn(recreated, "destroy");
+    expect(destroyStoragefy("owned")).toBe(true);
+    expect(recreatedSpy).toHaveBeenCalled();
+    expect(recreatedStorageSpy).toHaveBeenCalled();
+  });
+});
+
+// ------------------------------------------------------------------------------------------------
@@ -0,0 +1,212 @@
+import { describe, it, expect, afterEach, vi } from "vitest";
+import { sleep } from "misc-helpers";
+import LeaderElection from "../src/helpers/LeaderElection.js";
+
+// ------------------------------------------------------------------------------------------------
+
+/**
+ * Minimal Web Locks API: exclusive locks granted in request order, and aborting a
+ * request that is still waiting.
+ */
+function createLockManager() {
+  const queues = new Map();
+  const grant = async (name) => {
+    const [waiter] = queues.get(name);
+    if (!waiter) return;
+    try {
+      waiter.resolve(await waiter.callback());
+    } catch (err) {
+      waiter.reject(err);
+    }
+    queues.get(name).shift();
+    grant(name);
+  };
+  const request = (name, { signal } = {}, callback) =>
+    new Promise((resolve, reject) => {
+      const queue = queues.get(name) || [];
+      const waiter = { callback, resolve, reject };
+      queues.set(name, queue);
+      queue.push(waiter);
+      signal?.addEventListener("abort", () => {
+        const index = queue.indexOf(waiter);
+        if (index > 0) {
+          queue.splice(index, 1);
+          reject(new DOMException("The request was aborted", "AbortError"));
+        }
+      });
+      if (queue.length === 1) grant(name);
+    });
+  return { request };
+}
+
+let elections = [];
+function createElection(name, options = { heartbeatInterval: 10 }) {
+  const election = new LeaderElection(name, options);
+  elections.push(election);
+  return election;
+}
+
+afterEach(() => {
+  elections.forEach((election) => election.close());
+  elections = [];
+  vi.unstubAllGlobals();
+});
+
+// ------------------------------------------------------------------------------------------------
+
+describe("LEADER ELECTION", () => {
+  describe("heartbeats", () => {
+    it("should elect the first candidate and keep the others following", async () => {
+      const first = createElection("heartbeat_first");
+      const onChange = vi.fn();
+      first.onChange(onChange);
+      first.start();
+      await vi.waitFor(() => expect(first.isLeader).toBe(true));
+
+      const second = createElection("heartbeat_first");
+      second.start();
+      await sleep(60);
+
+      expect(second.isLeader).toBe(false);
+      expect(onChange.mock.calls).toEqual([[true]]);
+    });
+
+    // --------------------------------------------------------------------------------------------
+
+    it("should hand over the leadership when the leader closes", async () => {
+      const first = createElection("heartbeat_handover");
+      first.start();
+      await vi.waitFor(() => expect(first.isLeader).toBe(true));
+      const second = createElection("heartbeat_handover");
+      const onChange = vi.fn();
+      second.onChange(onChange);
+      second.start();
+
+      first.close();
+
+      await vi.waitFor(() => expect(second.isLeader).toBe(true));
+      expect(first.isLeader).toBe(false);
+      expect(onChange).toHaveBeenCalledWith(true);
+    });
+
+    // --------------------------------------------------------------------------------------------
+
+    it("should keep the leader with the lowest id when two of them hear each other", async () => {
+      const first = createElection("heartbeat_split");
+      const second = createElection("heartbeat_split");
+      first.id = "leader_a";
+      second.id = "leader_b";
+      first.start();
+      second.start();
+      first._setLeader(true);
+      second._setLeader(true);
+
+      await vi.waitFor(() => expect(second.isLeader).toBe(false));
+      expect(first.isLeader).toBe(true);
+    });
+
+    // --------------------------------------------------------------------------------------------
+
+    it("should let another candidate take over when the leader hands over", async () => {
+      const first = createElection("heartbeat_hand_over");
+      first.start();
+      await vi.waitFor(() => expect(first.isLeader).toBe(true));
+      const second = createElection("heartbeat_hand_over");
+      second.start();
+      await sleep(30);
+
+      first.handOver();
+
+      await vi.waitFor(() => expect(second.isLeader).toBe(true));
+      await sleep(60);
+      expect(first.isLeader).toBe(false);
+    });
+  });
+
+  // ----------------------------------------------------------------------------------------------
+
+  describe("web locks", () => {
+    it("should lead while holding the lock and hand it over on close", async () => {
+      vi.stubGlobal("navigator", { locks: createLockManager() });
+      const first = createElection("lock_handover");
+      const second = createElection("lock_handover");
+      first.start();
+      second.start();
+      await sleep(10);
+
+      expect(first.isLeader).toBe(true);
+      expect(second.isLeader).toBe(false);
+
+      first.close();
+      await vi.waitFor(() => expect(second.isLeader).toBe(true));
+    });
+
+    // --------------------------------------------------------------------------------------------
+
+    it("should give up waiting for the lock on close", async () => {
+      vi.stubGlobal("navigator", { locks: createLockManager() });
+      const first = createElection("lock_abort");
+      const second = createElection("lock_abort");
+      const third = createElection("lock_abort");
+      first.start();
+      second.start();
+      third.start();
+      await sleep(10);
+
+      second.close();
+      first.close();
+
+      await vi.waitFor(() => expect(third.isLeader).toBe(true));
+      expect(second.isLeader).toBe(false);
+    });
+
+    // --------------------------------------------------------------------------------------------
+
+    it("should release the lock and wait behind the others when handing over", async () => {
+      vi.stubGlobal("navigator", { locks: createLockManager() });
+      const first = createElection("lock_hand_over");
+      const second = createElection("lock_hand_over");
+      first.start();
+      second.start();
+      await sleep(10);
+
+      first.handOver();
+      await vi.waitFor(() => expect(second.isLeader).toBe(true));
+      expect(first.isLeader).toBe(false);
+
+      second.close();
+      await vi.waitFor(() => expect(first.isLeader).toBe(true));
+    });
+  });
+
+  // ----------------------------------------------------------------------------------------------
+
+  describe("send", () => {
+    it("should deliver messages to the other candidates", async () => {
+      const first = createElection("messages");
+      const second = createElection("messages");
+      const onMessage = vi.fn();
+      second.onMessage(onMessage);
+      first.start();
+      second.start();
+
+      first.send({ expiresAt: 42 });
+
+      await vi.waitFor(() => expect(onMessage).toHaveBeenCalledWith({ expiresAt: 42 }));
+    });
+  });
+
+  // ----------------------------------------------------------------------------------------------
+
+  it("should lead right away when nobody can compete", () => {
+    vi.stubGlobal("BroadcastChannel", undefined);
+    const election = createElection("alone");
+
+    election.start();
+    election.send({ ignored: true });
+
+    expect(election.isLeader).toBe(true);
+  });
+});
+
+// ------------------------------------------------------------------------------------------------
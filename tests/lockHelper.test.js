@@ -0,0 +1,83 @@
+import { describe, it, expect, afterEach, vi } from "vitest";
+import { sleep } from "misc-helpers";
+import { withLock, hasWebLocks } from "../src/helpers/lockHelper.js";
+
+// ------------------------------------------------------------------------------------------------
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+});
+
+// ------------------------------------------------------------------------------------------------
+
+describe("LOCK HELPER", () => {
+  describe("withLock", () => {
+    it("should run callbacks for the same name one at a time", async () => {
+      const order = [];
+      const task = (id, delay) =>
+        withLock("same", async () => {
+          order.push(`start ${id}`);
+          await sleep(delay);
+          order.push(`end ${id}`);
+          return id;
+        });
+
+      const results = await Promise.all([task(1, 30), task(2, 0), task(3, 10)]);
+
+      expect(results).toEqual([1, 2, 3]);
+      expect(order).toEqual([
+        "start 1",
+        "end 1",
+        "start 2",
+        "end 2",
+        "start 3",
+        "end 3",
+      ]);
+    });
+
+    // --------------------------------------------------------------------------------------------
+
+    it("should not block callbacks holding a different name", async () => {
+      const order = [];
+      const slow = withLock("a", async () => {
+        await sleep(30);
+        order.push("a");
+      });
+      const fast = withLock("b", async () => {
+        order.push("b");
+      });
+
+      await Promise.all([slow, fast]);
+      expect(order).toEqual(["b", "a"]);
+    });
+
+    // --------------------------------------------------------------------------------------------
+
+    it("should release the lock when the callback throws", async () => {
+      await expect(
+        withLock("failing", async () => {
+          throw new Error("boom");
+        })
+      ).rejects.toThrow("boom");
+
+      expect(await withLock("failing", () => "next")).toBe("next");
+    });
+
+    // --------------------------------------------------------------------------------------------
+
+    it("should use the Web Locks API when available", async () => {
+      const request = vi.fn((name, options, callback) => callback());
+      vi.stubGlobal("navigator", { locks: { request } });
+
+      expect(hasWebLocks()).toBe(true);
+      expect(await withLock("web", () => 42)).toBe(42);
+      expect(request).toHaveBeenCalledWith(
+        "web",
+        { mode: "exclusive" },
+        expect.any(Function)
+      );
+    });
+  });
+});
+
+// ------------------------------------------------------------------------------------------------
@@ -0,0 +1,183 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import { Window } from "happy-dom";
+import "fake-indexeddb/auto";
+import { IDBFactory } from "fake-indexeddb";
+import LocalStorageAdapter from "../src/adapters/LocalStorageAdapter.js";
+import IndexedDBAdapter from "../src/adapters/IndexedDBAdapter.js";
+import MemoryStorageAdapter from "../src/adapters/MemoryStorageAdapter.js";
+import { migrateStorage } from "../src/helpers/migrationHelper.js";
+
+// ------------------------------------------------------------------------------------------------
+
+let from;
+let to;
+beforeEach(() => {
+  const window = new Window();
+  global.localStorage = window.localStorage;
+  global.indexedDB = new IDBFactory();
+
+  from = new LocalStorageAdapter({ dbName: "migrationDB" });
+  to = new IndexedDBAdapter({ dbName: "migrationDB", expireCheckInterval: 0 });
+});
+
+afterEach(() => {
+  from.destroy();
+  to.destroy();
+});
+
+// ------------------------------------------------------------------------------------------------
+
+describe("MIGRATION HELPER", () => {
+  describe("migrateStorage", () => {
+    it("should copy every key with its expiration", async () => {
+      await from.set("user", { id: 1 });
+      await from.set("token", "abc", 60000);
+      const expiresAt = await from.getExpire("token");
+
+      const report = await migrateStorage(from, to);
+
+      expect(report.migrated.sort()).toEqual(["token", "user"]);
+      expect(report.skipped).toEqual([]);
+      expect(report.failed).toEqual([]);
+      expect(await to.get("user")).toEqual({ id: 1 });
+      expect(await to.get("token")).toBe("abc");
+      expect(await to.getExpire("token")).toBe(expiresAt);
+      expect(await to.getExpire("user")).toBeNull();
+      expect(await from.get("user")).toEqual({ id: 1 });
+    });
+
+    // --------------------------------------------------------------------------------------------
+
+    it("should only copy the given keys and skip missing ones", async () => {
+      await from.set("a", 1);
+      await from.set("b", 2);
+
+      const report = await migrateStorage(from, to, { keys: ["a", "missing"] });
+
+      expect(report.migrated).toEqual(["a"]);
+      expect(report.skipped).toEqual(["missing"]);
+      expect(await to.list()).toEqual([{ key: "a", value: 1 }]);
+    });
+
+    // --------------------------------------------------------------------------------------------
+
+    it("should delete copied keys from the source with deleteSource", async () => {
+      await from.set("a", 1);
+
+      await migrateStorage(from, to, { deleteSource: true });
+
+      expect(await from.has("a")).toBe(false);
+      expect(await to.get("a")).toBe(1);
+    });
+
+    // --------------------------------------------------------------------------------------------
+
+    it("should drop expirations without preserveExpire", async () => {
+      await from.set("a", 1, 60000);
+
+      await migrateStorage(from, to, { preserveExpire: false });
+
+      expect(await to.get("a")).toBe(1);
+      expect(await to.getExpire("a")).toBeNull();
+    });
+
+    // --------------------------------------------------------------------------------------------
+
+    it("should re-encrypt values with the settings of the target", async () => {
+      const secureFrom = new MemoryStorageAdapter({
+        dbName: "secureFrom",
+        encrypt: true,
+        password: "source-password",
+      });
+      const secureTo = new MemoryStorageAdapter({
+        dbName: "secureTo",
+        encrypt: true,
+        password: "target-password",
+      });
+      await secureFrom.set("secret", { pin: 1234 });
+
+      const report = await migrateStorage(secureFrom, secureTo);
+
+      expect(report.migrated).toEqual(["secret"]);
+      expect(await secureTo.get("secret")).toEqual({ pin: 1234 });
+      const stored = [...secureTo.storage.values()].join();
+      expect(stored).not.toContain("1234");
+      secureFrom.destroy();
+      secureTo.destroy();
+    });
+
+    // --------------------------------------------------------------------------------------------
+
+    it("should report keys that fail and go on with the others", async () => {
+      const strictTo = new MemoryStorageAdapter({ dbName: "strictTo", strict: true });
+      const set = strictTo.set.bind(strictTo);
+      strictTo.set = async (key, ...args) => {
+        if (key === "bad") throw new Error("Write failed");
+        return set(key, ...args);
+      };
+      await from.set("bad", 1);
+      await from.set("good", 2);
+
+      const report = await migrateStorage(from, strictTo, { deleteSource: true });
+
+      expect(report.migrated).toEqual(["good"]);
+      expect(report.failed).toHaveLength(1);
+      expect(report.failed[0].key).toBe("bad");
+      expect(report.failed[0].error.message).toBe("Write failed");
+      expect(await from.get("bad")).toBe(1);
+      strictTo.destroy();
+    });
+
+    // --------------------------------------------------------------------------------------------
+
+    it("should report a key the target refuses to write as failed", async () => {
+      await from.set("a", 1);
+      await to.set("a", 0);
+      to.set = async () => false;
+
+      const report = await migrateStorage(from, to, { deleteSource: true });
+
+      expect(report.migrated).toEqual([]);
+      expect(report.failed.map(({ key }) => key)).toEqual(["a"]);
+      expect(await from.get("a")).toBe(1);
+    });
+
+    // --------------------------------------------------------------------------------------------
+
+    it("should keep sliding expirations sliding", async () => {
+      await from.set("session", "abc", { ttl: 60000, sliding: true });
+      const [entry] = await from._readBatch([await from._storageKey("session")]);
+
+      await migrateStorage(from, to);
+
+      const [copy] = await to._readBatch([await to._storageKey("session")]);
+      expect(copy.expiresAt).toBe(entry.expiresAt);
+      expect(copy.ttl).toBe(60000);
+    });
+
+    // --------------------------------------------------------------------------------------------
+
+    it("should read each source entry once without touching it", async () => {
+      const trackedFrom = new MemoryStorageAdapter({
+        dbName: "trackedFrom",
+        encrypt: true,
+        password: "source-password",
+        maxEntries: 10,
+      });
+      await trackedFrom.set("a", 1, { ttl: 60000, sliding: true });
+      await trackedFrom.set("b", 2);
+      const fullKeys = [await trackedFrom._storageKey("a"), await trackedFrom._storageKey("b")];
+      const before = await trackedFrom._readBatch(fullKeys);
+      const decrypt = vi.spyOn(trackedFrom, "_decrypt");
+
+      const report = await migrateStorage(trackedFrom, to);
+
+      expect(report.migrated.sort()).toEqual(["a", "b"]);
+      expect(decrypt).toHaveBeenCalledTimes(2);
+      expect(await trackedFrom._readBatch(fullKeys)).toEqual(before);
+      trackedFrom.destroy();
+    });
+  });
+});
+
+// ------------------------------------------------------------------------------------------------
@@ -0,0 +1,81 @@
+import { describe, it, expect } from "vitest";
+import { applyPatch, createPatch } from "../src/helpers/patchHelper.js";
+
+// ------------------------------------------------------------------------------------------------
+
+describe("PATCH HELPER", () => {
+  describe("createPatch", () => {
+    it("should describe changed, added and removed properties", () => {
+      expect(
+        createPatch(
+          { cart: { items: 1, coupon: null }, theme: "dark" },
+          { cart: { items: 2, coupon: null }, locale: "fr" }
+        )
+      ).toEqual([
+        { op: "remove", path: "/theme" },
+        { op: "replace", path: "/cart/items", value: 2 },
+        { op: "add", path: "/locale", value: "fr" },
+      ]);
+    });
+
+    // --------------------------------------------------------------------------------------------
+
+    it("should add and remove array items at their end", () => {
+      expect(createPatch({ items: [1, 2, 3] }, { items: [1, 5] })).toEqual([
+        { op: "replace", path: "/items/1", value: 5 },
+        { op: "remove", path: "/items/2" },
+      ]);
+      expect(createPatch({ items: [1] }, { items: [1, 2, 3] })).toEqual([
+        { op: "add", path: "/items/1", value: 2 },
+        { op: "add", path: "/items/2", value: 3 },
+      ]);
+    });
+
+    // --------------------------------------------------------------------------------------------
+
+    it("should compare values as they are stored", () => {
+      expect(createPatch({ token: "x", a: 1 }, { token: undefined, a: 1 })).toEqual([
+        { op: "remove", path: "/token" },
+      ]);
+      expect(createPatch({ a: 1 }, { a: 1 })).toEqual([]);
+      expect(createPatch({ a: 1 }, [1])).toEqual([{ op: "replace", path: "", value: [1] }]);
+    });
+
+    // --------------------------------------------------------------------------------------------
+
+    it("should escape property names in paths", () => {
+      expect(createPatch({}, { "a/b": 1, "c~d": 2 })).toEqual([
+        { op: "add", path: "/a~1b", value: 1 },
+        { op: "add", path: "/c~0d", value: 2 },
+      ]);
+    });
+  });
+
+  // ----------------------------------------------------------------------------------------------
+
+  describe("applyPatch", () => {
+    it("should turn the previous value into the new one", () => {
+      const from = { cart: { items: [{ sku: "A1" }], coupon: null }, "a/b": 1, theme: "dark" };
+      const to = { cart: { items: [{ sku: "B2" }, { sku: "C3" }] }, "a/b": 2, locale: "fr" };
+
+      expect(applyPatch(from, createPatch(from, to))).toEqual(to);
+      expect(from.cart.items).toEqual([{ sku: "A1" }]);
+    });
+
+    // --------------------------------------------------------------------------------------------
+
+    it("should reject operations that do not fit the value", () => {
+      expect(() => applyPatch({}, [{ op: "replace", path: "/a", value: 1 }])).toThrow(
+        'Patch path "/a" does not exist'
+      );
+      expect(() => applyPatch({ a: [] }, [{ op: "remove", path: "/a/0" }])).toThrow(
+        'Patch path "/a/0" does not exist'
+      );
+      expect(() => applyPatch({}, [{ op: "move", path: "/a" }])).toThrow(
+        'Unsupported patch operation "move"'
+      );
+    });
+  });
+});
+
+// ------------------------------------------------------------------------------------------------
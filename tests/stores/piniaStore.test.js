@@ -1,4 +1,4 @@
-import { describe, it, beforeEach, expect, vi } from "vitest";
+import { describe, it, beforeEach, afterEach, expect, vi } from "vitest";
 import { setActivePinia, createPinia, defineStore } from "pinia";
 import { Window } from "happy-dom";
 import "fake-indexeddb/auto";
@@ -249,3 +249,219 @@ describe.each(Object.entries(adapterSetups))(
     });
   }
 );
+
+// ------------------------------------------------------------------------------------------------
+
+const useCartStore = defineStore("cart", {
+  state: () => ({ items: 1, coupon: null }),
+});
+
+// ------------------------------------------------------------------------------------------------
+
+describe("PiniaAdapter conflict strategies", () => {
+  let tabs = [];
+
+  // Two tabs sharing localStorage and a sync channel, each with its own Pinia
+  async function openTabs(conflictStrategy) {
+    const window = new Window();
+    global.localStorage = window.localStorage;
+    tabs = ["a", "b"].map(() => {
+      const adapter = new LocalStorageAdapter({
+        dbName: "conflictDB",
+        channelName: "pinia_conflict_test",
+        enableSyncTabs: true,
+        expireCheckInterval: 0,
+      });
+      return {
+        adapter,
+        piniaAdapter: new PiniaAdapter(adapter),
+        store: useCartStore(createPinia()),
+      };
+    });
+    for (const { piniaAdapter, store } of tabs) {
+      await piniaAdapter.getFromStorage(store, "cart", { conflictStrategy });
+      await piniaAdapter.setInStorage(store, "cart", { syncTabs: true, conflictStrategy });
+    }
+    await sleep(20);
+    return tabs;
+  }
+
+  async function expectConverged(expected) {
+    const [a, b] = tabs;
+    await vi.waitFor(async () => {
+      expect(await a.adapter.get("cart")).toEqual(expected);
+      expect(await a.adapter._readVersion("cart")).toMatchObject({ clock: expect.any(Number) });
+      expect(a.store.$state).toMatchObject(expected);
+      expect(b.store.$state).toMatchObject(expected);
+    });
+  }
+
+  afterEach(() => {
+    tabs.forEach(({ adapter, piniaAdapter }) => {
+      piniaAdapter.destroy();
+      adapter.destroy();
+    });
+    tabs = [];
+  });
+
+  // ----------------------------------------------------------------------------------------------
+
+  it("should keep the fields each tab changed with merge-fields", async () => {
+    const [a, b] = await openTabs("merge-fields");
+
+    a.store.$patch({ items: 2 });
+    b.store.$patch({ coupon: "SPRING" });
+
+    await expectConverged({ items: 2, coupon: "SPRING" });
+  });
+
+  // ----------------------------------------------------------------------------------------------
+
+  it.each(["last-writer-wins", "first-writer-wins"])(
+    "should settle every tab on the same state with %s",
+    async (strategy) => {
+      const [a, b] = await openTabs(strategy);
+
+      a.store.$patch({ items: 2 });
+      b.store.$patch({ items: 3 });
+
+      await vi.waitFor(() => expect(a.store.items).toBe(b.store.items));
+      await expectConverged({ items: a.store.items, coupon: null });
+    }
+  );
+
+  // ----------------------------------------------------------------------------------------------
+
+  it("should apply follow-up writes of another tab", async () => {
+    const [a, b] = await openTabs("first-writer-wins");
+
+    a.store.$patch({ items: 2 });
+    await vi.waitFor(() => expect(b.store.items).toBe(2));
+    b.store.$patch({ items: 5 });
+
+    await expectConverged({ items: 5, coupon: null });
+  });
+
+  // ----------------------------------------------------------------------------------------------
+
+  it("should hydrate through a custom resolver", async () => {
+    const window = new Window();
+    global.localStorage = window.localStorage;
+    const adapter = new LocalStorageAdapter({ dbName: "conflictDB" });
+    await adapter.set("cart", { items: 4 }, undefined, {
+      version: { clock: 7, tabId: "other", parent: null },
+    });
+    const cart = useCartStore(createPinia());
+    const resolver = vi.fn(({ local, incoming }) => ({ items: local.items + incoming.items }));
+
+    await new PiniaAdapter(adapter).getFromStorage(cart, "cart", {
+      conflictStrategy: resolver,
+    });
+
+    expect(cart.items).toBe(5);
+    expect(resolver).toHaveBeenCalledWith(
+      expect.objectContaining({
+        key: "cart",
+        localVersion: null,
+        incomingVersion: { clock: 7, tabId: "other", parent: null },
+      })
+    );
+    adapter.destroy();
+  });
+
+  // ----------------------------------------------------------------------------------------------
+
+  it("should reject unknown strategies", async () => {
+    const adapter = new LocalStorageAdapter({ dbName: "conflictDB" });
+
+    await expect(
+      new PiniaAdapter(adapter).setInStorage(useCartStore(createPinia()), "cart", {
+        conflictStrategy: "newest",
+      })
+    ).rejects.toThrow('Unknown conflict strategy "newest"');
+    adapter.destroy();
+  });
+});
+
+// ------------------------------------------------------------------------------------------------
+
+const useDraftStore = defineStore("draft", {
+  state: () => ({ items: [{ sku: "A1", qty: 1 }], note: "" }),
+});
+
+// ------------------------------------------------------------------------------------------------
+
+describe("PiniaAdapter delta sync", () => {
+  let tabs = [];
+
+  // Two tabs sharing localStorage and a sync channel, each holding the last write
+  async function openTabs() {
+    const window = new Window();
+    global.localStorage = window.localStorage;
+    tabs = ["a", "b"].map(() => {
+      const adapter = new LocalStorageAdapter({
+        dbName: "deltaDB",
+        channelName: "pinia_delta_test",
+        enableSyncTabs: true,
+        expireCheckInterval: 0,
+      });
+      return {
+        adapter,
+        piniaAdapter: new PiniaAdapter(adapter),
+        store: useDraftStore(createPinia()),
+      };
+    });
+    for (const { piniaAdapter, store } of tabs) {
+      await piniaAdapter.setInStorage(store, "draft", { syncTabs: true, deltaSync: true });
+    }
+    const [a, b] = tabs;
+    await vi.waitFor(() =>
+      expect(a.piniaAdapter.stores.draft.version).toEqual(b.piniaAdapter.stores.draft.version)
+    );
+    return tabs;
+  }
+
+  afterEach(() => {
+    tabs.forEach(({ adapter, piniaAdapter }) => {
+      piniaAdapter.destroy();
+      adapter.destroy();
+    });
+    tabs = [];
+  });
+
+  // ----------------------------------------------------------------------------------------------
+
+  it("should send a patch that other tabs apply without reading storage", async () => {
+    const [a, b] = await openTabs();
+    const emit = vi.spyOn(a.adapter.channel, "emit");
+    const read = vi.spyOn(b.adapter, "get");
+
+    a.store.$patch((state) => {
+      state.items.push({ sku: "B2", qty: 3 });
+    });
+
+    await vi.waitFor(() => expect(b.store.items).toHaveLength(2));
+    expect(b.store.$state).toEqual(a.store.$state);
+    expect(read).not.toHaveBeenCalled();
+    const [{ value, patch }] = emit.mock.calls.at(-1);
+    expect(value).toBeUndefined();
+    expect(JSON.parse(patch.ops)).toEqual([
+      { op: "add", path: "/items/1", value: { sku: "B2", qty: 3 } },
+    ]);
+    expect(b.piniaAdapter.stores.draft.version).toEqual(a.piniaAdapter.stores.draft.version);
+  });
+
+  // ----------------------------------------------------------------------------------------------
+
+  it("should read the whole state when the tab holds another version", async () => {
+    const [a, b] = await openTabs();
+    b.piniaAdapter.stores.draft.version = { clock: 99, tabId: "elsewhere", parent: null };
+    const read = vi.spyOn(b.adapter, "get");
+
+    a.store.$patch({ note: "ring twice" });
+
+    await vi.waitFor(() => expect(b.store.note).toBe("ring twice"));
+    expect(read).toHaveBeenCalledWith("draft");
+    expect(b.piniaAdapter.stores.draft.version).toEqual(a.piniaAdapter.stores.draft.version);
+  });
+});
@@ -1,4 +1,4 @@
-import { describe, it, beforeEach, expect, vi } from "vitest";
+import { describe, it, beforeEach, afterEach, expect, vi } from "vitest";
 import { Window } from "happy-dom";
 import "fake-indexeddb/auto";
 import { IDBFactory } from "fake-indexeddb";
@@ -354,6 +354,39 @@ describe.each(Object.entries(adapterSetups))(
 
       // ------------------------------------------------------------------------------------------
 
+      it("should store the initial state before setInStorage resolves", async () => {
+        const set = adapter.set.bind(adapter);
+        const spy = vi.spyOn(adapter, "set").mockImplementation(async (...args) => {
+          await sleep(50);
+          return set(...args);
+        });
+
+        await reactAdapter.setInStorage(store, "initial-key", { timeout: 1000 });
+
+        expect(await adapter.getExpire("initial-key")).toBeGreaterThan(Date.now());
+        spy.mockRestore();
+      });
+
+      // ------------------------------------------------------------------------------------------
+
+      it("should persist with a sliding expiration when requested", async () => {
+        const spy = vi.spyOn(adapter, "set");
+        await reactAdapter.setInStorage(store, "slide-key", {
+          timeout: 1000,
+          sliding: true,
+        });
+
+        await vi.waitFor(() =>
+          expect(spy).toHaveBeenCalledWith("slide-key", expect.anything(), {
+            ttl: 1000,
+            sliding: true,
+          })
+        );
+        spy.mockRestore();
+      });
+
+      // ------------------------------------------------------------------------------------------
+
       it("should update the value in store when the store is updated", async () => {
         await reactAdapter.setInStorage(store, "test-key");
 
@@ -389,3 +422,224 @@ describe.each(Object.entries(adapterSetups))(
     });
   }
 );
+
+// ------------------------------------------------------------------------------------------------
+
+// Redux cart taking local edits, hydration and changes from other tabs
+function setCartStore(state = { items: 1, coupon: null }) {
+  function reducer(current = state, action) {
+    if (["EDIT", "SET_STATE_FROM_STORAGE", "STORAGEFY_UPDATE"].includes(action.type)) {
+      return { ...current, ...action.payload };
+    }
+    return current;
+  }
+
+  return createReduxStore(reducer);
+}
+
+// ------------------------------------------------------------------------------------------------
+
+describe("ReactAdapter conflict strategies", () => {
+  let tabs = [];
+
+  // Two tabs sharing localStorage and a sync channel
+  async function openTabs(conflictStrategy) {
+    const window = new Window();
+    global.localStorage = window.localStorage;
+    tabs = ["a", "b"].map(() => {
+      const adapter = new LocalStorageAdapter({
+        dbName: "conflictDB",
+        channelName: "react_conflict_test",
+        enableSyncTabs: true,
+        expireCheckInterval: 0,
+      });
+      return { adapter, reactAdapter: new ReactAdapter(adapter), store: setCartStore() };
+    });
+    for (const { reactAdapter, store } of tabs) {
+      await reactAdapter.getFromStorage(store, "cart", { conflictStrategy });
+      await reactAdapter.setInStorage(store, "cart", { syncTabs: true, conflictStrategy });
+    }
+    await sleep(20);
+    return tabs;
+  }
+
+  function edit(store, payload) {
+    store.dispatch({ type: "EDIT", payload });
+  }
+
+  async function expectConverged(expected) {
+    const [a, b] = tabs;
+    await vi.waitFor(async () => {
+      expect(await a.adapter.get("cart")).toEqual(expected);
+      expect(await a.adapter._readVersion("cart")).toMatchObject({ clock: expect.any(Number) });
+      expect(a.store.getState()).toMatchObject(expected);
+      expect(b.store.getState()).toMatchObject(expected);
+    });
+  }
+
+  afterEach(() => {
+    tabs.forEach(({ adapter, reactAdapter }) => {
+      reactAdapter.destroy();
+      adapter.destroy();
+    });
+    tabs = [];
+  });
+
+  // ----------------------------------------------------------------------------------------------
+
+  it("should keep the fields each tab changed with merge-fields", async () => {
+    const [a, b] = await openTabs("merge-fields");
+
+    edit(a.store, { items: 2 });
+    edit(b.store, { coupon: "SPRING" });
+
+    await expectConverged({ items: 2, coupon: "SPRING" });
+  });
+
+  // ----------------------------------------------------------------------------------------------
+
+  it.each(["last-writer-wins", "first-writer-wins"])(
+    "should settle every tab on the same state with %s",
+    async (strategy) => {
+      const [a, b] = await openTabs(strategy);
+
+      edit(a.store, { items: 2 });
+      edit(b.store, { items: 3 });
+
+      await vi.waitFor(() => expect(a.store.getState().items).toBe(b.store.getState().items));
+      await expectConverged({ items: a.store.getState().items, coupon: null });
+    }
+  );
+
+  // ----------------------------------------------------------------------------------------------
+
+  it("should apply follow-up writes of another tab", async () => {
+    const [a, b] = await openTabs("first-writer-wins");
+
+    edit(a.store, { items: 2 });
+    await vi.waitFor(() => expect(b.store.getState().items).toBe(2));
+    edit(b.store, { items: 5 });
+
+    await expectConverged({ items: 5, coupon: null });
+  });
+
+  // ----------------------------------------------------------------------------------------------
+
+  it("should hydrate through a custom resolver", async () => {
+    const window = new Window();
+    global.localStorage = window.localStorage;
+    const adapter = new LocalStorageAdapter({ dbName: "conflictDB" });
+    await adapter.set("cart", { items: 4 }, undefined, {
+      version: { clock: 7, tabId: "other", parent: null },
+    });
+    const store = setCartStore({ items: 1 });
+    const resolver = vi.fn(({ local, incoming }) => ({ items: local.items + incoming.items }));
+
+    await new ReactAdapter(adapter).getFromStorage(store, "cart", {
+      conflictStrategy: resolver,
+    });
+
+    expect(store.getState()).toEqual({ items: 5 });
+    expect(resolver).toHaveBeenCalledWith(
+      expect.objectContaining({
+        key: "cart",
+        localVersion: null,
+        incomingVersion: { clock: 7, tabId: "other", parent: null },
+      })
+    );
+    adapter.destroy();
+  });
+
+  // ----------------------------------------------------------------------------------------------
+
+  it("should reject unknown strategies", async () => {
+    const adapter = new LocalStorageAdapter({ dbName: "conflictDB" });
+
+    await expect(
+      new ReactAdapter(adapter).setInStorage(setCartStore(), "cart", {
+        conflictStrategy: "newest",
+      })
+    ).rejects.toThrow('Unknown conflict strategy "newest"');
+    adapter.destroy();
+  });
+});
+
+// ------------------------------------------------------------------------------------------------
+
+describe("ReactAdapter delta sync", () => {
+  let tabs = [];
+
+  // Two tabs sharing localStorage and a sync channel, each holding the last write
+  async function openTabs() {
+    const window = new Window();
+    global.localStorage = window.localStorage;
+    tabs = ["a", "b"].map(() => {
+      const adapter = new LocalStorageAdapter({
+        dbName: "deltaDB",
+        channelName: "react_delta_test",
+        enableSyncTabs: true,
+        expireCheckInterval: 0,
+      });
+      return {
+        adapter,
+        reactAdapter: new ReactAdapter(adapter),
+        store: setCartStore({ items: [{ sku: "A1", qty: 1 }], note: "" }),
+      };
+    });
+    for (const { reactAdapter, store } of tabs) {
+      await reactAdapter.setInStorage(store, "draft", { syncTabs: true, deltaSync: true });
+    }
+    const [a, b] = tabs;
+    await vi.waitFor(() =>
+      expect(a.reactAdapter.stores.draft.version).toEqual(b.reactAdapter.stores.draft.version)
+    );
+    return tabs;
+  }
+
+  afterEach(() => {
+    tabs.forEach(({ adapter, reactAdapter }) => {
+      reactAdapter.destroy();
+      adapter.destroy();
+    });
+    tabs = [];
+  });
+
+  // ----------------------------------------------------------------------------------------------
+
+  it("should send a patch that other tabs apply without reading storage", async () => {
+    const [a, b] = await openTabs();
+    const emit = vi.spyOn(a.adapter.channel, "emit");
+    const read = vi.spyOn(b.adapter, "get");
+    const dispatch = vi.spyOn(b.store, "dispatch");
+
+    a.store.dispatch({
+      type: "EDIT",
+      payload: { items: [...a.store.getState().items, { sku: "B2", qty: 3 }] },
+    });
+
+    await vi.waitFor(() => expect(b.store.getState().items).toHaveLength(2));
+    expect(b.store.getState()).toEqual(a.store.getState());
+    expect(dispatch).toHaveBeenCalledWith(expect.objectContaining({ type: "STORAGEFY_UPDATE" }));
+    expect(read).not.toHaveBeenCalled();
+    const [{ value, patch }] = emit.mock.calls.at(-1);
+    expect(value).toBeUndefined();
+    expect(JSON.parse(patch.ops)).toEqual([
+      { op: "add", path: "/items/1", value: { sku: "B2", qty: 3 } },
+    ]);
+    expect(b.reactAdapter.stores.draft.version).toEqual(a.reactAdapter.stores.draft.version);
+  });
+
+  // ----------------------------------------------------------------------------------------------
+
+  it("should read the whole state when the tab holds another version", async () => {
+    const [a, b] = await openTabs();
+    b.reactAdapter.stores.draft.version = { clock: 99, tabId: "elsewhere", parent: null };
+    const read = vi.spyOn(b.adapter, "get");
+
+    a.store.dispatch({ type: "EDIT", payload: { note: "ring twice" } });
+
+    await vi.waitFor(() => expect(b.store.getState().note).toBe("ring twice"));
+    expect(read).toHaveBeenCalledWith("draft");
+    expect(b.reactAdapter.stores.draft.version).toEqual(a.reactAdapter.stores.draft.version);
+  });
+});
@@ -1,4 +1,4 @@
-import { describe, it, beforeEach, expect, vi } from "vitest";
+import { describe, it, beforeEach, afterEach, expect, vi } from "vitest";
 import { writable, get } from "svelte/store";
 import { Window } from "happy-dom";
 import "fake-indexeddb/auto";
@@ -249,3 +249,205 @@ describe.each(Object.entries(adapterSetups))(
     });
   }
 );
+
+// ------------------------------------------------------------------------------------------------
+
+describe("SvelteAdapter conflict strategies", () => {
+  let tabs = [];
+
+  // Two tabs sharing localStorage and a sync channel
+  async function openTabs(conflictStrategy, state = { items: 1, coupon: null }) {
+    const window = new Window();
+    global.localStorage = window.localStorage;
+    tabs = ["a", "b"].map(() => {
+      const adapter = new LocalStorageAdapter({
+        dbName: "conflictDB",
+        channelName: "conflict_test",
+        enableSyncTabs: true,
+        expireCheckInterval: 0,
+      });
+      return { adapter, svelteAdapter: new SvelteAdapter(adapter), store: writable(state) };
+    });
+    for (const { svelteAdapter, store } of tabs) {
+      await svelteAdapter.getFromStorage(store, "cart", { conflictStrategy });
+      await svelteAdapter.setInStorage(store, "cart", { syncTabs: true, conflictStrategy });
+    }
+    await sleep(20);
+    return tabs;
+  }
+
+  async function expectConverged(expected) {
+    const [a, b] = tabs;
+    await vi.waitFor(async () => {
+      expect(await a.adapter.get("cart")).toEqual(expected);
+      expect(await a.adapter._readVersion("cart")).toMatchObject({ clock: expect.any(Number) });
+      expect(get(a.store)).toMatchObject(expected);
+      expect(get(b.store)).toMatchObject(expected);
+    });
+  }
+
+  afterEach(() => {
+    tabs.forEach(({ adapter, svelteAdapter }) => {
+      svelteAdapter.destroy();
+      adapter.destroy();
+    });
+    tabs = [];
+  });
+
+  // ----------------------------------------------------------------------------------------------
+
+  it("should keep the fields each tab changed with merge-fields", async () => {
+    const [a, b] = await openTabs("merge-fields");
+
+    a.store.update((state) => ({ ...state, items: 2 }));
+    b.store.update((state) => ({ ...state, coupon: "SPRING" }));
+
+    await expectConverged({ items: 2, coupon: "SPRING" });
+  });
+
+  // ----------------------------------------------------------------------------------------------
+
+  it.each(["last-writer-wins", "first-writer-wins"])(
+    "should settle every tab on the same state with %s",
+    async (strategy) => {
+      const [a, b] = await openTabs(strategy);
+
+      a.store.update((state) => ({ ...state, items: 2 }));
+      b.store.update((state) => ({ ...state, items: 3 }));
+
+      await vi.waitFor(() => expect(get(a.store).items).toBe(get(b.store).items));
+      await expectConverged({ items: get(a.store).items, coupon: null });
+    }
+  );
+
+  // ----------------------------------------------------------------------------------------------
+
+  it("should apply follow-up writes of another tab", async () => {
+    const [a, b] = await openTabs("first-writer-wins");
+
+    a.store.update((state) => ({ ...state, items: 2 }));
+    await vi.waitFor(() => expect(get(b.store).items).toBe(2));
+    b.store.update((state) => ({ ...state, items: 5 }));
+
+    await expectConverged({ items: 5, coupon: null });
+  });
+
+  // ----------------------------------------------------------------------------------------------
+
+  it("should hydrate through a custom resolver", async () => {
+    const window = new Window();
+    global.localStorage = window.localStorage;
+    const adapter = new LocalStorageAdapter({ dbName: "conflictDB" });
+    await adapter.set("cart", { items: 4 }, undefined, {
+      version: { clock: 7, tabId: "other", parent: null },
+    });
+    const store = writable({ items: 1 });
+    const resolver = vi.fn(({ local, incoming }) => ({ items: local.items + incoming.items }));
+
+    await new SvelteAdapter(adapter).getFromStorage(store, "cart", {
+      conflictStrategy: resolver,
+    });
+
+    expect(get(store)).toEqual({ items: 5 });
+    expect(resolver).toHaveBeenCalledWith(
+      expect.objectContaining({
+        key: "cart",
+        localVersion: null,
+        incomingVersion: { clock: 7, tabId: "other", parent: null },
+      })
+    );
+    expect(adapter.clock).toBe(7);
+    adapter.destroy();
+  });
+
+  // ----------------------------------------------------------------------------------------------
+
+  it("should reject unknown strategies", async () => {
+    const adapter = new LocalStorageAdapter({ dbName: "conflictDB" });
+
+    await expect(
+      new SvelteAdapter(adapter).setInStorage(writable({}), "cart", {
+        conflictStrategy: "newest",
+      })
+    ).rejects.toThrow('Unknown conflict strategy "newest"');
+    adapter.destroy();
+  });
+});
+
+// ------------------------------------------------------------------------------------------------
+
+describe("SvelteAdapter delta sync", () => {
+  let tabs = [];
+
+  // Two tabs sharing localStorage and a sync channel, each holding the last write
+  async function openTabs() {
+    const window = new Window();
+    global.localStorage = window.localStorage;
+    tabs = ["a", "b"].map(() => {
+      const adapter = new LocalStorageAdapter({
+        dbName: "deltaDB",
+        channelName: "delta_test",
+        enableSyncTabs: true,
+        expireCheckInterval: 0,
+      });
+      return {
+        adapter,
+        svelteAdapter: new SvelteAdapter(adapter),
+        store: writable({ items: [{ sku: "A1", qty: 1 }], note: "" }),
+      };
+    });
+    for (const { svelteAdapter, store } of tabs) {
+      await svelteAdapter.setInStorage(store, "draft", { syncTabs: true, deltaSync: true });
+    }
+    const [a, b] = tabs;
+    await vi.waitFor(() =>
+      expect(a.svelteAdapter.stores.draft.version).toEqual(b.svelteAdapter.stores.draft.version)
+    );
+    return tabs;
+  }
+
+  afterEach(() => {
+    tabs.forEach(({ adapter, svelteAdapter }) => {
+      svelteAdapter.destroy();
+      adapter.destroy();
+    });
+    tabs = [];
+  });
+
+  // ----------------------------------------------------------------------------------------------
+
+  it("should send a patch that other tabs apply without reading storage", async () => {
+    const [a, b] = await openTabs();
+    const emit = vi.spyOn(a.adapter.channel, "emit");
+    const read = vi.spyOn(b.adapter, "get");
+
+    a.store.update((state) => ({
+      items: [...state.items, { sku: "B2", qty: 3 }],
+      note: state.note,
+    }));
+
+    await vi.waitFor(() => expect(get(b.store).items).toHaveLength(2));
+    expect(get(b.store)).toEqual(get(a.store));
+    expect(read).not.toHaveBeenCalled();
+    const [{ value, patch }] = emit.mock.calls.at(-1);
+    expect(value).toBeUndefined();
+    expect(JSON.parse(patch.ops)).toEqual([
+      { op: "add", path: "/items/1", value: { sku: "B2", qty: 3 } },
+    ]);
+    expect(b.svelteAdapter.stores.draft.version).toEqual(a.svelteAdapter.stores.draft.version);
+  });
+
+  // ----------------------------------------------------------------------------------------------
+
+  it("should read the whole state when the tab holds another version", async () => {
+    const [a, b] = await openTabs();
+    b.svelteAdapter.stores.draft.version = { clock: 99, tabId: "elsewhere", parent: null };
+    const read = vi.spyOn(b.adapter, "get");
+
+    a.store.update((state) => ({ ...state, note: "ring twice" }));
+
+    await vi.waitFor(() => expect(get(b.store).note).toBe("ring twice"));
+    expect(read).toHaveBeenCalledWith("draft");
+    expect(b.svelteAdapter.stores.draft.version).toEqual(a.svelteAdapter.stores.draft.version);
+  });
+});